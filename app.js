@@ -1,10 +1,18 @@
+import cron from 'node-cron';
 import logger from './src/utils/logger.js';
 import config from './config/default.json' with { type: 'json' };
 import strategyConfigs from './config/strategies.json' with { type: 'json' };
+import KrakenConnector from './src/connectors/kraken.js';
 import MarketDataService from './src/services/marketDataService.js';
-import TradingService from './src/services/tradingService.js';
-import StrategyRegistry from './src/strategies/strategiesRegistry.js';
-import Backtester from './src/backtesting/backtester.js';
+import DeadMansSwitch from './src/services/deadMansSwitch.js';
+import { startStatusServer } from './src/server.js';
+import * as TradingService from './src/services/tradingService.js';
+import * as PaperTrader from './src/paperTrading/paperTrader.js';
+import * as RiskManager from './src/riskManagement/riskManager.js';
+import * as StrategyRegistry from './src/strategies/strategiesRegistry.js';
+import * as Backtester from './src/backtesting/backtester.js';
+import * as PerformanceMetrics from './src/utils/performanceMetrics.js';
+import * as notifications from './src/utils/notifications.js';
 
 /**
  * @module App
@@ -16,8 +24,10 @@ class CryptoBotApp {
     constructor() {
         this.mode = process.env.MODE || 'paper';
         this.marketDataService = null;
+        this.deadMansSwitch = null;
+        this.statusServer = null;
         this.strategies = {}; // Stores active strategy instances per symbol
-        this.activeTradeSignals = {}; // Keep track of cool-down periods or active signals
+        this.shutdownPromise = null; // Set once shutdown starts, so repeated signals wait for the same shutdown
     }
 
     /**
@@ -65,7 +75,8 @@ class CryptoBotApp {
                 logger.info('Backtest completed. Results:', results);
                 process.exit(0); // Exit after backtest
             } else { // Live or Paper Trading
-                this.marketDataService = new MarketDataService();
+                // Share the connector's backend so REST polling follows the same data source as trading
+                this.marketDataService = new MarketDataService(KrakenConnector.getExchange());
 
                 // Initialize and subscribe strategies to market data events
                 for (const symbol of config.exchange.symbols) {
@@ -76,6 +87,7 @@ class CryptoBotApp {
                                 const strategyInstance = new StrategyClass(symbol, strategyConfigs[strategyName], TradingService);
                                 await strategyInstance.initialize(); // Initialize strategy (e.g., fetch historical data)
                                 this.strategies[`${symbol}-${strategyName}`] = strategyInstance;
+                                TradingService.registerStrategy(strategyInstance); // Route its order fills back to it
                                 logger.info(`Strategy '${strategyName}' initialized for ${symbol}.`);
 
                                 // Subscribe the strategy to market data updates
@@ -84,7 +96,7 @@ class CryptoBotApp {
                                         logger.debug(`Processing new candle for ${dataSymbol} with ${strategyName}: ${new Date(candle.timestamp).toISOString()}`);
                                         await strategyInstance.run(candle);
                                         // Also monitor positions for SL/TP
-                                        await TradingService.monitorAndExitPositions(symbol, candle.close);
+                                        await TradingService.monitorAndExitPositions(symbol, candle.close, candle);
                                     }
                                 });
                             } else {
@@ -94,22 +106,36 @@ class CryptoBotApp {
                     }
                 }
 
-                this.marketDataService.startPolling(); // Start polling for live/paper trading
+                if (this.mode === 'paper') {
+                    // Resting paper orders fill on the ticks that cross them, as they would on the exchange
+                    this.marketDataService.on('ticker', (symbol, ticker) => PaperTrader.onTicker(symbol, ticker));
+                    this.marketDataService.on('trade', (symbol, trades) => PaperTrader.onTrades(symbol, trades));
+                }
+
+                // Restore positions and resolve differences with the exchange before the first candle arrives
+                await TradingService.reconcileWithExchange();
+
+                this.marketDataService.start(); // WebSocket feed with REST polling fallback
+
+                if (this.mode === 'live' && config.trading.deadMansSwitch.enabled) {
+                    this.deadMansSwitch = new DeadMansSwitch(KrakenConnector, {
+                        timeoutMs: config.trading.deadMansSwitch.timeoutMs,
+                        refreshIntervalMs: config.trading.deadMansSwitch.refreshIntervalMs,
+                        // Without market data the bot can't react to fills or exits, so let Kraken pull the orders
+                        healthCheck: () => this.marketDataService.getActiveSource() !== null
+                    });
+                    await this.deadMansSwitch.start();
+                }
+
+                if (config.server.enabled) {
+                    this.statusServer = startStatusServer(this);
+                }
 
                 // Optional: Task scheduler for daily reports
                 if (config.notifications.telegram.enabled && config.notifications.telegram.summaryReports) {
-                    const cron = require('node-cron');
                     cron.schedule('0 0 * * *', async () => { // Every day at midnight
                         logger.info('Generating daily performance summary...');
-                        const currentBalances = await TradingService.getBalances();
-                        const initialCapital = TradingService.initialCapital || 10000; // Need to track this from TradingService
-                        const currentEquity = currentBalances[config.exchange.symbols[0].split('/')[1]]; // USD balance
-                        const totalReturn = PerformanceMetrics.calculateTotalReturn(initialCapital, currentEquity);
-                        const summary = `📈 Daily Report 📈\n` +
-                                        `Date: ${new Date().toLocaleDateString()}\n` +
-                                        `Current Balance (USD): $${currentEquity.toFixed(2)}\n` +
-                                        `Total Return: ${(totalReturn * 100).toFixed(2)}%\n` +
-                                        `Open Positions: ${Object.keys(require('./riskManagement/riskManager').getOpenPositions()).length}`;
+                        const summary = await this.buildDailySummary();
                         notifications.sendNotification(summary, 'summary');
                     });
                 }
@@ -121,17 +147,83 @@ class CryptoBotApp {
     }
 
     /**
-     * Gracefully shuts down the bot.
+     * Builds the daily report sent when `notifications.telegram.summaryReports` is enabled: balance, total
+     * return, open positions and the portfolio's 1-day VaR and expected shortfall.
+     * @returns {Promise<string>} The report text.
+     */
+    async buildDailySummary() {
+        const currentBalances = await TradingService.getBalances();
+        const initialCapital = TradingService.initialCapital || 10000; // Need to track this from TradingService
+        const currentEquity = currentBalances[config.exchange.symbols[0].split('/')[1]] ?? 0; // USD balance
+        const totalReturn = PerformanceMetrics.calculateTotalReturn(initialCapital, currentEquity);
+        const risk = RiskManager.getValueAtRisk();
+        const formatRisk = figures => figures ? `$${figures.var.toFixed(2)} (ES $${figures.expectedShortfall.toFixed(2)})` : 'n/a';
+        return `📈 Daily Report 📈\n` +
+               `Date: ${new Date().toLocaleDateString()}\n` +
+               `Current Balance (USD): $${currentEquity.toFixed(2)}\n` +
+               `Total Return: ${(totalReturn * 100).toFixed(2)}%\n` +
+               `Open Positions: ${Object.keys(RiskManager.getOpenPositions()).length}\n` +
+               `1-day VaR (${(risk.confidence * 100).toFixed(1)}%): ${formatRisk(risk.historical)} historical, ${formatRisk(risk.parametric)} parametric`;
+    }
+
+    /**
+     * Gracefully shuts down the bot. Market data is stopped first so strategies send no new orders, then the
+     * `trading.shutdown` policy ('keep', 'cancel-orders' or 'flatten') is applied within `timeoutMs`, the
+     * remaining services are stopped and state is flushed. Resolves instead of exiting so callers decide the
+     * exit code; calls made while a shutdown is running return the same promise.
+     * @param {string} [reason='requested'] - Why the bot stops, for logs and the final notification.
+     * @returns {Promise<void>}
+     */
+    shutdown(reason = 'requested') {
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.runShutdown(reason);
+        }
+        return this.shutdownPromise;
+    }
+
+    /**
+     * @private
+     * @param {string} reason - Why the bot stops.
+     * @returns {Promise<void>}
      */
-    async shutdown() {
-        logger.info('Shutting down bot...');
+    async runShutdown(reason) {
+        const { policy, timeoutMs } = config.trading.shutdown;
+        logger.info(`Shutting down bot (${reason}) with '${policy}' shutdown policy...`);
+
         if (this.marketDataService) {
-            this.marketDataService.stopPolling();
-            // This assumes marketDataService has a stop method
+            await this.marketDataService.stop();
+        }
+
+        let summary = { cancelled: [], flattened: [], failures: [] };
+        let completed = false;
+        let timer;
+        try {
+            summary = await Promise.race([
+                TradingService.applyShutdownPolicy(policy),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`shutdown policy did not complete within ${timeoutMs}ms`)), timeoutMs);
+                })
+            ]);
+            completed = summary.failures.length === 0;
+        } catch (error) {
+            logger.error(`Shutdown policy '${policy}' failed: ${error.message}`);
+            summary.failures.push(error.message);
+        } finally {
+            clearTimeout(timer);
         }
-        // TODO: Implement logic to cancel open orders, close positions if desired, save state.
+
+        if (this.deadMansSwitch) {
+            // If orders were meant to be cancelled but weren't, let Kraken cancel them when the switch expires
+            await this.deadMansSwitch.stop({ disarm: policy === 'keep' || completed });
+        }
+        if (this.statusServer) {
+            this.statusServer.close();
+        }
+        await TradingService.stopTradingService();
+
+        const failures = summary.failures.length > 0 ? `\n⚠️ ${summary.failures.join('\n⚠️ ')}` : '';
+        await notifications.sendNotification(`🛑 Bot stopped (${reason}). Policy '${policy}': ${summary.cancelled.length} order(s) cancelled, ${summary.flattened.length} position(s) closed.${failures}`, summary.failures.length > 0 ? 'error' : 'info');
         logger.info('Bot shut down successfully.');
-        process.exit(0);
     }
 }
 
@@ -3,8 +3,7 @@ import { getStrategy } from '../strategies/strategiesRegistry.js'; // We'll crea
 import { calculateAll } from '../utils/performanceMetrics.js';
 import fs from 'fs';
 import path from 'path';
-import { calculateLotSize } from '../riskManagement/riskManager.js';
-import config from '../../config/default.json' with { type: 'json' };
+import { calculateLotSize, calculateInitialStopLoss, calculatePositionSize, calculateTradeStatistics, calculateTakeProfit, adjustStopLoss, buildTakeProfitLadder, getDueExit, getATR } from '../riskManagement/riskManager.js';
 
 /**
  * @module Backtester
@@ -33,6 +32,7 @@ async function initializeBacktester(symbol, timeframe, strategyName, strategyCon
     // Simulate a tradingService for the strategy during backtesting
     const simulatedTradingService = {
         timeframe: timeframe,
+        getOrders: () => [], // Simulated orders fill immediately, so none are ever working
         executeTrade: async function (s, side, amount, type, metadata, price) {
             // Simulate trade execution for backtesting
             let tradePrice;
@@ -49,7 +49,27 @@ async function initializeBacktester(symbol, timeframe, strategyName, strategyCon
                 return null;
             }
             }
-            const calculatedAmount = amount || await calculateLotSize(s, tradePrice, currentBalance);
+            let stopLoss = null;
+            let calculatedAmount = amount;
+            const riskConfig = strategyInstance.config.riskManagement || {};
+            const model = metadata.sizing === 'risk' ? 'fixed' : metadata.sizing ?? (riskConfig.sizing?.enabled ? riskConfig.sizing.model : null);
+            if (!calculatedAmount && model) {
+                // Same sizing models as TradingService, with the backtest's own trades for Kelly sizing
+                const held = simulatedTradingService.holdings?.[s] || 0;
+                stopLoss = metadata.stopLoss ?? calculateInitialStopLoss(side === 'buy' ? 'long' : 'short', tradePrice, riskConfig, simulatedTradingService.candles);
+                const sized = calculatePositionSize(model, {
+                    entryPrice: tradePrice,
+                    stopLoss,
+                    equity: currentBalance + held * tradePrice,
+                    maxNotional: side === 'buy' ? currentBalance : held * tradePrice,
+                    candles: simulatedTradingService.candles,
+                    tradeStats: model === 'kelly' ? calculateTradeStatistics(tradeLog) : null
+                }, riskConfig);
+                calculatedAmount = sized.amount;
+                logger.debug(`Backtest: sized ${s} ${side} with the '${sized.model}' model: ${calculatedAmount.toFixed(8)}.`);
+            } else if (!calculatedAmount) {
+                calculatedAmount = await calculateLotSize(s, tradePrice, currentBalance);
+            }
 
             if (calculatedAmount <= 0) {
                 logger.warn(`Backtest: Calculated amount is zero or negative. Skipping simulated trade.`);
@@ -105,65 +125,88 @@ async function initializeBacktester(symbol, timeframe, strategyName, strategyCon
                 price: tradePrice,
                 status,
                 datetime: new Date().toISOString(),
+                intent: metadata.type,
                 fee: tradeCost * 0.001 // Simulate a fee
             };
             tradeLog.push(simulatedOrder);
             logger.debug(`Backtest simulated ${side} trade: ${calculatedAmount.toFixed(8)} ${s} @ ${tradePrice.toFixed(2)}. Balance: ${currentBalance.toFixed(2)}`);
+            if (metadata.strategy !== 'RiskManager') {
+                // Simulated orders fill completely at once
+                await strategyInstance.onOrderFill(
+                    { ...simulatedOrder, strategy: metadata.strategy, intent: metadata.type, stopLoss, filled: calculatedAmount, remaining: 0 },
+                    { amount: calculatedAmount, price: tradePrice }
+                );
+            }
             return simulatedOrder;
         },
 
-        managePosition: async function (s, side, entryPrice, amount, strategyRiskConfig) {
-            // Risk manager for backtest: we track SL/TP and apply on next candle
-            const defaultStopLossPercent = parseFloat(process.env.DEFAULT_STOP_LOSS_PERCENT || config.riskManagement.defaultStopLossPercent);
-            const defaultTakeProfitPercent = parseFloat(process.env.DEFAULT_TAKE_PROFIT_PERCENT || config.riskManagement.defaultTakeProfitPercent);
-
-            const stopLossPercent = strategyRiskConfig.stopLossPercent || defaultStopLossPercent;
-            const takeProfitPercent = strategyRiskConfig.takeProfitPercent || defaultTakeProfitPercent;
-
-            let stopLossPrice;
-            let takeProfitPrice;
-
-            if (side === 'long') {
-                stopLossPrice = entryPrice * (1 - stopLossPercent);
-                takeProfitPrice = entryPrice * (1 + takeProfitPercent);
-            } else { // short
-                stopLossPrice = entryPrice * (1 + stopLossPercent);
-                takeProfitPrice = entryPrice * (1 - takeProfitPercent);
+        managePosition: async function (s, side, entryPrice, amount, strategyRiskConfig = {}, strategy = undefined, stopLoss = null) {
+            // Risk manager for backtest: we track SL/TP and apply on next candle, with the same levels as live trading
+            const entrySide = side === 'long' ? 'buy' : 'sell';
+            const existing = simulatedTradingService.currentPositions[s];
+            let stopLossPrice = stopLoss ?? calculateInitialStopLoss(side, entryPrice, strategyRiskConfig, simulatedTradingService.candles);
+            if (existing && existing.side === side && (side === 'long' ? existing.stopLossPrice > stopLossPrice : existing.stopLossPrice < stopLossPrice)) {
+                stopLossPrice = existing.stopLossPrice; // A trailed stop is not loosened by a resize
             }
+            const takeProfitPrice = calculateTakeProfit(entryPrice, entrySide, strategyRiskConfig.takeProfit);
+            const previous = existing && existing.side === side ? existing : null;
+            const bestPrice = previous ? previous.bestPrice : entryPrice;
+            // Take-profit ladder and time exits, kept across resizes like RiskManager does
+            const initialRisk = previous ? previous.initialRisk : Math.abs(entryPrice - stopLossPrice);
+            const ladder = buildTakeProfitLadder(side, entryPrice, initialRisk, strategyRiskConfig, previous?.ladder);
+            const ladderBase = Math.max(previous?.ladderBase ?? 0, amount);
+            const openedAt = previous ? previous.openedAt : simulatedTradingService.candles.at(-1)?.timestamp ?? Date.now();
             // Store for internal tracking
-            simulatedTradingService.currentPositions[s] = { side, entryPrice, amount, stopLossPrice, takeProfitPrice };
+            simulatedTradingService.currentPositions[s] = { side, entryPrice, amount, stopLossPrice, takeProfitPrice, bestPrice, riskConfig: strategyRiskConfig, initialRisk, ladder, ladderBase, openedAt };
+        },
+
+        releasePosition: async function (s) {
+            delete simulatedTradingService.currentPositions[s];
         },
 
-        monitorAndExitPositions: async function (s, currentPrice) {
+        monitorAndExitPositions: async function (s, currentPrice, candle = null) {
+            if (candle) {
+                simulatedTradingService.candles.push(candle);
+            }
             const position = simulatedTradingService.currentPositions[s];
             if (!position) return;
 
-            let action = null;
-            if (position.side === 'long') {
-                if (currentPrice <= position.stopLossPrice) {
-                    action = 'stop_loss';
-                } else if (currentPrice >= position.takeProfitPrice) {
-                    action = 'take_profit';
-                }
-            } else { // short
-                if (currentPrice >= position.stopLossPrice) {
-                    action = 'stop_loss';
-                } else if (currentPrice <= position.takeProfitPrice) {
-                    action = 'take_profit';
-                }
+            // Trailing and break-even stops, as RiskManager applies them to live and paper positions
+            const trailing = position.riskConfig.trailingStop;
+            const atr = trailing?.type === 'atr' ? getATR(simulatedTradingService.candles, trailing.atrPeriod) : null;
+            const adjusted = adjustStopLoss({ ...position, stopLoss: position.stopLossPrice }, currentPrice, position.riskConfig, atr);
+            position.bestPrice = adjusted.bestPrice;
+            if (adjusted.reason) {
+                logger.debug(`Backtest: ${s} stop moved (${adjusted.reason}) from ${position.stopLossPrice.toFixed(2)} to ${adjusted.stopLoss.toFixed(2)}.`);
+                position.stopLossPrice = adjusted.stopLoss;
             }
 
-            if (action) {
-                logger.warn(`Backtest: ${action.toUpperCase()} triggered for ${s} ${position.side} position! Price: ${currentPrice.toFixed(2)}`);
-                // Simulate exit trade
-                const exitSide = position.side === 'long' ? 'sell' : 'buy';
-                await simulatedTradingService.executeTrade(s, exitSide, position.amount, 'market', { strategy: 'RiskManager', type: action }, currentPrice);
-                delete simulatedTradingService.currentPositions[s]; // Clear position
-                strategyInstance.clearPosition(); // Clear strategy's position
+            const timestamp = candle?.timestamp ?? simulatedTradingService.candles.at(-1)?.timestamp ?? Date.now();
+            const exit = getDueExit({ ...position, stopLoss: position.stopLossPrice, takeProfit: position.takeProfitPrice }, currentPrice, timestamp);
+            if (!exit) {
+                return;
+            }
+            const { action, amount } = exit;
+            const exitSide = position.side === 'long' ? 'sell' : 'buy';
+            if (action === 'scale_out') {
+                logger.debug(`Backtest: scaling out ${amount.toFixed(8)} of ${s} ${position.side} position at ${currentPrice.toFixed(2)} (${position.ladder[exit.level].r}R).`);
+                position.ladder[exit.level].done = true;
+                // On behalf of the strategy, whose fill handler resizes the position
+                const order = await simulatedTradingService.executeTrade(s, exitSide, amount, 'market', { strategy: strategyInstance.name || strategyInstance.constructor.name, type: action }, currentPrice);
+                if (!order) {
+                    position.ladder[exit.level].done = false;
+                }
+                return;
             }
+            logger.warn(`Backtest: ${action.toUpperCase()} triggered for ${s} ${position.side} position! Price: ${currentPrice.toFixed(2)}`);
+            // Simulate exit trade
+            await simulatedTradingService.executeTrade(s, exitSide, position.amount, 'market', { strategy: 'RiskManager', type: action }, currentPrice);
+            delete simulatedTradingService.currentPositions[s]; // Clear position
+            strategyInstance.clearPosition(); // Clear strategy's position
         },
 
-        currentPositions: {} // Internal tracking for backtest
+        currentPositions: {}, // Internal tracking for backtest
+        candles: [] // Candles seen so far, for ATR-based trailing stops and time exits
     };
 
     // Load historical data (assuming CSV or pre-parsed JSON)
@@ -213,7 +256,7 @@ async function runBacktest() {
         const historicalSlice = backtestData.slice(0, i + 1); // Data up to and including current candle
 
         // const historicalSlice = backtestData.slice(0, i + 1); // Data up to and including current candle
-        await strategyInstance.tradingService.monitorAndExitPositions(strategyInstance.symbol, currentCandle.close);
+        await strategyInstance.tradingService.monitorAndExitPositions(strategyInstance.symbol, currentCandle.close, currentCandle);
 
         await strategyInstance.run(currentCandle, historicalSlice);
 
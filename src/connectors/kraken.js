@@ -1,168 +1,609 @@
 import ccxt from 'ccxt';
+import OfflineBackend from './offlineBackend.js';
+import KrakenRateLimiter, { isTransientError, isRateLimitError, getBackoffDelay } from './krakenRateLimiter.js';
+import { toPairInfo } from '../utils/orderPrecision.js';
 import logger from '../utils/logger.js';
+import config from '../../config/default.json' with { type: 'json' };
 
 /**
  * @module KrakenConnector
  * @description Handles all interactions with the Kraken exchange API using CCXT.
+ * The connector talks to a CCXT-compatible backend: an authenticated `ccxt.kraken` client in live mode,
+ * or an OfflineBackend in paper mode. Every method returns the same shapes whichever backend is active.
+ *
+ * Live calls go through a KrakenRateLimiter and are retried on transient errors. Order placement is only
+ * retried when the order carries a client order ID and a lookup by that ID shows it did not reach the book.
  */
 
-let exchange;
+class KrakenConnector {
+    constructor() {
+        this.exchange = null;
+        this.isPaperTrading = false;
+        this.pairs = {}; // symbol -> pair info (see OrderPrecision.toPairInfo)
+        this.rateLimiter = new KrakenRateLimiter({ limited: [] });
+        this.retryPolicy = { maxRetries: 0 };
+    }
 
-/**
- * Initializes the Kraken exchange connector.
- * @param {string} apiKey - Kraken API Key.
- * @param {string} secret - Kraken API Secret.
- * @param {boolean} isPaperTrading - True if in paper trading mode, false for live.
- */
-function initializeKraken(apiKey, secret, isPaperTrading = false) {
-    if (isPaperTrading) {
-        logger.info('Kraken connector initialized in paper trading mode. No real API calls will be made.');
-        exchange = null; // No real exchange connection needed
-        return;
-    }
-
-    try {
-        exchange = new ccxt.kraken({
-            apiKey: apiKey,
-            secret: secret,
-            enableRateLimit: true,
-            sandbox: false // Set to true for testing
+    /**
+     * Initializes the Kraken exchange connector.
+     * @param {string} apiKey - Kraken API Key.
+     * @param {string} secret - Kraken API Secret.
+     * @param {boolean} [isPaperTrading=false] - True if in paper trading mode, false for live.
+     * @param {object} [backend] - CCXT-compatible client to use instead of the default for the mode.
+     */
+    initializeKraken(apiKey, secret, isPaperTrading = false, backend = null) {
+        this.isPaperTrading = isPaperTrading;
+        this.pairs = {};
+        const rateLimitConfig = config.exchange.rateLimit || {};
+        this.retryPolicy = {
+            maxRetries: rateLimitConfig.maxRetries ?? 3,
+            baseDelayMs: rateLimitConfig.baseDelayMs ?? 500,
+            maxDelayMs: rateLimitConfig.maxDelayMs ?? 10000
+        };
+        // Paper and custom backends only answer locally; the paper market data client throttles itself
+        this.rateLimiter = new KrakenRateLimiter({
+            tier: rateLimitConfig.tier,
+            publicRequestsPerSecond: rateLimitConfig.publicRequestsPerSecond,
+            limited: backend || isPaperTrading ? [] : ['public', 'private', 'trading']
         });
-        logger.info('Kraken connector initialized for live trading.');
-    } catch (error) {
-        logger.error(`Failed to initialize Kraken connector: ${error.message}`);
-        throw new Error('Kraken API initialization failed.');
+
+        if (backend) {
+            this.exchange = backend;
+            logger.info(`Kraken connector initialized with a custom ${isPaperTrading ? 'paper' : 'live'} backend.`);
+            return;
+        }
+
+        if (isPaperTrading) {
+            // Public endpoints need no credentials, so paper mode can still follow real prices
+            const marketData = config.trading.paperMarketData === 'offline'
+                ? null
+                : new ccxt.kraken({ enableRateLimit: true });
+            this.exchange = new OfflineBackend({ marketData });
+            logger.info(`Kraken connector initialized in paper trading mode (${marketData ? 'live' : 'simulated'} market data). No orders will reach the exchange.`);
+            return;
+        }
+
+        try {
+            // Throttling is done by the rate limiter, which models Kraken's counters more closely than CCXT
+            this.exchange = new ccxt.kraken({
+                apiKey: apiKey,
+                secret: secret,
+                enableRateLimit: false
+            });
+            logger.info(`Kraken connector initialized for live trading (${rateLimitConfig.tier || 'starter'} tier rate limits).`);
+        } catch (error) {
+            logger.error(`Failed to initialize Kraken connector: ${error.message}`);
+            throw new Error('Kraken API initialization failed.');
+        }
     }
-}
 
-/**
- * Fetches the current balance for a given currency.
- * @param {string} currency - The currency to check balance for (e.g., 'USD', 'BTC').
- * @returns {Promise<number>} The available balance.
- */
-async function getBalance(currency) {
-    if (!exchange) {
-        throw new Error('Kraken exchange not initialized for live trading.');
-    }
-    
-    try {
-        const balance = await exchange.fetchBalance();
-        return balance.free && balance.free[currency] ? balance.free[currency] : 0;
-    } catch (error) {
-        logger.error(`Error fetching balance for ${currency}: ${error.message}`);
-        throw error;
+    /**
+     * Returns the active CCXT-compatible backend, e.g. to share it with MarketDataService.
+     * Calls made directly on the backend bypass the rate limiter and retries.
+     * @returns {object} The backend client.
+     */
+    getExchange() {
+        this.ensureInitialized();
+        return this.exchange;
     }
-}
 
-/**
- * Fetches the current ticker (price) for a trading pair.
- * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
- * @returns {Promise<object>} Ticker information including bid, ask, last price.
- */
-async function getTicker(symbol) {
-    if (!exchange) {
-        // For paper trading, return mock ticker data
-        return {
-            symbol: symbol,
-            bid: 50000,
-            ask: 50100,
-            last: 50050,
-            change: 0.01,
-            percentage: 0.02,
-            datetime: new Date().toISOString()
-        };
+    /**
+     * Loads and caches asset pair metadata (precision, minimum order size and cost) for all pairs.
+     * @param {boolean} [reload=false] - Fetch again even if already loaded.
+     * @returns {Promise<object>} Pair info keyed by symbol.
+     */
+    async loadMarkets(reload = false) {
+        this.ensureInitialized();
+        if (!reload && Object.keys(this.pairs).length > 0) {
+            return this.pairs;
+        }
+
+        try {
+            const markets = await this.request('public', () => this.exchange.loadMarkets(reload));
+            const pairs = {};
+            for (const market of Object.values(markets)) {
+                if (market.spot !== false) {
+                    pairs[market.symbol] = toPairInfo(market);
+                }
+            }
+            this.pairs = pairs;
+            logger.info(`Loaded metadata for ${Object.keys(pairs).length} Kraken asset pairs.`);
+            return pairs;
+        } catch (error) {
+            logger.error(`Error loading Kraken asset pairs: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Returns cached metadata for a pair. Call `loadMarkets()` first.
+     * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
+     * @returns {object|null} Pair info: { symbol, pricePrecision, amountPrecision, tickSize, minAmount, minCost, status },
+     * or null if unknown.
+     */
+    getPairInfo(symbol) {
+        return this.pairs[symbol] || null;
+    }
+
+    /**
+     * Fetches the current balance for a given currency.
+     * @param {string} currency - The currency to check balance for (e.g., 'USD', 'BTC').
+     * @returns {Promise<number>} The available balance.
+     */
+    async getBalance(currency) {
+        this.ensureInitialized();
+        try {
+            const balance = await this.request('private', () => this.exchange.fetchBalance());
+            const available = balance.free && balance.free[currency] ? balance.free[currency] : 0;
+            logger.debug(`Fetched balance for ${currency}: ${available}`);
+            return available;
+        } catch (error) {
+            logger.error(`Error fetching balance for ${currency}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches free, reserved and total balances of all assets. Funds held by open orders (e.g. a stop-loss
+     * covering a position) are only included in `used` and `total`.
+     * @returns {Promise<object>} Balances by asset: { [asset]: { free, used, total } }.
+     */
+    async fetchBalances() {
+        this.ensureInitialized();
+        try {
+            const balance = await this.request('private', () => this.exchange.fetchBalance());
+            const balances = {};
+            for (const asset of Object.keys(balance.total || {})) {
+                balances[asset] = {
+                    free: balance.free?.[asset] ?? 0,
+                    used: balance.used?.[asset] ?? 0,
+                    total: balance.total[asset] ?? 0
+                };
+            }
+            return balances;
+        } catch (error) {
+            logger.error(`Error fetching balances: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the current ticker (price) for a trading pair.
+     * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
+     * @returns {Promise<object>} Ticker: { symbol, bid, ask, last, high, low, volume, change, percentage, timestamp, datetime }.
+     */
+    async getTicker(symbol) {
+        this.ensureInitialized();
+        try {
+            const ticker = await this.request('public', () => this.exchange.fetchTicker(symbol));
+            logger.debug(`Fetched ticker for ${symbol}: ${ticker.last}`);
+            return toTicker(ticker);
+        } catch (error) {
+            logger.error(`Error fetching ticker for ${symbol}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches OHLCV (candlestick) data for a trading pair.
+     * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
+     * @param {string} [timeframe='1h'] - The timeframe (e.g., '1h', '1d').
+     * @param {number} [limit=100] - Number of candles to fetch.
+     * @returns {Promise<Array<Array<number>>>} [[timestamp, open, high, low, close, volume], ...], oldest first.
+     */
+    async fetchOHLCV(symbol, timeframe = '1h', limit = 100) {
+        this.ensureInitialized();
+        try {
+            const ohlcv = await this.request('public', () => this.exchange.fetchOHLCV(symbol, timeframe, undefined, limit));
+            logger.debug(`Fetched ${ohlcv.length} OHLCV candles for ${symbol} ${timeframe}.`);
+            return ohlcv;
+        } catch (error) {
+            logger.error(`Error fetching OHLCV for ${symbol} ${timeframe}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the order book for a trading pair.
+     * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
+     * @param {number} [limit=10] - Number of levels per side.
+     * @returns {Promise<object>} Order book: { symbol, bids: [[price, amount]], asks: [[price, amount]], timestamp }.
+     */
+    async fetchOrderBook(symbol, limit = 10) {
+        this.ensureInitialized();
+        try {
+            const book = await this.request('public', () => this.exchange.fetchOrderBook(symbol, limit));
+            return { symbol, bids: book.bids, asks: book.asks, timestamp: book.timestamp ?? null };
+        } catch (error) {
+            logger.error(`Error fetching order book for ${symbol}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Places a market order.
+     * @param {string} symbol - The trading pair.
+     * @param {'buy'|'sell'} side - Order side.
+     * @param {number} amount - Amount to trade in base currency.
+     * @param {object} [params] - Extra order parameters, e.g. `clientOrderId`.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async createMarketOrder(symbol, side, amount, params = {}) {
+        this.ensureInitialized();
+        try {
+            const order = await this.placeOrder(symbol, params, () => this.exchange.createMarketOrder(symbol, side, amount, undefined, params));
+            logger.info(`Market ${side} order placed for ${amount} ${symbol}. Order ID: ${order.id}`);
+            return order;
+        } catch (error) {
+            logger.error(`Error placing market ${side} order for ${amount} ${symbol}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Places a limit order.
+     * @param {string} symbol - The trading pair.
+     * @param {'buy'|'sell'} side - Order side.
+     * @param {number} amount - Amount to trade in base currency.
+     * @param {number} price - Limit price.
+     * @param {object} [params] - Extra order parameters, e.g. `clientOrderId`.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async createLimitOrder(symbol, side, amount, price, params = {}) {
+        this.ensureInitialized();
+        try {
+            const order = await this.placeOrder(symbol, params, () => this.exchange.createLimitOrder(symbol, side, amount, price, params));
+            logger.info(`Limit ${side} order placed for ${amount} ${symbol} at ${price}. Order ID: ${order.id}`);
+            return order;
+        } catch (error) {
+            logger.error(`Error placing limit ${side} order for ${amount} ${symbol} at ${price}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Places a native Kraken stop-loss order (or stop-loss-limit when a limit price is given).
+     * @param {string} symbol - The trading pair.
+     * @param {'buy'|'sell'} side - Order side (the side that closes the position).
+     * @param {number} amount - Amount to trade in base currency.
+     * @param {number} stopPrice - Trigger price.
+     * @param {number} [limitPrice] - Limit price once triggered; omit for a market stop.
+     * @param {object} [params] - Extra order parameters, e.g. `clientOrderId`.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async createStopLossOrder(symbol, side, amount, stopPrice, limitPrice = null, params = {}) {
+        this.ensureInitialized();
+        const type = limitPrice ? 'limit' : 'market';
+        try {
+            const order = await this.placeOrder(symbol, params, () => this.exchange.createOrder(symbol, type, side, amount, limitPrice ?? undefined, { ...params, stopLossPrice: stopPrice }));
+            logger.info(`Stop-loss${limitPrice ? '-limit' : ''} ${side} order placed for ${amount} ${symbol} at ${stopPrice}${limitPrice ? ` (limit ${limitPrice})` : ''}. Order ID: ${order.id}`);
+            return order;
+        } catch (error) {
+            logger.error(`Error placing stop-loss ${side} order for ${amount} ${symbol} at ${stopPrice}: ${error.message}`);
+            throw error;
+        }
     }
-    
-    try {
-        const ticker = await exchange.fetchTicker(symbol);
-        return ticker;
-    } catch (error) {
-        logger.error(`Error fetching ticker for ${symbol}: ${error.message}`);
-        throw error;
+
+    /**
+     * Places a native Kraken take-profit order (or take-profit-limit when a limit price is given).
+     * @param {string} symbol - The trading pair.
+     * @param {'buy'|'sell'} side - Order side (the side that closes the position).
+     * @param {number} amount - Amount to trade in base currency.
+     * @param {number} triggerPrice - Trigger price.
+     * @param {number} [limitPrice] - Limit price once triggered; omit for a market take-profit.
+     * @param {object} [params] - Extra order parameters, e.g. `clientOrderId`.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async createTakeProfitOrder(symbol, side, amount, triggerPrice, limitPrice = null, params = {}) {
+        this.ensureInitialized();
+        const type = limitPrice ? 'limit' : 'market';
+        try {
+            const order = await this.placeOrder(symbol, params, () => this.exchange.createOrder(symbol, type, side, amount, limitPrice ?? undefined, { ...params, takeProfitPrice: triggerPrice }));
+            logger.info(`Take-profit${limitPrice ? '-limit' : ''} ${side} order placed for ${amount} ${symbol} at ${triggerPrice}. Order ID: ${order.id}`);
+            return order;
+        } catch (error) {
+            logger.error(`Error placing take-profit ${side} order for ${amount} ${symbol} at ${triggerPrice}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancels an order.
+     * @param {string} orderId - The ID of the order to cancel.
+     * @param {string} [symbol] - The trading pair of the order.
+     * @returns {Promise<object>} Cancellation details: { id, status: 'canceled' }.
+     */
+    async cancelOrder(orderId, symbol = undefined) {
+        this.ensureInitialized();
+        const penalty = this.rateLimiter.getCancelCost(orderId);
+        try {
+            // A cancel that timed out may still have gone through; retrying it would then fail with OrderNotFound
+            await this.request('trading', () => this.exchange.cancelOrder(orderId, symbol), {
+                cost: penalty.cost,
+                symbol: penalty.symbol || symbol,
+                idempotent: false,
+                verify: async () => {
+                    const order = await this.request('private', () => this.exchange.fetchOrder(orderId, symbol));
+                    return order.status === 'canceled' ? order : null;
+                }
+            });
+            logger.info(`Order ${orderId}${symbol ? ` for ${symbol}` : ''} cancelled.`);
+            return { id: orderId, status: 'canceled' };
+        } catch (error) {
+            logger.error(`Error cancelling order ${orderId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Arms, refreshes or disarms Kraken's dead man's switch: all open orders are cancelled
+     * `timeoutMs` after the last call unless it is called again.
+     * @param {number} timeoutMs - Countdown in milliseconds (whole seconds on Kraken), or 0 to disarm.
+     * @returns {Promise<{currentTime: string, triggerTime: string|null}>} Trigger time is null when disarmed.
+     */
+    async cancelAllOrdersAfter(timeoutMs) {
+        this.ensureInitialized();
+        try {
+            const response = await this.request('private', () => this.exchange.cancelAllOrdersAfter(timeoutMs));
+            const result = response.result || response;
+            logger.debug(`CancelAllOrdersAfter(${timeoutMs}ms): trigger at ${result.triggerTime}.`);
+            return {
+                currentTime: result.currentTime,
+                triggerTime: timeoutMs > 0 && result.triggerTime !== '0' ? result.triggerTime : null
+            };
+        } catch (error) {
+            logger.error(`Error setting CancelAllOrdersAfter(${timeoutMs}ms): ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches all open orders.
+     * @param {string} [symbol] - The trading pair, or all pairs if omitted.
+     * @returns {Promise<Array<object>>} Open orders (see `toOrder`).
+     */
+    async fetchOpenOrders(symbol = undefined) {
+        this.ensureInitialized();
+        try {
+            const orders = await this.request('private', () => this.exchange.fetchOpenOrders(symbol));
+            logger.debug(`Fetched ${orders.length} open orders for ${symbol || 'all symbols'}.`);
+            return orders.map(toOrder);
+        } catch (error) {
+            logger.error(`Error fetching open orders for ${symbol || 'all symbols'}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the account's own trades (fills). Kraken returns at most 50 trades per call, newest first.
+     * @param {string} [symbol] - The trading pair, or all pairs if omitted.
+     * @param {number} [since] - Only trades after this timestamp (ms).
+     * @param {number} [limit] - Maximum number of trades.
+     * @returns {Promise<Array<object>>} Trades (see `toTrade`), oldest first.
+     */
+    async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined) {
+        this.ensureInitialized();
+        try {
+            const trades = await this.request('private', () => this.exchange.fetchMyTrades(symbol, since, limit), { cost: 2 });
+            logger.debug(`Fetched ${trades.length} trades for ${symbol || 'all symbols'}.`);
+            return trades.map(toTrade).sort((a, b) => a.timestamp - b.timestamp);
+        } catch (error) {
+            logger.error(`Error fetching trades for ${symbol || 'all symbols'}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches an order by ID.
+     * @param {string} orderId - The ID of the order.
+     * @param {string} [symbol] - The trading pair.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async fetchOrder(orderId, symbol = undefined) {
+        this.ensureInitialized();
+        try {
+            const order = toOrder(await this.request('private', () => this.exchange.fetchOrder(orderId, symbol)));
+            logger.debug(`Fetched order ${orderId}: ${order.status}`);
+            return order;
+        } catch (error) {
+            logger.error(`Error fetching order ${orderId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Looks up an order by the client order ID it was placed with, among open and recently closed orders.
+     * @param {string} clientOrderId - Client order ID given at placement.
+     * @param {string} [symbol] - The trading pair.
+     * @returns {Promise<object|null>} Order (see `toOrder`), or null if no order carries the ID.
+     */
+    async findOrderByClientId(clientOrderId, symbol = undefined) {
+        this.ensureInitialized();
+        try {
+            const order = await this.lookupClientOrder(clientOrderId, symbol);
+            return order ? toOrder(order) : null;
+        } catch (error) {
+            logger.error(`Error looking up order with client ID ${clientOrderId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Requests a token for the authenticated WebSocket API.
+     * Tokens must be used to connect within 15 minutes but stay valid for the lifetime of the connection.
+     * @returns {Promise<string>} WebSocket authentication token.
+     */
+    async getWebSocketsToken() {
+        this.ensureInitialized();
+        if (this.isPaperTrading) {
+            throw new Error('The authenticated WebSocket API is not available in paper trading mode.');
+        }
+
+        try {
+            const response = await this.request('private', () => this.exchange.privatePostGetWebSocketsToken());
+            return response.result.token;
+        } catch (error) {
+            logger.error(`Error fetching WebSocket token: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Runs an exchange call within the rate limits, retrying transient errors with exponential backoff.
+     * A call that is not idempotent is only retried once `verify` has shown that the failed attempt had no
+     * effect; if `verify` finds the attempt did take effect, its result is returned instead.
+     * @private
+     * @param {'public'|'private'|'trading'} category - Rate limit category of the call.
+     * @param {Function} operation - Makes the exchange call.
+     * @param {object} [options]
+     * @param {number} [options.cost=1] - Counter increase of the call.
+     * @param {string} [options.symbol] - Trading pair, for trading calls.
+     * @param {boolean} [options.idempotent=true] - Whether repeating the call is harmless.
+     * @param {Function} [options.verify] - For non-idempotent calls: resolves to the call's result if the failed
+     * attempt took effect, or null if it did not.
+     * @returns {Promise<*>} The call's result.
+     */
+    async request(category, operation, { cost = 1, symbol, idempotent = true, verify = null } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.acquire(category, { cost, symbol });
+            try {
+                return await operation();
+            } catch (error) {
+                if (isRateLimitError(error)) {
+                    this.rateLimiter.penalize(category, symbol);
+                }
+                if (!isTransientError(error) || attempt >= this.retryPolicy.maxRetries || (!idempotent && !verify)) {
+                    throw error;
+                }
+
+                const delay = getBackoffDelay(attempt, this.retryPolicy);
+                logger.warn(`Kraken ${category} call failed (${error.message}); retrying in ${delay}ms (attempt ${attempt + 1}/${this.retryPolicy.maxRetries}).`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+
+                if (!idempotent) {
+                    let landed;
+                    try {
+                        landed = await verify();
+                    } catch (verifyError) {
+                        logger.error(`Could not verify whether the failed ${category} call took effect: ${verifyError.message}. Not retrying.`);
+                        throw error;
+                    }
+                    if (landed) {
+                        logger.info(`Kraken ${category} call reported "${error.message}" but took effect; not repeating it.`);
+                        return landed;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Places an order via `submit`. Retries are only allowed when `params.clientOrderId` is set,
+     * since that is the only way to tell whether a failed attempt reached the book.
+     * @private
+     * @param {string} symbol - The trading pair.
+     * @param {object} params - Order parameters given to `submit`.
+     * @param {Function} submit - Makes the CCXT order call.
+     * @returns {Promise<object>} Order (see `toOrder`).
+     */
+    async placeOrder(symbol, params, submit) {
+        const verify = params.clientOrderId ? () => this.lookupClientOrder(params.clientOrderId, symbol) : null;
+        const order = toOrder(await this.request('trading', submit, { symbol, idempotent: false, verify }));
+        this.rateLimiter.recordOrder(order.id, symbol);
+        return order;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<object|null>} Raw CCXT order with the client order ID, or null.
+     */
+    async lookupClientOrder(clientOrderId, symbol) {
+        const query = { clientOrderId };
+        const open = await this.request('private', () => this.exchange.fetchOpenOrders(symbol, undefined, undefined, query));
+        const match = open.find(order => order.clientOrderId === clientOrderId);
+        if (match) {
+            return match;
+        }
+        const closed = await this.request('private', () => this.exchange.fetchClosedOrders(symbol, undefined, undefined, query));
+        return closed.find(order => order.clientOrderId === clientOrderId) || null;
+    }
+
+    /**
+     * @private
+     */
+    ensureInitialized() {
+        if (!this.exchange) {
+            throw new Error('Kraken connector not initialized. Call initializeKraken() first.');
+        }
     }
 }
 
 /**
- * Fetches OHLCV (candlestick) data for a trading pair.
- * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
- * @param {string} timeframe - The timeframe (e.g., '1h', '1d').
- * @param {number} limit - Number of candles to fetch.
- * @returns {Promise<Array>} Array of OHLCV data.
+ * Reduces a CCXT ticker to the fields the bot relies on.
+ * @param {object} ticker - CCXT ticker.
+ * @returns {object} Ticker.
  */
-async function fetchOHLCV(symbol, timeframe = '1h', limit = 100) {
-    if (!exchange) {
-        // For paper trading, return mock OHLCV data
-        const mockData = [];
-        const now = Date.now();
-        const timeframeMs = getTimeframeInMs(timeframe);
-        
-        for (let i = limit - 1; i >= 0; i--) {
-            const timestamp = now - (i * timeframeMs);
-            const basePrice = 50000;
-            const open = basePrice + (Math.random() - 0.5) * 1000;
-            const close = open + (Math.random() - 0.5) * 500;
-            const high = Math.max(open, close) + Math.random() * 200;
-            const low = Math.min(open, close) - Math.random() * 200;
-            const volume = Math.random() * 100;
-            
-            mockData.push([timestamp, open, high, low, close, volume]);
-        }
-        
-        return mockData;
-    }
-    
-    try {
-        const ohlcv = await exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
-        return ohlcv;
-    } catch (error) {
-        logger.error(`Error fetching OHLCV for ${symbol}: ${error.message}`);
-        throw error;
-    }
+function toTicker(ticker) {
+    return {
+        symbol: ticker.symbol,
+        bid: ticker.bid,
+        ask: ticker.ask,
+        last: ticker.last,
+        high: ticker.high,
+        low: ticker.low,
+        volume: ticker.baseVolume ?? ticker.volume,
+        change: ticker.change,
+        percentage: ticker.percentage,
+        timestamp: ticker.timestamp,
+        datetime: ticker.datetime
+    };
 }
 
 /**
- * Places a market order.
- * @param {string} symbol - The trading pair.
- * @param {'buy'|'sell'} side - Order side.
- * @param {number} amount - Amount to trade.
- * @returns {Promise<object>} Order result.
+ * Reduces a CCXT order to the fields the bot relies on. Kraken does not echo a price for
+ * market orders, so `price` falls back to the average fill price when known.
+ * @param {object} order - CCXT order.
+ * @returns {object} Order: { id, clientOrderId, symbol, side, type, status, amount, filled, remaining,
+ * price, average, triggerPrice, cost, fee, timestamp, datetime }.
  */
-async function createMarketOrder(symbol, side, amount) {
-    if (!exchange) {
-        throw new Error('Kraken exchange not initialized for live trading.');
-    }
-    
-    try {
-        const order = await exchange.createMarketOrder(symbol, side, amount);
-        logger.info(`Market order created: ${side} ${amount} ${symbol}`);
-        return order;
-    } catch (error) {
-        logger.error(`Error creating market order: ${error.message}`);
-        throw error;
-    }
+function toOrder(order) {
+    return {
+        id: order.id,
+        clientOrderId: order.clientOrderId,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        status: order.status,
+        amount: order.amount,
+        filled: order.filled,
+        remaining: order.remaining,
+        price: order.price ?? order.average ?? null,
+        average: order.average ?? null,
+        triggerPrice: order.triggerPrice ?? order.stopLossPrice ?? order.takeProfitPrice ?? null,
+        cost: order.cost,
+        fee: order.fee,
+        timestamp: order.timestamp,
+        datetime: order.datetime
+    };
 }
 
 /**
- * Places a limit order.
- * @param {string} symbol - The trading pair.
- * @param {'buy'|'sell'} side - Order side.
- * @param {number} amount - Amount to trade.
- * @param {number} price - Limit price.
- * @returns {Promise<object>} Order result.
+ * Reduces a CCXT trade to the fields the bot relies on.
+ * @param {object} trade - CCXT trade.
+ * @returns {object} Trade: { id, orderId, symbol, side, amount, price, cost, fee, timestamp }.
  */
-async function createLimitOrder(symbol, side, amount, price) {
-    if (!exchange) {
-        throw new Error('Kraken exchange not initialized for live trading.');
-    }
-    
-    try {
-        const order = await exchange.createLimitOrder(symbol, side, amount, price);
-        logger.info(`Limit order created: ${side} ${amount} ${symbol} at ${price}`);
-        return order;
-    } catch (error) {
-        logger.error(`Error creating limit order: ${error.message}`);
-        throw error;
-    }
+function toTrade(trade) {
+    return {
+        id: trade.id,
+        orderId: trade.order,
+        symbol: trade.symbol,
+        side: trade.side,
+        amount: trade.amount,
+        price: trade.price,
+        cost: trade.cost,
+        fee: trade.fee,
+        timestamp: trade.timestamp
+    };
 }
 
 /**
@@ -180,11 +621,14 @@ function getTimeframeInMs(timeframe) {
         '4h': 4 * 60 * 60 * 1000,
         '1d': 24 * 60 * 60 * 1000
     };
-    
+
     if (!timeframes[timeframe]) {
         logger.warn(`Unknown timeframe '${timeframe}' provided. Defaulting to '1h'.`);
     }
     return timeframes[timeframe] || timeframes['1h'];
 }
 
-export { initializeKraken, getBalance, getTicker, fetchOHLCV, createMarketOrder, createLimitOrder, getTimeframeInMs };
+const krakenConnector = new KrakenConnector();
+
+export default krakenConnector;
+export { KrakenConnector, getTimeframeInMs };
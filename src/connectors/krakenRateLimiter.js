@@ -0,0 +1,209 @@
+import ccxt from 'ccxt';
+
+/**
+ * @module KrakenRateLimiter
+ * @description Client-side model of Kraken's REST rate limits, used by KrakenConnector to delay calls
+ * instead of letting Kraken reject them:
+ * - public endpoints: a fixed request rate per IP
+ * - private endpoints: the account's API call counter, which decays at a rate set by the verification tier
+ * - order placement and cancellation: a separate per-pair trading counter, where cancelling a young order
+ *   costs extra
+ * Also provides the retry policy for transient errors.
+ */
+
+/** Counter limits per verification tier (https://docs.kraken.com/api/docs/guides/spot-rest-ratelimits). */
+const TIERS = {
+    starter: { privateMax: 15, privateDecay: 0.33, tradingMax: 60, tradingDecay: 1 },
+    intermediate: { privateMax: 20, privateDecay: 0.5, tradingMax: 125, tradingDecay: 2.34 },
+    pro: { privateMax: 20, privateDecay: 1, tradingMax: 180, tradingDecay: 3.75 }
+};
+
+/** Trading counter penalty for cancelling an order, by order age. */
+const CANCEL_PENALTIES = [
+    { maxAgeMs: 5000, cost: 8 },
+    { maxAgeMs: 10000, cost: 6 },
+    { maxAgeMs: 15000, cost: 5 },
+    { maxAgeMs: 45000, cost: 4 },
+    { maxAgeMs: 90000, cost: 2 },
+    { maxAgeMs: 300000, cost: 1 }
+];
+
+const TRANSIENT_MESSAGES = ['EAPI:Rate limit exceeded', 'EOrder:Rate limit exceeded', 'EService:Unavailable', 'EService:Busy', 'EGeneral:Temporary lockout'];
+
+/**
+ * A counter that is increased by each call and decays linearly over time, like Kraken's.
+ * Calls that would push it over the maximum are scheduled for when enough has decayed.
+ */
+class DecayingCounter {
+    /**
+     * @param {number} max - Maximum counter value.
+     * @param {number} decayPerSecond - Amount the counter decreases per second.
+     */
+    constructor(max, decayPerSecond) {
+        this.max = max;
+        this.decayPerSecond = decayPerSecond;
+        this.level = 0;
+        this.updatedAt = 0; // Time `level` refers to; in the future while calls are queued
+    }
+
+    /**
+     * Reserves capacity for a call.
+     * @param {number} cost - Counter increase of the call.
+     * @param {number} now - Current time in ms.
+     * @returns {number} Milliseconds to wait before making the call.
+     */
+    reserve(cost, now) {
+        const at = Math.max(now, this.updatedAt);
+        const level = Math.max(0, this.level - this.decayPerSecond * (at - this.updatedAt) / 1000);
+        const excess = level + Math.min(cost, this.max) - this.max;
+        const start = excess > 0 ? at + Math.ceil(excess / this.decayPerSecond * 1000) : at;
+
+        this.level = excess > 0 ? this.max : level + cost;
+        this.updatedAt = start;
+        return start - now;
+    }
+
+    /**
+     * Marks the counter as full, e.g. after Kraken reported the limit as exceeded.
+     * @param {number} now - Current time in ms.
+     */
+    saturate(now) {
+        this.level = this.max;
+        this.updatedAt = Math.max(now, this.updatedAt);
+    }
+}
+
+class KrakenRateLimiter {
+    /**
+     * @param {object} [options]
+     * @param {'starter'|'intermediate'|'pro'} [options.tier='starter'] - Account verification tier.
+     * @param {number} [options.publicRequestsPerSecond=1] - Public endpoint rate.
+     * @param {Array<string>} [options.limited] - Categories to throttle ('public', 'private', 'trading'); all by default.
+     */
+    constructor(options = {}) {
+        const tier = TIERS[options.tier || 'starter'];
+        if (!tier) {
+            throw new Error(`Unknown Kraken verification tier '${options.tier}'. Expected one of: ${Object.keys(TIERS).join(', ')}.`);
+        }
+        this.tier = tier;
+        this.limited = new Set(options.limited || ['public', 'private', 'trading']);
+        this.publicCounter = new DecayingCounter(1, options.publicRequestsPerSecond ?? 1);
+        this.privateCounter = new DecayingCounter(tier.privateMax, tier.privateDecay);
+        this.tradingCounters = {}; // symbol -> DecayingCounter
+        this.orderPlacedAt = new Map(); // order ID -> { symbol, timestamp }, for cancel penalties
+    }
+
+    /**
+     * Waits until a call fits within the limits of its category.
+     * @param {'public'|'private'|'trading'} category - Endpoint category.
+     * @param {object} [options]
+     * @param {number} [options.cost=1] - Counter increase of the call.
+     * @param {string} [options.symbol] - Trading pair (trading calls are limited per pair).
+     * @returns {Promise<void>}
+     */
+    async acquire(category, { cost = 1, symbol } = {}) {
+        if (!this.limited.has(category) || cost <= 0) {
+            return;
+        }
+        const delay = this.getCounter(category, symbol).reserve(cost, Date.now());
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Fills a category's counter after Kraken reported its limit as exceeded, so queued calls back off.
+     * @param {'public'|'private'|'trading'} category - Endpoint category.
+     * @param {string} [symbol] - Trading pair for trading calls.
+     */
+    penalize(category, symbol = undefined) {
+        if (this.limited.has(category)) {
+            this.getCounter(category, symbol).saturate(Date.now());
+        }
+    }
+
+    /**
+     * Records when an order was placed, to price its cancellation.
+     * @param {string} orderId - Exchange order ID.
+     * @param {string} symbol - Trading pair.
+     */
+    recordOrder(orderId, symbol) {
+        this.orderPlacedAt.set(orderId, { symbol, timestamp: Date.now() });
+        // Orders older than the last penalty bracket cost nothing to cancel
+        const cutoff = Date.now() - CANCEL_PENALTIES[CANCEL_PENALTIES.length - 1].maxAgeMs;
+        for (const [id, placed] of this.orderPlacedAt) {
+            if (placed.timestamp >= cutoff) {
+                break; // Map iterates in insertion order
+            }
+            this.orderPlacedAt.delete(id);
+        }
+    }
+
+    /**
+     * @param {string} orderId - Exchange order ID.
+     * @returns {{symbol: string|undefined, cost: number}} Trading counter cost of cancelling the order now.
+     */
+    getCancelCost(orderId) {
+        const placed = this.orderPlacedAt.get(orderId);
+        if (!placed) {
+            return { symbol: undefined, cost: 0 };
+        }
+        const age = Date.now() - placed.timestamp;
+        const bracket = CANCEL_PENALTIES.find(penalty => age < penalty.maxAgeMs);
+        return { symbol: placed.symbol, cost: bracket ? bracket.cost : 0 };
+    }
+
+    /**
+     * @private
+     */
+    getCounter(category, symbol) {
+        if (category === 'public') {
+            return this.publicCounter;
+        }
+        if (category === 'private') {
+            return this.privateCounter;
+        }
+        const key = symbol || '*';
+        if (!this.tradingCounters[key]) {
+            this.tradingCounters[key] = new DecayingCounter(this.tier.tradingMax, this.tier.tradingDecay);
+        }
+        return this.tradingCounters[key];
+    }
+}
+
+/**
+ * @param {Error} error - Error thrown by a CCXT call.
+ * @returns {boolean} True if the call may succeed when retried (rate limits, unavailability, timeouts, network errors).
+ */
+function isTransientError(error) {
+    if (error instanceof ccxt.NetworkError) {
+        return true; // Includes RequestTimeout, ExchangeNotAvailable, DDoSProtection and InvalidNonce
+    }
+    return TRANSIENT_MESSAGES.some(message => error.message && error.message.includes(message));
+}
+
+/**
+ * @param {Error} error - Error thrown by a CCXT call.
+ * @returns {boolean} True if Kraken rejected the call for exceeding a rate limit.
+ */
+function isRateLimitError(error) {
+    return error instanceof ccxt.DDoSProtection || error instanceof ccxt.RateLimitExceeded
+        || /Rate limit exceeded|Temporary lockout/.test(error.message || '');
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half is random, so clients
+ * that failed together don't retry together.
+ * @param {number} attempt - Zero-based retry number.
+ * @param {object} [options]
+ * @param {number} [options.baseDelayMs=500] - Delay before the first retry.
+ * @param {number} [options.maxDelayMs=10000] - Upper bound for the delay.
+ * @returns {number} Delay in milliseconds.
+ */
+function getBackoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 10000 } = {}) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+export default KrakenRateLimiter;
+export { DecayingCounter, isTransientError, isRateLimitError, getBackoffDelay };
@@ -0,0 +1,225 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import logger from '../utils/logger.js';
+
+/**
+ * @module KrakenWebSocket
+ * @description Thin client for the Kraken WebSocket v2 API.
+ * Handles the connection lifecycle, heartbeat tracking and automatic reconnects.
+ * Owners listen for the 'open' event to (re)subscribe and for 'message' to consume channel data.
+ */
+
+class KrakenWebSocket extends EventEmitter {
+    /**
+     * @param {string} url - WebSocket endpoint (e.g. 'wss://ws.kraken.com/v2').
+     * @param {object} [options]
+     * @param {number} [options.heartbeatTimeoutMs=10000] - Reconnect if nothing is received for this long.
+     * @param {number} [options.reconnectDelayMs=1000] - Initial reconnect delay, doubled on every failed attempt.
+     * @param {number} [options.maxReconnectDelayMs=30000] - Upper bound for the reconnect delay.
+     */
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? 10000;
+        this.reconnectDelayMs = options.reconnectDelayMs ?? 1000;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs ?? 30000;
+
+        this.ws = null;
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+        this.lastMessageAt = 0;
+        this.lastHeartbeatAt = 0;
+        this.nextReqId = 1;
+    }
+
+    /**
+     * Opens the connection and keeps it alive until `disconnect()` is called.
+     * @returns {Promise<void>} Resolves once the socket is open.
+     */
+    connect() {
+        this.shouldReconnect = true;
+        const opened = new Promise(resolve => this.once('open', resolve));
+        this.openSocket();
+        return opened;
+    }
+
+    /**
+     * Closes the connection and stops reconnecting.
+     * @returns {Promise<void>} Resolves once the socket is closed.
+     */
+    async disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.stopWatchdog();
+
+        const ws = this.ws;
+        this.ws = null;
+        if (!ws || ws.readyState === WebSocket.CLOSED) {
+            return;
+        }
+        await new Promise(resolve => {
+            ws.once('close', resolve);
+            ws.close();
+        });
+    }
+
+    /**
+     * @returns {boolean} True if the socket is open.
+     */
+    isConnected() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Sends a request to the server.
+     * @param {string} method - Request method (e.g. 'subscribe').
+     * @param {object} [params] - Request parameters.
+     * @returns {number|null} The req_id of the request, or null if the socket is not open.
+     */
+    send(method, params = undefined) {
+        if (!this.isConnected()) {
+            logger.warn(`Kraken WebSocket not connected. Dropping '${method}' request.`);
+            return null;
+        }
+        const reqId = this.nextReqId++;
+        const request = { method, req_id: reqId };
+        if (params) {
+            request.params = params;
+        }
+        this.ws.send(JSON.stringify(request));
+        return reqId;
+    }
+
+    /**
+     * Subscribes to a channel.
+     * @param {object} params - Subscription parameters, e.g. { channel: 'ticker', symbol: ['BTC/USD'] }.
+     * @returns {number|null} The req_id of the request.
+     */
+    subscribe(params) {
+        return this.send('subscribe', params);
+    }
+
+    /**
+     * Unsubscribes from a channel.
+     * @param {object} params - Same parameters used to subscribe.
+     * @returns {number|null} The req_id of the request.
+     */
+    unsubscribe(params) {
+        return this.send('unsubscribe', params);
+    }
+
+    /**
+     * Creates the underlying socket and wires its events.
+     * @private
+     */
+    openSocket() {
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.lastMessageAt = Date.now();
+            this.startWatchdog();
+            logger.info(`Kraken WebSocket connected to ${this.url}.`);
+            this.emit('open');
+        });
+
+        ws.on('message', (raw) => this.handleMessage(raw));
+
+        ws.on('error', (error) => {
+            logger.error(`Kraken WebSocket error on ${this.url}: ${error.message}`);
+        });
+
+        ws.on('close', (code) => {
+            this.stopWatchdog();
+            if (this.ws === ws) {
+                this.ws = null;
+            }
+            logger.warn(`Kraken WebSocket closed (${code}).`);
+            this.emit('close', code);
+            if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Parses an incoming frame and dispatches it.
+     * @private
+     * @param {Buffer|string} raw - Raw frame.
+     */
+    handleMessage(raw) {
+        this.lastMessageAt = Date.now();
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            logger.warn(`Ignoring malformed Kraken WebSocket message: ${error.message}`);
+            return;
+        }
+
+        if (message.channel === 'heartbeat') {
+            this.lastHeartbeatAt = this.lastMessageAt;
+            return;
+        }
+
+        if (message.method) {
+            // Acknowledgement of one of our requests (subscribe, unsubscribe, ping...)
+            if (message.success === false) {
+                logger.warn(`Kraken WebSocket '${message.method}' request ${message.req_id} failed: ${message.error}`);
+            }
+            this.emit('ack', message);
+            return;
+        }
+
+        this.emit('message', message);
+    }
+
+    /**
+     * Schedules a reconnect with exponential backoff.
+     * @private
+     */
+    scheduleReconnect() {
+        const delay = Math.min(this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelayMs);
+        this.reconnectAttempts++;
+        logger.info(`Reconnecting to Kraken WebSocket in ${delay}ms (attempt ${this.reconnectAttempts}).`);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.shouldReconnect) {
+                this.openSocket();
+            }
+        }, delay);
+    }
+
+    /**
+     * Starts the heartbeat watchdog. Kraken sends a heartbeat every second once subscribed,
+     * so silence longer than `heartbeatTimeoutMs` means the connection is stale.
+     * @private
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+        this.watchdogTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > this.heartbeatTimeoutMs) {
+                logger.warn(`No Kraken WebSocket traffic for ${this.heartbeatTimeoutMs}ms. Forcing reconnect.`);
+                this.stopWatchdog();
+                if (this.ws) {
+                    this.ws.terminate();
+                }
+            }
+        }, Math.max(100, Math.floor(this.heartbeatTimeoutMs / 2)));
+    }
+
+    /**
+     * Stops the heartbeat watchdog.
+     * @private
+     */
+    stopWatchdog() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+    }
+}
+
+export default KrakenWebSocket;
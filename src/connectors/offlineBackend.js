@@ -0,0 +1,458 @@
+import ccxt from 'ccxt';
+
+/**
+ * @module OfflineBackend
+ * @description CCXT-compatible stand-in for the Kraken client, used by KrakenConnector in paper mode.
+ * Orders and balances are simulated locally and never reach the exchange. Market data is read from an
+ * optional CCXT client (e.g. an unauthenticated `ccxt.kraken`), or generated deterministically around
+ * reference prices when running fully offline.
+ */
+
+const DEFAULT_PRICES = { 'BTC/USD': 50000, 'ETH/USD': 3000 };
+
+// Kraken AssetPairs entries for simulated pairs
+const DEFAULT_PAIRS = {
+    'BTC/USD': { altname: 'XBTUSD', pair_decimals: 1, lot_decimals: 8, cost_decimals: 5, ordermin: '0.00005', costmin: '0.5', tick_size: '0.1', status: 'online' },
+    'ETH/USD': { altname: 'ETHUSD', pair_decimals: 2, lot_decimals: 8, cost_decimals: 5, ordermin: '0.002', costmin: '0.5', tick_size: '0.01', status: 'online' }
+};
+
+class OfflineBackend {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.marketData] - CCXT client used for tickers, candles and order books.
+     * @param {object} [options.prices] - Reference prices per symbol for simulated market data.
+     * @param {object} [options.pairs] - Kraken AssetPairs entries per symbol for simulated markets.
+     * @param {object} [options.balances={ USD: 10000 }] - Starting balances per asset.
+     * @param {number} [options.spread=0.0002] - Relative bid/ask spread of simulated tickers.
+     * @param {number} [options.feeRate=0.0026] - Fee charged on every fill, in quote currency.
+     */
+    constructor(options = {}) {
+        this.marketData = options.marketData || null;
+        this.prices = { ...DEFAULT_PRICES, ...options.prices };
+        this.pairs = { ...DEFAULT_PAIRS, ...options.pairs };
+        this.spread = options.spread ?? 0.0002;
+        this.feeRate = options.feeRate ?? 0.0026;
+        this.balances = { ...(options.balances || { USD: 10000 }) };
+        this.orders = new Map(); // id -> CCXT order
+        this.trades = []; // CCXT trades, one per fill
+        this.untriggered = new Set(); // IDs of stop-loss/take-profit orders waiting for their trigger
+        this.cancelAllTimer = null;
+        this.nextOrderId = 1;
+    }
+
+    /**
+     * @param {boolean} [reload=false] - Passed through to the market data client.
+     * @returns {Promise<object>} CCXT markets keyed by symbol, each with the raw AssetPairs entry as `info`.
+     */
+    async loadMarkets(reload = false) {
+        if (this.marketData) {
+            return this.marketData.loadMarkets(reload);
+        }
+
+        const markets = {};
+        for (const [symbol, info] of Object.entries(this.pairs)) {
+            const [base, quote] = symbol.split('/');
+            markets[symbol] = { id: info.altname, symbol, base, quote, spot: true, active: info.status === 'online', info };
+        }
+        return markets;
+    }
+
+    /**
+     * @param {string} symbol - Trading pair.
+     * @returns {Promise<object>} CCXT ticker. Resting limit orders crossed by the ticker are filled.
+     */
+    async fetchTicker(symbol) {
+        let ticker;
+        if (this.marketData) {
+            ticker = await this.marketData.fetchTicker(symbol);
+        } else {
+            const last = this.getReferencePrice(symbol);
+            const timestamp = Date.now();
+            ticker = {
+                symbol,
+                bid: last * (1 - this.spread / 2),
+                ask: last * (1 + this.spread / 2),
+                last,
+                high: last,
+                low: last,
+                baseVolume: 0,
+                change: 0,
+                percentage: 0,
+                timestamp,
+                datetime: new Date(timestamp).toISOString()
+            };
+        }
+        this.matchRestingOrders(ticker);
+        return ticker;
+    }
+
+    /**
+     * Simulated candles follow a slow sine wave around the reference price, keyed on the candle's
+     * start time so repeated calls return identical history. As on Kraken, the last candle is in progress.
+     * @param {string} symbol - Trading pair.
+     * @param {string} [timeframe='1h'] - Candle timeframe.
+     * @param {number} [since] - Ignored when simulating.
+     * @param {number} [limit=100] - Number of candles.
+     * @returns {Promise<Array<Array<number>>>} [[timestamp, open, high, low, close, volume], ...]
+     */
+    async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100) {
+        if (this.marketData) {
+            return this.marketData.fetchOHLCV(symbol, timeframe, since, limit);
+        }
+
+        const timeframeMs = ccxt.parseTimeframe(timeframe) * 1000;
+        const base = this.getReferencePrice(symbol);
+        const priceAt = (index) => base * (1 + 0.02 * Math.sin(index / 12));
+        const current = Math.floor(Date.now() / timeframeMs);
+
+        const candles = [];
+        for (let index = current - limit + 1; index <= current; index++) {
+            const open = priceAt(index);
+            const close = priceAt(index + 1);
+            candles.push([index * timeframeMs, open, Math.max(open, close), Math.min(open, close), close, 0]);
+        }
+        return candles;
+    }
+
+    /**
+     * @param {string} symbol - Trading pair.
+     * @param {number} [limit=10] - Levels per side.
+     * @returns {Promise<object>} CCXT order book. Simulated books have one unit per level, one tick apart.
+     */
+    async fetchOrderBook(symbol, limit = 10) {
+        if (this.marketData) {
+            return this.marketData.fetchOrderBook(symbol, limit);
+        }
+
+        const { bid, ask, timestamp } = await this.fetchTicker(symbol);
+        const tick = bid * this.spread;
+        const levels = [...Array(limit).keys()];
+        return {
+            symbol,
+            bids: levels.map(i => [bid - i * tick, 1]),
+            asks: levels.map(i => [ask + i * tick, 1]),
+            timestamp
+        };
+    }
+
+    /**
+     * @returns {Promise<object>} CCXT balance: { free, used, total } per asset.
+     */
+    async fetchBalance() {
+        const used = {};
+        for (const order of this.orders.values()) {
+            if (order.status === 'open') {
+                const [asset, reserved] = this.getReservation(order);
+                used[asset] = (used[asset] || 0) + reserved;
+            }
+        }
+
+        const balance = { free: {}, used: {}, total: {} };
+        for (const asset of new Set([...Object.keys(this.balances), ...Object.keys(used)])) {
+            const total = this.balances[asset] || 0;
+            balance.free[asset] = total - (used[asset] || 0);
+            balance.used[asset] = used[asset] || 0;
+            balance.total[asset] = total;
+            balance[asset] = { free: balance.free[asset], used: balance.used[asset], total };
+        }
+        return balance;
+    }
+
+    /**
+     * Market orders fill immediately at the bid/ask. Limit orders fill immediately if marketable,
+     * otherwise they rest until a later ticker crosses their price. With a `stopLossPrice` or
+     * `takeProfitPrice` param the order waits until the last price reaches the trigger, then behaves
+     * like a market or limit order, as Kraken's stop-loss(-limit) and take-profit(-limit) orders do.
+     * @param {string} symbol - Trading pair.
+     * @param {'market'|'limit'} type - Order type.
+     * @param {'buy'|'sell'} side - Order side.
+     * @param {number} amount - Amount in base currency.
+     * @param {number} [price] - Limit price.
+     * @param {object} [params] - Supports `clientOrderId`, `stopLossPrice` and `takeProfitPrice`.
+     * @returns {Promise<object>} CCXT order.
+     */
+    async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+        if (type !== 'market' && type !== 'limit') {
+            throw new ccxt.NotSupported(`OfflineBackend does not support '${type}' orders.`);
+        }
+        if (!(amount > 0)) {
+            throw new ccxt.InvalidOrder(`Invalid order amount: ${amount}.`);
+        }
+        if (type === 'limit' && !(price > 0)) {
+            throw new ccxt.InvalidOrder('Limit orders require a price.');
+        }
+
+        const ticker = await this.fetchTicker(symbol);
+        const marketPrice = side === 'buy' ? ticker.ask : ticker.bid;
+        const timestamp = Date.now();
+        const order = {
+            id: `OFFLINE-${this.nextOrderId++}`,
+            clientOrderId: params.clientOrderId,
+            timestamp,
+            datetime: new Date(timestamp).toISOString(),
+            symbol,
+            type,
+            side,
+            price: type === 'limit' ? price : undefined,
+            triggerPrice: params.stopLossPrice ?? params.takeProfitPrice,
+            stopLossPrice: params.stopLossPrice,
+            takeProfitPrice: params.takeProfitPrice,
+            average: undefined,
+            amount,
+            filled: 0,
+            remaining: amount,
+            cost: 0,
+            status: 'open',
+            fee: { cost: 0, currency: symbol.split('/')[1] }
+        };
+
+        const [asset, required] = this.getReservation({ ...order, price: order.price ?? order.triggerPrice ?? marketPrice });
+        const balance = await this.fetchBalance();
+        if ((balance.free[asset] || 0) < required) {
+            throw new ccxt.InsufficientFunds(`Insufficient ${asset} balance: ${required} required, ${balance.free[asset] || 0} available.`);
+        }
+
+        this.orders.set(order.id, order);
+        if (order.triggerPrice) {
+            this.untriggered.add(order.id);
+            this.matchRestingOrders(ticker);
+        } else if (type === 'market' || this.crosses(order, marketPrice)) {
+            this.fill(order, type === 'market' ? marketPrice : price);
+        }
+        return { ...order };
+    }
+
+    /**
+     * CCXT shortcut for `createOrder(symbol, 'market', ...)`.
+     */
+    createMarketOrder(symbol, side, amount, price = undefined, params = {}) {
+        return this.createOrder(symbol, 'market', side, amount, price, params);
+    }
+
+    /**
+     * CCXT shortcut for `createOrder(symbol, 'limit', ...)`.
+     */
+    createLimitOrder(symbol, side, amount, price, params = {}) {
+        return this.createOrder(symbol, 'limit', side, amount, price, params);
+    }
+
+    /**
+     * @param {string} id - Order ID.
+     * @returns {Promise<object>} The cancelled CCXT order.
+     */
+    async cancelOrder(id) {
+        const order = this.getOrder(id);
+        if (order.status !== 'open') {
+            throw new ccxt.OrderNotFound(`Order ${id} is ${order.status} and cannot be cancelled.`);
+        }
+        order.status = 'canceled';
+        this.untriggered.delete(id);
+        return { ...order };
+    }
+
+    /**
+     * Simulates Kraken's dead man's switch.
+     * @param {number} timeout - Milliseconds until all open orders are cancelled, or 0 to disarm.
+     * @returns {Promise<object>} Kraken-style response: { result: { currentTime, triggerTime } }.
+     */
+    async cancelAllOrdersAfter(timeout) {
+        clearTimeout(this.cancelAllTimer);
+        this.cancelAllTimer = null;
+        const now = Date.now();
+        if (timeout > 0) {
+            this.cancelAllTimer = setTimeout(() => {
+                for (const order of this.orders.values()) {
+                    if (order.status === 'open') {
+                        order.status = 'canceled';
+                        this.untriggered.delete(order.id);
+                    }
+                }
+            }, timeout);
+            this.cancelAllTimer.unref();
+        }
+        return {
+            result: {
+                currentTime: new Date(now).toISOString(),
+                triggerTime: timeout > 0 ? new Date(now + timeout).toISOString() : '0'
+            }
+        };
+    }
+
+    /**
+     * @param {string} id - Order ID.
+     * @returns {Promise<object>} CCXT order.
+     */
+    async fetchOrder(id) {
+        return { ...this.getOrder(id) };
+    }
+
+    /**
+     * @param {string} [symbol] - Trading pair, or all pairs if omitted.
+     * @param {number} [since] - Unused.
+     * @param {number} [limit] - Unused.
+     * @param {object} [params] - Supports `clientOrderId`.
+     * @returns {Promise<Array<object>>} Open CCXT orders.
+     */
+    async fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        return this.findOrders(order => order.status === 'open' && this.matchesQuery(order, symbol, params));
+    }
+
+    /**
+     * @param {string} [symbol] - Trading pair, or all pairs if omitted.
+     * @param {number} [since] - Unused.
+     * @param {number} [limit] - Unused.
+     * @param {object} [params] - Supports `clientOrderId`.
+     * @returns {Promise<Array<object>>} Filled and cancelled CCXT orders.
+     */
+    async fetchClosedOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        return this.findOrders(order => order.status !== 'open' && this.matchesQuery(order, symbol, params));
+    }
+
+    /**
+     * @param {string} [symbol] - Trading pair, or all pairs if omitted.
+     * @param {number} [since] - Only trades after this timestamp (ms).
+     * @param {number} [limit] - Maximum number of trades (the most recent).
+     * @returns {Promise<Array<object>>} CCXT trades, oldest first.
+     */
+    async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined) {
+        const trades = this.trades.filter(trade => (!symbol || trade.symbol === symbol) && (since === undefined || trade.timestamp > since));
+        return (limit ? trades.slice(-limit) : trades).map(trade => ({ ...trade }));
+    }
+
+    /**
+     * @private
+     */
+    matchesQuery(order, symbol, params) {
+        return (!symbol || order.symbol === symbol) && (!params.clientOrderId || order.clientOrderId === params.clientOrderId);
+    }
+
+    /**
+     * Triggers stop-loss/take-profit orders the last price has reached and fills resting
+     * limit orders whose price the ticker has crossed.
+     * @private
+     * @param {object} ticker - CCXT ticker.
+     */
+    matchRestingOrders(ticker) {
+        for (const order of this.orders.values()) {
+            if (order.status !== 'open' || order.symbol !== ticker.symbol) {
+                continue;
+            }
+            const marketPrice = order.side === 'buy' ? ticker.ask : ticker.bid;
+            if (this.untriggered.has(order.id)) {
+                if (!this.isTriggered(order, ticker.last)) {
+                    continue;
+                }
+                this.untriggered.delete(order.id);
+                if (order.type === 'market') {
+                    this.fill(order, marketPrice);
+                    continue;
+                }
+            }
+            if (this.crosses(order, marketPrice)) {
+                this.fill(order, order.price);
+            }
+        }
+    }
+
+    /**
+     * Stop-losses trigger when the price moves against the order's position, take-profits when it moves in favour.
+     * @private
+     * @returns {boolean} True if `lastPrice` has reached the order's trigger.
+     */
+    isTriggered(order, lastPrice) {
+        const stop = order.stopLossPrice !== undefined;
+        const risingTrigger = (order.side === 'buy') === stop; // buy stops and sell take-profits trigger on the way up
+        return risingTrigger ? lastPrice >= order.triggerPrice : lastPrice <= order.triggerPrice;
+    }
+
+    /**
+     * @private
+     * @returns {boolean} True if a limit order is marketable at `marketPrice`.
+     */
+    crosses(order, marketPrice) {
+        return order.side === 'buy' ? marketPrice <= order.price : marketPrice >= order.price;
+    }
+
+    /**
+     * Fills the whole order at `price`, settles balances and records the trade.
+     * @private
+     */
+    fill(order, price) {
+        const [baseAsset, quoteAsset] = order.symbol.split('/');
+        const cost = order.amount * price;
+        const fee = cost * this.feeRate;
+
+        if (order.side === 'buy') {
+            this.balances[quoteAsset] = (this.balances[quoteAsset] || 0) - cost - fee;
+            this.balances[baseAsset] = (this.balances[baseAsset] || 0) + order.amount;
+        } else {
+            this.balances[quoteAsset] = (this.balances[quoteAsset] || 0) + cost - fee;
+            this.balances[baseAsset] = (this.balances[baseAsset] || 0) - order.amount;
+        }
+
+        Object.assign(order, {
+            status: 'closed',
+            filled: order.amount,
+            remaining: 0,
+            average: price,
+            cost,
+            fee: { cost: fee, currency: quoteAsset }
+        });
+        const timestamp = Date.now();
+        this.trades.push({
+            id: `OFFLINE-T${this.trades.length + 1}`,
+            order: order.id,
+            timestamp,
+            datetime: new Date(timestamp).toISOString(),
+            symbol: order.symbol,
+            type: order.type,
+            side: order.side,
+            amount: order.amount,
+            price,
+            cost,
+            fee: { cost: fee, currency: quoteAsset }
+        });
+    }
+
+    /**
+     * @private
+     * @returns {Array} [asset, amount] an open order holds: quote (including fees) for buys, base for sells.
+     */
+    getReservation(order) {
+        const [baseAsset, quoteAsset] = order.symbol.split('/');
+        return order.side === 'buy'
+            ? [quoteAsset, order.remaining * (order.price ?? order.triggerPrice) * (1 + this.feeRate)]
+            : [baseAsset, order.remaining];
+    }
+
+    /**
+     * @private
+     */
+    getOrder(id) {
+        const order = this.orders.get(id);
+        if (!order) {
+            throw new ccxt.OrderNotFound(`Order ${id} not found.`);
+        }
+        return order;
+    }
+
+    /**
+     * @private
+     */
+    findOrders(predicate) {
+        return [...this.orders.values()].filter(predicate).map(order => ({ ...order }));
+    }
+
+    /**
+     * @private
+     */
+    getReferencePrice(symbol) {
+        const price = this.prices[symbol];
+        if (!price) {
+            throw new ccxt.BadSymbol(`No reference price for ${symbol}. Pass one via the 'prices' option.`);
+        }
+        return price;
+    }
+}
+
+export default OfflineBackend;
@@ -13,45 +13,35 @@ async function startCryptoBotApp() {
     logger.info('Starting Crypto Trading Bot...');
     await bot.initialize();
 
-    // Handle graceful exit
-    process.on('SIGINT', () => {
-        logger.info('SIGINT received. Initiating graceful shutdown...');
-        bot.shutdown()
-            .then(() => process.exit(0))
+    // Handle graceful exit. shutdown() resolves once the shutdown policy has run and state is flushed.
+    const shutdownAndExit = (reason, exitCode) => {
+        bot.shutdown(reason)
+            .then(() => process.exit(exitCode))
             .catch((err) => {
                 logger.error(`Error during shutdown: ${err.stack || err}`);
                 process.exit(1);
             });
+    };
+
+    process.on('SIGINT', () => {
+        logger.info('SIGINT received. Initiating graceful shutdown...');
+        shutdownAndExit('SIGINT', 0);
     });
 
     process.on('SIGTERM', () => {
         logger.info('SIGTERM received. Initiating graceful shutdown...');
-        bot.shutdown()
-            .then(() => process.exit(0))
-            .catch((err) => {
-                logger.error(`Error during shutdown: ${err.stack || err}`);
-                process.exit(1);
-            });
+        shutdownAndExit('SIGTERM', 0);
     });
 
-    process.on('unhandledRejection', async (reason, promise) => {
+    process.on('unhandledRejection', (reason, promise) => {
         logger.error(`Unhandled Rejection at: ${promise}, reason: ${reason.stack || reason}`);
-        // Gracefully shutdown on unhandled rejection
-        await bot.shutdown();
-        process.exit(1);
+        shutdownAndExit('unhandled rejection', 1);
     });
 
     process.on('uncaughtException', (error) => {
         logger.error(`Uncaught Exception: ${error.stack || error}`);
-        // Critical error, usually safer to exit
-        bot.shutdown()
-            .then(() => process.exit(1))
-            .catch((err) => {
-                logger.error(`Error during shutdown after uncaught exception: ${err.stack || err}`);
-                process.exit(1);
-            });
-        // Note: Node.js will not wait for the promise to resolve before exiting.
-        // For critical errors, it's recommended to exit immediately.
+        // The process keeps running while this listener is installed, so the shutdown can complete
+        shutdownAndExit('uncaught exception', 1);
     });
 }
 
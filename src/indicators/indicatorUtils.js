@@ -1,4 +1,4 @@
-import { EMA, RSI, MACD } from 'technicalindicators'; // Using technicalindicators for simplicity
+import { EMA, RSI, MACD, ATR } from 'technicalindicators'; // Using technicalindicators for simplicity
 import logger from '../utils/logger.js';
 
 /**
@@ -75,6 +75,31 @@ function calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod) {
     }
 }
 
+/**
+ * Calculates Average True Range (ATR).
+ * @param {Array<object>} candles - Array of OHLCV candles: { high, low, close }.
+ * @param {number} period - The ATR period.
+ * @returns {Array<number>} Array of ATR values.
+ */
+function calculateATR(candles, period) {
+    if (candles.length <= period) {
+        logger.warn(`Not enough data to calculate ATR (need ${period + 1}, got ${candles.length}).`);
+        return [];
+    }
+    try {
+        const atr = ATR.calculate({
+            period,
+            high: candles.map(c => c.high),
+            low: candles.map(c => c.low),
+            close: candles.map(c => c.close)
+        });
+        return atr;
+    } catch (error) {
+        logger.error(`Error calculating ATR: ${error.message}`);
+        return [];
+    }
+}
+
 // Add more indicator calculations as needed (e.g., Bollinger Bands, SuperTrend)
 
-export { calculateEMA, calculateRSI, calculateMACD };
\ No newline at end of file
+export { calculateEMA, calculateRSI, calculateMACD, calculateATR };
\ No newline at end of file
@@ -1,10 +1,24 @@
-const logger = require('../utils/logger');
-const notifications = require('../utils/notifications');
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import KrakenConnector from '../connectors/kraken.js';
+import logger from '../utils/logger.js';
+import { prepareOrder } from '../utils/orderPrecision.js';
+import * as notifications from '../utils/notifications.js';
 
 /**
  * @module PaperTrader
  * @description Simulates exchange interactions for paper trading.
  * Tracks balance, open positions, and order execution without real funds.
+ * With a state store, balances and trades carry over between runs.
+ *
+ * Market orders fill on submission. Limit, stop-loss and stop-loss-limit orders rest in a simulated order
+ * book until market data received after their placement (`onTicker`, `onTrades`, `onCandle`) crosses their
+ * price, and can be cancelled or amended meanwhile. Funds held by resting orders are not available to new ones.
+ *
+ * `events` emits the same events as PrivateFeedService does for live orders, with the same event shape:
+ * - 'order' (event) on every placement, fill, amendment and cancellation
+ * - 'fill' (event) when an order fills, with `lastFill` set
+ * - 'cancel' (event) when an order is cancelled
  */
 
 let initialBalance = {
@@ -13,81 +27,214 @@ let initialBalance = {
     'ETH': 0
 };
 let currentBalances = { ...initialBalance };
-let openOrders = {}; // { orderId: { symbol, side, amount, price, type, status } }
+let openOrders = {}; // { orderId: { symbol, side, type, amount, price, triggerPrice, triggered, status, ... } }
 let trades = []; // Stores executed trades for performance analysis
+let stateStore = null; // Optional StateStore that balances are recorded to and resumed from
+let nextFillId = 1;
+const events = new EventEmitter();
+const ORDER_TYPES = ['market', 'limit', 'stop-loss', 'stop-loss-limit'];
+const FEE_RATE = 0.001; // Simulated fee, in quote currency
 
 /**
  * Initializes the paper trading module.
+ * @param {object} [store] - StateStore to resume from and record balances to. Without one, every run
+ * starts from the initial balance.
  */
-function initializePaperTrader() {
-    currentBalances = { ...initialBalance };
+function initializePaperTrader(store = null) {
+    stateStore = store;
     openOrders = {};
+    const savedBalances = stateStore && stateStore.getBalances();
+    if (savedBalances) {
+        currentBalances = { ...initialBalance, ...savedBalances };
+        trades = stateStore.query({ type: 'fill' });
+        logger.info(`Paper trading module resumed with ${trades.length} previous trades. Virtual balance:`, currentBalances);
+        notifications.sendNotification(`🚀 Paper Trading Resumed! Balance: $${(currentBalances.USD || 0).toFixed(2)}`, 'info');
+        return;
+    }
+    currentBalances = { ...initialBalance };
     trades = [];
+    stateStore?.recordBalances(currentBalances);
     logger.info('Paper trading module initialized. Starting with virtual balance:', initialBalance);
     notifications.sendNotification(`🚀 Paper Trading Started! Initial Balance: $${initialBalance.USD.toFixed(2)}`, 'info');
 }
 
 /**
- * Simulates executing a trade (buy/sell).
+ * Simulates placing an order. Market orders fill at the last price straight away, as do limit orders that are
+ * marketable when placed (at the bid or ask). Other orders rest until later market data crosses them:
+ * - limit: fills at its price once the ask (buys) or bid (sells) reaches it.
+ * - stop-loss: triggers once the price reaches `triggerPrice` (rising for buys, falling for sells), then
+ *   fills at market.
+ * - stop-loss-limit: triggers the same way, then rests as a limit order at `price`.
+ * Orders fill completely at once.
  * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
  * @param {'buy'|'sell'} side - Order side.
  * @param {number} amount - Amount to trade in base currency.
- * @param {'market'|'limit'} type - Order type.
- * @param {number} [price] - Price for limit orders (current market price if not provided for market orders).
- * @returns {object} Simulated order details.
+ * @param {'market'|'limit'|'stop-loss'|'stop-loss-limit'} type - Order type.
+ * @param {number} [price] - Limit price (limit and stop-loss-limit orders).
+ * @param {string} [clientOrderId] - Client order ID assigned by the caller.
+ * @param {object} [params]
+ * @param {number} [params.triggerPrice] - Trigger price of stop-loss and stop-loss-limit orders.
+ * @returns {Promise<object|null>} Simulated order details (status 'closed' once filled, 'open' while resting),
+ * or null if it was rejected.
  */
-async function executeTrade(symbol, side, amount, type, price = null) {
-    const baseAsset = symbol.split('/')[0];
-    const quoteAsset = symbol.split('/')[1];
+async function executeTrade(symbol, side, amount, type, price = null, clientOrderId = null, params = {}) {
     const timestamp = Date.now();
-    const orderId = `paper-${side}-${timestamp}`;
+    const triggerPrice = params.triggerPrice ?? null;
 
-    let executionPrice = price;
-
-    if (type === 'market') {
-        // For market orders, simulate execution at current market price (fetch from KrakenConnector)
-        const ticker = await require('../connectors/kraken').getTicker(symbol);
-        executionPrice = ticker.last;
-    } else if (type === 'limit' && !executionPrice) {
-        logger.error('Limit order requires a price.');
-        throw new Error('Limit order requires a price.');
+    if (!ORDER_TYPES.includes(type)) {
+        throw new Error(`Unsupported paper order type '${type}'. Expected one of: ${ORDER_TYPES.join(', ')}.`);
+    }
+    if (['limit', 'stop-loss-limit'].includes(type) && !price) {
+        logger.error(`${type} order requires a price.`);
+        throw new Error(`${type} order requires a price.`);
+    }
+    if (type.startsWith('stop-loss') && !triggerPrice) {
+        logger.error(`${type} order requires a trigger price.`);
+        throw new Error(`${type} order requires a trigger price.`);
     }
 
-    const tradeCost = amount * executionPrice;
+    // Market orders fill at the current price; it also decides whether other orders fill or trigger at once
+    const ticker = await KrakenConnector.getTicker(symbol);
+    const referencePrice = type === 'market' ? ticker.last : price ?? triggerPrice;
 
-    if (side === 'buy') {
-        if (currentBalances[quoteAsset] < tradeCost) {
-            logger.warn(`Paper trade failed: Insufficient ${quoteAsset} balance to buy ${amount} ${baseAsset} at ${executionPrice}.`);
-            notifications.sendNotification(`❌ Paper trade failed: Insufficient ${quoteAsset} balance for ${symbol} BUY.`, 'trade');
-            return null;
-        }
-        currentBalances[quoteAsset] -= tradeCost;
-        currentBalances[baseAsset] += amount;
-    } else { // sell
-        if (currentBalances[baseAsset] < amount) {
-            logger.warn(`Paper trade failed: Insufficient ${baseAsset} balance to sell ${amount} ${baseAsset} at ${executionPrice}.`);
-            notifications.sendNotification(`❌ Paper trade failed: Insufficient ${baseAsset} balance for ${symbol} SELL.`, 'trade');
+    // Reject what Kraken would reject, so paper results carry over to live trading
+    const pair = KrakenConnector.getPairInfo(symbol);
+    if (pair) {
+        const { rejection } = prepareOrder(pair, { side, amount, price: type === 'market' ? null : referencePrice, referencePrice });
+        if (rejection) {
+            logger.warn(`Paper trade rejected: ${rejection}`);
+            notifications.sendNotification(`❌ Paper trade rejected: ${rejection}`, 'trade');
             return null;
         }
-        currentBalances[quoteAsset] += tradeCost;
-        currentBalances[baseAsset] -= amount;
     }
 
     const order = {
-        id: orderId,
+        id: `paper-${side}-${crypto.randomUUID()}`,
+        clientOrderId,
         symbol,
         side,
         type,
         amount,
-        price: executionPrice,
-        status: 'closed', // For simplicity, market orders close immediately in paper trade
+        price: type === 'market' ? ticker.last : price,
+        triggerPrice,
+        triggered: false,
+        status: 'open',
+        filled: 0,
+        remaining: amount,
+        average: null,
+        timestamp,
         datetime: new Date(timestamp).toISOString(),
-        fee: tradeCost * 0.001 // Simulate a small fee
+        fee: 0
     };
+    if (!hasFundsFor(order)) {
+        return null;
+    }
+    openOrders[order.id] = order;
+    emitOrderEvent(order, 'new');
 
-    trades.push(order);
-    logger.info(`Paper trade executed: ${side.toUpperCase()} ${amount.toFixed(8)} ${baseAsset} on ${symbol} @ ${executionPrice.toFixed(2)}. Current USD Balance: ${currentBalances.USD.toFixed(2)}`);
-    return order;
+    if (type === 'market') {
+        fillOrder(order, ticker.last);
+    } else {
+        matchOrder(order, toMarket(ticker), true);
+        if (order.status === 'open') {
+            logger.info(`Paper ${type} order placed: ${side.toUpperCase()} ${amount} ${symbol}${price ? ` @ ${price}` : ''}${triggerPrice ? ` (trigger ${triggerPrice})` : ''}. Order ID: ${order.id}`);
+        }
+    }
+    return { ...order };
+}
+
+/**
+ * Cancels a resting paper order.
+ * @param {string} orderId - Paper order ID.
+ * @param {string} [reason='User requested'] - Reason reported with the cancellation.
+ * @returns {object} The cancelled order.
+ */
+function cancelOrder(orderId, reason = 'User requested') {
+    const order = getOpenOrder(orderId);
+    order.status = 'canceled';
+    delete openOrders[orderId];
+    logger.info(`Paper order ${orderId} cancelled (${reason}).`);
+    emitOrderEvent(order, 'canceled', { reason });
+    return { ...order };
+}
+
+/**
+ * Amends a resting paper order in place, keeping its ID. An amended order that is now marketable fills at
+ * once, as on the exchange.
+ * @param {string} orderId - Paper order ID.
+ * @param {object} changes - Any of { amount, price, triggerPrice }.
+ * @returns {Promise<object>} The amended order.
+ */
+async function amendOrder(orderId, changes = {}) {
+    const order = getOpenOrder(orderId);
+    const amended = { ...order, ...Object.fromEntries(Object.entries(changes).filter(([field, value]) => ['amount', 'price', 'triggerPrice'].includes(field) && value !== undefined)) };
+    if (!(amended.amount > order.filled)) {
+        throw new Error(`Cannot amend order ${orderId} to ${amended.amount}: ${order.filled} already filled.`);
+    }
+    if (amended.price !== order.price && order.type !== 'limit' && order.type !== 'stop-loss-limit') {
+        throw new Error(`Cannot set a limit price on ${order.type} order ${orderId}.`);
+    }
+    if (amended.triggerPrice !== order.triggerPrice && !order.type.startsWith('stop-loss')) {
+        throw new Error(`Cannot set a trigger price on ${order.type} order ${orderId}.`);
+    }
+    amended.remaining = amended.amount - amended.filled;
+    const pair = KrakenConnector.getPairInfo(order.symbol);
+    if (pair) {
+        const { rejection } = prepareOrder(pair, { side: order.side, amount: amended.amount, price: amended.price, referencePrice: amended.price ?? amended.triggerPrice });
+        if (rejection) {
+            throw new Error(`Amendment rejected: ${rejection}`);
+        }
+    }
+    delete openOrders[orderId]; // Its current reservation does not count against the amended order
+    const affordable = hasFundsFor(amended);
+    openOrders[orderId] = order;
+    if (!affordable) {
+        throw new Error(`Insufficient funds to amend order ${orderId}.`);
+    }
+
+    Object.assign(order, amended);
+    logger.info(`Paper order ${orderId} amended: ${order.amount} ${order.symbol}${order.price ? ` @ ${order.price}` : ''}${order.triggerPrice ? ` (trigger ${order.triggerPrice})` : ''}.`);
+    emitOrderEvent(order, 'amended');
+    matchOrder(order, toMarket(await KrakenConnector.getTicker(order.symbol)), true);
+    return { ...order };
+}
+
+/**
+ * Matches resting orders against a ticker: triggers on the last price, limits fill against the bid and ask.
+ * @param {string} symbol - The trading pair.
+ * @param {object} ticker - { bid, ask, last, timestamp }.
+ */
+function onTicker(symbol, ticker) {
+    matchRestingOrders(symbol, toMarket(ticker));
+}
+
+/**
+ * Matches resting orders against public trades, in the order they happened.
+ * @param {string} symbol - The trading pair.
+ * @param {Array<object>} trades - [{ price, timestamp }, ...].
+ */
+function onTrades(symbol, trades) {
+    for (const trade of trades) {
+        matchRestingOrders(symbol, { low: trade.price, high: trade.price, bid: trade.price, ask: trade.price, open: null, timestamp: trade.timestamp ?? Date.now() });
+    }
+}
+
+/**
+ * Matches resting orders against a closed candle: orders whose price lies within its range fill, and stops
+ * that gap past their trigger fill at the open. Only orders placed before the candle opened take part.
+ * @param {string} symbol - The trading pair.
+ * @param {object} candle - { timestamp, open, high, low, close }.
+ */
+function onCandle(symbol, candle) {
+    matchRestingOrders(symbol, { low: candle.low, high: candle.high, bid: candle.high, ask: candle.low, open: candle.open, timestamp: candle.timestamp });
+}
+
+/**
+ * @param {string} [symbol] - Only orders for this pair.
+ * @returns {Array<object>} Resting paper orders.
+ */
+function getOpenOrders(symbol = undefined) {
+    return Object.values(openOrders).filter(order => !symbol || order.symbol === symbol).map(order => ({ ...order }));
 }
 
 /**
@@ -100,7 +247,8 @@ function getBalances() {
 
 /**
  * Retrieves all simulated executed trades.
- * @returns {Array<object>} An array of executed trade objects.
+ * @returns {Array<object>} An array of executed trade objects. Trades of earlier runs are the state store's
+ * fill records ({ symbol, strategy, side, amount, price, timestamp, ... }).
  */
 function getTrades() {
     return trades;
@@ -124,10 +272,170 @@ function calculateUnrealizedPNL(latestPrices) {
     return pnl;
 }
 
-module.exports = {
-    initializePaperTrader,
-    executeTrade,
-    getBalances,
-    getTrades,
-    calculateUnrealizedPNL
-};
\ No newline at end of file
+/**
+ * @private
+ * @returns {object} Market data of a ticker, as matched by `matchRestingOrders`.
+ */
+function toMarket(ticker) {
+    return { low: ticker.last, high: ticker.last, bid: ticker.bid ?? ticker.last, ask: ticker.ask ?? ticker.last, open: null, timestamp: ticker.timestamp ?? Date.now() };
+}
+
+/**
+ * @private
+ * @param {string} symbol - The trading pair.
+ * @param {object} market - { low, high, bid, ask, open, timestamp }: the price range to trigger on, the best
+ * prices to fill limits against and the opening price of a candle (null for ticks).
+ */
+function matchRestingOrders(symbol, market) {
+    for (const order of Object.values(openOrders)) {
+        // Orders only fill on prices seen after they were placed
+        if (order.symbol === symbol && market.timestamp >= order.timestamp) {
+            matchOrder(order, market);
+        }
+    }
+}
+
+/**
+ * Triggers a stop order whose trigger the market reached and fills the order if it is marketable.
+ * @private
+ * @param {object} order - Paper order.
+ * @param {object} market - Market data (see `matchRestingOrders`).
+ * @param {boolean} [taker=false] - The order is being placed or amended: a marketable limit takes the bid or
+ * ask instead of resting until it fills at its own price.
+ */
+function matchOrder(order, market, taker = false) {
+    const buy = order.side === 'buy';
+    if (order.triggerPrice && !order.triggered) {
+        if (buy ? market.high < order.triggerPrice : market.low > order.triggerPrice) {
+            return;
+        }
+        order.triggered = true;
+        logger.info(`Paper ${order.type} order ${order.id} triggered at ${order.triggerPrice}.`);
+        if (order.type === 'stop-loss') {
+            // A price gapping past the trigger fills at the gap
+            const reference = market.open ?? (buy ? market.ask : market.bid);
+            fillOrder(order, buy ? Math.max(order.triggerPrice, reference) : Math.min(order.triggerPrice, reference));
+            return;
+        }
+    }
+    if (buy ? market.ask <= order.price : market.bid >= order.price) {
+        fillOrder(order, taker ? (buy ? market.ask : market.bid) : order.price);
+    }
+}
+
+/**
+ * Fills the rest of an order at `price` and settles balances. An order the balances no longer cover is
+ * cancelled instead.
+ * @private
+ */
+function fillOrder(order, price) {
+    const [baseAsset, quoteAsset] = order.symbol.split('/');
+    const amount = order.remaining;
+    const tradeCost = amount * price;
+    if (order.side === 'buy' ? currentBalances[quoteAsset] < tradeCost : currentBalances[baseAsset] < amount) {
+        const asset = order.side === 'buy' ? quoteAsset : baseAsset;
+        logger.warn(`Paper trade failed: Insufficient ${asset} balance to ${order.side} ${amount} ${baseAsset} at ${price}.`);
+        notifications.sendNotification(`❌ Paper trade failed: Insufficient ${asset} balance for ${order.symbol} ${order.side.toUpperCase()}.`, 'trade');
+        cancelOrder(order.id, 'Insufficient funds');
+        return;
+    }
+    if (order.side === 'buy') {
+        currentBalances[quoteAsset] -= tradeCost;
+        currentBalances[baseAsset] = (currentBalances[baseAsset] || 0) + amount;
+    } else {
+        currentBalances[quoteAsset] = (currentBalances[quoteAsset] || 0) + tradeCost;
+        currentBalances[baseAsset] -= amount;
+    }
+
+    const fee = tradeCost * FEE_RATE;
+    Object.assign(order, {
+        status: 'closed',
+        filled: order.amount,
+        remaining: 0,
+        average: price,
+        fee: order.fee + fee
+    });
+    delete openOrders[order.id];
+    trades.push({ ...order });
+    stateStore?.recordBalances(currentBalances);
+    logger.info(`Paper trade executed: ${order.side.toUpperCase()} ${amount.toFixed(8)} ${baseAsset} on ${order.symbol} @ ${price.toFixed(2)}. Current USD Balance: ${currentBalances.USD.toFixed(2)}`);
+    emitOrderEvent(order, 'trade', { fill: { id: `paper-fill-${nextFillId++}`, tradeId: undefined, price, amount, fee, feeAsset: quoteAsset } });
+}
+
+/**
+ * @private
+ * @returns {boolean} Whether the balances not held by resting orders cover the order.
+ */
+function hasFundsFor(order) {
+    const baseAsset = order.symbol.split('/')[0];
+    const [asset, required] = getReservation(order);
+    const held = Object.values(openOrders)
+        .map(getReservation)
+        .filter(([reservedAsset]) => reservedAsset === asset)
+        .reduce((total, [, reserved]) => total + reserved, 0);
+    if ((currentBalances[asset] || 0) - held >= required) {
+        return true;
+    }
+    logger.warn(`Paper trade failed: Insufficient ${asset} balance to ${order.side} ${order.amount} ${baseAsset} at ${order.price ?? order.triggerPrice}.`);
+    notifications.sendNotification(`❌ Paper trade failed: Insufficient ${asset} balance for ${order.symbol} ${order.side.toUpperCase()}.`, 'trade');
+    return false;
+}
+
+/**
+ * @private
+ * @returns {Array} [asset, amount] an order holds: quote currency for buys, the base asset for sells.
+ */
+function getReservation(order) {
+    const [baseAsset, quoteAsset] = order.symbol.split('/');
+    return order.side === 'buy'
+        ? [quoteAsset, order.remaining * Math.max(order.price ?? 0, order.triggerPrice ?? 0)]
+        : [baseAsset, order.remaining];
+}
+
+/**
+ * @private
+ */
+function getOpenOrder(orderId) {
+    const order = openOrders[orderId];
+    if (!order) {
+        throw new Error(`Paper order ${orderId} is not open.`);
+    }
+    return order;
+}
+
+/**
+ * Emits an order event shaped like PrivateFeedService's.
+ * @private
+ * @param {object} order - Paper order.
+ * @param {'new'|'trade'|'amended'|'canceled'} execType - What happened, as Kraken's `exec_type`.
+ * @param {object} [details] - { fill, reason }.
+ */
+function emitOrderEvent(order, execType, { fill = null, reason = undefined } = {}) {
+    const statuses = { closed: 'filled', canceled: 'canceled' };
+    const event = {
+        orderId: order.id,
+        clientOrderId: order.clientOrderId ?? undefined,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        execType,
+        status: statuses[order.status] ?? (order.filled > 0 ? 'partially_filled' : 'new'),
+        amount: order.amount,
+        filled: order.filled,
+        average: order.average ?? undefined,
+        price: order.type === 'market' ? undefined : order.price,
+        triggerPrice: order.triggerPrice ?? undefined,
+        reason,
+        timestamp: Date.now(),
+        lastFill: fill,
+        snapshot: false
+    };
+    events.emit('order', event);
+    if (execType === 'trade') {
+        events.emit('fill', event);
+    } else if (execType === 'canceled') {
+        events.emit('cancel', event);
+    }
+}
+
+export { events, initializePaperTrader, executeTrade, cancelOrder, amendOrder, onTicker, onTrades, onCandle, getOpenOrders, getBalances, getTrades, calculateUnrealizedPNL };
\ No newline at end of file
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import StateStore from './stateStore.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @module JsonlStateStore
+ * @description StateStore driver that appends each record as a line of JSON to a file and reads the file
+ * back on startup. The file is never rewritten, so it doubles as an audit log.
+ */
+
+class JsonlStateStore extends StateStore {
+    /**
+     * @param {string} file - JSONL file to append to.
+     */
+    constructor(file) {
+        super();
+        this.file = file;
+        this.load();
+    }
+
+    /**
+     * Appends the record to the file. A write failure is logged rather than thrown: the trade it describes
+     * has already happened, and the record is still kept in memory for this run.
+     * @protected
+     */
+    write(record) {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+        } catch (error) {
+            logger.error(`Could not write ${record.type} record to ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line
+                logger.warn(`Skipping unreadable line ${index + 1} of state store ${this.file}: ${error.message}`);
+            }
+        }
+        logger.info(`Loaded ${this.records.length} records from ${this.file}.`);
+    }
+}
+
+export default JsonlStateStore;
@@ -0,0 +1,168 @@
+/**
+ * @module StateStore
+ * @description Records the bot's history: orders, fills, position changes, balance snapshots and circuit
+ * breaker state, each tagged with symbol and strategy. This base class keeps records in memory only; storage
+ * drivers (see StoreRegistry) extend it and override `write` and `load` to persist them.
+ */
+
+const RECORD_TYPES = ['order', 'fill', 'position', 'balance', 'breaker'];
+
+class StateStore {
+    constructor() {
+        this.records = []; // All records, oldest first
+    }
+
+    /**
+     * Appends a record.
+     * @param {'order'|'fill'|'position'|'balance'|'breaker'} type - Record type.
+     * @param {object} data - Record fields; `symbol` and `strategy` are used as tags.
+     * @returns {object} The stored record: { seq, type, timestamp, symbol, strategy, ...data }.
+     */
+    record(type, data) {
+        if (!RECORD_TYPES.includes(type)) {
+            throw new Error(`Unknown record type '${type}'.`);
+        }
+        const record = {
+            seq: this.records.length + 1,
+            type,
+            timestamp: Date.now(),
+            ...data,
+            symbol: data.symbol ?? null,
+            strategy: data.strategy ?? null
+        };
+        this.write(record);
+        this.records.push(record);
+        return record;
+    }
+
+    /**
+     * Records the current state of an order.
+     * @param {object} order - Tracked order (see OrderTracker).
+     * @returns {object} The stored record.
+     */
+    recordOrder(order) {
+        const { id, clientOrderId, symbol, strategy, intent, side, type, amount, price, state, filled, average, reason, sizing } = order;
+        return this.record('order', { orderId: id, clientOrderId, symbol, strategy, intent, side, orderType: type, amount, price, state, filled, average, reason, sizing });
+    }
+
+    /**
+     * Records a fill of an order.
+     * @param {object} order - Tracked order the fill belongs to.
+     * @param {object} fill - { amount, price }.
+     * @returns {object} The stored record.
+     */
+    recordFill(order, fill) {
+        return this.record('fill', {
+            orderId: order.id, clientOrderId: order.clientOrderId, symbol: order.symbol, strategy: order.strategy,
+            intent: order.intent, side: order.side, amount: fill.amount, price: fill.price
+        });
+    }
+
+    /**
+     * Records a strategy's position after a change.
+     * @param {string} symbol - The trading pair.
+     * @param {string} strategy - Strategy name.
+     * @param {object|null} position - { side, entryPrice, amount }, or null once closed.
+     * @returns {object} The stored record.
+     */
+    recordPosition(symbol, strategy, position) {
+        return this.record('position', { symbol, strategy, position: position ? { ...position } : null });
+    }
+
+    /**
+     * Records a balance snapshot.
+     * @param {object} balances - Balances by asset.
+     * @returns {object} The stored record.
+     */
+    recordBalances(balances) {
+        return this.record('balance', { balances: { ...balances } });
+    }
+
+    /**
+     * Records the circuit breaker state (see RiskManager.getCircuitBreakerStatus).
+     * @param {object} state - Circuit breaker state.
+     * @returns {object} The stored record.
+     */
+    recordCircuitBreaker(state) {
+        const { day, dayStartEquity, equity, peakEquity, realizedPnl, halted } = state;
+        return this.record('breaker', { breaker: { day, dayStartEquity, equity, peakEquity, realizedPnl, halted } });
+    }
+
+    /**
+     * @param {object} [filter]
+     * @param {string|Array<string>} [filter.type] - Only records of this type (or these types).
+     * @param {string} [filter.symbol] - Only records for this pair.
+     * @param {string} [filter.strategy] - Only records of this strategy.
+     * @param {number} [filter.since] - Only records at or after this timestamp (ms).
+     * @param {number} [filter.until] - Only records before this timestamp (ms).
+     * @param {number} [filter.limit] - Only the most recent matching records.
+     * @returns {Array<object>} Matching records, oldest first.
+     */
+    query({ type, symbol, strategy, since, until, limit } = {}) {
+        const types = type ? [].concat(type) : null;
+        const matches = this.records.filter(record => (!types || types.includes(record.type))
+            && (!symbol || record.symbol === symbol)
+            && (!strategy || record.strategy === strategy)
+            && (since === undefined || record.timestamp >= since)
+            && (until === undefined || record.timestamp < until));
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    /**
+     * @returns {object} Latest open position of each strategy, by `${symbol}:${strategy}`:
+     * { symbol, strategy, side, entryPrice, amount }.
+     */
+    getPositions() {
+        const positions = {};
+        for (const record of this.query({ type: 'position' })) {
+            const key = `${record.symbol}:${record.strategy}`;
+            if (record.position) {
+                positions[key] = { symbol: record.symbol, strategy: record.strategy, ...record.position };
+            } else {
+                delete positions[key];
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * @returns {object|null} The latest balance snapshot, or null if none was recorded.
+     */
+    getBalances() {
+        const [latest] = this.query({ type: 'balance', limit: 1 });
+        return latest ? { ...latest.balances } : null;
+    }
+
+    /**
+     * @returns {object|null} The latest circuit breaker state, or null if none was recorded.
+     */
+    getCircuitBreaker() {
+        const [latest] = this.query({ type: 'breaker', limit: 1 });
+        return latest ? { ...latest.breaker } : null;
+    }
+
+    /**
+     * @param {string|Array<string>} [type] - Only consider records of this type (or these types).
+     * @returns {number|null} Timestamp of the latest matching record, or null if there is none.
+     */
+    getLastTimestamp(type = undefined) {
+        const [latest] = this.query({ type, limit: 1 });
+        return latest ? latest.timestamp : null;
+    }
+
+    /**
+     * Persists a record. Called before the record is added in memory; drivers override it.
+     * @protected
+     * @param {object} record - The record.
+     */
+    write(record) {}
+
+    /**
+     * Releases the driver's resources.
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+export default StateStore;
+export { RECORD_TYPES };
@@ -0,0 +1,45 @@
+/**
+ * @module StoreRegistry
+ * @description A registry of StateStore drivers. The driver is chosen with `persistence.driver` in config;
+ * other storage (e.g. SQLite) can be plugged in by registering a factory under a new name.
+ */
+
+import StateStore from './stateStore.js';
+import JsonlStateStore from './jsonlStateStore.js';
+
+const drivers = {
+    'memory': () => new StateStore(),
+    'jsonl': (options) => new JsonlStateStore(options.file)
+};
+
+/**
+ * Registers a storage driver.
+ * @param {string} name - Driver name, as used in `persistence.driver`.
+ * @param {function(object): StateStore} factory - Creates a store from the persistence options.
+ */
+function registerStoreDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+/**
+ * Creates a state store with the configured driver.
+ * @param {object} options - Persistence options: { driver, file, ... }.
+ * @returns {StateStore} The store.
+ */
+function createStateStore(options) {
+    const factory = drivers[options.driver];
+    if (!factory) {
+        throw new Error(`Unknown persistence driver '${options.driver}'. Available: ${listStoreDrivers().join(', ')}.`);
+    }
+    return factory(options);
+}
+
+/**
+ * Lists all registered driver names.
+ * @returns {Array<string>} An array of driver names.
+ */
+function listStoreDrivers() {
+    return Object.keys(drivers);
+}
+
+export { registerStoreDriver, createStateStore, listStoreDrivers };
@@ -1,11 +1,59 @@
 import logger from '../utils/logger.js';
+import { calculateATR } from '../indicators/indicatorUtils.js';
 import config from '../../config/default.json' with { type: 'json' };
 
 /**
  * @module RiskManager
  * @description Handles risk management calculations and validations for trading operations.
+ * Also keeps the registry of open positions, keyed by symbol and strategy, with their stop-loss and
+ * take-profit levels, and reports when the price reaches one of them. Stops can trail the price and move
+ * to break-even as configured per strategy (see `adjustStopLoss`). Initial stops can be placed from ATR or
+ * recent swing highs/lows, and entries sized with a per-strategy model (see `calculatePositionSize`).
+ * A circuit breaker halts new entries after a daily loss or drawdown beyond the configured limits, and
+ * `checkPreTradeRisk` gates every order that adds risk, including exposure to one base asset or to a cluster
+ * of symbols whose returns are correlated (see `getCorrelationMatrix`) and, if configured, the portfolio's
+ * Value-at-Risk (see `getValueAtRisk`).
  */
 
+const registry = {}; // `${symbol}:${strategy}` -> { symbol, strategy, side, entryPrice, amount, stopLoss, takeProfit, ... }
+const candleHistory = {}; // symbol -> recent candles, for ATR and structure stops
+const MAX_CANDLE_HISTORY = 200;
+const entryTimes = {}; // `${symbol}:${strategy}` -> time the strategy last opened a position there
+const TRAILING_TYPES = ['percent', 'absolute', 'atr'];
+const STOP_PLACEMENT_TYPES = ['percent', 'atr', 'structure'];
+const SIZING_MODELS = ['fixed', 'volatility', 'kelly'];
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000; // Crypto markets trade around the clock
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const breakerConfig = {
+    enabled: true,
+    maxDailyLoss: 0.05, // Fraction of the equity at the start of the UTC day
+    maxDrawdown: 0.2, // Fraction of the peak equity
+    flatten: false, // Also close all positions when tripped
+    ...config.risk.circuitBreaker
+};
+let circuitBreaker = newCircuitBreakerState();
+
+const exposureConfig = {
+    maxAssetExposure: 0.5, // Combined value of positions in one base asset, as a fraction of equity
+    maxClusterExposure: 0.75, // Combined value of positions in correlated symbols, as a fraction of equity
+    correlationThreshold: 0.7, // Symbols whose returns correlate at least this much form a cluster
+    lookback: 100, // Candles of returns the correlation is measured over
+    minObservations: 30, // Fewer shared returns than this leave a pair's correlation unknown
+    downsize: true, // Reduce entries to the exposure left instead of rejecting them
+    ...config.risk.exposure
+};
+
+const VAR_METHODS = ['historical', 'parametric'];
+const varConfig = {
+    confidence: 0.95, // Share of days whose loss should stay within the VaR
+    lookback: 100, // Candles of returns the VaR is measured over
+    minObservations: 30, // Fewer returns shared by all symbols than this leave the VaR unknown
+    maxVar: null, // Reject entries that would take the VaR beyond this fraction of equity (null: report only)
+    method: 'historical', // VaR that `maxVar` applies to
+    ...config.risk.valueAtRisk
+};
+
 /**
  * Calculates the appropriate lot size based on risk management rules.
  * @param {string} symbol - The trading pair.
@@ -48,32 +96,16 @@ async function calculateLotSize(symbol, currentPrice, accountBalance, riskPercen
  * @param {number} amount - Trade amount.
  * @param {number} price - Trade price.
  * @param {number} accountBalance - Current account balance.
+ * @param {number|null} [stopLoss] - Stop-loss of the position; its distance from the price is what the trade
+ * risks. Without one, the whole trade value counts as risk.
  * @returns {Promise<boolean>} True if trade is valid, false otherwise.
  */
-async function validateTrade(symbol, amount, price, accountBalance) {
-    const tradeValue = amount * price;
-    const riskPercentage = tradeValue / accountBalance;
-    
-    // Check maximum risk per trade
-    if (riskPercentage > config.risk.maxRiskPerTrade) {
-        logger.warn(`Trade exceeds max risk per trade: ${riskPercentage.toFixed(4)} > ${config.risk.maxRiskPerTrade}`);
-        return false;
-    }
-    
-    // Check minimum balance requirement
-    if (accountBalance < config.risk.minimumBalance) {
-        logger.warn(`Account balance below minimum: ${accountBalance} < ${config.risk.minimumBalance}`);
-        return false;
-    }
-    
-    // Check if trade amount is reasonable (not too small)
-    const minTradeValue = 10; // Minimum $10 trade
-    if (tradeValue < minTradeValue) {
-        logger.warn(`Trade value too small: ${tradeValue} < ${minTradeValue}`);
-        return false;
+async function validateTrade(symbol, amount, price, accountBalance, stopLoss = null) {
+    const rejection = getTradeRejection(amount, price, accountBalance, stopLoss);
+    if (rejection) {
+        logger.warn(rejection.message);
     }
-    
-    return true;
+    return rejection === null;
 }
 
 /**
@@ -114,16 +146,223 @@ function calculateTakeProfit(entryPrice, side, takeProfitPercentage = null) {
     }
 }
 
+/**
+ * Calculates the initial stop-loss of a new position as configured in the strategy's
+ * `riskManagement.stopPlacement`: { type, atrMultiple, atrPeriod, lookback, buffer }.
+ * - 'percent' (default): `riskManagement.stopLoss` (fraction) from entry, as `calculateStopLoss`.
+ * - 'atr': `atrMultiple` times the ATR over `atrPeriod` candles from entry.
+ * - 'structure': beyond the lowest low (longs) or highest high (shorts) of the last `lookback` candles,
+ *   with a `buffer` (fraction) so the swing itself does not trigger the stop.
+ * Falls back to the percentage stop when there are not enough candles or the level is not beyond entry.
+ * @param {'long'|'short'} side - The side of the position.
+ * @param {number} entryPrice - Entry price of the position.
+ * @param {object} [riskConfig] - Strategy `riskManagement` config.
+ * @param {Array<object>} [candles] - Recent OHLCV candles, oldest first (see `getCandles`).
+ * @returns {number} Stop-loss price.
+ */
+function calculateInitialStopLoss(side, entryPrice, riskConfig = {}, candles = []) {
+    const entrySide = side === 'long' ? 'buy' : 'sell';
+    const direction = side === 'long' ? 1 : -1;
+    const placement = riskConfig?.stopPlacement || {};
+    const type = placement.type || 'percent';
+    let stopLoss = null;
+
+    if (!STOP_PLACEMENT_TYPES.includes(type)) {
+        logger.warn(`Unknown stop placement type '${type}'. Expected one of: ${STOP_PLACEMENT_TYPES.join(', ')}.`);
+    } else if (type === 'atr') {
+        const atr = getATR(candles, placement.atrPeriod);
+        stopLoss = atr ? entryPrice - direction * (placement.atrMultiple ?? 2) * atr : null;
+    } else if (type === 'structure') {
+        const recent = candles.slice(-(placement.lookback ?? 20));
+        if (recent.length > 0) {
+            const swing = side === 'long' ? Math.min(...recent.map(c => c.low)) : Math.max(...recent.map(c => c.high));
+            stopLoss = swing * (1 - direction * (placement.buffer ?? 0));
+        }
+    }
+
+    if (stopLoss === null || direction * stopLoss >= direction * entryPrice) {
+        if (type !== 'percent') {
+            logger.debug(`No ${type} stop for ${side} entry at ${entryPrice}; using the percentage stop.`);
+        }
+        return calculateStopLoss(entryPrice, entrySide, riskConfig?.stopLoss);
+    }
+    return stopLoss;
+}
+
+/**
+ * Sizes a position so that being stopped out loses `riskPerTrade` of equity, including the fees paid on
+ * entry and exit.
+ * @param {number} entryPrice - Expected entry price.
+ * @param {number} stopPrice - Stop-loss price of the position.
+ * @param {number} equity - Account equity in quote currency.
+ * @param {object} [options]
+ * @param {number} [options.riskPerTrade] - Share of equity to risk (default `risk.maxRiskPerTrade` from config).
+ * @param {number} [options.feeRate] - Fee per side as a fraction of the traded value (default `risk.feeRate`).
+ * @param {number} [options.maxNotional=Infinity] - Most quote currency the position may be worth, e.g. the
+ * balance available to buy it.
+ * @returns {number} Position size in base currency, or 0 if no position should be opened.
+ */
+function calculateRiskBasedSize(entryPrice, stopPrice, equity, options = {}) {
+    const riskPerTrade = options.riskPerTrade ?? config.risk.maxRiskPerTrade;
+    const feeRate = options.feeRate ?? config.risk.feeRate ?? 0;
+    const maxNotional = options.maxNotional ?? Infinity;
+
+    if (equity < config.risk.minimumBalance) {
+        logger.warn(`Account equity ${equity} below minimum ${config.risk.minimumBalance}`);
+        return 0;
+    }
+    const stopDistance = Math.abs(entryPrice - stopPrice);
+    if (!(stopDistance > 0)) {
+        logger.warn(`Stop-loss ${stopPrice} is not away from entry ${entryPrice}. Cannot size by risk.`);
+        return 0;
+    }
+
+    const lossPerUnit = stopDistance + feeRate * (entryPrice + stopPrice);
+    const riskSize = equity * riskPerTrade / lossPerUnit;
+    const size = Math.min(riskSize, maxNotional / (entryPrice * (1 + feeRate)));
+
+    logger.debug(`Risk-based size: ${size}`, {
+        entryPrice,
+        stopPrice,
+        equity,
+        riskPerTrade,
+        riskSize,
+        cappedByNotional: size < riskSize
+    });
+    return size;
+}
+
+/**
+ * Sizes an entry with one of the sizing models, configured per strategy in `riskManagement.sizing`
+ * ({ enabled, model, ...parameters }):
+ * - 'fixed' (fixed fractional): the stop loses `riskPerTrade` of equity (see `calculateRiskBasedSize`).
+ * - 'volatility': the position's annualized volatility is `targetVolatility` of equity, using the standard
+ *   deviation of the last `volatilityPeriod` candle returns. It may exceed the strategy's `riskPerTrade` in calm markets, but not what the stop loses at
+ *   `risk.maxRiskPerTrade`.
+ * - 'kelly': fixed fractional, risking `kellyFraction` of the Kelly fraction W - (1 - W) / R, where W is the
+ *   strategy's win rate and R its average win over average loss (see `calculateTradeStatistics`). Until
+ *   `minTrades` trades have closed, `riskPerTrade` is risked instead; without an edge nothing is.
+ * Models fall back to 'fixed' when their inputs are not available yet. The risk per trade never exceeds
+ * `risk.maxRiskPerTrade`.
+ * @param {string} model - 'fixed', 'volatility' or 'kelly'.
+ * @param {object} params
+ * @param {number} params.entryPrice - Expected entry price.
+ * @param {number} params.stopLoss - Stop-loss price of the position.
+ * @param {number} params.equity - Account equity in quote currency.
+ * @param {number} [params.maxNotional=Infinity] - Most quote currency the position may be worth.
+ * @param {Array<object>} [params.candles] - Recent candles of the symbol, oldest first (for 'volatility').
+ * @param {object} [params.tradeStats] - The strategy's `calculateTradeStatistics` (for 'kelly').
+ * @param {object} [riskConfig] - Strategy `riskManagement` config; `sizing` holds the model's parameters.
+ * @returns {object} { amount, model, inputs }: the size, the model actually used and the figures it used.
+ */
+function calculatePositionSize(model, { entryPrice, stopLoss, equity, maxNotional = Infinity, candles = [], tradeStats = null }, riskConfig = {}) {
+    const sizing = riskConfig.sizing || {};
+    const riskPerTrade = Math.min(riskConfig.riskPerTrade ?? config.risk.maxRiskPerTrade, config.risk.maxRiskPerTrade);
+    const fixed = (inputs = {}, risk = riskPerTrade, usedModel = 'fixed') => ({
+        amount: calculateRiskBasedSize(entryPrice, stopLoss, equity, { riskPerTrade: risk, maxNotional }),
+        model: usedModel,
+        inputs: { ...inputs, riskPerTrade: risk, equity, entryPrice, stopLoss }
+    });
+
+    if (!SIZING_MODELS.includes(model)) {
+        logger.warn(`Unknown sizing model '${model}'. Expected one of: ${SIZING_MODELS.join(', ')}. Using 'fixed'.`);
+        return fixed();
+    }
+    if (model === 'volatility') {
+        const period = sizing.volatilityPeriod ?? 30;
+        const recent = candles.slice(-(period + 1));
+        if (recent.length < period + 1) {
+            logger.debug(`Not enough candles for volatility sizing (${recent.length}/${period + 1}); using 'fixed'.`);
+            return fixed();
+        }
+        const returns = recent.slice(1).map((candle, i) => candle.close / recent[i].close - 1);
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / returns.length);
+        const volatility = deviation * Math.sqrt(MS_PER_YEAR / (recent.at(-1).timestamp - recent.at(-2).timestamp));
+        const targetVolatility = sizing.targetVolatility ?? 0.15;
+        if (!(volatility > 0) || equity < config.risk.minimumBalance) {
+            return fixed();
+        }
+        const volatilitySize = Math.max(Math.min(equity * targetVolatility / volatility, maxNotional) / entryPrice, 0);
+        // Calm markets would otherwise size far beyond the risk budget
+        const maxRiskPerTrade = config.risk.maxRiskPerTrade;
+        const riskSize = calculateRiskBasedSize(entryPrice, stopLoss, equity, { riskPerTrade: maxRiskPerTrade, maxNotional });
+        return {
+            amount: Math.min(volatilitySize, riskSize),
+            model,
+            inputs: { targetVolatility, volatility, period, volatilitySize, riskSize, maxRiskPerTrade, equity, entryPrice, stopLoss }
+        };
+    }
+    if (model === 'kelly') {
+        const minTrades = sizing.minTrades ?? 20;
+        if (!tradeStats || tradeStats.trades < minTrades) {
+            return fixed({ trades: tradeStats?.trades ?? 0, minTrades });
+        }
+        const { winRate, payoff, trades } = tradeStats;
+        const kelly = payoff === Infinity ? winRate : winRate - (1 - winRate) / payoff;
+        const kellyFraction = sizing.kellyFraction ?? 0.5;
+        const inputs = { trades, winRate, payoff, kelly, kellyFraction };
+        if (!(kelly > 0)) {
+            return { amount: 0, model, inputs: { ...inputs, riskPerTrade: 0, equity, entryPrice, stopLoss } };
+        }
+        return fixed(inputs, Math.min(kellyFraction * kelly, config.risk.maxRiskPerTrade), 'kelly');
+    }
+    return fixed();
+}
+
+/**
+ * Win rate and payoff of a strategy's closed trades, replayed from its fills in order. A trade runs from the
+ * first entry fill until exits have closed the position.
+ * @param {Array<object>} fills - The strategy's fills on one symbol, oldest first: { side, amount, price, intent }.
+ * @returns {object} { trades, wins, losses, winRate, averageWin, averageLoss, payoff }, where `payoff` is the
+ * average win over the average loss (Infinity without losses).
+ */
+function calculateTradeStatistics(fills) {
+    const results = [];
+    let position = null;
+    for (const fill of fills) {
+        if (fill.intent === 'entry') {
+            const side = fill.side === 'buy' ? 'long' : 'short';
+            if (!position || position.side !== side) {
+                position = { side, amount: 0, entryPrice: 0, pnl: 0 };
+            }
+            position.entryPrice = (position.entryPrice * position.amount + fill.price * fill.amount) / (position.amount + fill.amount);
+            position.amount += fill.amount;
+        } else if (position) {
+            const amount = Math.min(fill.amount, position.amount);
+            position.pnl += (position.side === 'long' ? fill.price - position.entryPrice : position.entryPrice - fill.price) * amount;
+            position.amount -= amount;
+            if (position.amount <= 1e-12) {
+                results.push(position.pnl);
+                position = null;
+            }
+        }
+    }
+
+    const wins = results.filter(pnl => pnl > 0);
+    const losses = results.filter(pnl => pnl <= 0);
+    const averageWin = wins.length ? wins.reduce((sum, pnl) => sum + pnl, 0) / wins.length : 0;
+    const averageLoss = losses.length ? -losses.reduce((sum, pnl) => sum + pnl, 0) / losses.length : 0;
+    return {
+        trades: results.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: results.length ? wins.length / results.length : 0,
+        averageWin,
+        averageLoss,
+        payoff: averageLoss > 0 ? averageWin / averageLoss : Infinity
+    };
+}
+
 /**
  * Checks if the total portfolio risk is within acceptable limits.
- * @param {object[]} openPositions - Array of open positions.
+ * @param {object[]} openPositions - Array of open positions: { amount, price }, plus { side, stopLoss } to count
+ * only what is lost if the stop is hit (see `getPositionRisk`).
  * @param {number} accountBalance - Current account balance.
  * @returns {boolean} True if total risk is acceptable.
  */
 function checkTotalRisk(openPositions, accountBalance) {
-    const totalExposure = openPositions.reduce((total, position) => {
-        return total + (position.amount * position.price);
-    }, 0);
+    const totalExposure = openPositions.reduce((total, position) => total + getPositionRisk(position), 0);
     
     const totalRiskPercentage = totalExposure / accountBalance;
     
@@ -195,5 +434,817 @@ function validateCooldown(lastTradeTime, cooldownPeriod = null) {
     return timeSinceLastTrade >= cooldown;
 }
 
-export { calculateLotSize, validateTrade, calculateStopLoss, calculateTakeProfit, checkTotalRisk, getMaxConcurrentTrades, adjustPositionForVolatility, validateCooldown };
+/**
+ * Records that a strategy opened a position, for the cooldown between entries (see `checkPreTradeRisk`).
+ * @param {string} symbol - The trading pair.
+ * @param {string} strategy - Strategy name.
+ * @param {number} [timestamp] - When the entry was sent (ms).
+ */
+function recordEntry(symbol, strategy, timestamp = Date.now()) {
+    const key = `${symbol}:${strategy}`;
+    entryTimes[key] = Math.max(entryTimes[key] ?? 0, timestamp);
+}
+
+/**
+ * Pre-trade risk gate for orders that open or add to a position. Checks, in order: the circuit breaker, the
+ * cooldown since the strategy last opened a position on the symbol (`validateCooldown`), the number of
+ * positions open overall (`getMaxConcurrentTrades`) and on the symbol (`trading.maxTradesPerSymbol`), the
+ * trade's own risk (`validateTrade`), the exposure to its base asset and correlated cluster (see
+ * `getExposureRejection`), the portfolio's Value-at-Risk with the trade added (`valueAtRisk.maxVar`, see
+ * `getValueAtRisk`) and the total risk with the trade added (`checkTotalRisk`). Cooldown and position
+ * counts only apply when the trade opens a new position. Working entry orders count as positions.
+ * @param {object} trade - { symbol, strategy, side: 'long'|'short', amount, price, stopLoss }.
+ * @param {number} equity - Account equity in quote currency.
+ * @param {Array<object>} [pendingEntries] - Working entry orders: { symbol, strategy, side, amount, price, stopLoss }.
+ * @returns {object|null} null if the trade may go ahead, otherwise { reason, message }, where `reason` is
+ * 'circuit_breaker', 'cooldown', 'max_concurrent_trades', 'max_trades_per_symbol', 'trade_risk',
+ * 'minimum_balance', 'trade_too_small', 'asset_exposure', 'cluster_exposure', 'value_at_risk' or 'total_risk'. Exposure
+ * rejections also carry `maxAmount`, the amount that would fit, if entries may be downsized to it.
+ */
+function checkPreTradeRisk(trade, equity, pendingEntries = []) {
+    const key = `${trade.symbol}:${trade.strategy}`;
+    const exposures = [
+        ...Object.values(registry).map(position => ({ ...position, price: position.lastPrice ?? position.entryPrice })),
+        ...pendingEntries
+    ];
+    const openKeys = new Set(exposures.map(exposure => `${exposure.symbol}:${exposure.strategy}`));
+
+    if (circuitBreaker.halted) {
+        return { reason: 'circuit_breaker', message: `Circuit breaker tripped: ${circuitBreaker.halted.message}` };
+    }
+    if (!openKeys.has(key)) {
+        if (entryTimes[key] !== undefined && !validateCooldown(entryTimes[key])) {
+            const minutes = ((Date.now() - entryTimes[key]) / 60000).toFixed(1);
+            return { reason: 'cooldown', message: `${key} opened a position ${minutes} minutes ago, within the ${config.trading.cooldownPeriod / 60000}-minute cooldown.` };
+        }
+        const maxTrades = getMaxConcurrentTrades(equity);
+        if (openKeys.size >= maxTrades) {
+            return { reason: 'max_concurrent_trades', message: `${openKeys.size} positions or entries already open (maximum ${maxTrades}).` };
+        }
+        const onSymbol = [...openKeys].filter(openKey => openKey.startsWith(`${trade.symbol}:`)).length;
+        const maxPerSymbol = config.trading.maxTradesPerSymbol ?? Infinity;
+        if (onSymbol >= maxPerSymbol) {
+            return { reason: 'max_trades_per_symbol', message: `${onSymbol} positions or entries already open on ${trade.symbol} (maximum ${maxPerSymbol}).` };
+        }
+    }
+
+    const tradeRejection = getTradeRejection(trade.amount, trade.price, equity, trade.stopLoss);
+    if (tradeRejection) {
+        return tradeRejection;
+    }
+    const exposureRejection = getExposureRejection(trade, equity, exposures);
+    if (exposureRejection) {
+        return exposureRejection;
+    }
+    const varRejection = getValueAtRiskRejection(trade, equity, exposures);
+    if (varRejection) {
+        return varRejection;
+    }
+    const totalRisk = [...exposures, trade].reduce((total, exposure) => total + getPositionRisk(exposure), 0) / equity;
+    if (totalRisk > config.risk.maxTotalRisk) {
+        return { reason: 'total_risk', message: `Total portfolio risk with this trade would be ${totalRisk.toFixed(4)} > ${config.risk.maxTotalRisk}.` };
+    }
+    return null;
+}
+
+/**
+ * Correlation of the symbols' candle-to-candle returns over the last `exposure.lookback` candles both have,
+ * matched by timestamp, from the candles recorded with `recordCandle`.
+ * @param {Array<string>} [symbols] - Pairs to correlate (default: all with recorded candles).
+ * @returns {object} Matrix by symbol: `matrix[a][b]` is the Pearson correlation, or null when the pairs
+ * share fewer than `exposure.minObservations` returns.
+ */
+function getCorrelationMatrix(symbols = Object.keys(candleHistory)) {
+    const matrix = {};
+    for (const a of symbols) {
+        matrix[a] = {};
+        for (const b of symbols) {
+            matrix[a][b] = a === b ? 1 : b in matrix ? matrix[b][a] : calculateCorrelation(candleHistory[a] || [], candleHistory[b] || []);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Groups symbols into clusters: pairs sharing a base asset, or whose returns correlate at least
+ * `exposure.correlationThreshold`, belong to the same cluster, as do symbols linked through others.
+ * @param {Array<string>} [symbols] - Pairs to group (default: all with recorded candles).
+ * @returns {Array<Array<string>>} Clusters of symbols.
+ */
+function getCorrelatedClusters(symbols = Object.keys(candleHistory)) {
+    const matrix = getCorrelationMatrix(symbols);
+    let clusters = [];
+    for (const symbol of symbols) {
+        const isLinked = cluster => cluster.some(member => member.split('/')[0] === symbol.split('/')[0]
+            || matrix[symbol][member] >= exposureConfig.correlationThreshold);
+        clusters = [...clusters.filter(cluster => !isLinked(cluster)), [...clusters.filter(isLinked).flat(), symbol]];
+    }
+    return clusters;
+}
+
+/**
+ * 1-day Value-at-Risk and expected shortfall of the open positions, or of the given exposures, from the
+ * candle-to-candle returns of their symbols over the last `valueAtRisk.lookback` candles all of them have,
+ * matched by timestamp. Shorter candle returns are scaled to one day with the square root of time.
+ * - historical: the loss not exceeded by `valueAtRisk.confidence` of the portfolio's replayed returns, and the
+ *   mean of the losses beyond it.
+ * - parametric: the same for normally distributed portfolio returns with the observed volatility and
+ *   correlations, assuming no drift.
+ * @param {Array<object>|null} [exposures] - { symbol, side: 'long'|'short', amount, price }; the open positions at
+ * their last price if omitted.
+ * @param {number|null} [equity] - Account equity (default: the last equity fed to `updateEquity`).
+ * @returns {object} { confidence, horizonMs, equity, value, observations, historical, parametric }, where `value`
+ * is the gross value of the exposures and `historical` and `parametric` are { var, expectedShortfall } losses in
+ * quote currency, or null when the symbols share fewer than `valueAtRisk.minObservations` returns.
+ */
+function getValueAtRisk(exposures = null, equity = circuitBreaker.equity) {
+    const values = {}; // symbol -> signed market value
+    for (const exposure of exposures ?? Object.values(registry)) {
+        const price = exposure.price ?? exposure.lastPrice ?? exposure.entryPrice;
+        values[exposure.symbol] = (values[exposure.symbol] || 0) + (exposure.side === 'short' ? -1 : 1) * exposure.amount * price;
+    }
+    const symbols = Object.keys(values).filter(symbol => values[symbol] !== 0);
+    const report = {
+        confidence: varConfig.confidence,
+        horizonMs: MS_PER_DAY,
+        equity,
+        value: symbols.reduce((total, symbol) => total + Math.abs(values[symbol]), 0),
+        observations: 0,
+        historical: null,
+        parametric: null
+    };
+    if (symbols.length === 0) {
+        return { ...report, historical: { var: 0, expectedShortfall: 0 }, parametric: { var: 0, expectedShortfall: 0 } };
+    }
+
+    const { returns, interval } = getSharedReturns(symbols);
+    report.observations = returns.length;
+    if (returns.length < varConfig.minObservations || !(interval > 0)) {
+        return report;
+    }
+    const toDay = Math.sqrt(MS_PER_DAY / interval);
+    const pnls = returns.map(step => symbols.reduce((total, symbol, i) => total + values[symbol] * step[i], 0));
+
+    const losses = pnls.map(pnl => -pnl * toDay).sort((a, b) => a - b);
+    const cutoff = Math.min(losses.length - 1, Math.max(0, Math.ceil(varConfig.confidence * losses.length) - 1));
+    const tail = losses.slice(cutoff);
+    report.historical = { var: losses[cutoff], expectedShortfall: tail.reduce((total, loss) => total + loss, 0) / tail.length };
+
+    const mean = pnls.reduce((total, pnl) => total + pnl, 0) / pnls.length;
+    const deviation = Math.sqrt(pnls.reduce((total, pnl) => total + (pnl - mean) ** 2, 0) / (pnls.length - 1)) * toDay;
+    const z = normalQuantile(varConfig.confidence);
+    report.parametric = {
+        var: z * deviation,
+        expectedShortfall: deviation * Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / (1 - varConfig.confidence)
+    };
+    return report;
+}
+
+/**
+ * Registers an open position, or updates it after further fills. Stop-loss and take-profit levels are
+ * derived from the entry price (see `calculateInitialStopLoss`); the position's opening time, its initial risk
+ * and the take-profit ladder levels already taken are kept across updates (see `buildTakeProfitLadder`).
+ * @param {string} symbol - The trading pair.
+ * @param {'long'|'short'} side - The side of the position.
+ * @param {number} entryPrice - The (average) entry price.
+ * @param {number} amount - Position size in base currency. Zero or less removes the position.
+ * @param {object} [strategyRiskConfig] - Strategy `riskManagement` config ({ stopLoss, takeProfit } as fractions).
+ * @param {string} [strategy='unknown'] - Name of the strategy holding the position.
+ * @param {number|null} [stopLoss] - Stop-loss planned when the entry was sized; calculated with
+ * `calculateInitialStopLoss` if omitted.
+ * @returns {Promise<object|null>} The registered position, or null if it was removed.
+ */
+async function managePosition(symbol, side, entryPrice, amount, strategyRiskConfig = {}, strategy = 'unknown', stopLoss = null) {
+    const key = `${symbol}:${strategy}`;
+    if (!(amount > 0)) {
+        removePosition(symbol, strategy);
+        return null;
+    }
+    const entrySide = side === 'long' ? 'buy' : 'sell';
+    const now = Date.now();
+    const existing = registry[key] && registry[key].side === side ? registry[key] : null;
+    const lastPrice = existing?.lastPrice ?? entryPrice;
+    stopLoss = stopLoss ?? calculateInitialStopLoss(side, entryPrice, strategyRiskConfig, candleHistory[symbol]);
+    const initialRisk = existing?.initialRisk ?? Math.abs(entryPrice - stopLoss); // 1R of the ladder
+    if (existing && (side === 'long' ? existing.stopLoss > stopLoss : existing.stopLoss < stopLoss)) {
+        stopLoss = existing.stopLoss; // A stop that already trailed is not loosened by a resize
+    }
+    const position = {
+        symbol,
+        strategy,
+        side,
+        entryPrice,
+        amount,
+        stopLoss,
+        takeProfit: calculateTakeProfit(entryPrice, entrySide, strategyRiskConfig?.takeProfit),
+        stopLossReason: existing?.stopLossReason ?? 'initial', // What last set the stop: 'initial', 'break_even' or 'trailing'
+        bestPrice: existing?.bestPrice ?? entryPrice, // Most favourable price since entry
+        riskConfig: { ...strategyRiskConfig },
+        initialRisk,
+        ladder: buildTakeProfitLadder(side, entryPrice, initialRisk, strategyRiskConfig, existing?.ladder),
+        ladderBase: Math.max(existing?.ladderBase ?? 0, amount), // Size the ladder fractions refer to
+        lastPrice,
+        unrealizedPnl: 0,
+        exitTriggered: null, // Action reported by monitorPositions, until the position is updated or removed
+        openedAt: existing ? existing.openedAt : now,
+        updatedAt: now
+    };
+    position.unrealizedPnl = calculateUnrealizedPnl(position, lastPrice);
+    registry[key] = position;
+    logger.info(`Managing ${strategy} ${side} position: ${amount} ${symbol} @ ${entryPrice}, SL ${position.stopLoss.toFixed(2)}, TP ${position.takeProfit.toFixed(2)}.`);
+    return { ...position };
+}
+
+/**
+ * Updates the open positions of a symbol with the latest price, moves their stops as configured (see
+ * `adjustStopLoss`) and checks their exits (see `getDueExit`): stop-loss, take-profit, holding time and session
+ * end, and the levels of the take-profit ladder.
+ * A triggered position is reported once; it stays registered until the exit fills (`removePosition`), the
+ * position is updated again (e.g. after a scale-out fill) or the exit is re-armed (`rearmExit`).
+ * @param {string} symbol - The trading pair.
+ * @param {number} currentPrice - The current market price.
+ * @param {object} [options]
+ * @param {boolean} [options.triggerExits=true] - Check SL/TP levels. When disabled, time exits and scale-outs are
+ * still reported.
+ * @param {object} [options.coveredExits={}] - Exits held by orders resting on the exchange, per strategy:
+ * { [strategy]: { stopLoss, takeProfit } }. Those are left to the exchange and not reported.
+ * @param {number} [options.timestamp=Date.now()] - Time of the price, for time exits.
+ * @returns {Promise<object|null>} The first triggered action: { action: 'stop_loss'|'take_profit'|'time_exit'|
+ * 'session_exit'|'scale_out', symbol, strategy, side, amount, entryPrice, triggerPrice, level, stopLossReason,
+ * price }, or null. `amount` is the part of the position to close; `level` the ladder level of a scale-out.
+ */
+async function monitorPositions(symbol, currentPrice, { triggerExits = true, coveredExits = {}, timestamp = Date.now() } = {}) {
+    let triggered = null;
+    for (const position of Object.values(registry).filter(p => p.symbol === symbol)) {
+        position.lastPrice = currentPrice;
+        position.unrealizedPnl = calculateUnrealizedPnl(position, currentPrice);
+        if (position.exitTriggered) {
+            continue;
+        }
+        const atr = position.riskConfig.trailingStop?.type === 'atr' ? getATR(candleHistory[symbol] || [], position.riskConfig.trailingStop.atrPeriod) : null;
+        const adjusted = adjustStopLoss(position, currentPrice, position.riskConfig, atr);
+        position.bestPrice = adjusted.bestPrice;
+        if (adjusted.reason) {
+            logger.info(`${position.strategy} ${symbol} ${position.side} stop moved (${adjusted.reason}) from ${position.stopLoss.toFixed(2)} to ${adjusted.stopLoss.toFixed(2)}.`);
+            position.stopLoss = adjusted.stopLoss;
+            position.stopLossReason = adjusted.reason;
+        }
+        if (triggered) {
+            continue;
+        }
+
+        const exit = getDueExit(position, currentPrice, timestamp, { triggerExits, covered: coveredExits[position.strategy] });
+        if (exit) {
+            position.exitTriggered = exit.action;
+            if (exit.level !== null) {
+                position.ladder[exit.level].done = true;
+            }
+            triggered = {
+                action: exit.action,
+                symbol,
+                strategy: position.strategy,
+                side: position.side,
+                amount: exit.amount,
+                entryPrice: position.entryPrice,
+                triggerPrice: exit.triggerPrice,
+                level: exit.level,
+                stopLossReason: position.stopLossReason,
+                price: currentPrice
+            };
+            logger.warn(`${exit.action.toUpperCase()} reached for ${position.strategy} ${symbol} ${position.side} position at ${currentPrice} (level ${triggered.triggerPrice.toFixed(2)}), closing ${exit.amount} of ${position.amount}.`);
+        }
+    }
+    return triggered;
+}
+
+/**
+ * Re-arms a position whose triggered exit could not be executed, so that it is checked again on the next
+ * price. A take-profit ladder level it was scaling out at is reopened.
+ * @param {object} triggered - The action reported by `monitorPositions`.
+ */
+function rearmExit(triggered) {
+    const position = registry[`${triggered.symbol}:${triggered.strategy}`];
+    if (!position) {
+        return;
+    }
+    if (triggered.level !== null && position.ladder[triggered.level]) {
+        position.ladder[triggered.level].done = false;
+    }
+    position.exitTriggered = null;
+}
+
+/**
+ * Removes a position from the registry, e.g. once it has been closed.
+ * @param {string} symbol - The trading pair.
+ * @param {string} [strategy='unknown'] - Name of the strategy holding the position.
+ */
+function removePosition(symbol, strategy = 'unknown') {
+    const key = `${symbol}:${strategy}`;
+    if (registry[key]) {
+        delete registry[key];
+        logger.debug(`Position ${symbol}:${strategy} removed from risk registry.`);
+    }
+}
+
+/**
+ * Returns the open positions.
+ * @returns {object} Positions by `${symbol}:${strategy}`: { symbol, strategy, side, entryPrice, amount, stopLoss,
+ * takeProfit, stopLossReason, bestPrice, riskConfig, initialRisk, ladder, ladderBase, lastPrice, unrealizedPnl,
+ * exitTriggered, openedAt, updatedAt, ageMs }.
+ */
+function getOpenPositions() {
+    const now = Date.now();
+    const positions = {};
+    for (const [key, position] of Object.entries(registry)) {
+        positions[key] = { ...position, ladder: position.ladder.map(level => ({ ...level })), ageMs: now - position.openedAt };
+    }
+    return positions;
+}
+
+/**
+ * Moves a position's stop-loss after the price moved in its favour. The stop only ever tightens. Configured
+ * per strategy under `riskManagement`:
+ * - `breakEven`: { enabled, triggerProfit, offset } - once the best price is `triggerProfit` (fraction) beyond
+ *   entry, move the stop to entry, `offset` (fraction) on the profitable side.
+ * - `trailingStop`: { enabled, type, distance, activationProfit, step, atrPeriod } - once the best price is
+ *   `activationProfit` beyond entry, keep the stop `distance` behind it. `type` sets the unit of `distance`
+ *   and `step`: 'percent' (fractions of the best and entry price), 'absolute' (price) or 'atr' (multiples of
+ *   the ATR). With a `step`, the stop ratchets in whole steps instead of following every tick.
+ * - `takeProfitLadder.trailRemainder`: trail what is left once every ladder level has been taken, with the
+ *   `trailingStop` settings even if the trailing stop is not enabled.
+ * Used by live and paper monitoring and by the backtester alike.
+ * @param {object} position - { side, entryPrice, stopLoss, bestPrice, ladder }.
+ * @param {number} currentPrice - The current market price.
+ * @param {object} [riskConfig] - Strategy `riskManagement` config.
+ * @param {number|null} [atr] - Current ATR, required by 'atr' trailing stops.
+ * @returns {{stopLoss: number, bestPrice: number, reason: 'break_even'|'trailing'|null}} The new stop, the
+ * updated best price and what moved the stop (null if it did not move).
+ */
+function adjustStopLoss(position, currentPrice, riskConfig = {}, atr = null) {
+    const { side, entryPrice } = position;
+    const direction = side === 'long' ? 1 : -1; // Prices "beyond" are higher for longs, lower for shorts
+    const previousBest = position.bestPrice ?? entryPrice;
+    const bestPrice = direction * currentPrice > direction * previousBest ? currentPrice : previousBest;
+    const profit = direction * (bestPrice - entryPrice) / entryPrice;
+    let stopLoss = position.stopLoss;
+    let reason = null;
+
+    const breakEven = riskConfig?.breakEven;
+    if (breakEven?.enabled && profit >= (breakEven.triggerProfit ?? 0)) {
+        const level = entryPrice * (1 + direction * (breakEven.offset ?? 0));
+        if (direction * level > direction * stopLoss) {
+            stopLoss = level;
+            reason = 'break_even';
+        }
+    }
+
+    const ladderTaken = position.ladder?.length > 0 && position.ladder.every(level => level.done);
+    const trailing = riskConfig?.takeProfitLadder?.trailRemainder && ladderTaken ? { ...riskConfig.trailingStop, enabled: true } : riskConfig?.trailingStop;
+    if (trailing?.enabled && profit >= (trailing.activationProfit ?? 0)) {
+        const type = trailing.type || 'percent';
+        if (!TRAILING_TYPES.includes(type)) {
+            logger.warn(`Unknown trailing stop type '${type}'. Expected one of: ${TRAILING_TYPES.join(', ')}.`);
+        } else if (type !== 'atr' || atr > 0) {
+            const unit = type === 'percent' ? bestPrice : type === 'atr' ? atr : 1;
+            let level = bestPrice - direction * trailing.distance * unit;
+            if (trailing.step > 0) {
+                const stepSize = trailing.step * (type === 'percent' ? entryPrice : unit);
+                level = stopLoss + direction * Math.floor(direction * (level - stopLoss) / stepSize) * stepSize;
+            }
+            if (direction * level > direction * stopLoss) {
+                stopLoss = level;
+                reason = 'trailing';
+            }
+        }
+    }
+    return { stopLoss, bestPrice, reason };
+}
+
+/**
+ * Builds the take-profit ladder of a position from `riskManagement.takeProfitLadder`: { enabled, levels,
+ * trailRemainder }. Each level { r, fraction } closes `fraction` of the position once the price is `r` times
+ * the initial risk (entry to initial stop-loss) beyond entry.
+ * @param {'long'|'short'} side - The side of the position.
+ * @param {number} entryPrice - The (average) entry price.
+ * @param {number} initialRisk - Distance from entry to the initial stop-loss (1R).
+ * @param {object} [riskConfig] - Strategy `riskManagement` config.
+ * @param {Array<object>} [previous] - The ladder before a resize; levels already taken stay taken.
+ * @returns {Array<{r: number, fraction: number, price: number, done: boolean}>} The levels, nearest first
+ * (empty if the ladder is disabled).
+ */
+function buildTakeProfitLadder(side, entryPrice, initialRisk, riskConfig = {}, previous = []) {
+    const ladder = riskConfig?.takeProfitLadder;
+    if (!ladder?.enabled || !(initialRisk > 0)) {
+        return [];
+    }
+    const direction = side === 'long' ? 1 : -1;
+    return (ladder.levels || [])
+        .filter(level => level.r > 0 && level.fraction > 0)
+        .sort((a, b) => a.r - b.r)
+        .map(({ r, fraction }) => ({
+            r,
+            fraction,
+            price: entryPrice + direction * r * initialRisk,
+            done: previous?.some(level => level.r === r && level.done) ?? false
+        }));
+}
+
+/**
+ * Checks the time exits of `riskManagement.timeExit`: { enabled, maxHoldingTime, sessionEnd }. A position is
+ * closed once it has been held for `maxHoldingTime` ms, or at the first `sessionEnd` ('HH:MM', UTC) after it
+ * was opened.
+ * @param {number} openedAt - Time the position was opened.
+ * @param {number} timestamp - The current time.
+ * @param {object} [riskConfig] - Strategy `riskManagement` config.
+ * @returns {'time_exit'|'session_exit'|null} The due time exit, if any.
+ */
+function getTimeExit(openedAt, timestamp, riskConfig = {}) {
+    const timeExit = riskConfig?.timeExit;
+    if (!timeExit?.enabled) {
+        return null;
+    }
+    if (timeExit.maxHoldingTime > 0 && timestamp - openedAt >= timeExit.maxHoldingTime) {
+        return 'time_exit';
+    }
+    const session = /^(\d{1,2}):(\d{2})$/.exec(timeExit.sessionEnd || '');
+    if (timeExit.sessionEnd && !session) {
+        logger.warn(`Invalid session end '${timeExit.sessionEnd}'. Expected 'HH:MM' (UTC).`);
+    } else if (session) {
+        const opened = new Date(openedAt);
+        let sessionEnd = Date.UTC(opened.getUTCFullYear(), opened.getUTCMonth(), opened.getUTCDate(), Number(session[1]), Number(session[2]));
+        if (sessionEnd <= openedAt) {
+            sessionEnd += MS_PER_DAY;
+        }
+        if (timestamp >= sessionEnd) {
+            return 'session_exit';
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the exit due for a position at the current price and time, in order of precedence: stop-loss,
+ * take-profit, time exits (see `getTimeExit`), then the nearest open level of its take-profit ladder (see
+ * `buildTakeProfitLadder`). A scale-out that would leave nothing to trail closes the position as a take-profit.
+ * Used by live and paper monitoring and by the backtester alike.
+ * @param {object} position - { side, amount, stopLoss, takeProfit, riskConfig, ladder, ladderBase, openedAt }.
+ * @param {number} currentPrice - The current market price.
+ * @param {number} timestamp - The current time.
+ * @param {object} [options]
+ * @param {boolean} [options.triggerExits=true] - Check SL/TP levels (see `monitorPositions`).
+ * @param {object} [options.covered] - { stopLoss, takeProfit }: which of them the exchange holds and is not checked.
+ * @returns {{action: string, amount: number, triggerPrice: number, level: number|null}|null} The exit, with the
+ * amount to close and the ladder level it takes, or null.
+ */
+function getDueExit(position, currentPrice, timestamp, { triggerExits = true, covered = {} } = {}) {
+    const direction = position.side === 'long' ? 1 : -1;
+    const reached = level => direction * currentPrice >= direction * level;
+    const exit = (action, triggerPrice, amount = position.amount, level = null) => ({ action, amount, triggerPrice, level });
+    if (triggerExits && !covered.stopLoss && direction * currentPrice <= direction * position.stopLoss) {
+        return exit('stop_loss', position.stopLoss);
+    }
+    if (triggerExits && !covered.takeProfit && reached(position.takeProfit)) {
+        return exit('take_profit', position.takeProfit);
+    }
+    const timeExit = getTimeExit(position.openedAt, timestamp, position.riskConfig);
+    if (timeExit) {
+        return exit(timeExit, currentPrice);
+    }
+    const level = (position.ladder || []).findIndex(step => !step.done);
+    if (level === -1 || !reached(position.ladder[level].price)) {
+        return null;
+    }
+    const { price, fraction } = position.ladder[level];
+    const amount = Math.min(fraction * (position.ladderBase ?? position.amount), position.amount);
+    if (position.amount - amount <= position.amount * 1e-9) {
+        return exit('take_profit', price, position.amount, level);
+    }
+    return exit('scale_out', price, amount, level);
+}
+
+/**
+ * Adds a closed candle to the symbol's history used for ATR and structure stops. A candle with the same
+ * timestamp as the last one replaces it.
+ * @param {string} symbol - The trading pair.
+ * @param {object} candle - OHLCV candle: { timestamp, open, high, low, close, volume }.
+ */
+function recordCandle(symbol, candle) {
+    const candles = candleHistory[symbol] || (candleHistory[symbol] = []);
+    if (candles.length > 0 && candles[candles.length - 1].timestamp === candle.timestamp) {
+        candles[candles.length - 1] = candle;
+    } else {
+        candles.push(candle);
+    }
+    if (candles.length > MAX_CANDLE_HISTORY) {
+        candles.shift();
+    }
+}
+
+/**
+ * @param {string} symbol - The trading pair.
+ * @returns {Array<object>} Candles recorded for the symbol (see `recordCandle`), oldest first.
+ */
+function getCandles(symbol) {
+    return [...(candleHistory[symbol] || [])];
+}
+
+/**
+ * Latest ATR for trailing stops and stop placement, over at most the last 200 candles so that live, paper and backtest
+ * stops see the same value.
+ * @param {Array<object>} candles - OHLCV candles, oldest first.
+ * @param {number} [period=14] - ATR period.
+ * @returns {number|null} The latest ATR, or null if there are not enough candles.
+ */
+function getATR(candles, period = 14) {
+    if (candles.length <= period) {
+        return null;
+    }
+    return calculateATR(candles.slice(-MAX_CANDLE_HISTORY), period).at(-1) ?? null;
+}
+
+/**
+ * Updates the circuit breaker with the current account equity (balances plus open positions at market).
+ * At the first update of a UTC day the daily figures start over and a halt caused by the daily loss is
+ * lifted; a halt caused by drawdown stays until `resetCircuitBreaker`.
+ * @param {number} equity - Account equity in quote currency.
+ * @param {number} [timestamp] - Time of the update (ms).
+ * @returns {'tripped'|'resumed'|'rollover'|null} What changed: the breaker tripped, entries resumed at the
+ * start of a new day, a new day started, or nothing.
+ */
+function updateEquity(equity, timestamp = Date.now()) {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    let change = null;
+    if (circuitBreaker.day !== day) {
+        change = circuitBreaker.day === null ? null : 'rollover';
+        circuitBreaker.day = day;
+        circuitBreaker.dayStartEquity = equity;
+        circuitBreaker.realizedPnl = 0;
+        if (circuitBreaker.halted?.reason === 'daily_loss') {
+            logger.info(`New trading day ${day}: daily loss halt lifted.`);
+            circuitBreaker.halted = null;
+            change = 'resumed';
+        }
+    }
+    circuitBreaker.equity = equity;
+    circuitBreaker.peakEquity = Math.max(circuitBreaker.peakEquity ?? equity, equity);
+
+    if (!breakerConfig.enabled || circuitBreaker.halted) {
+        return change;
+    }
+    const dailyLoss = (circuitBreaker.dayStartEquity - equity) / circuitBreaker.dayStartEquity;
+    const drawdown = (circuitBreaker.peakEquity - equity) / circuitBreaker.peakEquity;
+    if (dailyLoss >= breakerConfig.maxDailyLoss) {
+        tripCircuitBreaker('daily_loss', `Daily loss of ${(dailyLoss * 100).toFixed(2)}% reached the ${(breakerConfig.maxDailyLoss * 100).toFixed(2)}% limit (equity ${equity.toFixed(2)}, day start ${circuitBreaker.dayStartEquity.toFixed(2)}).`, timestamp);
+        return 'tripped';
+    }
+    if (drawdown >= breakerConfig.maxDrawdown) {
+        tripCircuitBreaker('drawdown', `Drawdown of ${(drawdown * 100).toFixed(2)}% reached the ${(breakerConfig.maxDrawdown * 100).toFixed(2)}% limit (equity ${equity.toFixed(2)}, peak ${circuitBreaker.peakEquity.toFixed(2)}).`, timestamp);
+        return 'tripped';
+    }
+    return change;
+}
+
+/**
+ * Adds realized profit or loss (e.g. from an exit fill) to today's figures.
+ * @param {number} pnl - Realized profit (positive) or loss (negative) in quote currency.
+ */
+function recordRealizedPnl(pnl) {
+    circuitBreaker.realizedPnl += pnl;
+}
+
+/**
+ * @returns {boolean} Whether new entries are halted by the circuit breaker.
+ */
+function isTradingHalted() {
+    return circuitBreaker.halted !== null;
+}
+
+/**
+ * Lifts a halt and starts measuring daily loss and drawdown again from the current equity.
+ * @returns {object|null} The halt that was lifted, or null if trading was not halted.
+ */
+function resetCircuitBreaker() {
+    const lifted = circuitBreaker.halted;
+    circuitBreaker.halted = null;
+    circuitBreaker.dayStartEquity = circuitBreaker.equity;
+    circuitBreaker.peakEquity = circuitBreaker.equity;
+    logger.info(`Circuit breaker reset${lifted ? ` (was halted: ${lifted.reason})` : ''}.`);
+    return lifted;
+}
+
+/**
+ * @returns {object} Circuit breaker state and today's figures: { enabled, maxDailyLoss, maxDrawdown, flatten,
+ * day, dayStartEquity, equity, peakEquity, realizedPnl, unrealizedPnl, dailyPnl, drawdown, halted }, where
+ * `halted` is { reason: 'daily_loss'|'drawdown', message, at } or null.
+ */
+function getCircuitBreakerStatus() {
+    const { equity, dayStartEquity, peakEquity } = circuitBreaker;
+    return {
+        ...breakerConfig,
+        ...circuitBreaker,
+        unrealizedPnl: Object.values(registry).reduce((total, position) => total + position.unrealizedPnl, 0),
+        dailyPnl: equity !== null && dayStartEquity !== null ? equity - dayStartEquity : null,
+        drawdown: equity !== null && peakEquity ? (peakEquity - equity) / peakEquity : null
+    };
+}
+
+/**
+ * Restores circuit breaker state saved before a restart, so a halt survives it.
+ * @param {object|null} state - { day, dayStartEquity, equity, peakEquity, realizedPnl, halted }, as returned by
+ * `getCircuitBreakerStatus`; null starts afresh.
+ */
+function restoreCircuitBreaker(state) {
+    circuitBreaker = newCircuitBreakerState();
+    if (state) {
+        for (const key of Object.keys(circuitBreaker)) {
+            circuitBreaker[key] = state[key] ?? circuitBreaker[key];
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function tripCircuitBreaker(reason, message, timestamp) {
+    circuitBreaker.halted = { reason, message, at: timestamp };
+    logger.error(`Circuit breaker tripped: ${message} New entries are halted.`);
+}
+
+/**
+ * @private
+ */
+function newCircuitBreakerState() {
+    return { day: null, dayStartEquity: null, equity: null, peakEquity: null, realizedPnl: 0, halted: null };
+}
+
+/**
+ * @private
+ * @returns {object|null} Why the trade breaks the per-trade limits ({ reason, message }), or null.
+ */
+function getTradeRejection(amount, price, accountBalance, stopLoss) {
+    const tradeValue = amount * price;
+    const riskPercentage = getPositionRisk({ amount, price, stopLoss }) / accountBalance;
+
+    if (riskPercentage > config.risk.maxRiskPerTrade) {
+        return { reason: 'trade_risk', message: `Trade exceeds max risk per trade: ${riskPercentage.toFixed(4)} > ${config.risk.maxRiskPerTrade}` };
+    }
+    if (accountBalance < config.risk.minimumBalance) {
+        return { reason: 'minimum_balance', message: `Account balance below minimum: ${accountBalance} < ${config.risk.minimumBalance}` };
+    }
+    const minTradeValue = 10; // Minimum $10 trade
+    if (tradeValue < minTradeValue) {
+        return { reason: 'trade_too_small', message: `Trade value too small: ${tradeValue} < ${minTradeValue}` };
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @returns {object|null} Why the trade would take the value held in its base asset or correlated cluster over
+ * the limits ({ reason, message, maxAmount }), or null.
+ */
+function getExposureRejection(trade, equity, exposures) {
+    const baseAsset = trade.symbol.split('/')[0];
+    const symbols = [...new Set([...Object.keys(candleHistory), ...exposures.map(exposure => exposure.symbol), trade.symbol])];
+    const cluster = getCorrelatedClusters(symbols).find(members => members.includes(trade.symbol));
+    const valueIn = members => exposures.filter(exposure => members(exposure.symbol))
+        .reduce((total, exposure) => total + exposure.amount * exposure.price, 0);
+
+    const limits = [
+        { reason: 'asset_exposure', name: baseAsset, held: valueIn(symbol => symbol.split('/')[0] === baseAsset), limit: exposureConfig.maxAssetExposure },
+        { reason: 'cluster_exposure', name: `cluster ${cluster.join(', ')}`, held: valueIn(symbol => cluster.includes(symbol)), limit: exposureConfig.maxClusterExposure }
+    ];
+    const tradeValue = trade.amount * trade.price;
+    for (const { reason, name, held, limit } of limits) {
+        if (held + tradeValue > limit * equity * (1 + 1e-9)) { // Tolerance so a trade downsized to the room left fits
+            const room = Math.max(Math.min(...limits.map(other => other.limit * equity - other.held)), 0);
+            return {
+                reason,
+                message: `Exposure to ${name} would be ${((held + tradeValue) / equity).toFixed(4)} of equity > ${limit}.`,
+                maxAmount: exposureConfig.downsize ? room / trade.price : 0
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @returns {number|null} Pearson correlation of the two candle series' returns, or null with too few of them.
+ */
+function calculateCorrelation(candlesA, candlesB) {
+    const closesB = new Map(candlesB.map(candle => [candle.timestamp, candle.close]));
+    const shared = candlesA.filter(candle => closesB.has(candle.timestamp)).slice(-(exposureConfig.lookback + 1));
+    const returnsA = [];
+    const returnsB = [];
+    for (let i = 1; i < shared.length; i++) {
+        returnsA.push(shared[i].close / shared[i - 1].close - 1);
+        returnsB.push(closesB.get(shared[i].timestamp) / closesB.get(shared[i - 1].timestamp) - 1);
+    }
+    if (returnsA.length < exposureConfig.minObservations) {
+        return null;
+    }
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(returnsA);
+    const meanB = mean(returnsB);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < returnsA.length; i++) {
+        covariance += (returnsA[i] - meanA) * (returnsB[i] - meanB);
+        varianceA += (returnsA[i] - meanA) ** 2;
+        varianceB += (returnsB[i] - meanB) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+/**
+ * @private
+ * @returns {object|null} Why the trade would take the portfolio's Value-at-Risk (`valueAtRisk.method`) over
+ * `valueAtRisk.maxVar` ({ reason, message }), or null. Trades that lower the VaR, and trades whose VaR cannot be
+ * measured yet, pass.
+ */
+function getValueAtRiskRejection(trade, equity, exposures) {
+    if (!(varConfig.maxVar > 0)) {
+        return null;
+    }
+    const method = VAR_METHODS.includes(varConfig.method) ? varConfig.method : 'historical';
+    const after = getValueAtRisk([...exposures, trade], equity)[method]?.var;
+    if (after === undefined || after / equity <= varConfig.maxVar) {
+        return null;
+    }
+    const before = getValueAtRisk(exposures, equity)[method]?.var ?? 0;
+    if (after <= before) {
+        return null;
+    }
+    return {
+        reason: 'value_at_risk',
+        message: `1-day ${method} VaR (${(varConfig.confidence * 100).toFixed(1)}%) with this trade would be ${(after / equity).toFixed(4)} of equity > ${varConfig.maxVar}.`
+    };
+}
+
+/**
+ * @private
+ * @returns {{returns: Array<Array<number>>, interval: number}} Returns of the symbols (one entry per symbol and
+ * candle) over the last `valueAtRisk.lookback` candles they all have, and the mean time between those candles.
+ */
+function getSharedReturns(symbols) {
+    const closes = symbols.map(symbol => new Map((candleHistory[symbol] || []).map(candle => [candle.timestamp, candle.close])));
+    const shared = [...closes[0].keys()].filter(timestamp => closes.every(byTime => byTime.has(timestamp))).slice(-(varConfig.lookback + 1));
+    const returns = [];
+    for (let i = 1; i < shared.length; i++) {
+        returns.push(closes.map(byTime => byTime.get(shared[i]) / byTime.get(shared[i - 1]) - 1));
+    }
+    return { returns, interval: returns.length > 0 ? (shared.at(-1) - shared[0]) / returns.length : 0 };
+}
+
+/**
+ * Inverse of the standard normal distribution function (Acklam's rational approximation).
+ * @private
+ * @param {number} p - Probability, between 0 and 1.
+ * @returns {number} The quantile.
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+    const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+    const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * @private
+ * @param {object} position - { amount, price } and optionally { side, stopLoss }.
+ * @returns {number} What the position loses if its stop is hit, or its whole value if it has no stop.
+ */
+function getPositionRisk({ amount, price, side, stopLoss }) {
+    if (stopLoss === null || stopLoss === undefined) {
+        return amount * price;
+    }
+    const distance = side === 'long' ? price - stopLoss : side === 'short' ? stopLoss - price : Math.abs(price - stopLoss);
+    return amount * Math.max(distance, 0);
+}
+
+/**
+ * @param {object} position - Registered position.
+ * @param {number} price - Current price.
+ * @returns {number} Unrealized profit or loss in quote currency.
+ */
+function calculateUnrealizedPnl(position, price) {
+    const difference = position.side === 'long' ? price - position.entryPrice : position.entryPrice - price;
+    return difference * position.amount;
+}
+
+export { buildTakeProfitLadder, getTimeExit, getDueExit, rearmExit, calculatePositionSize, calculateTradeStatistics, checkPreTradeRisk, recordEntry, getCorrelationMatrix, getCorrelatedClusters, getValueAtRisk, managePosition, monitorPositions, removePosition, getOpenPositions, updateEquity, recordRealizedPnl, isTradingHalted, resetCircuitBreaker, getCircuitBreakerStatus, restoreCircuitBreaker, adjustStopLoss, recordCandle, getCandles, getATR, calculateInitialStopLoss, calculateRiskBasedSize, calculateLotSize, validateTrade, calculateStopLoss, calculateTakeProfit, checkTotalRisk, getMaxConcurrentTrades, adjustPositionForVolatility, validateCooldown };
   
\ No newline at end of file
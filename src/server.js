@@ -1,25 +1,65 @@
-// src/server.js (optional, can be integrated into app.js)
-const express = require('express');
-const app = express();
-const port = 3000;
-const TradingService = require('./services/tradingService');
-const RiskManager = require('./riskManagement/riskManager');
-const path = require('path');
-const config = require(path.resolve(__dirname, '../config/default.json'));
-const logger = require('./utils/logger');
+import express from 'express';
+import * as TradingService from './services/tradingService.js';
+import * as RiskManager from './riskManagement/riskManager.js';
+import logger from './utils/logger.js';
+import config from '../config/default.json' with { type: 'json' };
 
-app.get('/status', (req, res) => {
-    res.json({
-        mode: process.env.MODE || 'production',
-        dryRun: config.trading.dryRun,
-        balances: TradingService.getBalances(),
-        openPositions: RiskManager.getOpenPositions()
-        // TODO: Add more status info fields if needed
+/**
+ * @module StatusServer
+ * @description Optional HTTP server exposing the bot's status and the circuit breaker reset. Enabled with `server.enabled` in config.
+ */
+
+/**
+ * Starts the status server.
+ * @param {object} bot - The running CryptoBotApp.
+ * @param {number} [port] - Port to listen on (default from config).
+ * @returns {import('http').Server} The listening server.
+ */
+function startStatusServer(bot, port = config.server.port) {
+    const app = express();
+
+    app.get('/status', (req, res) => {
+        res.json({
+            mode: bot.mode,
+            dryRun: config.trading.dryRun,
+            marketDataSource: bot.marketDataService ? bot.marketDataService.getActiveSource() : null,
+            balances: TradingService.getBalances(),
+            openPositions: RiskManager.getOpenPositions(),
+            openOrders: TradingService.getOrders({ active: true }),
+            protectiveOrders: TradingService.getProtectiveOrders(),
+            deadMansSwitch: bot.deadMansSwitch ? bot.deadMansSwitch.getStatus() : { enabled: false },
+            circuitBreaker: RiskManager.getCircuitBreakerStatus(),
+            valueAtRisk: RiskManager.getValueAtRisk()
+        });
+    });
+
+    // Resumes entries after a circuit breaker halt. Requires `Authorization: Bearer <CONTROL_TOKEN>`.
+    app.post('/circuit-breaker/reset', (req, res) => {
+        const token = process.env.CONTROL_TOKEN;
+        if (!token || req.get('authorization') !== `Bearer ${token}`) {
+            res.status(403).json({ error: 'Forbidden' });
+            return;
+        }
+        logger.warn('Circuit breaker reset requested via the status server.');
+        res.json(TradingService.resetCircuitBreaker());
     });
-});
 
-app.listen(port, () => {
-    logger.info(`Server listening on http://localhost:${port}`);
-});
+    // Recorded orders, fills, positions and balances, e.g. /history?type=fill&symbol=BTC/USD&limit=50
+    app.get('/history', (req, res) => {
+        const { type, symbol, strategy, since, until, limit } = req.query;
+        res.json(TradingService.getHistory({
+            type: type ? type.split(',') : undefined,
+            symbol,
+            strategy,
+            since: since ? Number(since) : undefined,
+            until: until ? Number(until) : undefined,
+            limit: limit ? Number(limit) : undefined
+        }));
+    });
 
+    return app.listen(port, () => {
+        logger.info(`Status server listening on http://localhost:${port}`);
+    });
+}
 
+export { startStatusServer };
@@ -0,0 +1,143 @@
+/**
+ * @module DeadMansSwitch
+ * @description Keeps Kraken's `CancelAllOrdersAfter` timer armed while the bot is healthy. The timer is
+ * pushed back on every refresh; if the process hangs, loses network or reports itself unhealthy, refreshes
+ * stop and Kraken cancels all open orders once the timeout expires.
+ */
+
+import logger from '../utils/logger.js';
+import * as notifications from '../utils/notifications.js';
+
+class DeadMansSwitch {
+    /**
+     * @param {object} connector - KrakenConnector instance.
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs=60000] - Countdown armed on every refresh.
+     * @param {number} [options.refreshIntervalMs=15000] - How often the countdown is pushed back. Must be shorter than the timeout.
+     * @param {Function} [options.healthCheck] - Returns false while the bot should not be trusted with open orders.
+     */
+    constructor(connector, options = {}) {
+        this.connector = connector;
+        this.timeoutMs = options.timeoutMs ?? 60000;
+        this.refreshIntervalMs = options.refreshIntervalMs ?? 15000;
+        this.healthCheck = options.healthCheck || (() => true);
+
+        if (this.refreshIntervalMs >= this.timeoutMs) {
+            throw new Error(`Dead man's switch refresh interval (${this.refreshIntervalMs}ms) must be shorter than its timeout (${this.timeoutMs}ms).`);
+        }
+
+        this.timer = null;
+        this.active = false;
+        this.pendingRefresh = null;
+        this.lastRefreshAt = null;
+        this.triggerTime = null;
+        this.lastError = null;
+        this.consecutiveFailures = 0;
+        this.skippedRefreshes = 0;
+    }
+
+    /**
+     * Arms the exchange-side timer and starts refreshing it.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+        this.active = true;
+        await this.refresh(true);
+        this.timer = setInterval(() => {
+            if (!this.pendingRefresh) {
+                this.pendingRefresh = this.refresh().finally(() => { this.pendingRefresh = null; });
+            }
+        }, this.refreshIntervalMs);
+        logger.info(`Dead man's switch armed: open orders are cancelled ${this.timeoutMs / 1000}s after the last refresh.`);
+    }
+
+    /**
+     * Stops refreshing and, by default, disarms the exchange-side timer.
+     * @param {object} [options]
+     * @param {boolean} [options.disarm=true] - Disable the timer on Kraken. If false, it still fires after the timeout.
+     * @returns {Promise<void>}
+     */
+    async stop({ disarm = true } = {}) {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        await this.pendingRefresh; // A refresh landing after the disarm would re-arm the timer
+
+        if (!disarm) {
+            logger.info(`Dead man's switch no longer refreshed. Open orders will be cancelled at ${this.triggerTime}.`);
+            return;
+        }
+        try {
+            await this.connector.cancelAllOrdersAfter(0);
+            this.triggerTime = null;
+            logger.info('Dead man\'s switch disarmed.');
+        } catch (error) {
+            logger.error(`Failed to disarm dead man's switch: ${error.message}. Open orders will be cancelled at ${this.triggerTime}.`);
+        }
+    }
+
+    /**
+     * @returns {object} Switch state for status output: { enabled, active, healthy, timeoutMs, refreshIntervalMs,
+     * lastRefreshAt, triggerTime, consecutiveFailures, lastError }.
+     */
+    getStatus() {
+        return {
+            enabled: true,
+            active: this.active,
+            healthy: this.consecutiveFailures === 0 && this.skippedRefreshes === 0,
+            timeoutMs: this.timeoutMs,
+            refreshIntervalMs: this.refreshIntervalMs,
+            lastRefreshAt: this.lastRefreshAt ? new Date(this.lastRefreshAt).toISOString() : null,
+            triggerTime: this.triggerTime,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Pushes the exchange-side countdown back, unless the bot reports itself unhealthy.
+     * @private
+     * @param {boolean} [force=false] - Refresh regardless of the health check (used when arming).
+     * @returns {Promise<void>}
+     */
+    async refresh(force = false) {
+        if (!force && !this.healthCheck()) {
+            this.skippedRefreshes++;
+            if (this.skippedRefreshes === 1) {
+                logger.warn(`Bot unhealthy; dead man's switch not refreshed. Open orders will be cancelled at ${this.triggerTime} unless it recovers.`);
+                notifications.sendNotification(`⚠️ Bot unhealthy. Kraken will cancel all open orders at ${this.triggerTime} unless it recovers.`, 'error');
+            }
+            return;
+        }
+        if (this.skippedRefreshes > 0) {
+            logger.info('Bot healthy again; resuming dead man\'s switch refreshes.');
+            this.skippedRefreshes = 0;
+        }
+
+        try {
+            const { triggerTime } = await this.connector.cancelAllOrdersAfter(this.timeoutMs);
+            this.lastRefreshAt = Date.now();
+            this.triggerTime = triggerTime;
+            if (this.consecutiveFailures > 0) {
+                logger.info(`Dead man's switch refreshed again after ${this.consecutiveFailures} failure(s).`);
+            }
+            this.consecutiveFailures = 0;
+            this.lastError = null;
+        } catch (error) {
+            this.consecutiveFailures++;
+            this.lastError = error.message;
+            logger.error(`Failed to refresh dead man's switch (${this.consecutiveFailures} in a row): ${error.message}`);
+            if (this.consecutiveFailures === 1) {
+                notifications.sendNotification(`⚠️ Dead man's switch refresh failed: ${error.message}. Open orders will be cancelled at ${this.triggerTime} if this persists.`, 'error');
+            }
+        }
+    }
+}
+
+export default DeadMansSwitch;
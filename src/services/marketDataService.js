@@ -1,15 +1,507 @@
 /**
  * @module MarketDataService
  * @description Service for fetching and managing market data from exchanges.
+ * Streams real-time data from the Kraken WebSocket v2 API, falls back to REST
+ * polling while the WebSocket is disabled or down, and emits:
+ * - 'ohlcv' (symbol, candle) for every closed candle
+ * - 'ticker' (symbol, ticker) on ticker updates
+ * - 'trade' (symbol, trades) on public trades
+ * - 'orderbook' (symbol, orderBook) after every checksum-verified book change
  */
 
+import { EventEmitter } from 'events';
+import KrakenWebSocket from '../connectors/krakenWebSocket.js';
+import OrderBook from './orderBook.js';
+import { getTimeframeInMs } from '../connectors/kraken.js';
 import logger from '../utils/logger.js';
+import config from '../../config/default.json' with { type: 'json' };
 
-class MarketDataService {
-    constructor(exchange) {
+class MarketDataService extends EventEmitter {
+    /**
+     * @param {object} exchange - CCXT-compatible exchange used for REST requests.
+     * @param {object} [options]
+     * @param {Array<string>} [options.symbols] - Symbols to stream (default from config).
+     * @param {string} [options.timeframe] - Candle timeframe (default from config).
+     * @param {string} [options.websocketUrl] - Public WebSocket endpoint (default from config).
+     * @param {number} [options.heartbeatTimeoutMs] - See KrakenWebSocket.
+     * @param {number} [options.reconnectDelayMs] - See KrakenWebSocket.
+     * @param {number} [options.maxReconnectDelayMs] - See KrakenWebSocket.
+     * @param {boolean} [options.websocketEnabled] - Use the WebSocket feed (default from config).
+     * @param {number} [options.settleDelayMs] - Delay after a candle boundary before polling.
+     * @param {number} [options.retryDelayMs] - Delay before re-polling when the exchange has not published the closed candle yet.
+     * @param {number} [options.fallbackDelayMs] - How long the WebSocket may be down before polling takes over.
+     * @param {boolean} [options.orderBookEnabled] - Maintain local order books from the `book` channel (default from config).
+     * @param {number} [options.orderBookDepth] - Book depth to subscribe to: 10, 25, 100, 500 or 1000 (default from config).
+     */
+    constructor(exchange, options = {}) {
+        super();
         this.exchange = exchange;
         this.cache = new Map();
         this.subscribers = new Map(); // For real-time data subscriptions
+
+        const wsConfig = config.exchange.websocket || {};
+        this.symbols = options.symbols || config.exchange.symbols;
+        this.timeframe = options.timeframe || config.exchange.timeframe;
+        this.websocketUrl = options.websocketUrl || wsConfig.publicUrl;
+        this.websocketOptions = {
+            heartbeatTimeoutMs: options.heartbeatTimeoutMs ?? wsConfig.heartbeatTimeoutMs,
+            reconnectDelayMs: options.reconnectDelayMs ?? wsConfig.reconnectDelayMs,
+            maxReconnectDelayMs: options.maxReconnectDelayMs ?? wsConfig.maxReconnectDelayMs
+        };
+
+        const pollingConfig = config.exchange.polling || {};
+        this.websocketEnabled = options.websocketEnabled ?? config.exchange.websocketEnabled;
+        this.settleDelayMs = options.settleDelayMs ?? pollingConfig.settleDelayMs ?? 2000;
+        this.retryDelayMs = options.retryDelayMs ?? pollingConfig.retryDelayMs ?? 5000;
+        this.fallbackDelayMs = options.fallbackDelayMs ?? pollingConfig.fallbackDelayMs ?? 5000;
+
+        const orderBookConfig = config.exchange.orderBook || {};
+        this.orderBookEnabled = options.orderBookEnabled ?? orderBookConfig.enabled ?? false;
+        this.orderBookDepth = options.orderBookDepth ?? orderBookConfig.depth ?? 10;
+
+        this.socket = null;
+        this.polling = false;
+        this.pollRun = 0; // Incremented on every startPolling() so stale loops stop themselves
+        this.pollTimer = null;
+        this.fallbackTimer = null;
+        this.activeSource = null; // 'websocket' | 'polling' | null
+        this.openCandles = new Map(); // symbol -> candle currently being built by the exchange
+        this.lastClosedTimestamps = new Map(); // symbol -> timestamp of the last emitted candle
+        this.tickers = new Map(); // symbol -> latest ticker
+        this.orderBooks = new Map(); // symbol -> OrderBook
+        this.instruments = new Map(); // symbol -> { pricePrecision, qtyPrecision }
+        this.bookSubscribed = false; // Whether the book channel was requested on the current connection
+        this.resyncingBooks = new Set(); // Symbols waiting for a fresh snapshot after a checksum mismatch
+    }
+
+    /**
+     * Starts market data delivery. Uses the WebSocket feed when enabled and
+     * switches to REST polling whenever the socket is unavailable.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.websocketEnabled) {
+            this.startPolling();
+            return;
+        }
+        this.scheduleFallback();
+        this.connect();
+    }
+
+    /**
+     * Stops the WebSocket feed and REST polling.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearTimeout(this.fallbackTimer);
+        this.fallbackTimer = null;
+        this.stopPolling();
+        await this.disconnect();
+        this.setActiveSource(null);
+    }
+
+    /**
+     * @returns {string|null} The data source currently delivering candles ('websocket' or 'polling').
+     */
+    getActiveSource() {
+        return this.activeSource;
+    }
+
+    /**
+     * Opens the WebSocket feed and subscribes to ohlc, ticker and trade channels
+     * for every configured symbol. Subscriptions are restored after each reconnect.
+     * @returns {Promise<void>} Resolves once the socket is connected.
+     */
+    connect() {
+        if (this.socket) {
+            return Promise.resolve();
+        }
+        this.socket = new KrakenWebSocket(this.websocketUrl, this.websocketOptions);
+        this.socket.on('open', () => this.subscribeChannels());
+        this.socket.on('message', (message) => this.handleSocketMessage(message));
+        this.socket.on('close', () => {
+            this.emit('disconnected');
+            this.scheduleFallback();
+        });
+        return this.socket.connect();
+    }
+
+    /**
+     * Closes the WebSocket feed.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (!this.socket) {
+            return;
+        }
+        const socket = this.socket;
+        this.socket = null;
+        socket.removeAllListeners();
+        await socket.disconnect();
+        logger.info('Market data WebSocket disconnected.');
+    }
+
+    /**
+     * @returns {boolean} True if the WebSocket feed is connected.
+     */
+    isConnected() {
+        return !!this.socket && this.socket.isConnected();
+    }
+
+    /**
+     * Sends the channel subscriptions. Called on every (re)connect.
+     * @private
+     */
+    subscribeChannels() {
+        const interval = getTimeframeInMs(this.timeframe) / 60000;
+        this.socket.subscribe({ channel: 'ohlc', symbol: this.symbols, interval });
+        this.socket.subscribe({ channel: 'ticker', symbol: this.symbols });
+        this.socket.subscribe({ channel: 'trade', symbol: this.symbols, snapshot: false });
+        logger.info(`Subscribed to ohlc(${interval}m), ticker and trade channels for ${this.symbols.join(', ')}.`);
+
+        if (this.orderBookEnabled) {
+            // Book checksums need the pair precisions, so the book is requested once instruments arrive.
+            this.bookSubscribed = false;
+            this.resyncingBooks.clear();
+            this.orderBooks.clear();
+            this.socket.subscribe({ channel: 'instrument' });
+        }
+
+        // The snapshot sent for the new subscription covers anything missed while polling.
+        clearTimeout(this.fallbackTimer);
+        this.fallbackTimer = null;
+        this.stopPolling();
+        this.setActiveSource('websocket');
+        this.emit('connected');
+    }
+
+    /**
+     * Starts REST polling unless the WebSocket recovers within `fallbackDelayMs`.
+     * @private
+     */
+    scheduleFallback() {
+        if (this.fallbackTimer || this.polling) {
+            return; // Failed reconnect attempts must not keep pushing the fallback back
+        }
+        this.fallbackTimer = setTimeout(() => {
+            this.fallbackTimer = null;
+            if (!this.isConnected()) {
+                logger.warn(`Market data WebSocket unavailable for ${this.fallbackDelayMs}ms. Falling back to REST polling.`);
+                this.startPolling();
+            }
+        }, this.fallbackDelayMs);
+    }
+
+    /**
+     * Polls `fetchOHLCV` once per candle, shortly after each candle boundary,
+     * and emits newly closed candles.
+     */
+    startPolling() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        this.pollRun++;
+        this.setActiveSource('polling');
+        this.poll(this.pollRun);
+    }
+
+    /**
+     * Stops REST polling.
+     */
+    stopPolling() {
+        if (!this.polling) {
+            return;
+        }
+        this.polling = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        logger.info('REST polling stopped.');
+    }
+
+    /**
+     * Runs one polling round and schedules the next one.
+     * @private
+     * @param {number} run - Polling run this round belongs to.
+     * @returns {Promise<void>}
+     */
+    async poll(run) {
+        const complete = await this.pollOnce();
+        if (!this.polling || run !== this.pollRun) {
+            return;
+        }
+
+        const timeframeMs = getTimeframeInMs(this.timeframe);
+        const now = Date.now();
+        const nextBoundary = Math.floor(now / timeframeMs) * timeframeMs + timeframeMs;
+        // Retry sooner if the exchange had not published the latest closed candle yet
+        const delay = complete ? nextBoundary - now + this.settleDelayMs : Math.min(this.retryDelayMs, nextBoundary - now + this.settleDelayMs);
+        this.pollTimer = setTimeout(() => this.poll(run), delay);
+    }
+
+    /**
+     * Fetches recent candles for every symbol and emits the ones that closed since the last emitted candle.
+     * @private
+     * @returns {Promise<boolean>} True if every symbol is up to date with the latest closed candle.
+     */
+    async pollOnce() {
+        const timeframeMs = getTimeframeInMs(this.timeframe);
+        const latestClosedStart = Math.floor(Date.now() / timeframeMs) * timeframeMs - timeframeMs;
+        let complete = true;
+
+        for (const symbol of this.symbols) {
+            try {
+                const lastClosed = this.lastClosedTimestamps.get(symbol);
+                const missing = lastClosed === undefined ? 1 : Math.ceil((latestClosedStart - lastClosed) / timeframeMs);
+                const limit = Math.min(Math.max(missing, 0) + 2, config.exchange.fetchLimit || 500);
+
+                const ohlcv = await this.fetchOHLCV(symbol, this.timeframe, limit);
+                // Kraken's last entry is the uncommitted in-progress bar, even if its interval has already ended
+                const closedCandles = ohlcv
+                    .map(([timestamp, open, high, low, close, volume]) => ({ timestamp, open, high, low, close, volume }))
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .slice(0, -1)
+                    .filter(candle => candle.timestamp + timeframeMs <= Date.now());
+
+                if (closedCandles.length === 0) {
+                    complete = false;
+                    continue;
+                }
+
+                if (lastClosed === undefined) {
+                    // First poll: strategies already loaded history, so only track from here on.
+                    this.lastClosedTimestamps.set(symbol, closedCandles[closedCandles.length - 1].timestamp);
+                } else {
+                    closedCandles.forEach(candle => this.emitClosedCandle(symbol, candle));
+                }
+
+                if (this.lastClosedTimestamps.get(symbol) < latestClosedStart) {
+                    complete = false;
+                }
+            } catch (error) {
+                logger.error(`Polling failed for ${symbol}: ${error.message}`);
+                complete = false;
+            }
+        }
+        return complete;
+    }
+
+    /**
+     * Records and logs the data source currently delivering candles.
+     * @private
+     * @param {string|null} source - 'websocket', 'polling' or null.
+     */
+    setActiveSource(source) {
+        if (this.activeSource === source) {
+            return;
+        }
+        this.activeSource = source;
+        if (source) {
+            logger.info(`Market data source: ${source === 'websocket' ? 'Kraken WebSocket v2' : `REST polling (${this.timeframe})`}.`);
+        }
+        this.emit('source', source);
+    }
+
+    /**
+     * Dispatches a channel message from the WebSocket feed.
+     * @private
+     * @param {object} message - Parsed Kraken v2 message.
+     */
+    handleSocketMessage(message) {
+        switch (message.channel) {
+            case 'ohlc':
+                this.handleOHLCMessage(message);
+                break;
+            case 'ticker':
+                for (const entry of message.data || []) {
+                    const ticker = {
+                        symbol: entry.symbol,
+                        bid: entry.bid,
+                        ask: entry.ask,
+                        last: entry.last,
+                        high: entry.high,
+                        low: entry.low,
+                        volume: entry.volume,
+                        change: entry.change,
+                        percentage: entry.change_pct,
+                        timestamp: Date.now()
+                    };
+                    this.tickers.set(entry.symbol, ticker);
+                    this.emit('ticker', entry.symbol, ticker);
+                }
+                break;
+            case 'trade': {
+                const tradesBySymbol = new Map();
+                for (const entry of message.data || []) {
+                    if (!tradesBySymbol.has(entry.symbol)) {
+                        tradesBySymbol.set(entry.symbol, []);
+                    }
+                    tradesBySymbol.get(entry.symbol).push({
+                        id: entry.trade_id,
+                        side: entry.side,
+                        price: entry.price,
+                        amount: entry.qty,
+                        timestamp: Date.parse(entry.timestamp)
+                    });
+                }
+                for (const [symbol, trades] of tradesBySymbol) {
+                    this.emit('trade', symbol, trades);
+                }
+                break;
+            }
+            case 'instrument':
+                this.handleInstrumentMessage(message);
+                break;
+            case 'book':
+                this.handleBookMessage(message);
+                break;
+            case 'status':
+                logger.info(`Kraken WebSocket status: ${JSON.stringify(message.data)}`);
+                break;
+            default:
+                logger.debug(`Unhandled Kraken WebSocket channel '${message.channel}'.`);
+        }
+    }
+
+    /**
+     * Stores pair precisions and subscribes to the book channel once they are known.
+     * @private
+     * @param {object} message - Kraken v2 instrument message.
+     */
+    handleInstrumentMessage(message) {
+        for (const pair of (message.data && message.data.pairs) || []) {
+            if (this.symbols.includes(pair.symbol)) {
+                this.instruments.set(pair.symbol, {
+                    pricePrecision: pair.price_precision,
+                    qtyPrecision: pair.qty_precision
+                });
+            }
+        }
+
+        if (!this.bookSubscribed && this.symbols.every(symbol => this.instruments.has(symbol))) {
+            this.bookSubscribed = true;
+            this.socket.subscribe({ channel: 'book', symbol: this.symbols, depth: this.orderBookDepth });
+            logger.info(`Subscribed to book(${this.orderBookDepth}) channel for ${this.symbols.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Applies book snapshots and updates, verifies the checksum after each one
+     * and resubscribes the symbol when the local book has drifted.
+     * @private
+     * @param {object} message - Kraken v2 book message.
+     */
+    handleBookMessage(message) {
+        for (const entry of message.data || []) {
+            const symbol = entry.symbol;
+            let book = this.orderBooks.get(symbol);
+
+            if (message.type === 'snapshot') {
+                const instrument = this.instruments.get(symbol) || {};
+                book = new OrderBook(symbol, { depth: this.orderBookDepth, ...instrument });
+                book.applySnapshot(entry);
+                this.orderBooks.set(symbol, book);
+                this.resyncingBooks.delete(symbol);
+            } else {
+                if (!book || this.resyncingBooks.has(symbol)) {
+                    continue; // Updates are meaningless until a fresh snapshot arrives
+                }
+                book.applyUpdate(entry);
+            }
+
+            if (book.canVerify() && !book.verifyChecksum(entry.checksum)) {
+                logger.warn(`Order book checksum mismatch for ${symbol} (expected ${entry.checksum}, got ${book.computeChecksum()}). Resyncing.`);
+                this.resyncOrderBook(symbol);
+                continue;
+            }
+
+            this.emit('orderbook', symbol, book);
+        }
+    }
+
+    /**
+     * Drops the local book for a symbol and requests a fresh snapshot.
+     * @private
+     * @param {string} symbol - Trading pair symbol.
+     */
+    resyncOrderBook(symbol) {
+        this.orderBooks.delete(symbol);
+        this.resyncingBooks.add(symbol);
+        const params = { channel: 'book', symbol: [symbol], depth: this.orderBookDepth };
+        this.socket.unsubscribe(params);
+        this.socket.subscribe(params);
+    }
+
+    /**
+     * Tracks the in-progress candle per symbol and emits the previous one once
+     * the exchange starts a new interval. Snapshots only emit candles that closed
+     * after the last one we emitted (e.g. while reconnecting).
+     * @private
+     * @param {object} message - Kraken v2 ohlc message.
+     */
+    handleOHLCMessage(message) {
+        const interval = getTimeframeInMs(this.timeframe) / 60000;
+        const entries = (message.data || [])
+            .filter(entry => entry.interval === interval)
+            .map(entry => ({ symbol: entry.symbol, candle: this.toCandle(entry) }))
+            .sort((a, b) => a.candle.timestamp - b.candle.timestamp);
+
+        if (message.type === 'snapshot') {
+            const latestBySymbol = new Map();
+            for (const { symbol, candle } of entries) {
+                latestBySymbol.set(symbol, candle.timestamp);
+            }
+            for (const [symbol, latest] of latestBySymbol) {
+                // On the first snapshot the history is already known to strategies; only track from here on.
+                if (!this.lastClosedTimestamps.has(symbol)) {
+                    this.lastClosedTimestamps.set(symbol, latest - getTimeframeInMs(this.timeframe));
+                }
+                this.openCandles.delete(symbol);
+            }
+        }
+
+        for (const { symbol, candle } of entries) {
+            const openCandle = this.openCandles.get(symbol);
+            if (openCandle && candle.timestamp > openCandle.timestamp) {
+                this.emitClosedCandle(symbol, openCandle);
+            }
+            if (!openCandle || candle.timestamp >= openCandle.timestamp) {
+                this.openCandles.set(symbol, candle);
+            }
+        }
+    }
+
+    /**
+     * Emits a closed candle unless it was already emitted.
+     * @private
+     * @param {string} symbol - Trading pair symbol.
+     * @param {object} candle - Closed candle.
+     */
+    emitClosedCandle(symbol, candle) {
+        const lastClosed = this.lastClosedTimestamps.get(symbol);
+        if (lastClosed !== undefined && candle.timestamp <= lastClosed) {
+            return;
+        }
+        this.lastClosedTimestamps.set(symbol, candle.timestamp);
+        logger.debug(`Closed candle for ${symbol}: ${new Date(candle.timestamp).toISOString()} close ${candle.close}`);
+        this.emit('ohlcv', symbol, candle);
+    }
+
+    /**
+     * Converts a Kraken v2 ohlc entry to the candle format used by strategies.
+     * @private
+     * @param {object} entry - Kraken v2 ohlc entry.
+     * @returns {object} { timestamp, open, high, low, close, volume }
+     */
+    toCandle(entry) {
+        return {
+            timestamp: Date.parse(entry.interval_begin),
+            open: entry.open,
+            high: entry.high,
+            low: entry.low,
+            close: entry.close,
+            volume: entry.volume
+        };
     }
 
     /**
@@ -102,6 +594,45 @@ class MarketDataService {
         }
     }
 
+    /**
+     * Gets the latest ticker received over the WebSocket feed.
+     * @param {string} symbol - Trading pair symbol
+     * @returns {object|null} Latest ticker or null
+     */
+    getLatestTicker(symbol) {
+        return this.tickers.get(symbol) || null;
+    }
+
+    /**
+     * Gets the live local order book for a symbol.
+     * @param {string} symbol - Trading pair symbol
+     * @returns {OrderBook|null} The order book or null if not synced
+     */
+    getOrderBook(symbol) {
+        return this.orderBooks.get(symbol) || null;
+    }
+
+    /**
+     * Gets the best bid and ask from the live order book.
+     * @param {string} symbol - Trading pair symbol
+     * @returns {{bid: object|null, ask: object|null}|null} Best levels ({ price, qty }) or null if not synced
+     */
+    getBestBidAsk(symbol) {
+        const book = this.getOrderBook(symbol);
+        return book ? { bid: book.getBestBid(), ask: book.getBestAsk() } : null;
+    }
+
+    /**
+     * Gets the top N levels of the live order book.
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} levels - Number of levels per side
+     * @returns {object|null} { symbol, bids, asks, timestamp } or null if not synced
+     */
+    getOrderBookDepth(symbol, levels = 10) {
+        const book = this.getOrderBook(symbol);
+        return book ? book.getDepth(levels) : null;
+    }
+
     /**
      * Clears the cache.
      */
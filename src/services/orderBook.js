@@ -0,0 +1,216 @@
+/**
+ * @module OrderBook
+ * @description Local L2 order book for one symbol, maintained from the Kraken WebSocket v2 `book` channel.
+ * Levels are stored as price -> quantity maps and validated against Kraken's CRC32 checksum.
+ */
+
+import { crc32 } from '../utils/crc32.js';
+
+const CHECKSUM_LEVELS = 10; // Kraken checksums cover the top 10 levels of each side
+
+class OrderBook {
+    /**
+     * @param {string} symbol - Trading pair symbol.
+     * @param {object} [options]
+     * @param {number} [options.depth=10] - Number of levels per side to keep (the subscribed depth).
+     * @param {number} [options.pricePrecision] - Decimal places of prices for this pair.
+     * @param {number} [options.qtyPrecision] - Decimal places of quantities for this pair.
+     */
+    constructor(symbol, options = {}) {
+        this.symbol = symbol;
+        this.depth = options.depth ?? 10;
+        this.pricePrecision = options.pricePrecision;
+        this.qtyPrecision = options.qtyPrecision;
+        this.bids = new Map(); // price -> qty
+        this.asks = new Map(); // price -> qty
+        this.timestamp = null;
+    }
+
+    /**
+     * Replaces the book with a snapshot.
+     * @param {object} snapshot - { bids: [{ price, qty }], asks: [{ price, qty }], timestamp? }
+     */
+    applySnapshot(snapshot) {
+        this.clear();
+        this.applyUpdate(snapshot);
+    }
+
+    /**
+     * Applies incremental level changes. A quantity of 0 removes the level.
+     * Levels pushed out beyond the subscribed depth are dropped.
+     * @param {object} update - { bids: [{ price, qty }], asks: [{ price, qty }], timestamp? }
+     */
+    applyUpdate(update) {
+        for (const level of update.bids || []) {
+            this.setLevel(this.bids, level);
+        }
+        for (const level of update.asks || []) {
+            this.setLevel(this.asks, level);
+        }
+        this.truncate(this.bids, (a, b) => b - a);
+        this.truncate(this.asks, (a, b) => a - b);
+        if (update.timestamp) {
+            this.timestamp = Date.parse(update.timestamp);
+        }
+    }
+
+    /**
+     * Computes Kraken's book checksum for the current state.
+     * @returns {number} Unsigned 32-bit CRC32.
+     */
+    computeChecksum() {
+        const asks = this.getSortedLevels(this.asks, (a, b) => a - b, CHECKSUM_LEVELS);
+        const bids = this.getSortedLevels(this.bids, (a, b) => b - a, CHECKSUM_LEVELS);
+        const serialized = [...asks, ...bids]
+            .map(([price, qty]) => this.formatChecksumValue(price, this.pricePrecision) + this.formatChecksumValue(qty, this.qtyPrecision))
+            .join('');
+        return crc32(serialized);
+    }
+
+    /**
+     * Verifies the book against the checksum sent by Kraken.
+     * @param {number} expected - Checksum from the book message.
+     * @returns {boolean} True if the local book matches.
+     */
+    verifyChecksum(expected) {
+        return this.computeChecksum() === expected;
+    }
+
+    /**
+     * @returns {boolean} True if the pair precisions needed for checksums are known.
+     */
+    canVerify() {
+        return Number.isInteger(this.pricePrecision) && Number.isInteger(this.qtyPrecision);
+    }
+
+    /**
+     * @returns {{price: number, qty: number}|null} Highest bid.
+     */
+    getBestBid() {
+        const [level] = this.getSortedLevels(this.bids, (a, b) => b - a, 1);
+        return level ? { price: level[0], qty: level[1] } : null;
+    }
+
+    /**
+     * @returns {{price: number, qty: number}|null} Lowest ask.
+     */
+    getBestAsk() {
+        const [level] = this.getSortedLevels(this.asks, (a, b) => a - b, 1);
+        return level ? { price: level[0], qty: level[1] } : null;
+    }
+
+    /**
+     * @returns {number|null} Difference between best ask and best bid.
+     */
+    getSpread() {
+        const bid = this.getBestBid();
+        const ask = this.getBestAsk();
+        return bid && ask ? ask.price - bid.price : null;
+    }
+
+    /**
+     * Returns the top levels of both sides in CCXT order book format.
+     * @param {number} [levels=10] - Number of levels per side.
+     * @returns {{symbol: string, bids: Array<Array<number>>, asks: Array<Array<number>>, timestamp: number|null}}
+     */
+    getDepth(levels = 10) {
+        return {
+            symbol: this.symbol,
+            bids: this.getSortedLevels(this.bids, (a, b) => b - a, levels),
+            asks: this.getSortedLevels(this.asks, (a, b) => a - b, levels),
+            timestamp: this.timestamp
+        };
+    }
+
+    /**
+     * Estimates the fill of a market order by walking the book.
+     * @param {'buy'|'sell'} side - Order side ('buy' consumes asks, 'sell' consumes bids).
+     * @param {number} amount - Amount in base currency.
+     * @returns {{averagePrice: number|null, worstPrice: number|null, filled: number, slippage: number|null}}
+     * Slippage is the relative distance between the average fill price and the best price.
+     */
+    estimateFill(side, amount) {
+        const levels = side === 'buy'
+            ? this.getSortedLevels(this.asks, (a, b) => a - b)
+            : this.getSortedLevels(this.bids, (a, b) => b - a);
+
+        let remaining = amount;
+        let cost = 0;
+        let worstPrice = null;
+        for (const [price, qty] of levels) {
+            if (remaining <= 0) {
+                break;
+            }
+            const take = Math.min(qty, remaining);
+            cost += take * price;
+            remaining -= take;
+            worstPrice = price;
+        }
+
+        const filled = amount - remaining;
+        if (filled <= 0) {
+            return { averagePrice: null, worstPrice: null, filled: 0, slippage: null };
+        }
+        const averagePrice = cost / filled;
+        const bestPrice = levels[0][0];
+        return {
+            averagePrice,
+            worstPrice,
+            filled,
+            slippage: Math.abs(averagePrice - bestPrice) / bestPrice
+        };
+    }
+
+    /**
+     * Removes all levels.
+     */
+    clear() {
+        this.bids.clear();
+        this.asks.clear();
+        this.timestamp = null;
+    }
+
+    /**
+     * @private
+     */
+    setLevel(side, { price, qty }) {
+        if (qty === 0) {
+            side.delete(price);
+        } else {
+            side.set(price, qty);
+        }
+    }
+
+    /**
+     * @private
+     */
+    truncate(side, compare) {
+        if (side.size <= this.depth) {
+            return;
+        }
+        const prices = [...side.keys()].sort(compare);
+        for (const price of prices.slice(this.depth)) {
+            side.delete(price);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Array<Array<number>>} [[price, qty], ...] sorted by `compare`.
+     */
+    getSortedLevels(side, compare, limit = Infinity) {
+        return [...side.entries()]
+            .sort((a, b) => compare(a[0], b[0]))
+            .slice(0, limit);
+    }
+
+    /**
+     * Formats a value the way Kraken does for checksums: fixed precision, no decimal point, no leading zeros.
+     * @private
+     */
+    formatChecksumValue(value, precision) {
+        return value.toFixed(precision).replace('.', '').replace(/^0+/, '');
+    }
+}
+
+export default OrderBook;
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * @module OrderJournal
+ * @description Append-only JSONL record of order submissions. Each order is written with its client order ID
+ * before it is sent, so an order whose submission outcome was never learned (timeout, crash) can still be
+ * found on the exchange by that ID instead of being placed twice.
+ */
+
+class OrderJournal {
+    /**
+     * @param {string} [file] - JSONL file to append to. Without a file, entries are only kept in memory.
+     */
+    constructor(file = null) {
+        this.file = file;
+        this.entries = new Map(); // clientOrderId -> latest state
+        this.load();
+    }
+
+    /**
+     * Records an order about to be submitted. Written synchronously so it is on disk before the order is sent.
+     * Throws if the entry cannot be written; the order must then not be sent.
+     * @param {object} order - { clientOrderId, symbol, side, type, amount, price, strategy, intent, mode }.
+     */
+    recordSubmission(order) {
+        this.append({ event: 'submitted', ...order });
+    }
+
+    /**
+     * Records that the exchange accepted the order.
+     * @param {string} clientOrderId - Client order ID given at submission.
+     * @param {object} order - Order returned by the exchange.
+     */
+    recordAccepted(clientOrderId, order) {
+        this.tryAppend({ event: 'accepted', clientOrderId, orderId: order.id, status: order.status });
+    }
+
+    /**
+     * Records that the order did not reach the book.
+     * @param {string} clientOrderId - Client order ID given at submission.
+     * @param {string} reason - Error message.
+     */
+    recordFailed(clientOrderId, reason) {
+        this.tryAppend({ event: 'failed', clientOrderId, reason });
+    }
+
+    /**
+     * Records that it could not be determined whether the order reached the book.
+     * @param {string} clientOrderId - Client order ID given at submission.
+     * @param {string} reason - Error message.
+     */
+    recordUnknown(clientOrderId, reason) {
+        this.tryAppend({ event: 'unknown', clientOrderId, reason });
+    }
+
+    /**
+     * @param {string} clientOrderId - Client order ID.
+     * @returns {object|null} Latest state of the order: the submission fields plus `event`, `orderId` and `reason`.
+     */
+    get(clientOrderId) {
+        return this.entries.get(clientOrderId) || null;
+    }
+
+    /**
+     * @param {string} orderId - Exchange order ID.
+     * @returns {object|null} Latest state of the accepted order with this exchange ID.
+     */
+    findByOrderId(orderId) {
+        return [...this.entries.values()].find(entry => entry.orderId === orderId) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Orders that were submitted but never confirmed as accepted or failed.
+     */
+    getUnresolved() {
+        return [...this.entries.values()].filter(entry => entry.event === 'submitted' || entry.event === 'unknown');
+    }
+
+    /**
+     * @private
+     */
+    append(record) {
+        const entry = { ...record, timestamp: new Date().toISOString() };
+        if (this.file) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const fd = fs.openSync(this.file, 'a');
+            try {
+                fs.writeSync(fd, JSON.stringify(entry) + '\n');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        }
+        this.remember(entry);
+    }
+
+    /**
+     * Appends an outcome record. The order has already been sent at this point, so a write failure is only logged;
+     * the in-memory state is still updated.
+     * @private
+     */
+    tryAppend(record) {
+        try {
+            this.append(record);
+        } catch (error) {
+            logger.error(`Could not write ${record.event} record for order ${record.clientOrderId} to ${this.file}: ${error.message}`);
+            this.remember({ ...record, timestamp: new Date().toISOString() });
+        }
+    }
+
+    /**
+     * @private
+     */
+    remember(entry) {
+        this.entries.set(entry.clientOrderId, { ...this.entries.get(entry.clientOrderId), ...entry });
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return;
+        }
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                this.remember(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line
+                logger.warn(`Skipping unreadable line ${index + 1} of order journal ${this.file}: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Generates a client order ID in the UUID format Kraken accepts for `cl_ord_id`.
+ * @returns {string} A new client order ID.
+ */
+function generateClientOrderId() {
+    return crypto.randomUUID();
+}
+
+export default OrderJournal;
+export { generateClientOrderId };
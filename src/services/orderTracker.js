@@ -0,0 +1,310 @@
+/**
+ * @module OrderTracker
+ * @description Tracks the lifecycle of orders from submission to a final state. Exchange responses
+ * (CCXT orders from REST calls) and private-feed events (Kraken WebSocket executions) both move an order
+ * through the same state machine:
+ *
+ *   pending-submit -> open -> partially-filled -> filled
+ *                          \-> cancelled | expired        (also from partially-filled)
+ *   pending-submit -> rejected
+ *
+ * Updates that would move an order backwards (e.g. a late 'open' after 'filled') are ignored, and the
+ * filled quantity never decreases.
+ *
+ * Emits:
+ * - 'update' (order, previousState) on every state or fill change
+ * - 'fill' (order, { amount, price }) when the filled quantity grows, with the size and price of the increase
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+const ORDER_STATES = {
+    PENDING_SUBMIT: 'pending-submit',
+    OPEN: 'open',
+    PARTIALLY_FILLED: 'partially-filled',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired'
+};
+
+const TRANSITIONS = {
+    'pending-submit': ['open', 'partially-filled', 'filled', 'cancelled', 'rejected', 'expired'],
+    'open': ['partially-filled', 'filled', 'cancelled', 'expired'],
+    'partially-filled': ['filled', 'cancelled', 'expired'],
+    'filled': [],
+    'cancelled': [],
+    'rejected': [],
+    'expired': []
+};
+
+const FINAL_STATES = ['filled', 'cancelled', 'rejected', 'expired'];
+
+/** CCXT order statuses and Kraken WebSocket `order_status` values. */
+const STATUS_STATES = {
+    open: 'open',
+    closed: 'filled',
+    canceled: 'cancelled',
+    expired: 'expired',
+    rejected: 'rejected',
+    pending_new: 'pending-submit',
+    new: 'open',
+    partially_filled: 'partially-filled',
+    filled: 'filled'
+};
+
+class OrderTracker extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxFinishedOrders=500] - Orders in a final state kept for queries; the oldest are dropped.
+     */
+    constructor(options = {}) {
+        super();
+        this.maxFinishedOrders = options.maxFinishedOrders ?? 500;
+        this.orders = new Map(); // key (client order ID, or exchange ID for orders placed elsewhere) -> order
+        this.keysById = new Map(); // exchange order ID -> key
+    }
+
+    /**
+     * Starts tracking an order that is about to be submitted.
+     * @param {object} details - { clientOrderId, symbol, side, type, amount, price, strategy, intent, stopLoss,
+     * sizing }, where `intent` is the purpose of the order for its strategy (e.g. 'entry', 'exit'), `stopLoss`
+     * the stop an entry was sized for and `sizing` the sizing model and its inputs ({ model, inputs }).
+     * @returns {object} The tracked order in state 'pending-submit'.
+     */
+    create(details) {
+        const order = this.newOrder(details);
+        this.orders.set(order.clientOrderId, order);
+        return { ...order };
+    }
+
+    /**
+     * Starts tracking an order that is already on the exchange, e.g. one placed before a restart. Fills
+     * that happened before adoption are taken as they are, without 'fill' or 'update' events.
+     * @param {object} exchangeOrder - Order from KrakenConnector.
+     * @param {object} [details] - { clientOrderId, strategy, intent } known from the order journal.
+     * @returns {object} The tracked order.
+     */
+    adopt(exchangeOrder, details = {}) {
+        const order = this.newOrder({ ...exchangeOrder, ...details, clientOrderId: details.clientOrderId ?? exchangeOrder.clientOrderId ?? null });
+        order.id = exchangeOrder.id;
+        order.filled = exchangeOrder.filled ?? 0;
+        order.remaining = Math.max(order.amount - order.filled, 0);
+        order.average = exchangeOrder.average ?? null;
+        const state = STATUS_STATES[exchangeOrder.status] || ORDER_STATES.OPEN;
+        order.state = state === ORDER_STATES.OPEN && order.filled > 0 ? ORDER_STATES.PARTIALLY_FILLED : state;
+        this.orders.set(order.clientOrderId || order.id, order);
+        this.keysById.set(order.id, order.clientOrderId || order.id);
+        return { ...order };
+    }
+
+    /**
+     * @private
+     */
+    newOrder(details) {
+        const now = Date.now();
+        return {
+            id: null,
+            clientOrderId: details.clientOrderId,
+            symbol: details.symbol,
+            side: details.side,
+            type: details.type,
+            amount: details.amount,
+            price: details.price ?? null,
+            strategy: details.strategy ?? null,
+            intent: details.intent ?? null,
+            stopLoss: details.stopLoss ?? null,
+            sizing: details.sizing ?? null,
+            state: ORDER_STATES.PENDING_SUBMIT,
+            filled: 0,
+            remaining: details.amount,
+            average: null,
+            reason: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Applies an order returned by the exchange (placement or lookup).
+     * @param {object} exchangeOrder - Order from KrakenConnector or PaperTrader.
+     * @param {string} [clientOrderId] - Client order ID of the tracked order, if the response doesn't carry it.
+     * @returns {object|null} The updated order.
+     */
+    applyExchangeOrder(exchangeOrder, clientOrderId = undefined) {
+        const state = STATUS_STATES[exchangeOrder.status];
+        // Orders reported as closed without fill details (e.g. paper fills) filled completely
+        const filled = exchangeOrder.filled ?? (state === 'filled' ? exchangeOrder.amount : undefined);
+        return this.apply({
+            id: exchangeOrder.id,
+            clientOrderId: clientOrderId ?? exchangeOrder.clientOrderId,
+            symbol: exchangeOrder.symbol,
+            side: exchangeOrder.side,
+            type: exchangeOrder.type,
+            amount: exchangeOrder.amount,
+            price: exchangeOrder.type === 'market' ? undefined : exchangeOrder.price,
+            state,
+            filled,
+            average: exchangeOrder.average ?? (filled > 0 ? exchangeOrder.price : undefined)
+        });
+    }
+
+    /**
+     * Applies an order event from the private feed. Kraken only sends changed fields, so missing fields keep
+     * their tracked values.
+     * @param {object} event - Order event from PrivateFeedService.
+     * @returns {object|null} The updated order.
+     */
+    applyFeedEvent(event) {
+        return this.apply({
+            id: event.orderId,
+            clientOrderId: event.clientOrderId,
+            symbol: event.symbol,
+            side: event.side,
+            type: event.type,
+            amount: event.amount,
+            price: event.price,
+            state: STATUS_STATES[event.status],
+            filled: event.filled,
+            average: event.average,
+            reason: event.reason
+        });
+    }
+
+    /**
+     * Marks a submitted order as rejected (the exchange refused it or it never reached the exchange).
+     * @param {string} clientOrderId - Client order ID of the tracked order.
+     * @param {string} reason - Rejection reason.
+     * @returns {object|null} The updated order.
+     */
+    reject(clientOrderId, reason) {
+        return this.apply({ clientOrderId, state: ORDER_STATES.REJECTED, reason });
+    }
+
+    /**
+     * @param {string} id - Exchange order ID or client order ID.
+     * @returns {object|null} A copy of the order, or null if unknown.
+     */
+    getOrder(id) {
+        const order = this.find(id);
+        return order ? { ...order } : null;
+    }
+
+    /**
+     * @param {object} [filter]
+     * @param {string} [filter.symbol] - Only orders for this pair.
+     * @param {string} [filter.strategy] - Only orders placed by this strategy.
+     * @param {string|Array<string>} [filter.state] - Only orders in this state (or these states).
+     * @param {boolean} [filter.active] - Only orders not yet in a final state.
+     * @returns {Array<object>} Copies of matching orders, oldest first.
+     */
+    getOrders({ symbol, strategy, state, active } = {}) {
+        const states = state ? [].concat(state) : null;
+        return [...this.orders.values()]
+            .filter(order => (!symbol || order.symbol === symbol)
+                && (!strategy || order.strategy === strategy)
+                && (!states || states.includes(order.state))
+                && (!active || !FINAL_STATES.includes(order.state)))
+            .map(order => ({ ...order }));
+    }
+
+    /**
+     * @private
+     */
+    find(id) {
+        if (!id) {
+            return null;
+        }
+        return this.orders.get(id) || this.orders.get(this.keysById.get(id)) || null;
+    }
+
+    /**
+     * Moves an order to a new state and merges known fields.
+     * @private
+     * @param {object} update - Order fields; undefined fields are ignored.
+     * @returns {object|null} A copy of the updated order, or null if the update could not be matched.
+     */
+    apply(update) {
+        let order = this.find(update.id) || this.find(update.clientOrderId);
+        if (!order) {
+            if (!update.id) {
+                logger.warn(`Order update for unknown client order ID ${update.clientOrderId} ignored.`);
+                return null;
+            }
+            // Placed outside this process (protective orders, manual trades, earlier runs)
+            order = this.newOrder({
+                clientOrderId: update.clientOrderId ?? null,
+                symbol: update.symbol,
+                side: update.side,
+                type: update.type,
+                amount: update.amount
+            });
+            this.orders.set(update.clientOrderId || update.id, order);
+        }
+        if (update.id && !order.id) {
+            order.id = update.id;
+            this.keysById.set(update.id, order.clientOrderId || update.id);
+        }
+
+        const previous = { ...order };
+        for (const field of ['symbol', 'side', 'type', 'amount', 'price', 'reason']) {
+            if (update[field] !== undefined && update[field] !== null) {
+                order[field] = update[field];
+            }
+        }
+        if (update.filled !== undefined && update.filled > order.filled) {
+            order.filled = update.filled;
+            order.average = update.average ?? order.average;
+        }
+        order.remaining = order.amount !== undefined ? Math.max(order.amount - order.filled, 0) : undefined;
+
+        let state = update.state;
+        if (state === ORDER_STATES.OPEN && order.filled > 0) {
+            state = ORDER_STATES.PARTIALLY_FILLED;
+        }
+        if (state && state !== order.state) {
+            if (TRANSITIONS[order.state].includes(state)) {
+                order.state = state;
+            } else {
+                logger.debug(`Ignoring ${order.state} -> ${state} transition for order ${order.id || order.clientOrderId}.`);
+            }
+        }
+
+        if (order.state === previous.state && order.filled === previous.filled) {
+            return { ...order };
+        }
+        order.updatedAt = Date.now();
+        logger.debug(`Order ${order.id || order.clientOrderId} ${order.symbol}: ${previous.state} -> ${order.state} (filled ${order.filled}/${order.amount}).`);
+
+        if (order.filled > previous.filled) {
+            const amount = order.filled - previous.filled;
+            // Price of this increment, from the change in filled cost
+            const price = previous.filled > 0 && previous.average !== null
+                ? (order.filled * order.average - previous.filled * previous.average) / amount
+                : order.average;
+            this.emit('fill', { ...order }, { amount, price });
+        }
+        this.emit('update', { ...order }, previous.state);
+        if (FINAL_STATES.includes(order.state)) {
+            this.pruneFinished();
+        }
+        return { ...order };
+    }
+
+    /**
+     * @private
+     */
+    pruneFinished() {
+        const finished = [...this.orders.entries()].filter(([, order]) => FINAL_STATES.includes(order.state));
+        for (const [key, order] of finished.slice(0, Math.max(finished.length - this.maxFinishedOrders, 0))) {
+            this.orders.delete(key);
+            if (order.id) {
+                this.keysById.delete(order.id);
+            }
+        }
+    }
+}
+
+export default OrderTracker;
+export { ORDER_STATES, FINAL_STATES };
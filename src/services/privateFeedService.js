@@ -0,0 +1,165 @@
+/**
+ * @module PrivateFeedService
+ * @description Authenticated Kraken WebSocket v2 session for the account's own orders and trades.
+ * Subscribes to the `executions` channel (the v2 successor of `openOrders` and `ownTrades`) and emits:
+ * - 'subscribed' after every (re)subscription, so callers can refresh state missed while disconnected
+ * - 'order' (event) for every order status change, including the open-order snapshot
+ * - 'fill' (event) for every trade execution, partial or complete
+ * - 'cancel' (event) when an order is cancelled or expires
+ */
+
+import { EventEmitter } from 'events';
+import KrakenWebSocket from '../connectors/krakenWebSocket.js';
+import logger from '../utils/logger.js';
+import config from '../../config/default.json' with { type: 'json' };
+
+class PrivateFeedService extends EventEmitter {
+    /**
+     * @param {Function} tokenProvider - Async function returning a fresh token from `GetWebSocketsToken`.
+     * @param {object} [options]
+     * @param {string} [options.websocketUrl] - Authenticated WebSocket endpoint (default from config).
+     * @param {number} [options.heartbeatTimeoutMs] - See KrakenWebSocket.
+     * @param {number} [options.reconnectDelayMs] - See KrakenWebSocket.
+     * @param {number} [options.maxReconnectDelayMs] - See KrakenWebSocket.
+     */
+    constructor(tokenProvider, options = {}) {
+        super();
+        const wsConfig = config.exchange.websocket || {};
+        this.tokenProvider = tokenProvider;
+        this.websocketUrl = options.websocketUrl || wsConfig.privateUrl;
+        this.websocketOptions = {
+            heartbeatTimeoutMs: options.heartbeatTimeoutMs ?? wsConfig.heartbeatTimeoutMs,
+            reconnectDelayMs: options.reconnectDelayMs ?? wsConfig.reconnectDelayMs,
+            maxReconnectDelayMs: options.maxReconnectDelayMs ?? wsConfig.maxReconnectDelayMs
+        };
+        this.socket = null;
+    }
+
+    /**
+     * Opens the authenticated connection. A new token is requested for every (re)connect.
+     * @returns {Promise<void>} Resolves once the socket is connected.
+     */
+    connect() {
+        if (this.socket) {
+            return Promise.resolve();
+        }
+        this.socket = new KrakenWebSocket(this.websocketUrl, this.websocketOptions);
+        this.socket.on('open', () => this.subscribeExecutions());
+        this.socket.on('message', (message) => this.handleSocketMessage(message));
+        this.socket.on('close', () => this.emit('disconnected'));
+        return this.socket.connect();
+    }
+
+    /**
+     * Closes the authenticated connection.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (!this.socket) {
+            return;
+        }
+        const socket = this.socket;
+        this.socket = null;
+        socket.removeAllListeners();
+        await socket.disconnect();
+        logger.info('Private WebSocket disconnected.');
+    }
+
+    /**
+     * @returns {boolean} True if the authenticated connection is open.
+     */
+    isConnected() {
+        return !!this.socket && this.socket.isConnected();
+    }
+
+    /**
+     * Subscribes to the executions channel with a fresh token.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async subscribeExecutions() {
+        const socket = this.socket;
+        let token;
+        try {
+            token = await this.tokenProvider();
+        } catch (error) {
+            logger.error(`Could not obtain a WebSocket token: ${error.message}. Reconnecting.`);
+            socket.ws?.terminate();
+            return;
+        }
+        if (socket !== this.socket || !socket.isConnected()) {
+            return; // Disconnected while waiting for the token
+        }
+
+        // Trades executed while disconnected are not replayed; 'subscribed' lets callers resync from REST.
+        socket.subscribe({ channel: 'executions', token, snap_orders: true, snap_trades: false });
+        logger.info('Subscribed to private executions channel.');
+        this.emit('subscribed');
+    }
+
+    /**
+     * Dispatches a channel message from the authenticated feed.
+     * @private
+     * @param {object} message - Parsed Kraken v2 message.
+     */
+    handleSocketMessage(message) {
+        if (message.channel !== 'executions') {
+            if (message.channel !== 'status') {
+                logger.debug(`Unhandled private WebSocket channel '${message.channel}'.`);
+            }
+            return;
+        }
+
+        const snapshot = message.type === 'snapshot';
+        for (const entry of message.data || []) {
+            const event = this.toOrderEvent(entry, snapshot);
+            this.emit('order', event);
+
+            if (event.execType === 'trade') {
+                this.emit('fill', event);
+            } else if (event.execType === 'canceled' || event.execType === 'expired') {
+                this.emit('cancel', event);
+            }
+        }
+    }
+
+    /**
+     * Normalizes an executions entry. Kraken only sends changed fields on updates, so
+     * anything not present in the entry is left undefined.
+     * @private
+     * @param {object} entry - Kraken v2 executions entry.
+     * @param {boolean} snapshot - True if the entry is part of the initial snapshot.
+     * @returns {object} Order event.
+     */
+    toOrderEvent(entry, snapshot) {
+        const fees = entry.fees || [];
+        return {
+            orderId: entry.order_id,
+            clientOrderId: entry.cl_ord_id,
+            userref: entry.order_userref,
+            symbol: entry.symbol,
+            side: entry.side,
+            type: entry.order_type,
+            execType: snapshot ? 'snapshot' : entry.exec_type,
+            status: entry.order_status, // pending_new, new, partially_filled, filled, canceled, expired
+            amount: entry.order_qty,
+            filled: entry.cum_qty,
+            average: entry.avg_price,
+            price: entry.limit_price,
+            triggerPrice: entry.triggers ? entry.triggers.price : undefined,
+            reason: entry.reason,
+            timestamp: entry.timestamp ? Date.parse(entry.timestamp) : Date.now(),
+            lastFill: entry.exec_type === 'trade' && !snapshot ? {
+                id: entry.exec_id,
+                tradeId: entry.trade_id,
+                price: entry.last_price,
+                amount: entry.last_qty,
+                fee: fees.reduce((total, fee) => total + fee.qty, 0),
+                feeAsset: fees.length > 0 ? fees[0].asset : undefined
+            } : null,
+            snapshot
+        };
+    }
+}
+
+export default PrivateFeedService;
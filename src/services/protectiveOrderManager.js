@@ -0,0 +1,514 @@
+/**
+ * @module ProtectiveOrderManager
+ * @description Protects live positions with native Kraken stop-loss and take-profit orders, so exits
+ * happen on the exchange even while the bot is down. One protection per symbol covers the positions
+ * every strategy holds on it (see `protectPositions`) and has up to two legs (stop-loss and
+ * take-profit); when one fills the other is cancelled. Protections are saved to a JSON
+ * file and restored on startup, re-creating legs that disappeared while the bot was stopped.
+ *
+ * Emits:
+ * - 'closed' (protection, leg, closures) when a leg fills and the exchange closes the positions; `closures` splits
+ *   the filled amount across the strategies the protection covered ([{ strategy, amount }], null if not recorded)
+ * - 'reduced' (protection, leg, closures) when a leg fills in part; the protection shrinks to what is left, the
+ *   other leg is re-placed at that amount and `closures` splits the newly filled amount as for 'closed'
+ * - 'unprotected' (protection, leg) when a leg is cancelled or expires outside the bot's control
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { calculateStopLoss, calculateTakeProfit } from '../riskManagement/riskManager.js';
+import { generateClientOrderId } from './orderJournal.js';
+import { roundAmount, roundPrice } from '../utils/orderPrecision.js';
+import logger from '../utils/logger.js';
+import * as notifications from '../utils/notifications.js';
+
+const FILLED_STATUSES = ['filled', 'closed']; // Kraken feed and CCXT spellings
+const ENDED_STATUSES = ['canceled', 'expired', 'rejected'];
+
+class ProtectiveOrderManager extends EventEmitter {
+    /**
+     * @param {object} connector - KrakenConnector instance.
+     * @param {object} [options]
+     * @param {'stop-loss'|'stop-loss-limit'} [options.stopLossType='stop-loss'] - Native stop order type.
+     * @param {number} [options.stopLimitOffset=0.005] - Distance of the stop-loss-limit price beyond the trigger.
+     * @param {boolean} [options.takeProfit=true] - Also place a take-profit order.
+     * @param {string} [options.stateFile] - JSON file protections are saved to; not persisted if omitted.
+     */
+    constructor(connector, options = {}) {
+        super();
+        this.connector = connector;
+        this.stopLossType = options.stopLossType || 'stop-loss';
+        this.stopLimitOffset = options.stopLimitOffset ?? 0.005;
+        this.takeProfit = options.takeProfit ?? true;
+        this.stateFile = options.stateFile || null;
+        this.protections = {}; // symbol -> { symbol, side, amount, entryPrice, strategies, stopLoss: leg|null, takeProfit: leg|null, createdAt }
+        this.cancelling = new Set(); // Order IDs cancelled by us, so their cancel events aren't reported
+    }
+
+    /**
+     * Protects every position held on a symbol and side with one stop-loss and take-profit, sized to their total
+     * amount at their volume-weighted entry price. The stop-loss sits at the loosest of their stops, so it never
+     * closes a position before its own stop; tighter stops are left to the bot (see `getCoveredExits`). Without positions, the
+     * protection of that side is released.
+     * @param {string} symbol - The trading pair.
+     * @param {'long'|'short'} side - Position side.
+     * @param {Array<object>} positions - { strategy, amount, entryPrice, stopLoss } of each position on the symbol and side.
+     * @param {object} [riskConfig] - Strategy `riskManagement` config for the take-profit ({ takeProfit } as a fraction).
+     * @returns {Promise<object|null>} The protection record, or null if released.
+     */
+    async protectPositions(symbol, side, positions, riskConfig = {}) {
+        if (positions.length === 0) {
+            if (this.protections[symbol]?.side === side) {
+                await this.release(symbol);
+            }
+            return null;
+        }
+        const amount = positions.reduce((sum, position) => sum + position.amount, 0);
+        const entryPrice = positions.reduce((sum, position) => sum + position.entryPrice * position.amount, 0) / amount;
+        const stops = positions.map(position => position.stopLoss).filter(stop => stop != null);
+        const stopPrice = stops.length === 0 ? null : side === 'long' ? Math.min(...stops) : Math.max(...stops);
+        const strategies = Object.fromEntries(positions.map(position => [position.strategy, position.amount]));
+        return this.protect(symbol, side, entryPrice, amount, riskConfig, stopPrice, strategies);
+    }
+
+    /**
+     * Places stop-loss and take-profit orders for a newly opened position. Called again as further entry fills
+     * arrive, it resizes the protection by replacing the existing orders.
+     * @param {string} symbol - The trading pair.
+     * @param {'long'|'short'} side - Position side.
+     * @param {number} entryPrice - Entry price.
+     * @param {number} amount - Position size in base currency.
+     * @param {object} [riskConfig] - Strategy `riskManagement` config ({ stopLoss, takeProfit } as fractions).
+     * @param {number|null} [stopPrice] - Stop-loss price; `riskConfig.stopLoss` from entry if omitted.
+     * @param {object|null} [strategies] - Amount covered per strategy name, to split fills of the legs between them.
+     * @returns {Promise<object>} The protection record.
+     */
+    async protect(symbol, side, entryPrice, amount, riskConfig = {}, stopPrice = null, strategies = null) {
+        const existing = this.protections[symbol];
+        if (existing) {
+            if (existing.side === side) {
+                logger.info(`Resizing protective orders for ${symbol} ${side} position from ${existing.amount} to ${amount}.`);
+            } else {
+                logger.warn(`${symbol} already has protective orders. Replacing them for the new position.`);
+            }
+            await this.release(symbol);
+        }
+
+        const pair = this.connector.getPairInfo(symbol);
+        const entrySide = side === 'long' ? 'buy' : 'sell';
+        stopPrice = stopPrice ?? calculateStopLoss(entryPrice, entrySide, riskConfig?.stopLoss);
+        const takeProfitPrice = calculateTakeProfit(entryPrice, entrySide, riskConfig?.takeProfit);
+
+        const protection = {
+            symbol,
+            side,
+            amount: pair ? roundAmount(amount, pair) : amount,
+            entryPrice,
+            strategies,
+            stopLoss: { id: null, price: pair ? roundPrice(stopPrice, pair) : stopPrice },
+            takeProfit: this.takeProfit ? { id: null, price: pair ? roundPrice(takeProfitPrice, pair) : takeProfitPrice } : null,
+            createdAt: Date.now()
+        };
+        this.protections[symbol] = protection;
+        await this.placeMissingLegs(protection);
+        this.save();
+        return protection;
+    }
+
+    /**
+     * Cancels the protective orders of a position, e.g. before the bot closes it itself.
+     * @param {string} symbol - The trading pair.
+     * @returns {Promise<void>}
+     */
+    async release(symbol) {
+        const protection = this.protections[symbol];
+        if (!protection) {
+            return;
+        }
+        for (const leg of [protection.stopLoss, protection.takeProfit]) {
+            if (leg && leg.id) {
+                await this.cancelLeg(protection, leg);
+            }
+        }
+        delete this.protections[symbol];
+        this.save();
+        logger.info(`Protective orders for ${symbol} released.`);
+    }
+
+    /**
+     * Moves the stop-loss order of a position to a tighter price (trailing stop, break-even), replacing the
+     * order on the exchange. Looser prices are ignored, and nothing is placed if the old order could not be
+     * cancelled (e.g. because it has just filled).
+     * @param {string} symbol - The trading pair.
+     * @param {number} stopPrice - New stop price.
+     * @returns {Promise<boolean>} Whether the stop-loss was moved.
+     */
+    async moveStopLoss(symbol, stopPrice) {
+        const protection = this.protections[symbol];
+        if (!protection || !protection.stopLoss) {
+            return false;
+        }
+        const pair = this.connector.getPairInfo(symbol);
+        const direction = protection.side === 'long' ? 1 : -1;
+        // Rounded towards the position, so rounding never tightens the stop beyond the requested price
+        const price = pair ? roundPrice(stopPrice, pair, direction === 1 ? 'down' : 'up') : stopPrice;
+        const stop = protection.stopLoss;
+        if (direction * price <= direction * stop.price) {
+            return false;
+        }
+
+        if (stop.id) {
+            this.cancelling.add(stop.id);
+            try {
+                await this.connector.cancelOrder(stop.id, symbol);
+            } catch (error) {
+                this.cancelling.delete(stop.id);
+                logger.error(`Could not move stop-loss ${stop.id} for ${symbol}: ${error.message}`);
+                return false;
+            }
+        }
+        logger.info(`Moving stop-loss for ${symbol} ${protection.side} position from ${stop.price} to ${price}.`);
+        stop.id = null;
+        stop.clientOrderId = null;
+        stop.price = price;
+        await this.placeMissingLegs(protection);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Applies an order status change (from the private feed or a REST lookup).
+     * @param {string} orderId - Exchange order ID.
+     * @param {string} status - Kraken or CCXT order status.
+     * @param {number|null} [filled] - Amount the order filled; the whole protected amount if unknown.
+     * @returns {Promise<void>}
+     */
+    async handleOrderUpdate(orderId, status, filled = null) {
+        const match = this.findLeg(orderId);
+        if (!match) {
+            if (ENDED_STATUSES.includes(status)) {
+                this.cancelling.delete(orderId); // Late confirmation of a leg we already dropped
+            }
+            return;
+        }
+        const { protection, leg, name } = match;
+
+        if (FILLED_STATUSES.includes(status)) {
+            const sibling = name === 'stopLoss' ? protection.takeProfit : protection.stopLoss;
+            delete this.protections[protection.symbol];
+            this.save();
+            if (sibling && sibling.id) {
+                await this.cancelLeg(protection, sibling);
+            }
+            const label = name === 'stopLoss' ? 'Stop-loss' : 'Take-profit';
+            logger.info(`${label} order ${orderId} filled for ${protection.symbol} ${protection.side} position at ${leg.price}.`);
+            notifications.sendNotification(`🚨 ${label} filled on the exchange for ${protection.symbol} ${protection.side} position @ ${leg.price}.`, 'trade');
+            // Earlier partial fills were already split off the protection
+            this.emit('closed', protection, name, this.splitFill(protection, filled ? filled - (leg.filled ?? 0) : protection.amount));
+        } else if (ENDED_STATUSES.includes(status)) {
+            if (this.cancelling.delete(orderId)) {
+                return;
+            }
+            leg.id = null;
+            leg.clientOrderId = null;
+            this.save();
+            logger.warn(`Protective ${name} order ${orderId} for ${protection.symbol} was ${status} outside the bot. It will be re-created on restart.`);
+            notifications.sendNotification(`⚠️ ${protection.symbol} ${name} order ${orderId} was ${status}. Position is not protected by it until the bot restarts.`, 'error');
+            this.emit('unprotected', protection, name);
+        } else if (filled > (leg.filled ?? 0)) {
+            await this.applyPartialFill(protection, leg, name, filled);
+        }
+    }
+
+    /**
+     * Shrinks a protection by what one of its legs has filled so far. The leg keeps resting for the rest, and the
+     * other leg is replaced at the smaller amount so both never close more than is left.
+     * @private
+     * @param {object} protection - Protection record.
+     * @param {object} leg - The partly filled leg.
+     * @param {'stopLoss'|'takeProfit'} name - Which leg it is.
+     * @param {number} filled - Total amount the leg has filled.
+     * @returns {Promise<void>}
+     */
+    async applyPartialFill(protection, leg, name, filled) {
+        const delta = Math.min(filled - (leg.filled ?? 0), protection.amount);
+        const closures = this.splitFill(protection, delta);
+        const share = delta / protection.amount;
+        const pair = this.connector.getPairInfo(protection.symbol);
+        leg.filled = filled;
+        protection.amount = pair ? roundAmount(protection.amount - delta, pair) : protection.amount - delta;
+        if (protection.strategies) {
+            protection.strategies = Object.fromEntries(Object.entries(protection.strategies).map(([strategy, amount]) => [strategy, amount * (1 - share)]));
+        }
+        const sibling = name === 'stopLoss' ? protection.takeProfit : protection.stopLoss;
+        // A sibling that could not be cancelled has most likely filled; its own update follows
+        if (sibling && sibling.id && await this.cancelLeg(protection, sibling)) {
+            sibling.id = null;
+            sibling.clientOrderId = null;
+        }
+        this.save();
+        const label = name === 'stopLoss' ? 'Stop-loss' : 'Take-profit';
+        logger.info(`${label} order ${leg.id} for ${protection.symbol} ${protection.side} position filled ${filled}; ${protection.amount} left protected.`);
+        notifications.sendNotification(`🚨 ${label} partly filled on the exchange for ${protection.symbol} ${protection.side} position @ ${leg.price} (${filled} filled).`, 'trade');
+        this.emit('reduced', protection, name, closures);
+        if (this.protections[protection.symbol] === protection) {
+            await this.placeMissingLegs(protection);
+            this.save();
+        }
+    }
+
+    /**
+     * Polls the exchange for the status of protective orders. Used when the private feed is unavailable
+     * and on startup.
+     * @param {string} [symbol] - Only check this pair.
+     * @returns {Promise<void>}
+     */
+    async sync(symbol = undefined) {
+        const protections = Object.values(this.protections).filter(p => !symbol || p.symbol === symbol);
+        for (const protection of protections) {
+            for (const leg of [protection.stopLoss, protection.takeProfit]) {
+                if (!leg || !leg.id || this.protections[protection.symbol] !== protection) {
+                    continue;
+                }
+                try {
+                    const order = await this.connector.fetchOrder(leg.id, protection.symbol);
+                    await this.handleOrderUpdate(leg.id, order.status, order.filled);
+                } catch (error) {
+                    logger.error(`Could not check protective order ${leg.id} for ${protection.symbol}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Loads saved protections, applies fills that happened while the bot was down and re-creates
+     * legs that were cancelled or never placed.
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        this.protections = this.load();
+        const count = Object.keys(this.protections).length;
+        if (count === 0) {
+            return;
+        }
+
+        logger.info(`Restoring protective orders for ${count} position(s).`);
+        await this.sync();
+        for (const protection of Object.values(this.protections)) {
+            await this.placeMissingLegs(protection);
+        }
+        this.save();
+    }
+
+    /**
+     * Tells which exits of the positions on a symbol are held by live protective orders, so the bot only checks the
+     * others itself (see RiskManager.monitorPositions). A leg that was refused or cancelled covers nothing, and a leg
+     * only covers a position's own stop-loss or take-profit if it fills no later: the shared stop-loss sits at the
+     * loosest stop (see `protectPositions`), so tighter stops are still the bot's to trigger.
+     * @param {string} symbol - The trading pair.
+     * @param {Array<object>} positions - RiskManager positions on the pair: { strategy, side, stopLoss, takeProfit }.
+     * @returns {object} { [strategy]: { stopLoss: boolean, takeProfit: boolean } }.
+     */
+    getCoveredExits(symbol, positions) {
+        const protection = this.protections[symbol];
+        const pair = this.connector.getPairInfo(symbol);
+        const covered = {};
+        for (const position of positions) {
+            const isCovered = Boolean(protection) && protection.side === position.side
+                && (!protection.strategies || position.strategy in protection.strategies);
+            const direction = position.side === 'long' ? 1 : -1;
+            // Levels rounded the way the legs are, away from the market, so a leg at the same level covers it
+            const stopLoss = pair ? roundPrice(position.stopLoss, pair, direction === 1 ? 'down' : 'up') : position.stopLoss;
+            const takeProfit = pair ? roundPrice(position.takeProfit, pair, direction === 1 ? 'up' : 'down') : position.takeProfit;
+            covered[position.strategy] = {
+                stopLoss: isCovered && Boolean(protection.stopLoss?.id) && direction * protection.stopLoss.price >= direction * stopLoss,
+                takeProfit: isCovered && Boolean(protection.takeProfit?.id) && direction * protection.takeProfit.price <= direction * takeProfit
+            };
+        }
+        return covered;
+    }
+
+    /**
+     * @param {string} symbol - The trading pair.
+     * @returns {object|null} Protection record for the pair.
+     */
+    getProtection(symbol) {
+        return this.protections[symbol] || null;
+    }
+
+    /**
+     * @returns {Array<object>} All protection records.
+     */
+    getProtections() {
+        return Object.values(this.protections);
+    }
+
+    /**
+     * Places every leg that has no live order. A missing stop-loss is reported as an error
+     * since the position is then only protected by candle monitoring.
+     * @private
+     * @param {object} protection - Protection record.
+     */
+    async placeMissingLegs(protection) {
+        const { symbol, side, amount } = protection;
+        const exitSide = side === 'long' ? 'sell' : 'buy';
+
+        if (protection.stopLoss && !protection.stopLoss.id) {
+            const stop = protection.stopLoss;
+            const limitPrice = this.stopLossType === 'stop-loss-limit' ? this.getStopLimitPrice(symbol, exitSide, stop.price) : null;
+            stop.limitPrice = limitPrice;
+            try {
+                const previous = await this.placeLeg(protection, stop, params => this.connector.createStopLossOrder(symbol, exitSide, amount, stop.price, limitPrice, params));
+                if (previous && FILLED_STATUSES.includes(previous.status)) {
+                    await this.handleOrderUpdate(previous.id, previous.status, previous.filled);
+                    return;
+                }
+            } catch (error) {
+                logger.error(`Failed to place stop-loss for ${symbol} ${side} position: ${error.message}`);
+                notifications.sendNotification(`❌ Could not place stop-loss for ${symbol} ${side} position @ ${stop.price}: ${error.message}`, 'error');
+            }
+        }
+
+        if (protection.takeProfit && !protection.takeProfit.id) {
+            try {
+                const takeProfit = protection.takeProfit;
+                const previous = await this.placeLeg(protection, takeProfit, params => this.connector.createTakeProfitOrder(symbol, exitSide, amount, takeProfit.price, null, params));
+                if (previous && FILLED_STATUSES.includes(previous.status)) {
+                    await this.handleOrderUpdate(previous.id, previous.status, previous.filled);
+                    return;
+                }
+            } catch (error) {
+                // Spot balances held by the stop-loss can make Kraken refuse a second closing order; the bot then
+                // checks the take-profit itself (see getCoveredExits)
+                logger.error(`Failed to place take-profit for ${symbol} ${side} position: ${error.message}`);
+                notifications.sendNotification(`❌ Could not place take-profit for ${symbol} ${side} position @ ${protection.takeProfit.price}: ${error.message}. The bot watches it instead.`, 'error');
+            }
+        }
+
+        logger.info(`Protective orders for ${symbol} ${side}: stop-loss ${protection.stopLoss?.id || 'none'} @ ${protection.stopLoss?.price}, take-profit ${protection.takeProfit?.id || 'none'} @ ${protection.takeProfit?.price}.`);
+    }
+
+    /**
+     * Places one leg under a new client order ID, saved before submission. If the leg already has a client
+     * order ID, an earlier attempt may have reached Kraken without its ID being recorded (lost response,
+     * crash), so it is looked up first and adopted if it is still open or has filled.
+     * @private
+     * @param {object} protection - Protection record.
+     * @param {object} leg - Stop-loss or take-profit leg.
+     * @param {Function} submit - Places the order, given `{ clientOrderId }` params.
+     * @returns {Promise<object|null>} The adopted earlier order, or null if a new one was placed.
+     */
+    async placeLeg(protection, leg, submit) {
+        if (leg.clientOrderId) {
+            let previous;
+            try {
+                previous = await this.connector.findOrderByClientId(leg.clientOrderId, protection.symbol);
+            } catch (error) {
+                throw new Error(`could not check whether order ${leg.clientOrderId} was already placed (${error.message})`);
+            }
+            if (previous && !ENDED_STATUSES.includes(previous.status)) {
+                leg.id = previous.id;
+                logger.info(`Found protective order ${previous.id} (${leg.clientOrderId}) for ${protection.symbol} placed before the bot lost track of it.`);
+                return previous;
+            }
+        }
+
+        leg.clientOrderId = generateClientOrderId();
+        leg.filled = 0;
+        this.save();
+        const order = await submit({ clientOrderId: leg.clientOrderId });
+        leg.id = order.id;
+        return null;
+    }
+
+    /**
+     * Splits the filled amount of a leg across the strategies the protection covered, in proportion to the
+     * amount covered for each.
+     * @private
+     * @param {object} protection - Protection record.
+     * @param {number} filled - Amount the leg filled.
+     * @returns {Array<object>|null} [{ strategy, amount }], or null for protections saved without their strategies.
+     */
+    splitFill(protection, filled) {
+        if (!protection.strategies) {
+            return null;
+        }
+        const share = Math.min(1, filled / protection.amount);
+        return Object.entries(protection.strategies).map(([strategy, amount]) => ({ strategy, amount: amount * share }));
+    }
+
+    /**
+     * @private
+     */
+    getStopLimitPrice(symbol, exitSide, stopPrice) {
+        const pair = this.connector.getPairInfo(symbol);
+        // Sell stops need a limit below the trigger (and buy stops above) to still fill in a fast market
+        const limitPrice = stopPrice * (exitSide === 'sell' ? 1 - this.stopLimitOffset : 1 + this.stopLimitOffset);
+        return pair ? roundPrice(limitPrice, pair, exitSide === 'sell' ? 'down' : 'up') : limitPrice;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<boolean>} Whether the order was cancelled.
+     */
+    async cancelLeg(protection, leg) {
+        this.cancelling.add(leg.id);
+        try {
+            await this.connector.cancelOrder(leg.id, protection.symbol);
+            return true;
+        } catch (error) {
+            this.cancelling.delete(leg.id);
+            logger.error(`Failed to cancel protective order ${leg.id} for ${protection.symbol}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {{protection: object, leg: object, name: string}|null}
+     */
+    findLeg(orderId) {
+        for (const protection of Object.values(this.protections)) {
+            for (const name of ['stopLoss', 'takeProfit']) {
+                const leg = protection[name];
+                if (leg && leg.id === orderId) {
+                    return { protection, leg, name };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            logger.error(`Could not read protective orders from ${this.stateFile}: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        if (!this.stateFile) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.protections, null, 2));
+        } catch (error) {
+            logger.error(`Could not save protective orders to ${this.stateFile}: ${error.message}`);
+        }
+    }
+}
+
+export default ProtectiveOrderManager;
@@ -0,0 +1,127 @@
+/**
+ * @module Reconciliation
+ * @description Brings the bot's saved state back in line with the exchange on startup. Strategy positions
+ * saved by the last run are replayed forward with the trades Kraken reports since then: fills of journaled
+ * strategy orders adjust their positions, fills of protective orders are accounted for by
+ * ProtectiveOrderManager, and any other trade is reported as placed outside the bot. Open orders are
+ * matched to the order journal in the same way, and long positions are capped to the base asset actually
+ * held.
+ */
+
+/**
+ * Reconciles saved strategy positions with the exchange.
+ * @param {object} connector - KrakenConnector (or a compatible object) to read the account from.
+ * @param {object} state
+ * @param {object} state.positions - Saved positions by `${symbol}:${strategy}`: { symbol, strategy, side, entryPrice, amount }.
+ * @param {number} state.since - Trades after this timestamp (ms) are replayed onto the positions.
+ * @param {Array<string>} state.symbols - Traded pairs.
+ * @param {object} state.journal - OrderJournal of submitted orders.
+ * @param {Array<string>} [state.protectiveOrderIds] - IDs of protective orders, current or filled during restore.
+ * @param {Array<object>} [state.closedProtections] - Protections whose stop-loss or take-profit filled while the bot was down.
+ * @returns {Promise<object>} { positions, workingOrders, discrepancies }: reconciled positions (same keys as
+ * `state.positions`), open strategy orders with their journal entries ({ order, entry }) and a list of
+ * { type, symbol, message } describing every difference found.
+ */
+async function reconcile(connector, state) {
+    const { symbols, journal, protectiveOrderIds = [], closedProtections = [] } = state;
+    const positions = structuredClone(state.positions);
+    const discrepancies = [];
+    const report = (type, symbol, message) => discrepancies.push({ type, symbol, message });
+
+    // Submissions whose outcome the last run never learned
+    for (const entry of journal.getUnresolved()) {
+        const order = await connector.findOrderByClientId(entry.clientOrderId, entry.symbol);
+        if (order) {
+            journal.recordAccepted(entry.clientOrderId, order);
+            report('unresolved-order', entry.symbol, `Order ${entry.clientOrderId} with unknown outcome was found on the exchange as ${order.id} (${order.status}).`);
+        } else {
+            journal.recordFailed(entry.clientOrderId, 'not found on the exchange after restart');
+            report('unresolved-order', entry.symbol, `Order ${entry.clientOrderId} with unknown outcome never reached the exchange.`);
+        }
+    }
+
+    const trades = (await connector.fetchMyTrades(undefined, state.since))
+        .filter(trade => symbols.includes(trade.symbol));
+    for (const trade of trades) {
+        const entry = journal.findByOrderId(trade.orderId);
+        if (entry && entry.strategy) {
+            const key = `${trade.symbol}:${entry.strategy}`;
+            positions[key] = applyTrade(positions[key], trade, entry);
+            report('missed-fill', trade.symbol, `${entry.strategy} ${trade.side} fill of ${trade.amount} @ ${trade.price} (order ${trade.orderId}) happened while the bot was down.`);
+        } else if (!protectiveOrderIds.includes(trade.orderId)) {
+            report('external-trade', trade.symbol, `Trade ${trade.id}: ${trade.side} ${trade.amount} @ ${trade.price} (order ${trade.orderId}) was not placed by the bot.`);
+        }
+    }
+
+    for (const protection of closedProtections) {
+        for (const [key, position] of Object.entries(positions)) {
+            if (position && position.symbol === protection.symbol && position.side === protection.side) {
+                positions[key] = null;
+                report('position-closed', protection.symbol, `${position.strategy} ${position.side} position was closed by its protective orders while the bot was down.`);
+            }
+        }
+    }
+
+    const workingOrders = [];
+    for (const order of await connector.fetchOpenOrders()) {
+        if (!symbols.includes(order.symbol) || protectiveOrderIds.includes(order.id)) {
+            continue;
+        }
+        const entry = (order.clientOrderId && journal.get(order.clientOrderId)) || journal.findByOrderId(order.id);
+        if (entry && entry.strategy) {
+            workingOrders.push({ order, entry });
+        } else {
+            report('orphaned-order', order.symbol, `Open ${order.side} ${order.type} order ${order.id} for ${order.amount} was not placed by the bot. It is left on the book.`);
+        }
+    }
+
+    const balances = await connector.fetchBalances();
+    for (const symbol of symbols) {
+        const baseAsset = symbol.split('/')[0];
+        const held = balances[baseAsset]?.total ?? 0;
+        const longs = Object.values(positions).filter(position => position && position.symbol === symbol && position.side === 'long');
+        const expected = longs.reduce((sum, position) => sum + position.amount, 0);
+        if (expected > held) {
+            // Sold outside the bot: shrink the positions in proportion to what is left
+            for (const position of longs) {
+                position.amount *= held / expected;
+            }
+            report('balance-shortfall', symbol, `Long positions total ${expected} ${baseAsset} but the account holds ${held}. Positions reduced accordingly.`);
+        }
+    }
+
+    for (const [key, position] of Object.entries(positions)) {
+        if (!position || position.amount <= 0) {
+            delete positions[key];
+        }
+    }
+    return { positions, workingOrders, discrepancies };
+}
+
+/**
+ * Applies a fill to a position the way StrategyInterface.onOrderFill does: entries grow the position at the
+ * volume-weighted price, exits shrink it.
+ * @param {object|null} position - Current position.
+ * @param {object} trade - Trade from KrakenConnector.
+ * @param {object} entry - Order journal entry of the trade's order.
+ * @returns {object|null} The new position.
+ */
+function applyTrade(position, trade, entry) {
+    const side = trade.side === 'buy' ? 'long' : 'short';
+    // Journal entries written before intents were recorded: a fill on the position's side adds to it
+    const isEntry = entry.intent ? entry.intent === 'entry' : (!position || position.side === side);
+    if (!isEntry) {
+        if (!position || position.side === side) {
+            return position;
+        }
+        const amount = position.amount - trade.amount;
+        return amount > 0 ? { ...position, amount } : null;
+    }
+    if (position && position.side === side) {
+        const amount = position.amount + trade.amount;
+        return { ...position, amount, entryPrice: (position.entryPrice * position.amount + trade.price * trade.amount) / amount };
+    }
+    return { symbol: trade.symbol, strategy: entry.strategy, side, entryPrice: trade.price, amount: trade.amount };
+}
+
+export { reconcile };
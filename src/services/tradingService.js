@@ -1,9 +1,17 @@
 import KrakenConnector from '../connectors/kraken.js';
 console.log('Trading Services Initialized')
-import RiskManager from '../riskManagement/riskManager.js';
-import PaperTrader from '../paperTrading/paperTrader.js';
+import PrivateFeedService from './privateFeedService.js';
+import ProtectiveOrderManager from './protectiveOrderManager.js';
+import OrderJournal, { generateClientOrderId } from './orderJournal.js';
+import OrderTracker from './orderTracker.js';
+import { reconcile } from './reconciliation.js';
+import { createStateStore } from '../persistence/storeRegistry.js';
+import { isTransientError } from '../connectors/krakenRateLimiter.js';
+import * as RiskManager from '../riskManagement/riskManager.js';
+import * as PaperTrader from '../paperTrading/paperTrader.js';
 import logger from '../utils/logger.js';
-import notifications from '../utils/notifications.js';
+import { prepareOrder } from '../utils/orderPrecision.js';
+import * as notifications from '../utils/notifications.js';
 import config from '../../config/default.json' with { type: 'json' };
 
 /**
@@ -14,6 +22,57 @@ import config from '../../config/default.json' with { type: 'json' };
 let tradeExecutionMode = process.env.MODE || 'paper'; // live, paper, backtest
 let isDryRun = config.trading.dryRun;
 let currentBalance = {}; // Cache balances
+let privateFeed = null; // Authenticated WebSocket feed for own orders and fills (live mode)
+let orderTracker = new OrderTracker(); // Lifecycle of orders placed by or reported to the bot
+let processedFills = new Set(); // Execution IDs already applied to balances
+let protectiveOrders = null; // Exchange-side stop-loss/take-profit orders for live positions
+let orderJournal = new OrderJournal(); // Submitted orders by client order ID, written before each submission (in memory until initialized)
+let strategies = {}; // `${symbol}:${strategyName}` -> strategy instance, for routing fills
+let reworkAttempts = {}; // clientOrderId -> number of times the order's remainder was re-submitted
+let stateStore = createStateStore({ driver: 'memory' }); // History of orders, fills, positions and balances (in memory until initialized)
+let closedDuringRestore = []; // Protections that filled while the bot was down, until reconciled
+let reducedDuringRestore = []; // Partial fills of protective legs while the bot was down: { protection, leg, closures }
+let isReconciled = false;
+let isShuttingDown = false; // Set by applyShutdownPolicy; no new entries are sent afterwards
+
+const partialFillConfig = {
+    policy: 'cancel', // 'cancel': keep what filled; 'rework': re-submit the remainder at market
+    workingTimeoutMs: 60000,
+    maxReworkAttempts: 2,
+    ...config.trading.partialFills
+};
+
+orderTracker.on('fill', (order, fill) => {
+    const simulated = isDryRun && tradeExecutionMode === 'live'; // Dry-run fills stay out of the saved history and balances
+    if (!simulated) {
+        stateStore.recordFill(order, fill);
+    }
+    if (order.strategy && order.intent !== 'entry') {
+        realizePnl(order.symbol, order.strategy, fill.amount, fill.price);
+    }
+    // Without the private feed, balances follow the fills seen in REST responses
+    if (tradeExecutionMode === 'live' && !privateFeed && !simulated) {
+        applyFillToBalances(order.symbol, order.side, fill.amount, fill.price);
+        stateStore.recordBalances(currentBalance);
+    }
+    const strategy = order.strategy && strategies[`${order.symbol}:${order.strategy}`];
+    if (strategy) {
+        Promise.resolve(strategy.onOrderFill(order, fill))
+            .then(() => recordPositions())
+            .catch(error => logger.error(`${order.strategy} failed to process fill of order ${order.id || order.clientOrderId}: ${error.message}`));
+    }
+});
+orderTracker.on('update', (order) => {
+    stateStore.recordOrder(order);
+    if (['cancelled', 'expired'].includes(order.state) && order.filled > 0 && order.remaining > 0) {
+        handleUnfilledRemainder(order)
+            .catch(error => logger.error(`Failed to handle remainder of order ${order.id}: ${error.message}`));
+    }
+});
+// Resting paper orders report fills and cancellations the way the private feed reports live ones
+PaperTrader.events.on('order', handleOrderEvent);
+PaperTrader.events.on('fill', handleFillEvent);
+PaperTrader.events.on('cancel', handleCancelEvent);
 
 /**
  * Initializes the trading service based on the operating mode.
@@ -31,16 +90,43 @@ async function initializeTradingService(mode, apiKey, apiSecret) {
             throw new Error('Missing API credentials for live mode.');
         }
         KrakenConnector.initializeKraken(apiKey, apiSecret, false);
-        // Fetch initial balances
-        for (const symbol of config.exchange.symbols) {
-            const quoteAsset = symbol.split('/')[1];
-            currentBalance[quoteAsset] = await KrakenConnector.getBalance(quoteAsset);
-            const baseAsset = symbol.split('/')[0];
-            currentBalance[baseAsset] = await KrakenConnector.getBalance(baseAsset);
-        }
+        await KrakenConnector.loadMarkets();
+        orderJournal = new OrderJournal(config.trading.orderJournal.file);
+        stateStore = createStateStore({ ...config.persistence, file: config.persistence.file });
+        await refreshBalances();
         logger.info(`Initial balances: ${JSON.stringify(currentBalance)}`);
+
+        if (config.trading.protectiveOrders.enabled) {
+            protectiveOrders = new ProtectiveOrderManager(KrakenConnector, config.trading.protectiveOrders);
+            // The exchange closed the positions; the strategies holding them must forget what was filled
+            protectiveOrders.on('closed', (protection, leg, closures) => {
+                if (!isReconciled) {
+                    closedDuringRestore.push(protection); // Strategies are not registered yet
+                    return;
+                }
+                applyProtectiveFill(protection, leg, closures)
+                    .catch(error => logger.error(`Failed to apply protective ${leg} fill for ${protection.symbol}: ${error.message}`));
+            });
+            protectiveOrders.on('reduced', (protection, leg, closures) => {
+                if (!isReconciled) {
+                    reducedDuringRestore.push({ protection, leg, closures }); // Applied once positions are restored
+                    return;
+                }
+                applyProtectiveFill(protection, leg, closures, { partial: true })
+                    .catch(error => logger.error(`Failed to apply partial protective ${leg} fill for ${protection.symbol}: ${error.message}`));
+            });
+            await protectiveOrders.restore();
+        }
+
+        if (config.exchange.websocketEnabled) {
+            startPrivateFeed();
+        }
     } else if (tradeExecutionMode === 'paper') {
-        PaperTrader.initializePaperTrader();
+        KrakenConnector.initializeKraken(apiKey, apiSecret, true);
+        await KrakenConnector.loadMarkets();
+        orderJournal = new OrderJournal(config.trading.orderJournal.paperFile);
+        stateStore = createStateStore({ ...config.persistence, file: config.persistence.paperFile });
+        PaperTrader.initializePaperTrader(stateStore);
         currentBalance = PaperTrader.getBalances();
         logger.info(`Paper trading initial balances: ${JSON.stringify(currentBalance)}`);
     } else if (tradeExecutionMode === 'backtest') {
@@ -51,20 +137,378 @@ async function initializeTradingService(mode, apiKey, apiSecret) {
         throw new Error('Invalid trade execution mode.');
     }
 
+    if (tradeExecutionMode !== 'backtest') {
+        // Entries sent before a restart still count towards the cooldown
+        for (const record of stateStore.query({ type: 'order' })) {
+            if (record.intent === 'entry' && record.strategy && record.state === 'pending-submit') {
+                RiskManager.recordEntry(record.symbol, record.strategy, record.timestamp);
+            }
+        }
+        RiskManager.restoreCircuitBreaker(stateStore.getCircuitBreaker());
+        if (RiskManager.isTradingHalted()) {
+            const { halted } = RiskManager.getCircuitBreakerStatus();
+            logger.warn(`Circuit breaker still tripped since ${new Date(halted.at).toISOString()}: ${halted.message} New entries stay halted until reset.`);
+        }
+    }
+
     if (isDryRun && tradeExecutionMode === 'live') {
         logger.warn('*** DRY RUN MODE IS ACTIVE! NO REAL TRADES WILL BE EXECUTED! ***');
     }
 }
 
+/**
+ * Registers a strategy to receive fills of the orders it places (see StrategyInterface.onOrderFill).
+ * Orders are matched to strategies by symbol and the `strategy` name in the trade metadata.
+ * @param {object} strategy - Strategy instance.
+ */
+function registerStrategy(strategy) {
+    strategies[`${strategy.symbol}:${strategy.name || strategy.constructor.name}`] = strategy;
+}
+
+/**
+ * Restores the positions of registered strategies from the state store. In live mode they are first
+ * reconciled with the exchange (see Reconciliation.reconcile); differences (missed fills, orphaned orders,
+ * trades placed outside the bot) are logged and notified. Must run after strategies are registered and
+ * before the first candle.
+ * @returns {Promise<object|null>} { positions, discrepancies }, or null in backtest mode.
+ */
+async function reconcileWithExchange() {
+    if (tradeExecutionMode === 'backtest') {
+        return null;
+    }
+
+    const saved = stateStore.getPositions();
+    let result = { positions: saved, workingOrders: [], discrepancies: [] };
+    if (tradeExecutionMode === 'live') {
+        const protections = [...(protectiveOrders ? protectiveOrders.getProtections() : []), ...closedDuringRestore];
+        logger.info(`Reconciling ${Object.keys(saved).length} saved position(s) with the exchange.`);
+        try {
+            result = await reconcile(KrakenConnector, {
+                positions: saved,
+                since: stateStore.getLastTimestamp('position') ?? Date.now() - config.trading.reconciliation.tradeLookbackMs,
+                symbols: config.exchange.symbols,
+                journal: orderJournal,
+                protectiveOrderIds: protections.flatMap(protection => [protection.stopLoss?.id, protection.takeProfit?.id]).filter(Boolean),
+                closedProtections: closedDuringRestore
+            });
+        } catch (error) {
+            logger.error(`Startup reconciliation failed: ${error.message}`);
+            notifications.sendNotification(`❌ Startup reconciliation failed: ${error.message}. Bot not started.`, 'error');
+            throw error;
+        }
+    }
+    closedDuringRestore = [];
+    isReconciled = true;
+
+    for (const { order, entry } of result.workingOrders) {
+        orderTracker.adopt(order, { clientOrderId: entry.clientOrderId, strategy: entry.strategy, intent: entry.intent });
+        logger.info(`Resumed tracking ${entry.strategy} ${order.side} order ${order.id} for ${order.symbol} (filled ${order.filled}/${order.amount}).`);
+    }
+
+    for (const [key, position] of Object.entries(result.positions)) {
+        const strategy = strategies[key];
+        if (!strategy) {
+            result.discrepancies.push({ type: 'unowned-position', symbol: position.symbol, message: `${position.strategy} ${position.side} position of ${position.amount} has no enabled strategy and is not managed.` });
+            continue;
+        }
+        strategy.setPosition(position.side, position.entryPrice, position.amount);
+        try {
+            await RiskManager.managePosition(position.symbol, position.side, position.entryPrice, position.amount, strategy.config.riskManagement, position.strategy);
+        } catch (error) {
+            logger.error(`Could not manage restored ${position.symbol} ${position.side} position: ${error.message}`);
+        }
+    }
+    for (const { protection, leg, closures } of reducedDuringRestore) {
+        try {
+            await applyProtectiveFill(protection, leg, closures, { partial: true });
+        } catch (error) {
+            logger.error(`Failed to apply partial protective ${leg} fill for ${protection.symbol}: ${error.message}`);
+        }
+    }
+    reducedDuringRestore = [];
+    if (tradeExecutionMode === 'live' && protectiveOrders && !isDryRun) {
+        // One protection covers every position on a symbol and side; replace those that no longer match their total
+        const groups = new Set(Object.values(RiskManager.getOpenPositions()).map(position => `${position.symbol}:${position.side}`));
+        for (const group of groups) {
+            const [symbol, side] = group.split(':');
+            const protection = protectiveOrders.getProtection(symbol);
+            const total = Object.values(RiskManager.getOpenPositions())
+                .filter(position => position.symbol === symbol && position.side === side)
+                .reduce((sum, position) => sum + position.amount, 0);
+            const pair = KrakenConnector.getPairInfo(symbol);
+            try {
+                if (!protection || protection.side !== side || !protection.strategies
+                    || Math.abs(protection.amount - total) > (pair?.minAmount ?? 0)) {
+                    await protectPositions(symbol, side);
+                }
+            } catch (error) {
+                logger.error(`Could not protect restored ${symbol} ${side} positions: ${error.message}`);
+            }
+        }
+    }
+    // Snapshot every position, so the next reconciliation only replays trades from here on
+    for (const [key, position] of Object.entries({ ...saved, ...result.positions })) {
+        stateStore.recordPosition(position.symbol, position.strategy, result.positions[key] ? toPositionRecord(result.positions[key]) : null);
+    }
+
+    for (const discrepancy of result.discrepancies) {
+        logger.warn(`Reconciliation (${discrepancy.type}) ${discrepancy.symbol}: ${discrepancy.message}`);
+    }
+    if (result.discrepancies.length > 0) {
+        notifications.sendNotification(`⚠️ Startup reconciliation found ${result.discrepancies.length} difference(s):\n${result.discrepancies.map(d => `- ${d.message}`).join('\n')}`, 'error');
+    }
+    logger.info(`Positions restored: ${Object.keys(result.positions).length}, working orders resumed: ${result.workingOrders.length}.`);
+    return { positions: result.positions, discrepancies: result.discrepancies };
+}
+
+/**
+ * Records the positions of registered strategies that changed since they were last recorded.
+ */
+function recordPositions() {
+    if (!isReconciled) {
+        return; // Before reconciliation, strategies don't hold their positions yet
+    }
+    if (isDryRun && tradeExecutionMode === 'live') {
+        return; // Dry-run positions were never opened on the exchange; reconciling them on restart would fail
+    }
+    const recorded = stateStore.getPositions();
+    for (const [key, strategy] of Object.entries(strategies)) {
+        const position = strategy.position ? toPositionRecord(strategy.position) : null;
+        const previous = recorded[key] ? toPositionRecord(recorded[key]) : null;
+        if (JSON.stringify(position) !== JSON.stringify(previous)) {
+            stateStore.recordPosition(strategy.symbol, key.slice(strategy.symbol.length + 1), position);
+        }
+    }
+}
+
+/**
+ * @param {object} position - Strategy position or stored position.
+ * @returns {object} { side, entryPrice, amount }.
+ */
+function toPositionRecord({ side, entryPrice, amount }) {
+    return { side, entryPrice, amount };
+}
+
+/**
+ * Re-reads balances of all configured assets from the exchange (live mode).
+ * @returns {Promise<void>}
+ */
+async function refreshBalances() {
+    for (const symbol of config.exchange.symbols) {
+        const quoteAsset = symbol.split('/')[1];
+        currentBalance[quoteAsset] = await KrakenConnector.getBalance(quoteAsset);
+        const baseAsset = symbol.split('/')[0];
+        currentBalance[baseAsset] = await KrakenConnector.getBalance(baseAsset);
+    }
+    stateStore.recordBalances(currentBalance);
+}
+
+/**
+ * Starts the private WebSocket feed so order and balance state follow Kraken in real time.
+ */
+function startPrivateFeed() {
+    privateFeed = new PrivateFeedService(() => KrakenConnector.getWebSocketsToken());
+
+    privateFeed.on('subscribed', () => {
+        // Fills are not replayed after a reconnect, so resync balances from REST
+        refreshBalances()
+            .then(() => logger.info(`Balances resynced: ${JSON.stringify(currentBalance)}`))
+            .catch(error => logger.error(`Failed to resync balances: ${error.message}`));
+    });
+    privateFeed.on('order', handleOrderEvent);
+    privateFeed.on('fill', handleFillEvent);
+    privateFeed.on('cancel', handleCancelEvent);
+
+    privateFeed.connect();
+}
+
+/**
+ * Applies a shutdown policy to the orders and positions of registered strategies. After this call no new
+ * entries are sent and unfilled remainders are no longer re-worked.
+ * - 'keep': leave working orders and positions as they are (live positions stay covered by their protective orders).
+ * - 'cancel-orders': cancel working strategy orders; positions are kept.
+ * - 'flatten': cancel working strategy orders, then close every strategy position at market.
+ * @param {'keep'|'cancel-orders'|'flatten'} policy - Shutdown policy.
+ * @returns {Promise<object>} { cancelled, flattened, failures }: IDs of cancelled orders, `${symbol}:${strategy}`
+ * keys of closed positions and messages for whatever could not be done.
+ */
+async function applyShutdownPolicy(policy) {
+    isShuttingDown = true;
+    const summary = { cancelled: [], flattened: [], failures: [] };
+    if (tradeExecutionMode === 'backtest' || policy === 'keep') {
+        return summary;
+    }
+    if (!['cancel-orders', 'flatten'].includes(policy)) {
+        throw new Error(`Unknown shutdown policy '${policy}'.`);
+    }
+
+    // Protective orders are not strategy orders and stay in place unless their position is flattened
+    for (const order of orderTracker.getOrders({ active: true }).filter(order => order.strategy)) {
+        if (!order.id) {
+            continue; // Unsubmitted orders have nothing to cancel
+        }
+        try {
+            if (tradeExecutionMode === 'paper') {
+                PaperTrader.cancelOrder(order.id, 'Shutdown');
+            } else {
+                await KrakenConnector.cancelOrder(order.id, order.symbol);
+            }
+            orderTracker.applyExchangeOrder({ id: order.id, status: 'canceled' });
+            summary.cancelled.push(order.id);
+        } catch (error) {
+            summary.failures.push(`cancel ${order.symbol} order ${order.id}: ${error.message}`);
+        }
+    }
+
+    if (policy === 'flatten') {
+        const closed = await closeAllPositions('shutdown');
+        summary.flattened = closed.flattened;
+        summary.failures.push(...closed.failures);
+    }
+    logger.info(`Shutdown policy '${policy}' applied: ${summary.cancelled.length} order(s) cancelled, ${summary.flattened.length} position(s) closed, ${summary.failures.length} failure(s).`);
+    return summary;
+}
+
+/**
+ * Closes every strategy position at market.
+ * @param {string} type - Metadata type of the exit orders (e.g. 'shutdown', 'circuit_breaker').
+ * @returns {Promise<object>} { flattened, failures }: `${symbol}:${strategy}` keys of closed positions and
+ * messages for those that could not be closed.
+ */
+async function closeAllPositions(type) {
+    const result = { flattened: [], failures: [] };
+    for (const [key, strategy] of Object.entries(strategies)) {
+        const position = strategy.position;
+        if (!position) {
+            continue;
+        }
+        const exitSide = position.side === 'long' ? 'sell' : 'buy';
+        const order = await executeTrade(strategy.symbol, exitSide, position.amount, 'market', { strategy: key.slice(strategy.symbol.length + 1), type });
+        const tracked = order && orderTracker.getOrder(order.clientOrderId);
+        if (tracked && tracked.id && tracked.state !== 'filled') {
+            await refreshOrder(tracked); // Read the fill now, so the position is saved closed even if the feed stops
+        }
+        if (order) {
+            result.flattened.push(key);
+        } else {
+            result.failures.push(`close ${key} ${position.side} position of ${position.amount}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Stops the private feed and flushes state: every strategy position is recorded, so the next start
+ * reconciles from this point.
+ * @returns {Promise<void>}
+ */
+async function stopTradingService() {
+    isShuttingDown = true;
+    await stopPrivateFeed();
+    if (isReconciled) {
+        for (const [key, strategy] of Object.entries(strategies)) {
+            stateStore.recordPosition(strategy.symbol, key.slice(strategy.symbol.length + 1), strategy.position ? toPositionRecord(strategy.position) : null);
+        }
+        stateStore.recordCircuitBreaker(RiskManager.getCircuitBreakerStatus()); // Keeps the day's figures and peak equity
+    }
+    await stateStore.close();
+}
+
+/**
+ * Stops the private WebSocket feed, if running.
+ * @returns {Promise<void>}
+ */
+async function stopPrivateFeed() {
+    if (privateFeed) {
+        await privateFeed.disconnect();
+        privateFeed = null;
+    }
+}
+
+/**
+ * Applies an order status event from the private feed (or the paper order book) to the tracked orders.
+ * @param {object} event - Order event from PrivateFeedService or PaperTrader.
+ */
+function handleOrderEvent(event) {
+    orderTracker.applyFeedEvent(event);
+
+    if (protectiveOrders && event.status) {
+        protectiveOrders.handleOrderUpdate(event.orderId, event.status, event.filled)
+            .catch(error => logger.error(`Failed to process protective order update: ${error.message}`));
+    }
+}
+
+/**
+ * Applies a fill from the private feed to the local balance cache. Paper fills are only reported; PaperTrader
+ * keeps the paper balances.
+ * @param {object} event - Order event from PrivateFeedService or PaperTrader with `lastFill` set.
+ */
+function handleFillEvent(event) {
+    const fill = event.lastFill;
+    if (!fill || processedFills.has(fill.id)) {
+        return;
+    }
+    processedFills.add(fill.id);
+
+    const order = orderTracker.getOrder(event.orderId) || {};
+    const symbol = event.symbol || order.symbol;
+    const side = event.side || order.side;
+    if (!symbol || !side) {
+        logger.warn(`Fill ${fill.id} for unknown order ${event.orderId}. Resyncing balances.`);
+        refreshBalances().catch(error => logger.error(`Failed to resync balances: ${error.message}`));
+        return;
+    }
+
+    const baseAsset = symbol.split('/')[0];
+    if (tradeExecutionMode === 'live') {
+        applyFillToBalances(symbol, side, fill.amount, fill.price);
+        if (fill.fee && fill.feeAsset) {
+            currentBalance[fill.feeAsset] = (currentBalance[fill.feeAsset] || 0) - fill.fee;
+        }
+        stateStore.recordBalances(currentBalance);
+    }
+
+    const partial = event.status === 'partially_filled';
+    logger.info(`${partial ? 'Partial fill' : 'Fill'}: ${side.toUpperCase()} ${fill.amount} ${baseAsset} on ${symbol} @ ${fill.price} (order ${event.orderId}, filled ${event.filled}/${order.amount ?? '?'}).`);
+    notifications.sendNotification(`${partial ? '🧩 Partial fill' : '✅ Filled'}: ${side.toUpperCase()} ${fill.amount} ${baseAsset} on ${symbol} @ ${fill.price}`, 'trade');
+}
+
+/**
+ * Reports an order cancelled or expired on the exchange (or in the paper order book).
+ * @param {object} event - Order event from PrivateFeedService or PaperTrader.
+ */
+function handleCancelEvent(event) {
+    logger.info(`Order ${event.orderId} ${event.execType}${event.reason ? ` (${event.reason})` : ''}.`);
+    notifications.sendNotification(`🛑 Order ${event.orderId} ${event.execType} on ${event.symbol || orderTracker.getOrder(event.orderId)?.symbol || 'unknown symbol'}.`, 'trade');
+}
+
+/**
+ * Moves a fill's base and quote amounts in the live balance cache.
+ * @param {string} symbol - The trading pair.
+ * @param {'buy'|'sell'} side - Order side.
+ * @param {number} amount - Filled amount in base currency.
+ * @param {number} price - Fill price.
+ */
+function applyFillToBalances(symbol, side, amount, price) {
+    const [baseAsset, quoteAsset] = symbol.split('/');
+    const cost = amount * price;
+    currentBalance[baseAsset] = (currentBalance[baseAsset] || 0) + (side === 'buy' ? amount : -amount);
+    currentBalance[quoteAsset] = (currentBalance[quoteAsset] || 0) + (side === 'buy' ? -cost : cost);
+}
+
 /**
  * Executes a trade (buy/sell).
  * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
  * @param {'buy'|'sell'} side - Order side.
  * @param {number|null} amount - Amount to trade in base currency. If null, lot size will be calculated.
  * @param {'market'|'limit'} type - Order type.
- * @param {object} metadata - Additional trade metadata (e.g., strategy name, entry/exit).
+ * @param {object} metadata - Additional trade metadata (e.g., strategy name, entry/exit). Without an amount,
+ * the position is sized with the model in `sizing` (e.g. 'fixed'; 'risk' is the same) or else the strategy's
+ * `riskManagement.sizing`, around a stop-loss (`stopLoss`, or placed per `riskManagement.stopPlacement`);
+ * see RiskManager.calculatePositionSize. With neither, `RiskManager.calculateLotSize` sizes it.
  * @param {number} [price] - Price for limit orders.
- * @returns {Promise<object|null>} Order details if successful, null otherwise.
+ * @returns {Promise<object|null>} Order details if successful, null otherwise. `state` is the tracked
+ * lifecycle state (see OrderTracker); an accepted limit order may still be 'open'.
  */
 async function executeTrade(symbol, side, amount, type, metadata, price = null) {
     if (tradeExecutionMode === 'backtest') {
@@ -75,16 +519,29 @@ async function executeTrade(symbol, side, amount, type, metadata, price = null)
             datetime: new Date().toISOString()
         }; // Simulate success for backtesting
     }
+    if (isShuttingDown && metadata.type === 'entry') {
+        logger.warn(`Shutting down: ${metadata.strategy || 'unknown strategy'} ${symbol} ${side} entry not sent.`);
+        return null;
+    }
 
     const quoteAsset = symbol.split('/')[1];
     const baseAsset = symbol.split('/')[0];
 
     let actualAmount = amount;
+    let plannedStopLoss = null;
+    let sizing = null;
 
     if (actualAmount === null) { // Calculate lot size if not provided
-        const balanceForLotSizing = tradeExecutionMode === 'live' ? currentBalance[quoteAsset] : PaperTrader.getBalances()[quoteAsset];
+        const balances = tradeExecutionMode === 'live' ? currentBalance : PaperTrader.getBalances();
         const currentPrice = await KrakenConnector.getTicker(symbol).then(t => t.last);
-        actualAmount = await RiskManager.calculateLotSize(symbol, currentPrice, balanceForLotSizing);
+        const sizingConfig = strategies[`${symbol}:${metadata.strategy}`]?.config?.riskManagement?.sizing;
+        const model = metadata.sizing === 'risk' ? 'fixed' : metadata.sizing ?? (sizingConfig?.enabled ? sizingConfig.model : null);
+        if (model) {
+            ({ amount: actualAmount, stopLoss: plannedStopLoss, sizing } = sizeEntry(model, symbol, side, price || currentPrice, balances, metadata));
+        } else {
+            actualAmount = await RiskManager.calculateLotSize(symbol, currentPrice, balances[quoteAsset]);
+            sizing = { model: 'lot', inputs: { balance: balances[quoteAsset] || 0, price: currentPrice } };
+        }
         if (actualAmount <= 0) {
             logger.warn(`Calculated amount for ${symbol} is zero or negative. Skipping trade.`);
             notifications.sendNotification(`🚫 Trade failed: Calculated amount zero for ${symbol}.`, 'error');
@@ -93,93 +550,639 @@ async function executeTrade(symbol, side, amount, type, metadata, price = null)
         logger.info(`Calculated trade amount for ${symbol}: ${actualAmount.toFixed(8)}`);
     }
 
+    // Kraken rejects orders that violate the pair's lot/price decimals or minimums
+    const pair = KrakenConnector.getPairInfo(symbol);
+    if (pair) {
+        const referencePrice = price || (pair.minCost ? (await KrakenConnector.getTicker(symbol)).last : null);
+        const prepared = prepareOrder(pair, { side, amount: actualAmount, price, referencePrice });
+        if (prepared.rejection) {
+            logger.warn(`Order rejected before submission: ${prepared.rejection}`);
+            notifications.sendNotification(`🚫 Trade rejected: ${symbol} ${side} - ${prepared.rejection}`, 'error');
+            return null;
+        }
+        actualAmount = prepared.amount;
+        price = prepared.price;
+    } else {
+        logger.warn(`No asset pair metadata for ${symbol}. Sending order without precision checks.`);
+    }
+
+    // Every order passes the risk checks, except exits that only reduce the strategy's own position
+    const position = RiskManager.getOpenPositions()[`${symbol}:${metadata.strategy}`];
+    const reducesPosition = metadata.type !== 'entry' && position && side === (position.side === 'long' ? 'sell' : 'buy') && actualAmount <= position.amount;
+    if (!reducesPosition) {
+        let rejection = await checkTradeRisk(symbol, side, actualAmount, price, metadata.strategy, plannedStopLoss);
+        if (rejection && rejection.maxAmount > 0) {
+            // Exposure limits leave room for a smaller entry
+            const referencePrice = price || (pair?.minCost ? (await KrakenConnector.getTicker(symbol)).last : null);
+            const reduced = pair ? prepareOrder(pair, { side, amount: rejection.maxAmount, price, referencePrice }) : { amount: rejection.maxAmount };
+            if (!reduced.rejection) {
+                logger.info(`Downsized ${metadata.strategy || 'unknown strategy'} ${symbol} ${side} from ${actualAmount} to ${reduced.amount}: ${rejection.message}`);
+                actualAmount = reduced.amount;
+                rejection = await checkTradeRisk(symbol, side, actualAmount, price, metadata.strategy, plannedStopLoss);
+            }
+        }
+        if (rejection) {
+            logger.warn(`Risk check rejected ${metadata.strategy || 'unknown strategy'} ${symbol} ${side} ${actualAmount} (${rejection.reason}): ${rejection.message}`);
+            notifications.sendNotification(`🚫 Trade rejected by risk checks: ${symbol} ${side} ${actualAmount} - ${rejection.message}`, 'error');
+            return null;
+        }
+    }
+
+    const clientOrderId = generateClientOrderId();
+
     if (isDryRun && tradeExecutionMode === 'live') {
+        if (metadata.type === 'entry') {
+            RiskManager.recordEntry(symbol, metadata.strategy);
+        }
         logger.warn(`DRY RUN: Would have executed ${side} ${actualAmount.toFixed(8)} ${baseAsset} for ${symbol} at ${type} price ${price ? price.toFixed(2) : 'market'}`);
         notifications.sendNotification(`DRY RUN: ${side.toUpperCase()} ${actualAmount.toFixed(8)} ${baseAsset} on ${symbol} (Type: ${type}, Price: ${price ? price.toFixed(2) : 'market'})`, 'info');
-        return { id: 'dry-run-' + Date.now(), symbol, side, type, amount: actualAmount, price: price || (await KrakenConnector.getTicker(symbol)).last, status: 'closed' };
+        // Tracked and filled at once like a live order, so the strategy's position follows the simulated fill
+        const fillPrice = price || (await KrakenConnector.getTicker(symbol)).last;
+        orderTracker.create({ clientOrderId, symbol, side, type, amount: actualAmount, price, strategy: metadata.strategy, intent: metadata.type, stopLoss: plannedStopLoss, sizing });
+        const order = { id: `dry-run-${clientOrderId}`, clientOrderId, symbol, side, type, amount: actualAmount, price: fillPrice, status: 'closed', filled: actualAmount, average: fillPrice };
+        const tracked = orderTracker.applyExchangeOrder(order, clientOrderId);
+        return { ...order, state: tracked.state };
     }
 
+    try {
+        orderJournal.recordSubmission({
+            clientOrderId, symbol, side, type, amount: actualAmount, price,
+            strategy: metadata.strategy || null, intent: metadata.type || null, mode: tradeExecutionMode
+        });
+    } catch (error) {
+        // Without the journal entry, a lost response could not be matched to the order
+        logger.error(`Could not journal ${symbol} ${side} order before submission: ${error.message}. Order not sent.`);
+        notifications.sendNotification(`❌ Trade not sent: ${symbol} ${side} - order journal unavailable (${error.message})`, 'error');
+        return null;
+    }
+    stateStore.recordOrder(orderTracker.create({ clientOrderId, symbol, side, type, amount: actualAmount, price, strategy: metadata.strategy, intent: metadata.type, stopLoss: plannedStopLoss, sizing }));
+    if (metadata.reworkAttempt) {
+        reworkAttempts[clientOrderId] = metadata.reworkAttempt;
+    }
+
+    let shrunkProtection = null;
     try {
         let order;
         if (tradeExecutionMode === 'live') {
-            if (type === 'market') {
-                order = await KrakenConnector.createMarketOrder(symbol, side, actualAmount);
-            } else if (type === 'limit') {
-                if (!price) {
-                    throw new Error('Price is required for limit orders.');
-                }
-                order = await KrakenConnector.createLimitOrder(symbol, side, actualAmount, price);
+            // The funds the shared stop-loss/take-profit hold for this exit must be freed before the bot sends it
+            const protection = protectiveOrders && protectiveOrders.getProtection(symbol);
+            if (reducesPosition && protection && protection.side === position.side) {
+                shrunkProtection = protection.side;
+                await protectPositions(symbol, protection.side, null, { strategy: metadata.strategy, amount: actualAmount });
             }
+
+            order = await submitLiveOrder(symbol, side, type, actualAmount, price, clientOrderId);
         } else if (tradeExecutionMode === 'paper') {
-            order = await PaperTrader.executeTrade(symbol, side, actualAmount, type, price);
+            order = await PaperTrader.executeTrade(symbol, side, actualAmount, type, price, clientOrderId);
         }
 
         if (order && order.id) {
-            logger.info(`Trade executed successfully: ${side.toUpperCase()} ${order.amount.toFixed(8)} ${baseAsset} on ${order.symbol} at ${order.price.toFixed(2)}. Order ID: ${order.id}`);
-            notifications.sendNotification(`✅ Trade Executed: ${side.toUpperCase()} ${order.amount.toFixed(8)} ${baseAsset} on ${order.symbol} @ ${order.price.toFixed(2)} (Strategy: ${metadata.strategy || 'N/A'}, Type: ${metadata.type || 'N/A'})`, 'trade');
-
-            // Update local balance cache for live mode
-            if (tradeExecutionMode === 'live' && order.status === 'closed') {
-                currentBalance[quoteAsset] -= order.amount * order.price;
-                currentBalance[baseAsset] += order.amount;
+            orderJournal.recordAccepted(clientOrderId, order);
+            if (metadata.type === 'entry') {
+                RiskManager.recordEntry(symbol, metadata.strategy);
+            }
+            // The private feed may already have moved the order further; the tracker keeps the later state
+            let tracked = orderTracker.applyExchangeOrder(order, clientOrderId);
+            if (tradeExecutionMode === 'live' && !privateFeed && type === 'market' && tracked.state !== 'filled') {
+                // Kraken's AddOrder response carries no fills; market orders have usually filled by now
+                tracked = await refreshOrder(tracked) || tracked;
             }
+            const priceText = order.price ? order.price.toFixed(2) : 'market';
+            logger.info(`Trade ${tracked.state}: ${side.toUpperCase()} ${order.amount.toFixed(8)} ${baseAsset} on ${order.symbol} at ${priceText} (filled ${tracked.filled}). Order ID: ${order.id}`);
+            notifications.sendNotification(`✅ Trade ${tracked.state === 'filled' ? 'Executed' : 'Placed'}: ${side.toUpperCase()} ${order.amount.toFixed(8)} ${baseAsset} on ${order.symbol} @ ${priceText} (Strategy: ${metadata.strategy || 'N/A'}, Type: ${metadata.type || 'N/A'})`, 'trade');
 
-            return order;
+            return { ...order, clientOrderId, state: tracked.state };
         } else {
+            orderJournal.recordFailed(clientOrderId, 'No order returned.');
+            orderTracker.reject(clientOrderId, 'No order returned.');
             logger.warn(`Trade execution for ${symbol} did not return a valid order object.`);
             notifications.sendNotification(`⚠️ Trade warning: No valid order object returned for ${symbol} ${side}.`, 'warn');
+            await restoreProtection(symbol, shrunkProtection);
             return null;
         }
     } catch (error) {
+        // An order with an unknown outcome stays 'pending-submit' until the exchange reports it
+        if (!error.orderOutcomeUnknown) {
+            orderJournal.recordFailed(clientOrderId, error.message);
+            orderTracker.reject(clientOrderId, error.message);
+        }
         logger.error(`Failed to execute trade for ${symbol} (${side} ${actualAmount}): ${error.message}`);
         notifications.sendNotification(`❌ Trade failed: ${symbol} ${side} ${actualAmount} - ${error.message}`, 'error');
+        await restoreProtection(symbol, shrunkProtection);
         return null;
     }
 }
 
+/**
+ * Protects the whole of a symbol's positions again after an exit that had shrunk the protection was not sent.
+ * @private
+ * @param {string} symbol - The trading pair.
+ * @param {'long'|'short'|null} side - Side of the shrunk protection; nothing is done if null.
+ * @returns {Promise<void>}
+ */
+async function restoreProtection(symbol, side) {
+    if (!side) {
+        return;
+    }
+    try {
+        await protectPositions(symbol, side);
+    } catch (error) {
+        logger.error(`Could not restore protective orders for ${symbol} ${side} positions: ${error.message}`);
+        notifications.sendNotification(`❌ ${symbol} ${side} positions may be unprotected: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Sizes an entry with a sizing model (see RiskManager.calculatePositionSize). The stop is `metadata.stopLoss`
+ * if given, otherwise placed as the strategy's `riskManagement.stopPlacement` configures. Equity is valued as
+ * in `getEquity`; Kelly sizing replays the strategy's fills on the symbol from the state store.
+ * @param {string} model - Sizing model.
+ * @param {string} symbol - The trading pair.
+ * @param {'buy'|'sell'} side - Order side.
+ * @param {number} price - Current price.
+ * @param {object} balances - Balances by asset.
+ * @param {object} metadata - Trade metadata: { strategy, stopLoss }.
+ * @returns {{amount: number, stopLoss: number, sizing: object}} Position size, the stop it was sized for and
+ * the model used with its inputs.
+ */
+function sizeEntry(model, symbol, side, price, balances, metadata) {
+    const [baseAsset, quoteAsset] = symbol.split('/');
+    const riskConfig = strategies[`${symbol}:${metadata.strategy}`]?.config?.riskManagement || {};
+    const stopLoss = metadata.stopLoss ?? RiskManager.calculateInitialStopLoss(side === 'buy' ? 'long' : 'short', price, riskConfig, RiskManager.getCandles(symbol));
+
+    const equity = getEquity(quoteAsset, balances, { [symbol]: price }) ?? (balances[quoteAsset] || 0);
+    // Spot entries can only spend what is held: quote currency to buy, the base asset to sell
+    const maxNotional = side === 'buy' ? balances[quoteAsset] || 0 : (balances[baseAsset] || 0) * price;
+    const tradeStats = model === 'kelly' ? RiskManager.calculateTradeStatistics(stateStore.query({ type: 'fill', symbol, strategy: metadata.strategy })) : null;
+    const { amount, model: usedModel, inputs } = RiskManager.calculatePositionSize(model, {
+        entryPrice: price, stopLoss, equity, maxNotional, candles: RiskManager.getCandles(symbol), tradeStats
+    }, riskConfig);
+    const inputText = Object.entries(inputs).map(([name, value]) => `${name}=${Number.isFinite(value) ? Number(value.toFixed(6)) : value}`).join(', ');
+    logger.info(`Sized ${symbol} ${side} with the '${usedModel}' model: ${amount.toFixed(8)} with stop-loss ${stopLoss.toFixed(2)} (${inputText}).`);
+    return { amount, stopLoss, sizing: { model: usedModel, inputs } };
+}
+
+/**
+ * Runs the pre-trade risk gate (see RiskManager.checkPreTradeRisk) for an order that opens or adds to a position.
+ * Stops not planned at sizing are those the position has or would get; working entry orders count as
+ * positions at their limit price or the latest price.
+ * @param {string} symbol - The trading pair.
+ * @param {'buy'|'sell'} side - Order side.
+ * @param {number} amount - Order amount.
+ * @param {number|null} price - Limit price, or null for market orders.
+ * @param {string} strategy - Strategy placing the order.
+ * @param {number|null} stopLoss - Stop-loss planned when the order was sized.
+ * @returns {Promise<object|null>} The rejection ({ reason, message }), or null if the order may go ahead.
+ */
+async function checkTradeRisk(symbol, side, amount, price, strategy, stopLoss) {
+    const tradePrice = price || (await KrakenConnector.getTicker(symbol)).last;
+    const quoteAsset = symbol.split('/')[1];
+    const balances = tradeExecutionMode === 'live' ? currentBalance : PaperTrader.getBalances();
+    const equity = getEquity(quoteAsset, balances, { [symbol]: tradePrice }) ?? (balances[quoteAsset] || 0);
+    const positions = RiskManager.getOpenPositions();
+    const plannedStop = (pairSymbol, pairStrategy, positionSide, entryPrice) => {
+        const position = positions[`${pairSymbol}:${pairStrategy}`];
+        if (position && position.side === positionSide) {
+            return position.stopLoss;
+        }
+        const riskConfig = strategies[`${pairSymbol}:${pairStrategy}`]?.config?.riskManagement || {};
+        return RiskManager.calculateInitialStopLoss(positionSide, entryPrice, riskConfig, RiskManager.getCandles(pairSymbol));
+    };
+
+    const pendingEntries = [];
+    for (const order of orderTracker.getOrders({ active: true })) {
+        const orderPrice = order.price || (order.symbol === symbol ? tradePrice : RiskManager.getCandles(order.symbol).at(-1)?.close);
+        if (order.intent === 'entry' && orderPrice) {
+            const orderSide = order.side === 'buy' ? 'long' : 'short';
+            pendingEntries.push({
+                symbol: order.symbol, strategy: order.strategy, side: orderSide, amount: order.remaining, price: orderPrice,
+                stopLoss: order.stopLoss ?? plannedStop(order.symbol, order.strategy, orderSide, orderPrice)
+            });
+        }
+    }
+    const positionSide = side === 'buy' ? 'long' : 'short';
+    return RiskManager.checkPreTradeRisk({
+        symbol, strategy, side: positionSide, amount, price: tradePrice,
+        stopLoss: stopLoss ?? plannedStop(symbol, strategy, positionSide, tradePrice)
+    }, equity, pendingEntries);
+}
+
+/**
+ * Account equity: the quote balance plus holdings of the configured pairs at their latest prices.
+ * @param {string} quoteAsset - Currency to value the account in (e.g. 'USD').
+ * @param {object} balances - Balances by asset.
+ * @param {object} [prices] - Current prices by symbol; other pairs are valued at their last recorded candle.
+ * @returns {number|null} Equity, or null if a held asset has no price yet.
+ */
+function getEquity(quoteAsset, balances, prices = {}) {
+    let equity = balances[quoteAsset] || 0;
+    for (const symbol of config.exchange.symbols) {
+        const [baseAsset, pairQuote] = symbol.split('/');
+        if (pairQuote !== quoteAsset || !balances[baseAsset]) {
+            continue;
+        }
+        const price = prices[symbol] ?? RiskManager.getCandles(symbol).at(-1)?.close;
+        if (!price) {
+            return null;
+        }
+        equity += balances[baseAsset] * price;
+    }
+    return equity;
+}
+
+/**
+ * Adds the realized profit or loss of an exit to the circuit breaker's daily figures.
+ * @param {string} symbol - The trading pair.
+ * @param {string} strategy - Strategy holding the position.
+ * @param {number} amount - Amount exited.
+ * @param {number} price - Exit price.
+ */
+function realizePnl(symbol, strategy, amount, price) {
+    const position = RiskManager.getOpenPositions()[`${symbol}:${strategy}`];
+    if (position) {
+        RiskManager.recordRealizedPnl((position.side === 'long' ? price - position.entryPrice : position.entryPrice - price) * amount);
+    }
+}
+
+/**
+ * Feeds the current equity to the circuit breaker. When it trips, new entries stop, a notification is sent and,
+ * if configured, every position is closed.
+ * @param {string} symbol - The pair the price is for.
+ * @param {number} currentPrice - Its current price.
+ * @returns {Promise<void>}
+ */
+async function checkCircuitBreaker(symbol, currentPrice) {
+    const quoteAsset = config.exchange.symbols[0].split('/')[1];
+    const balances = tradeExecutionMode === 'live' ? currentBalance : PaperTrader.getBalances();
+    const equity = getEquity(quoteAsset, balances, { [symbol]: currentPrice });
+    if (equity === null) {
+        return; // Not every holding can be valued yet; a partial equity could trip the breaker falsely
+    }
+
+    const change = RiskManager.updateEquity(equity);
+    if (!change) {
+        return;
+    }
+    const status = RiskManager.getCircuitBreakerStatus();
+    stateStore.recordCircuitBreaker(status);
+    if (change === 'resumed') {
+        notifications.sendNotification(`✅ New trading day: circuit breaker lifted, entries resumed (equity ${equity.toFixed(2)}).`, 'info');
+    } else if (change === 'tripped') {
+        notifications.sendNotification(`🛑 Circuit breaker tripped: ${status.halted.message} New entries halted${status.flatten ? ', closing all positions' : ''}.`, 'error');
+        if (status.flatten) {
+            const { flattened, failures } = await closeAllPositions('circuit_breaker');
+            logger.warn(`Circuit breaker closed ${flattened.length} position(s).`);
+            if (failures.length > 0) {
+                notifications.sendNotification(`❌ Circuit breaker could not close: ${failures.join('; ')}`, 'error');
+            }
+        }
+    }
+}
+
+/**
+ * Lifts a circuit breaker halt so entries resume, e.g. after the operator has reviewed the losses.
+ * @returns {object} The circuit breaker status after the reset (see RiskManager.getCircuitBreakerStatus).
+ */
+function resetCircuitBreaker() {
+    const lifted = RiskManager.resetCircuitBreaker();
+    const status = RiskManager.getCircuitBreakerStatus();
+    stateStore.recordCircuitBreaker(status);
+    if (lifted) {
+        notifications.sendNotification(`✅ Circuit breaker reset (was: ${lifted.message}). Entries resumed.`, 'info');
+    }
+    return status;
+}
+
+/**
+ * Re-reads an order from the exchange and applies it to the tracker.
+ * @param {object} tracked - Tracked order.
+ * @returns {Promise<object|null>} The updated tracked order, or null if the lookup failed.
+ */
+async function refreshOrder(tracked) {
+    try {
+        return orderTracker.applyExchangeOrder(await KrakenConnector.fetchOrder(tracked.id, tracked.symbol), tracked.clientOrderId);
+    } catch (error) {
+        logger.warn(`Could not refresh order ${tracked.id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Applies the partial fill policy to working orders of a symbol: without the private feed their state is
+ * polled, and partially filled orders working longer than `workingTimeoutMs` have their remainder cancelled
+ * (then re-submitted by `handleUnfilledRemainder` under the 'rework' policy).
+ * @param {string} symbol - The trading pair.
+ * @returns {Promise<void>}
+ */
+async function manageWorkingOrders(symbol) {
+    if (tradeExecutionMode !== 'live') {
+        return; // Paper orders fill completely once crossed, so they are never left partially filled
+    }
+    for (const tracked of orderTracker.getOrders({ symbol, active: true })) {
+        if (!tracked.id || !tracked.strategy) {
+            continue; // Not yet accepted, or not placed by a strategy (e.g. protective orders)
+        }
+        const order = privateFeed ? tracked : await refreshOrder(tracked);
+        if (!order || order.state !== 'partially-filled' || Date.now() - order.createdAt < partialFillConfig.workingTimeoutMs) {
+            continue;
+        }
+        logger.info(`Order ${order.id} for ${symbol} filled ${order.filled}/${order.amount} after ${Math.round((Date.now() - order.createdAt) / 1000)}s. Cancelling the remainder.`);
+        try {
+            await KrakenConnector.cancelOrder(order.id, symbol);
+            orderTracker.applyExchangeOrder({ id: order.id, status: 'canceled' });
+        } catch (error) {
+            logger.error(`Failed to cancel remainder of order ${order.id}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Handles the unfilled part of a cancelled or expired order that partly filled. Under the 'rework' policy
+ * the remainder is re-submitted at market for the same strategy, up to `maxReworkAttempts` times;
+ * otherwise the position keeps the filled quantity.
+ * @param {object} order - Tracked order in state 'cancelled' or 'expired'.
+ * @returns {Promise<void>}
+ */
+async function handleUnfilledRemainder(order) {
+    const attempt = (reworkAttempts[order.clientOrderId] || 0) + 1;
+    delete reworkAttempts[order.clientOrderId];
+    if (partialFillConfig.policy !== 'rework' || isShuttingDown || !order.strategy || attempt > partialFillConfig.maxReworkAttempts) {
+        logger.info(`Order ${order.id} for ${order.symbol} ended ${order.state} with ${order.filled}/${order.amount} filled. Remainder ${order.remaining} not re-submitted.`);
+        return;
+    }
+
+    const pair = KrakenConnector.getPairInfo(order.symbol);
+    if (pair && order.remaining < pair.minAmount) {
+        logger.info(`Remainder ${order.remaining} of order ${order.id} is below the ${order.symbol} minimum order size. Not re-submitted.`);
+        return;
+    }
+    logger.info(`Re-submitting remainder ${order.remaining} of order ${order.id} for ${order.symbol} at market (attempt ${attempt}/${partialFillConfig.maxReworkAttempts}).`);
+    await executeTrade(order.symbol, order.side, order.remaining, 'market', { strategy: order.strategy, type: order.intent, reworkAttempt: attempt });
+}
+
+/**
+ * Places a live order under a client order ID. The connector already retries safely; if the submission
+ * still fails with a transient error, the order may have reached the book anyway, so it is looked up by
+ * its client order ID before the failure is reported.
+ * @param {string} symbol - The trading pair.
+ * @param {'buy'|'sell'} side - Order side.
+ * @param {'market'|'limit'} type - Order type.
+ * @param {number} amount - Amount in base currency.
+ * @param {number|null} price - Limit price.
+ * @param {string} clientOrderId - Client order ID, already recorded in the order journal.
+ * @returns {Promise<object>} The placed order.
+ */
+async function submitLiveOrder(symbol, side, type, amount, price, clientOrderId) {
+    if (type === 'limit' && !price) {
+        throw new Error('Price is required for limit orders.');
+    }
+    const params = { clientOrderId };
+    try {
+        return type === 'limit'
+            ? await KrakenConnector.createLimitOrder(symbol, side, amount, price, params)
+            : await KrakenConnector.createMarketOrder(symbol, side, amount, params);
+    } catch (error) {
+        if (!isTransientError(error)) {
+            throw error;
+        }
+        let landed;
+        try {
+            landed = await KrakenConnector.findOrderByClientId(clientOrderId, symbol);
+        } catch (lookupError) {
+            orderJournal.recordUnknown(clientOrderId, `${error.message}; lookup failed: ${lookupError.message}`);
+            notifications.sendNotification(`⚠️ Outcome of ${symbol} ${side} order ${clientOrderId} unknown (${error.message}). Check Kraken before trading ${symbol} again.`, 'error');
+            error.orderOutcomeUnknown = true;
+            throw error;
+        }
+        if (!landed) {
+            throw error;
+        }
+        logger.warn(`Order ${clientOrderId} reached Kraken despite "${error.message}". Order ID: ${landed.id}`);
+        return landed;
+    }
+}
+
 /**
  * Manages the position, including setting stop-loss and take-profit targets.
+ * Every position is registered with RiskManager. Live positions are also protected by native Kraken orders;
+ * other modes rely on candle monitoring.
  * @param {string} symbol - The trading pair.
  * @param {'long'|'short'} side - The side of the position.
  * @param {number} entryPrice - The entry price of the position.
  * @param {number} amount - The amount of base currency.
  * @param {object} strategyRiskConfig - Strategy-specific risk parameters.
+ * @param {string} [strategy] - Name of the strategy holding the position.
+ * @param {number|null} [stopLoss] - Stop-loss the entry was sized for (see `executeTrade` risk sizing).
  */
-async function managePosition(symbol, side, entryPrice, amount, strategyRiskConfig) {
+async function managePosition(symbol, side, entryPrice, amount, strategyRiskConfig, strategy = undefined, stopLoss = null) {
     if (tradeExecutionMode === 'backtest') {
         // Backtester manages its own positions
         return;
     }
-    await RiskManager.managePosition(symbol, side, entryPrice, amount, strategyRiskConfig);
+    await RiskManager.managePosition(symbol, side, entryPrice, amount, strategyRiskConfig, strategy, stopLoss);
+    if (tradeExecutionMode === 'live' && protectiveOrders) {
+        if (isDryRun) {
+            logger.warn(`DRY RUN: Would have placed protective orders for ${symbol} ${side} position.`);
+            return;
+        }
+        await protectPositions(symbol, side, strategyRiskConfig);
+    }
 }
 
 /**
- * Monitors existing positions for stop-loss or take-profit triggers.
+ * Sizes the exchange-side protection of a symbol to every position held on it and that side (see
+ * ProtectiveOrderManager.protectPositions), releasing it when none is left.
+ * @private
+ * @param {string} symbol - The trading pair.
+ * @param {'long'|'short'} side - Position side.
+ * @param {object} [strategyRiskConfig] - Risk parameters for the take-profit; those of the first position's strategy if omitted.
+ * @param {object} [closing] - { strategy, amount } an exit is about to close, left out of the protection.
+ * @returns {Promise<void>}
+ */
+async function protectPositions(symbol, side, strategyRiskConfig = null, closing = null) {
+    const minAmount = KrakenConnector.getPairInfo(symbol)?.minAmount ?? 0;
+    const positions = Object.values(RiskManager.getOpenPositions())
+        .filter(position => position.symbol === symbol && position.side === side)
+        .map(position => position.strategy === closing?.strategy ? { ...position, amount: position.amount - closing.amount } : position)
+        .filter(position => position.strategy !== closing?.strategy || position.amount > minAmount);
+    const riskConfig = strategyRiskConfig ?? strategies[`${symbol}:${positions[0]?.strategy}`]?.config.riskManagement;
+    await protectiveOrders.protectPositions(symbol, side, positions, riskConfig);
+}
+
+/**
+ * Applies a filled stop-loss or take-profit leg to the strategies it covered: each closes its share of the filled
+ * amount (see ProtectiveOrderManager 'closed' and 'reduced'), and positions left open are protected again unless
+ * the leg is still resting for them.
+ * @private
+ * @param {object} protection - Protection record of the filled leg.
+ * @param {'stopLoss'|'takeProfit'} leg - The leg that filled.
+ * @param {Array<object>|null} closures - { strategy, amount } closed per strategy; null for protections saved
+ * without their strategies, which covered every position on the symbol and side.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - The leg filled in part and the protection already covers the rest.
+ * @returns {Promise<void>}
+ */
+async function applyProtectiveFill(protection, leg, closures, { partial = false } = {}) {
+    const { symbol, side } = protection;
+    const price = protection[leg].price;
+    if (partial && !closures) {
+        // Without the strategies' amounts a part fill can't be split; the final fill closes every position
+        logger.warn(`Protective ${leg} for ${symbol} ${side} filled in part but covers no recorded strategies. Positions not adjusted.`);
+        return;
+    }
+    closures = closures ?? Object.values(strategies)
+        .filter(strategy => strategy.symbol === symbol && strategy.position && strategy.position.side === side)
+        .map(strategy => ({ strategy: strategy.name || strategy.constructor.name, amount: strategy.position.amount }));
+    const pair = KrakenConnector.getPairInfo(symbol);
+    let reopened = false;
+
+    for (const closure of closures) {
+        const strategy = strategies[`${symbol}:${closure.strategy}`];
+        if (!strategy || !strategy.position || strategy.position.side !== side) {
+            continue;
+        }
+        const closed = Math.min(closure.amount, strategy.position.amount);
+        const remaining = strategy.position.amount - closed;
+        realizePnl(symbol, closure.strategy, closed, price);
+        if (remaining <= (pair?.minAmount ?? 0)) {
+            strategy.clearPosition();
+            RiskManager.removePosition(symbol, closure.strategy);
+        } else {
+            logger.info(`${closure.strategy} ${symbol} ${side} position reduced by ${closed} to ${remaining} by protective ${leg}.`);
+            strategy.setPosition(side, strategy.position.entryPrice, remaining);
+            await RiskManager.managePosition(symbol, side, strategy.position.entryPrice, remaining, strategy.config.riskManagement, closure.strategy);
+            reopened = true;
+        }
+    }
+    recordPositions();
+    if (reopened && !partial && !isDryRun) {
+        await protectPositions(symbol, side); // What the leg did not fill is unprotected now
+    }
+}
+
+/**
+ * Stops managing a strategy's position once it has been closed. The protective orders of the symbol are resized
+ * to the positions other strategies still hold on that side, or released when none remains.
+ * @param {string} symbol - The trading pair.
+ * @param {string} strategy - Name of the strategy that held the position.
+ * @returns {Promise<void>}
+ */
+async function releasePosition(symbol, strategy) {
+    const position = RiskManager.getOpenPositions()[`${symbol}:${strategy}`];
+    RiskManager.removePosition(symbol, strategy);
+    if (tradeExecutionMode !== 'live' || !protectiveOrders || !position || isDryRun) {
+        return;
+    }
+    // The protection may still cover the closed position, e.g. when it was closed by hand
+    await protectPositions(symbol, position.side);
+}
+
+/**
+ * Monitors existing positions for stop-loss, take-profit, holding time and session end exits and for the levels
+ * of their take-profit ladders (see `RiskManager.getDueExit`), and moves trailing and break-even stops
+ * (including the stop-loss orders protecting live positions on the exchange). Scale-outs close part of the
+ * position; the remainder is protected again once the fill is applied. In paper mode, resting paper orders
+ * are matched against the price first.
  * This should be called regularly with the latest price.
  * @param {string} symbol - The trading pair.
  * @param {number} currentPrice - The current market price.
+ * @param {object} [candle] - The candle the price comes from, for ATR-based trailing stops and paper order matching.
  * @returns {Promise<void>}
  */
-async function monitorAndExitPositions(symbol, currentPrice) {
+async function monitorAndExitPositions(symbol, currentPrice, candle = null) {
     if (tradeExecutionMode === 'backtest') {
         return; // Backtester handles this
     }
+    if (candle) {
+        RiskManager.recordCandle(symbol, candle);
+    }
+    if (tradeExecutionMode === 'paper') {
+        // Resting paper orders fill when the price crosses them
+        if (candle) {
+            PaperTrader.onCandle(symbol, candle);
+        } else {
+            PaperTrader.onTrades(symbol, [{ price: currentPrice, timestamp: Date.now() }]);
+        }
+    }
+    await manageWorkingOrders(symbol);
+    const isProtected = Boolean(protectiveOrders && protectiveOrders.getProtection(symbol));
+    if (isProtected && !privateFeed) {
+        // The exchange executes the exit; without the private feed, poll for it
+        await protectiveOrders.sync(symbol);
+    }
 
-    const triggeredAction = await RiskManager.monitorPositions(symbol, currentPrice);
+    // Exits resting on the exchange are left to it; the bot checks the others, e.g. a take-profit Kraken refused
+    const positions = Object.values(RiskManager.getOpenPositions()).filter(position => position.symbol === symbol);
+    const coveredExits = protectiveOrders ? protectiveOrders.getCoveredExits(symbol, positions) : {};
+    const triggeredAction = await RiskManager.monitorPositions(symbol, currentPrice, { coveredExits });
+    if (isProtected && !isDryRun) {
+        await followStopLoss(symbol);
+    }
+    await checkCircuitBreaker(symbol, currentPrice);
     if (triggeredAction) {
-        const { action, symbol, side, amount } = triggeredAction;
-        logger.info(`${action.toUpperCase()} triggered for ${symbol} ${side} position! Executing exit trade.`);
-        await executeTrade(
+        const { action, symbol, side, amount, strategy, triggerPrice } = triggeredAction;
+        logger.info(`${action.toUpperCase()} triggered for ${strategy} ${symbol} ${side} position! Executing exit trade.`);
+        // Sent on behalf of the owning strategy, so the fill closes its position
+        const order = await executeTrade(
             symbol,
             side === 'long' ? 'sell' : 'buy', // Opposite side to close
             amount,
             'market',
-            { strategy: 'RiskManager', type: action }
+            { strategy, type: action }
         );
-        notifications.sendNotification(`🚨 ${action.toUpperCase()} triggered for ${symbol} ${side} position. Exited.`, 'trade');
+        if (!order) {
+            // Re-arm the exit so it is retried on the next price
+            RiskManager.rearmExit(triggeredAction);
+            return;
+        }
+        const outcome = action === 'scale_out' ? `Scaled out ${amount} @ ${triggerPrice.toFixed(2)}` : 'Exited';
+        notifications.sendNotification(`🚨 ${action.toUpperCase()} triggered for ${strategy} ${symbol} ${side} position. ${outcome}.`, 'trade');
+    }
+}
+
+/**
+ * Moves the exchange stop-loss of a protected symbol to the stops RiskManager has trailed to. The protection
+ * covers every position on the symbol and side, so it follows the loosest of their stops.
+ * @param {string} symbol - The trading pair.
+ * @returns {Promise<void>}
+ */
+async function followStopLoss(symbol) {
+    const protection = protectiveOrders.getProtection(symbol);
+    if (!protection) {
+        return; // Closed by the exchange meanwhile
+    }
+    const stops = Object.values(RiskManager.getOpenPositions())
+        .filter(position => position.symbol === symbol && position.side === protection.side)
+        .map(position => position.stopLoss);
+    if (stops.length === 0) {
+        return;
+    }
+    const stopPrice = protection.side === 'long' ? Math.min(...stops) : Math.max(...stops);
+    try {
+        await protectiveOrders.moveStopLoss(symbol, stopPrice);
+    } catch (error) {
+        logger.error(`Could not move stop-loss for ${symbol} to ${stopPrice}: ${error.message}`);
+        notifications.sendNotification(`⚠️ Could not move ${symbol} stop-loss to ${stopPrice}: ${error.message}`, 'error');
     }
 }
 
+/**
+ * Returns Kraken asset pair metadata (precision and minimums) for a symbol.
+ * @param {string} symbol - The trading pair (e.g., 'BTC/USD').
+ * @returns {object|null} Pair info, or null if unknown (e.g. in backtest mode).
+ */
+function getPairInfo(symbol) {
+    return KrakenConnector.getPairInfo(symbol);
+}
+
+/**
+ * Returns the exchange-side stop-loss/take-profit orders protecting live positions.
+ * @returns {Array<object>} Protection records: { symbol, side, amount, entryPrice, stopLoss, takeProfit, createdAt }.
+ */
+function getProtectiveOrders() {
+    return protectiveOrders ? protectiveOrders.getProtections() : [];
+}
+
 /**
  * Retrieves the current balance for the bot.
  * @returns {object} Current balances in all tracked currencies.
@@ -194,4 +1197,41 @@ function getBalances() {
 }
 
 
-export { initializeTradingService, executeTrade, managePosition, monitorAndExitPositions, getBalances };
\ No newline at end of file
+/**
+ * Returns tracked orders, e.g. the working orders of a strategy.
+ * @param {object} [filter] - { symbol, strategy, state, active } (see OrderTracker.getOrders).
+ * @returns {Array<object>} Orders: { id, clientOrderId, symbol, side, type, amount, price, strategy, intent,
+ * state, filled, remaining, average, reason, createdAt, updatedAt }.
+ */
+function getOrders(filter = {}) {
+    return orderTracker.getOrders(filter);
+}
+
+/**
+ * Returns a tracked order.
+ * @param {string} id - Exchange order ID or client order ID.
+ * @returns {object|null} Order (see `getOrders`), or null if unknown.
+ */
+function getOrder(id) {
+    return orderTracker.getOrder(id);
+}
+
+/**
+ * Returns the journal entry of an order submitted by this service.
+ * @param {string} clientOrderId - Client order ID of the order.
+ * @returns {object|null} Latest journal state, or null if unknown.
+ */
+function getJournaledOrder(clientOrderId) {
+    return orderJournal.get(clientOrderId);
+}
+
+/**
+ * Returns recorded history for auditing.
+ * @param {object} [filter] - { type, symbol, strategy, since, until, limit } (see StateStore.query).
+ * @returns {Array<object>} Order, fill, position and balance records, oldest first.
+ */
+function getHistory(filter = {}) {
+    return stateStore.query(filter);
+}
+
+export { initializeTradingService, registerStrategy, reconcileWithExchange, executeTrade, managePosition, releasePosition, monitorAndExitPositions, resetCircuitBreaker, getBalances, getPairInfo, getProtectiveOrders, getOrders, getOrder, getJournaledOrder, getHistory, applyShutdownPolicy, stopTradingService, stopPrivateFeed };
\ No newline at end of file
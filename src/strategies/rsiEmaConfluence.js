@@ -1,5 +1,5 @@
 import StrategyInterface from './strategyInterface.js';
-import IndicatorUtils from '../indicators/indicatorUtils.js';
+import * as IndicatorUtils from '../indicators/indicatorUtils.js';
 import KrakenConnector from '../connectors/kraken.js'; // For initial historical data fetch
 import logger from '../utils/logger.js';
 
@@ -54,6 +54,8 @@ class RsiEmaConfluence extends StrategyInterface {
         }
 
         const closePrices = this.historicalData.map(c => c.close);
+        // The position is set from fills (onOrderFill); don't enter again while an entry is still working
+        const entryWorking = this.getWorkingOrders().some(order => order.intent === 'entry');
 
         if (closePrices.length < this.maxHistoricalDataSize) {
             this.logger.debug(`Not enough data for ${this.name} yet for ${this.symbol} (${closePrices.length}/${this.maxHistoricalDataSize}).`);
@@ -83,7 +85,7 @@ class RsiEmaConfluence extends StrategyInterface {
         const rsiOversoldCross = prevRSI <= this.config.params.rsiOversold && currentRSI > this.config.params.rsiOversold;
         const emaCrossUp = prevFastEma <= prevSlowEma && currentFastEma > currentSlowEma;
 
-        if (!this.position && rsiOversoldCross && emaCrossUp) {
+        if (!this.position && !entryWorking && rsiOversoldCross && emaCrossUp) {
             this.logger.info(`LONG signal for ${this.symbol}! RSI(${currentRSI.toFixed(2)}) crossed oversold, EMA cross up.`);
             try {
                 const order = await this.tradingService.executeTrade(
@@ -93,9 +95,8 @@ class RsiEmaConfluence extends StrategyInterface {
                     'market',
                     { strategy: this.name, type: 'entry' }
                 );
-                if (order && order.id) {
-                    this.setPosition('long', order.price, order.amount);
-                    this.tradingService.managePosition(this.symbol, 'long', order.price, order.amount, this.config.risk);
+                if (!order) {
+                    this.logger.warn(`LONG order for ${this.symbol} was not placed.`);
                 }
             } catch (error) {
                 this.logger.error(`Failed to execute LONG trade for ${this.symbol}: ${error.message}`);
@@ -106,7 +107,7 @@ class RsiEmaConfluence extends StrategyInterface {
         const rsiOverboughtCross = prevRSI >= this.config.params.rsiOverbought && currentRSI < this.config.params.rsiOverbought;
         const emaCrossDown = prevFastEma >= prevSlowEma && currentFastEma < currentSlowEma;
 
-        if (!this.position && rsiOverboughtCross && emaCrossDown) {
+        if (!this.position && !entryWorking && rsiOverboughtCross && emaCrossDown) {
             this.logger.info(`SHORT signal for ${this.symbol}! RSI(${currentRSI.toFixed(2)}) crossed overbought, EMA cross down.`);
             try {
                 const order = await this.tradingService.executeTrade(
@@ -116,9 +117,8 @@ class RsiEmaConfluence extends StrategyInterface {
                     'market',
                     { strategy: this.name, type: 'entry' }
                 );
-                if (order && order.id) {
-                    this.setPosition('short', order.price, order.amount);
-                    this.tradingService.managePosition(this.symbol, 'short', order.price, order.amount, this.config.risk);
+                if (!order) {
+                    this.logger.warn(`SHORT order for ${this.symbol} was not placed.`);
                 }
             } catch (error) {
                 this.logger.error(`Failed to execute SHORT trade for ${this.symbol}: ${error.message}`);
@@ -4,6 +4,8 @@
  * All strategies must implement the `run` method.
  */
 
+import logger from '../utils/logger.js';
+
 class StrategyInterface {
     constructor(symbol, config, tradingService) {
         if (new.target === StrategyInterface) {
@@ -12,7 +14,7 @@ class StrategyInterface {
         this.symbol = symbol;
         this.config = config;
         this.tradingService = tradingService;
-        this.logger = require('../utils/logger').child({ strategy: this.constructor.name, symbol: symbol });
+        this.logger = logger.child({ strategy: this.constructor.name, symbol: symbol });
         this.position = null; // To track current position: { side: 'long'|'short', entryPrice: number, amount: number }
     }
 
@@ -38,7 +40,8 @@ class StrategyInterface {
     }
 
     /**
-     * Handles exiting the current position.
+     * Handles exiting the current position. The position is reduced as the exit order fills (see `onOrderFill`),
+     * so a partially filled exit leaves the unfilled amount in the position.
      * @param {'long'|'short'} side - The side of the position to exit.
      * @returns {Promise<void>}
      */
@@ -56,15 +59,70 @@ class StrategyInterface {
                 exitSide,
                 this.position.amount,
                 'market',
-                { strategy: this.constructor.name, type: 'exit' }
+                { strategy: this.name || this.constructor.name, type: 'exit' }
             );
-            this.logger.info(`Exited ${side} position for ${this.symbol}. Order ID: ${order.id}`);
-            this.position = null; // Clear position
+            if (!order) {
+                this.logger.error(`Exit order for ${side} position on ${this.symbol} was not placed.`);
+                return;
+            }
+            this.logger.info(`Exit order for ${side} position on ${this.symbol} placed. Order ID: ${order.id}`);
         } catch (error) {
             this.logger.error(`Failed to exit ${side} position for ${this.symbol}: ${error.message}`);
         }
     }
 
+    /**
+     * Called by the trading service each time one of this strategy's orders fills, in full or in part.
+     * Entry fills open or grow the position at the volume-weighted entry price and resize its stop-loss and
+     * take-profit, keeping the stop the entry was sized for, if any; exit fills reduce it, and a closed position
+     * is released from risk management. Positions therefore always reflect the quantity actually filled.
+     * @param {object} order - Tracked order (see TradingService.getOrders); `intent` is the metadata `type`
+     * given to `executeTrade`.
+     * @param {object} fill - { amount, price } of this fill.
+     * @returns {Promise<void>}
+     */
+    async onOrderFill(order, fill) {
+        const name = this.name || this.constructor.name;
+        const side = order.side === 'buy' ? 'long' : 'short';
+        if (order.intent !== 'entry') {
+            if (!this.position || this.position.side === side) {
+                this.logger.warn(`Ignoring ${order.side} fill of ${fill.amount} for ${this.symbol}: no matching position.`);
+                return;
+            }
+            const remaining = this.position.amount - fill.amount;
+            if (remaining <= 0) {
+                this.clearPosition();
+                await this.tradingService.releasePosition(this.symbol, name);
+                return;
+            }
+            this.position = { ...this.position, amount: remaining };
+            this.logger.info(`Position reduced: ${this.position.side} ${remaining} ${this.symbol} remaining.`);
+            // Once no exit is working any more, the remainder needs stop-loss and take-profit again
+            if (!this.getWorkingOrders().some(working => working.intent !== 'entry')) {
+                await this.tradingService.managePosition(this.symbol, this.position.side, this.position.entryPrice, remaining, this.config.riskManagement, name);
+            }
+            return;
+        }
+
+        if (this.position && this.position.side === side) {
+            const amount = this.position.amount + fill.amount;
+            const entryPrice = (this.position.entryPrice * this.position.amount + fill.price * fill.amount) / amount;
+            this.setPosition(side, entryPrice, amount);
+        } else {
+            this.setPosition(side, fill.price, fill.amount);
+        }
+        await this.tradingService.managePosition(this.symbol, side, this.position.entryPrice, this.position.amount, this.config.riskManagement, name, order.stopLoss ?? null);
+    }
+
+    /**
+     * Returns this strategy's orders that have not reached a final state (open, partially filled or
+     * awaiting submission).
+     * @returns {Array<object>} Tracked orders (see TradingService.getOrders).
+     */
+    getWorkingOrders() {
+        return this.tradingService.getOrders({ symbol: this.symbol, strategy: this.name || this.constructor.name, active: true });
+    }
+
     /**
      * Sets the current position.
      * @param {'long'|'short'} side - The side of the new position.
@@ -0,0 +1,31 @@
+/**
+ * @module CRC32
+ * @description Standard CRC-32 (IEEE 802.3), as used by Kraken order book checksums.
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculates the CRC-32 of an ASCII string.
+ * @param {string} input - The string to hash.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+function crc32(input) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < input.length; i++) {
+        crc = CRC32_TABLE[(crc ^ input.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export { crc32 };
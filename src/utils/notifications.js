@@ -1,6 +1,6 @@
-const { Telegraf } = require('telegraf');
-const config = require('../../config/default.json');
-const logger = require('./logger');
+import { Telegraf } from 'telegraf';
+import logger from './logger.js';
+import config from '../../config/default.json' with { type: 'json' };
 
 /**
  * @module Notifications
@@ -47,6 +47,4 @@ async function sendNotification(message, type = 'info') {
     // if (config.notifications.discord.enabled) { ... }
 }
 
-module.exports = {
-    sendNotification
-};
\ No newline at end of file
+export { sendNotification };
\ No newline at end of file
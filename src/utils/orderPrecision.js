@@ -0,0 +1,126 @@
+/**
+ * @module OrderPrecision
+ * @description Applies Kraken asset pair rules (AssetPairs `pair_decimals`, `lot_decimals`, `tick_size`,
+ * `ordermin` and `costmin`) to order amounts and prices before they are sent.
+ * Pair info objects come from `KrakenConnector.getPairInfo`.
+ */
+
+/**
+ * Builds pair info from a CCXT market. Kraken's raw AssetPairs entry (`market.info`) is preferred;
+ * the CCXT-normalized fields are the fallback for backends that don't provide it.
+ * @param {object} market - CCXT market.
+ * @returns {object} Pair info: { symbol, pricePrecision, amountPrecision, tickSize, minAmount, minCost, status }.
+ */
+function toPairInfo(market) {
+    const info = market.info || {};
+    const pricePrecision = toInteger(info.pair_decimals) ?? decimalsOf(market.precision?.price);
+    const amountPrecision = toInteger(info.lot_decimals) ?? decimalsOf(market.precision?.amount);
+    return {
+        symbol: market.symbol,
+        pricePrecision,
+        amountPrecision,
+        tickSize: toNumber(info.tick_size) ?? (pricePrecision !== null ? Math.pow(10, -pricePrecision) : null),
+        minAmount: toNumber(info.ordermin) ?? market.limits?.amount?.min ?? null,
+        minCost: toNumber(info.costmin) ?? market.limits?.cost?.min ?? null,
+        status: info.status || (market.active === false ? 'disabled' : 'online')
+    };
+}
+
+/**
+ * Truncates an amount to the pair's lot decimals. Amounts are never rounded up,
+ * so a rounded order can't exceed the balance it was sized from.
+ * @param {number} amount - Amount in base currency.
+ * @param {object} pair - Pair info.
+ * @returns {number} Rounded amount.
+ */
+function roundAmount(amount, pair) {
+    if (!Number.isInteger(pair.amountPrecision)) {
+        return amount;
+    }
+    const factor = Math.pow(10, pair.amountPrecision);
+    // toFixed first so 0.29999999999 (a float artifact of 0.3) doesn't truncate to 0.2
+    return Math.floor(Number((amount * factor).toFixed(6))) / factor;
+}
+
+/**
+ * Rounds a price to the pair's tick size.
+ * @param {number} price - Price in quote currency.
+ * @param {object} pair - Pair info.
+ * @param {'nearest'|'down'|'up'} [mode='nearest'] - Rounding direction.
+ * @returns {number} Rounded price.
+ */
+function roundPrice(price, pair, mode = 'nearest') {
+    if (!pair.tickSize) {
+        return price;
+    }
+    const round = mode === 'down' ? Math.floor : mode === 'up' ? Math.ceil : Math.round;
+    const ticks = round(Number((price / pair.tickSize).toFixed(6)));
+    return Number((ticks * pair.tickSize).toFixed(pair.pricePrecision ?? decimalsOf(pair.tickSize) ?? 8));
+}
+
+/**
+ * Rounds an order to the pair's precision and checks it against the pair's minimums.
+ * Limit buy prices are rounded down and limit sell prices up, so rounding never worsens the limit.
+ * @param {object} pair - Pair info.
+ * @param {object} order
+ * @param {'buy'|'sell'} order.side - Order side.
+ * @param {number} order.amount - Amount in base currency.
+ * @param {number|null} [order.price] - Limit price, or null for market orders.
+ * @param {number} [order.referencePrice] - Expected execution price for cost checks on market orders.
+ * @returns {{amount: number, price: number|null, rejection: string|null}} Rounded order, with a
+ * human-readable rejection reason if Kraken would refuse it.
+ */
+function prepareOrder(pair, { side, amount, price = null, referencePrice = null }) {
+    const roundedAmount = roundAmount(amount, pair);
+    const roundedPrice = price ? roundPrice(price, pair, side === 'buy' ? 'down' : 'up') : null;
+    const result = { amount: roundedAmount, price: roundedPrice, rejection: null };
+
+    if (pair.status && pair.status !== 'online') {
+        result.rejection = `${pair.symbol} is not tradable (status: ${pair.status}).`;
+    } else if (!(roundedAmount > 0)) {
+        result.rejection = `Amount ${amount} rounds to zero at ${pair.amountPrecision} lot decimals for ${pair.symbol}.`;
+    } else if (pair.minAmount && roundedAmount < pair.minAmount) {
+        result.rejection = `Amount ${roundedAmount} is below the ${pair.symbol} minimum order size of ${pair.minAmount}.`;
+    } else {
+        const costPrice = roundedPrice ?? referencePrice;
+        const cost = costPrice ? roundedAmount * costPrice : null;
+        if (pair.minCost && cost !== null && cost < pair.minCost) {
+            result.rejection = `Order cost ${cost.toFixed(2)} is below the ${pair.symbol} minimum order cost of ${pair.minCost}.`;
+        }
+    }
+    return result;
+}
+
+/**
+ * @private
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @private
+ */
+function toInteger(value) {
+    const number = toNumber(value);
+    return Number.isInteger(number) ? number : null;
+}
+
+/**
+ * Number of decimals of a step size such as 0.001 or 1e-8 (CCXT's tick-size precision mode).
+ * @private
+ */
+function decimalsOf(step) {
+    if (!step) {
+        return null;
+    }
+    const [mantissa, exponent] = step.toString().split('e-');
+    const fractionDigits = (mantissa.split('.')[1] || '').length;
+    return fractionDigits + (exponent ? Number(exponent) : 0);
+}
+
+export { toPairInfo, roundAmount, roundPrice, prepareOrder };
@@ -0,0 +1,433 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { WebSocketServer } from 'ws';
+
+// Mock the dependencies
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+const { default: MarketDataService } = await import('../../src/services/marketDataService.js');
+const { crc32 } = await import('../../src/utils/crc32.js');
+
+const ONE_MINUTE = 60000;
+const BASE_TIME = Date.parse('2024-01-01T00:00:00Z');
+
+function ohlcEntry(symbol, minute, close) {
+    return {
+        symbol,
+        open: close - 10,
+        high: close + 20,
+        low: close - 20,
+        close,
+        trades: 5,
+        volume: 1.5,
+        vwap: close,
+        interval_begin: new Date(BASE_TIME + minute * ONE_MINUTE).toISOString(),
+        interval: 1,
+        timestamp: new Date(BASE_TIME + minute * ONE_MINUTE + 30000).toISOString()
+    };
+}
+
+function waitFor(predicate, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (predicate()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error('Timed out waiting for condition'));
+            }
+        }, 10);
+    });
+}
+
+describe('MarketDataService WebSocket feed', () => {
+    let server;
+    let clients;
+    let requests;
+    let service;
+
+    const lastClient = () => clients[clients.length - 1];
+    const push = (message) => lastClient().send(JSON.stringify(message));
+
+    beforeEach(async () => {
+        clients = [];
+        requests = [];
+        server = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => server.once('listening', resolve));
+        server.on('connection', (socket) => {
+            clients.push(socket);
+            socket.on('message', (raw) => {
+                const request = JSON.parse(raw.toString());
+                requests.push(request);
+                socket.send(JSON.stringify({ method: request.method, result: request.params, success: true, req_id: request.req_id }));
+            });
+        });
+
+        service = new MarketDataService(null, {
+            symbols: ['BTC/USD', 'ETH/USD'],
+            timeframe: '1m',
+            websocketUrl: `ws://127.0.0.1:${server.address().port}`,
+            heartbeatTimeoutMs: 400,
+            reconnectDelayMs: 20,
+            maxReconnectDelayMs: 50,
+            orderBookEnabled: false
+        });
+    });
+
+    afterEach(async () => {
+        await service.disconnect();
+        for (const client of clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should subscribe to ohlc, ticker and trade channels for every symbol', async () => {
+        await service.connect();
+        await waitFor(() => requests.length === 3);
+
+        const channels = requests.map(r => r.params.channel);
+        expect(channels).toEqual(['ohlc', 'ticker', 'trade']);
+        requests.forEach(r => {
+            expect(r.method).toBe('subscribe');
+            expect(r.params.symbol).toEqual(['BTC/USD', 'ETH/USD']);
+        });
+        expect(requests[0].params.interval).toBe(1);
+    });
+
+    test('should emit only closed candles and never the in-progress bar', async () => {
+        const emitted = [];
+        service.on('ohlcv', (symbol, candle) => emitted.push({ symbol, candle }));
+        await service.connect();
+
+        push({ channel: 'ohlc', type: 'snapshot', data: [ohlcEntry('BTC/USD', 0, 100), ohlcEntry('BTC/USD', 1, 101)] });
+        push({ channel: 'ohlc', type: 'update', data: [ohlcEntry('BTC/USD', 1, 102)] });
+        push({ channel: 'ohlc', type: 'update', data: [ohlcEntry('BTC/USD', 1, 103)] });
+        push({ channel: 'ohlc', type: 'update', data: [ohlcEntry('BTC/USD', 2, 104)] });
+
+        await waitFor(() => emitted.length === 1);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0].symbol).toBe('BTC/USD');
+        expect(emitted[0].candle).toEqual({
+            timestamp: BASE_TIME + ONE_MINUTE,
+            open: 93,
+            high: 123,
+            low: 83,
+            close: 103,
+            volume: 1.5
+        });
+    });
+
+    test('should emit ticker and trade events', async () => {
+        const tickers = [];
+        const trades = [];
+        service.on('ticker', (symbol, ticker) => tickers.push({ symbol, ticker }));
+        service.on('trade', (symbol, t) => trades.push({ symbol, t }));
+        await service.connect();
+
+        push({ channel: 'ticker', type: 'update', data: [{ symbol: 'ETH/USD', bid: 2000, ask: 2001, last: 2000.5, volume: 10, high: 2100, low: 1900, change: 5, change_pct: 0.25 }] });
+        push({ channel: 'trade', type: 'update', data: [{ symbol: 'BTC/USD', side: 'buy', price: 50000, qty: 0.1, ord_type: 'market', trade_id: 7, timestamp: '2024-01-01T00:00:01.000000Z' }] });
+
+        await waitFor(() => tickers.length === 1 && trades.length === 1);
+        expect(tickers[0].symbol).toBe('ETH/USD');
+        expect(service.getLatestTicker('ETH/USD').last).toBe(2000.5);
+        expect(trades[0].t[0]).toEqual({ id: 7, side: 'buy', price: 50000, amount: 0.1, timestamp: BASE_TIME + 1000 });
+    });
+
+    test('should resubscribe after reconnect and fill the gap without duplicates', async () => {
+        const emitted = [];
+        service.on('ohlcv', (symbol, candle) => emitted.push(candle.timestamp));
+        await service.connect();
+
+        push({ channel: 'ohlc', type: 'snapshot', data: [ohlcEntry('BTC/USD', 0, 100), ohlcEntry('BTC/USD', 1, 101)] });
+        push({ channel: 'ohlc', type: 'update', data: [ohlcEntry('BTC/USD', 2, 102)] });
+        await waitFor(() => emitted.length === 1);
+
+        // Drop the connection while minute 2 is in progress
+        lastClient().terminate();
+        await waitFor(() => clients.length === 2 && requests.length === 6);
+
+        // Minutes 2 and 3 closed while we were away
+        push({ channel: 'ohlc', type: 'snapshot', data: [ohlcEntry('BTC/USD', 1, 101), ohlcEntry('BTC/USD', 2, 102), ohlcEntry('BTC/USD', 3, 103), ohlcEntry('BTC/USD', 4, 104)] });
+        await waitFor(() => emitted.length === 3);
+
+        expect(emitted).toEqual([BASE_TIME + ONE_MINUTE, BASE_TIME + 2 * ONE_MINUTE, BASE_TIME + 3 * ONE_MINUTE]);
+        expect(requests.slice(3).map(r => r.params.channel)).toEqual(['ohlc', 'ticker', 'trade']);
+    });
+
+    test('should reconnect when heartbeats stop', async () => {
+        await service.connect();
+        push({ channel: 'heartbeat' });
+
+        // Server stays silent, so the heartbeat watchdog must force a new connection
+        await waitFor(() => clients.length === 2, 3000);
+        expect(service.socket.lastHeartbeatAt).toBeGreaterThan(0);
+    });
+});
+
+describe('MarketDataService REST polling', () => {
+    let exchange;
+    let service;
+    let emitted;
+
+    // Candles from BASE_TIME up to and including the in-progress minute
+    const candlesUntilNow = () => {
+        const data = [];
+        for (let t = BASE_TIME; t <= Date.now(); t += ONE_MINUTE) {
+            data.push([t, 100, 110, 90, 105, 1]);
+        }
+        return data;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: BASE_TIME + 5 * ONE_MINUTE + 30000 });
+        exchange = { fetchOHLCV: jest.fn(async (symbol, timeframe, since, limit) => candlesUntilNow().slice(-limit)) };
+        service = new MarketDataService(exchange, {
+            symbols: ['BTC/USD'],
+            timeframe: '1m',
+            websocketEnabled: false,
+            settleDelayMs: 1000,
+            retryDelayMs: 5000
+        });
+        emitted = [];
+        service.on('ohlcv', (symbol, candle) => emitted.push(candle.timestamp));
+    });
+
+    afterEach(async () => {
+        await service.stop();
+        jest.useRealTimers();
+    });
+
+    test('should not replay history on the first poll', async () => {
+        await service.start();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(exchange.fetchOHLCV).toHaveBeenCalledTimes(1);
+        expect(service.getActiveSource()).toBe('polling');
+        expect(emitted).toEqual([]);
+    });
+
+    test('should emit each newly closed candle once, right after the candle boundary', async () => {
+        await service.start();
+        await jest.advanceTimersByTimeAsync(0);
+
+        // 30s to the boundary of minute 6 plus the settle delay
+        await jest.advanceTimersByTimeAsync(31000);
+        expect(exchange.fetchOHLCV).toHaveBeenCalledTimes(2);
+        expect(emitted).toEqual([BASE_TIME + 5 * ONE_MINUTE]);
+
+        await jest.advanceTimersByTimeAsync(2 * ONE_MINUTE);
+        expect(emitted).toEqual([BASE_TIME + 5 * ONE_MINUTE, BASE_TIME + 6 * ONE_MINUTE, BASE_TIME + 7 * ONE_MINUTE]);
+    });
+
+    test('should retry when the closed candle is not published yet', async () => {
+        await service.start();
+        await jest.advanceTimersByTimeAsync(0);
+
+        // Exchange lags: it only knows about candles up to the previous boundary
+        exchange.fetchOHLCV.mockImplementationOnce(async (symbol, timeframe, since, limit) => candlesUntilNow().slice(0, -1).slice(-limit));
+        await jest.advanceTimersByTimeAsync(31000);
+        expect(emitted).toEqual([]);
+
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(exchange.fetchOHLCV).toHaveBeenCalledTimes(3);
+        expect(emitted).toEqual([BASE_TIME + 5 * ONE_MINUTE]);
+    });
+
+    test('should stop polling', async () => {
+        await service.start();
+        await jest.advanceTimersByTimeAsync(0);
+        service.stopPolling();
+
+        await jest.advanceTimersByTimeAsync(5 * ONE_MINUTE);
+        expect(exchange.fetchOHLCV).toHaveBeenCalledTimes(1);
+        expect(emitted).toEqual([]);
+    });
+});
+
+describe('MarketDataService source switching', () => {
+    let server;
+    let clients;
+    let accepting;
+    let exchange;
+    let service;
+
+    const currentMinute = () => Math.floor(Date.now() / ONE_MINUTE) * ONE_MINUTE;
+    const entryAt = (timestamp, close) => ({ ...ohlcEntry('BTC/USD', 0, close), interval_begin: new Date(timestamp).toISOString() });
+
+    beforeEach(async () => {
+        clients = [];
+        accepting = true;
+        server = new WebSocketServer({ port: 0, verifyClient: (info, done) => done(accepting) });
+        await new Promise(resolve => server.once('listening', resolve));
+        server.on('connection', socket => clients.push(socket));
+
+        exchange = {
+            fetchOHLCV: jest.fn(async () => {
+                const now = currentMinute();
+                return [3, 2, 1, 0].map(i => [now - i * ONE_MINUTE, 100, 110, 90, 105, 1]);
+            })
+        };
+        service = new MarketDataService(exchange, {
+            symbols: ['BTC/USD'],
+            timeframe: '1m',
+            websocketEnabled: true,
+            websocketUrl: `ws://127.0.0.1:${server.address().port}`,
+            heartbeatTimeoutMs: 5000,
+            reconnectDelayMs: 20,
+            maxReconnectDelayMs: 50,
+            fallbackDelayMs: 100,
+            orderBookEnabled: false
+        });
+    });
+
+    afterEach(async () => {
+        await service.stop();
+        for (const client of clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should fall back to polling while the socket is down and switch back without duplicates', async () => {
+        const emitted = [];
+        const sources = [];
+        service.on('ohlcv', (symbol, candle) => emitted.push(candle.timestamp));
+        service.on('source', source => sources.push(source));
+
+        await service.start();
+        await waitFor(() => service.getActiveSource() === 'websocket');
+
+        // The socket last saw minute M-2 in progress
+        const m = currentMinute();
+        clients[0].send(JSON.stringify({ channel: 'ohlc', type: 'snapshot', data: [entryAt(m - 3 * ONE_MINUTE, 100), entryAt(m - 2 * ONE_MINUTE, 101)] }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        accepting = false;
+        clients[0].terminate();
+
+        // Polling takes over and fills M-2 and M-1, but not the in-progress minute
+        await waitFor(() => service.getActiveSource() === 'polling');
+        await waitFor(() => emitted.length === 2);
+        expect(emitted).toEqual([m - 2 * ONE_MINUTE, m - ONE_MINUTE]);
+
+        // Back on the socket: the snapshot overlaps what polling already emitted
+        accepting = true;
+        await waitFor(() => service.getActiveSource() === 'websocket', 5000);
+        const latest = clients[clients.length - 1];
+        latest.send(JSON.stringify({ channel: 'ohlc', type: 'snapshot', data: [entryAt(m - 2 * ONE_MINUTE, 101), entryAt(m - ONE_MINUTE, 102), entryAt(m, 103)] }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(emitted).toEqual([m - 2 * ONE_MINUTE, m - ONE_MINUTE]);
+        expect(sources).toEqual(['websocket', 'polling', 'websocket']);
+        expect(service.polling).toBe(false);
+    });
+});
+
+describe('MarketDataService order book', () => {
+    let server;
+    let clients;
+    let requests;
+    let service;
+
+    const push = (message) => clients[clients.length - 1].send(JSON.stringify(message));
+    const instrumentSnapshot = {
+        channel: 'instrument',
+        type: 'snapshot',
+        data: {
+            assets: [],
+            pairs: [
+                { symbol: 'BTC/USD', price_precision: 1, qty_precision: 8 },
+                { symbol: 'DOGE/USD', price_precision: 7, qty_precision: 8 }
+            ]
+        }
+    };
+
+    // asks: 101.0 x 0.25, bids: 100.5 x 1.5
+    const snapshotChecksum = crc32('1010' + '25000000' + '1005' + '150000000');
+    // asks: 101.0 x 0.25, bids: 100.6 x 2, 100.5 x 1.5
+    const updateChecksum = crc32('1010' + '25000000' + '1006' + '200000000' + '1005' + '150000000');
+
+    beforeEach(async () => {
+        clients = [];
+        requests = [];
+        server = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => server.once('listening', resolve));
+        server.on('connection', (socket) => {
+            clients.push(socket);
+            socket.on('message', raw => requests.push(JSON.parse(raw.toString())));
+        });
+
+        service = new MarketDataService(null, {
+            symbols: ['BTC/USD'],
+            timeframe: '1m',
+            websocketUrl: `ws://127.0.0.1:${server.address().port}`,
+            orderBookEnabled: true,
+            orderBookDepth: 10
+        });
+        await service.connect();
+        await waitFor(() => requests.length === 4);
+    });
+
+    afterEach(async () => {
+        await service.disconnect();
+        for (const client of clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should subscribe to the book only after instrument precisions are known', async () => {
+        expect(requests[3].params).toEqual({ channel: 'instrument' });
+
+        push(instrumentSnapshot);
+        await waitFor(() => requests.length === 5);
+        expect(requests[4].method).toBe('subscribe');
+        expect(requests[4].params).toEqual({ channel: 'book', symbol: ['BTC/USD'], depth: 10 });
+    });
+
+    test('should apply snapshot and updates and emit verified books', async () => {
+        const events = [];
+        service.on('orderbook', (symbol, book) => events.push({ symbol, bid: book.getBestBid() }));
+
+        push(instrumentSnapshot);
+        push({ channel: 'book', type: 'snapshot', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.5, qty: 1.5 }], asks: [{ price: 101.0, qty: 0.25 }], checksum: snapshotChecksum }] });
+        push({ channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.6, qty: 2 }], asks: [], checksum: updateChecksum, timestamp: '2024-01-01T00:00:00.000000Z' }] });
+
+        await waitFor(() => events.length === 2);
+        expect(events[1]).toEqual({ symbol: 'BTC/USD', bid: { price: 100.6, qty: 2 } });
+        expect(service.getBestBidAsk('BTC/USD')).toEqual({ bid: { price: 100.6, qty: 2 }, ask: { price: 101.0, qty: 0.25 } });
+        expect(service.getOrderBookDepth('BTC/USD', 5).bids).toEqual([[100.6, 2], [100.5, 1.5]]);
+    });
+
+    test('should resync the book on checksum mismatch', async () => {
+        const events = [];
+        service.on('orderbook', () => events.push(true));
+
+        push(instrumentSnapshot);
+        push({ channel: 'book', type: 'snapshot', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.5, qty: 1.5 }], asks: [{ price: 101.0, qty: 0.25 }], checksum: snapshotChecksum }] });
+        push({ channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.6, qty: 2 }], asks: [], checksum: 12345 }] });
+
+        await waitFor(() => requests.length === 7);
+        expect(events).toHaveLength(1);
+        expect(service.getOrderBook('BTC/USD')).toBeNull();
+        expect(requests.slice(5).map(r => [r.method, r.params.symbol])).toEqual([['unsubscribe', ['BTC/USD']], ['subscribe', ['BTC/USD']]]);
+
+        // Updates are ignored until the new snapshot arrives
+        push({ channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.7, qty: 1 }], asks: [], checksum: 1 }] });
+        push({ channel: 'book', type: 'snapshot', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.5, qty: 1.5 }], asks: [{ price: 101.0, qty: 0.25 }], checksum: snapshotChecksum }] });
+        await waitFor(() => events.length === 2);
+        expect(requests).toHaveLength(7);
+        expect(service.getBestBidAsk('BTC/USD').bid).toEqual({ price: 100.5, qty: 1.5 });
+    });
+});
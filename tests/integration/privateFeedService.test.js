@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { WebSocketServer } from 'ws';
+
+// Mock the dependencies
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+const { default: PrivateFeedService } = await import('../../src/services/privateFeedService.js');
+
+function waitFor(predicate, timeoutMs = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (predicate()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                clearInterval(timer);
+                reject(new Error('Timed out waiting for condition'));
+            }
+        }, 10);
+    });
+}
+
+describe('PrivateFeedService', () => {
+    let server;
+    let clients;
+    let requests;
+    let tokenProvider;
+    let feed;
+
+    const push = (message) => clients[clients.length - 1].send(JSON.stringify(message));
+
+    beforeEach(async () => {
+        clients = [];
+        requests = [];
+        server = new WebSocketServer({ port: 0 });
+        await new Promise(resolve => server.once('listening', resolve));
+        server.on('connection', (socket) => {
+            clients.push(socket);
+            socket.on('message', raw => requests.push(JSON.parse(raw.toString())));
+        });
+
+        let tokens = 0;
+        tokenProvider = jest.fn(async () => `token-${++tokens}`);
+        feed = new PrivateFeedService(tokenProvider, {
+            websocketUrl: `ws://127.0.0.1:${server.address().port}`,
+            reconnectDelayMs: 20,
+            maxReconnectDelayMs: 50
+        });
+    });
+
+    afterEach(async () => {
+        await feed.disconnect();
+        for (const client of clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should subscribe to executions with a fresh token on every connect', async () => {
+        const subscribed = jest.fn();
+        feed.on('subscribed', subscribed);
+
+        await feed.connect();
+        await waitFor(() => requests.length === 1);
+        expect(requests[0].method).toBe('subscribe');
+        expect(requests[0].params).toEqual({ channel: 'executions', token: 'token-1', snap_orders: true, snap_trades: false });
+
+        clients[0].terminate();
+        await waitFor(() => requests.length === 2);
+        expect(requests[1].params.token).toBe('token-2');
+        expect(subscribed).toHaveBeenCalledTimes(2);
+    });
+
+    test('should emit order events for the open-order snapshot', async () => {
+        const orders = [];
+        feed.on('order', event => orders.push(event));
+        await feed.connect();
+        await waitFor(() => requests.length === 1);
+
+        push({
+            channel: 'executions',
+            type: 'snapshot',
+            data: [{ order_id: 'OABC-1', symbol: 'BTC/USD', side: 'buy', order_type: 'limit', order_qty: 0.5, cum_qty: 0, limit_price: 40000, order_status: 'new', exec_type: 'new', timestamp: '2024-01-01T00:00:00.000000Z' }]
+        });
+
+        await waitFor(() => orders.length === 1);
+        expect(orders[0]).toMatchObject({ orderId: 'OABC-1', symbol: 'BTC/USD', status: 'new', execType: 'snapshot', amount: 0.5, price: 40000, lastFill: null, snapshot: true });
+    });
+
+    test('should emit partial fills, fills and cancels', async () => {
+        const fills = [];
+        const cancels = [];
+        feed.on('fill', event => fills.push(event));
+        feed.on('cancel', event => cancels.push(event));
+        await feed.connect();
+        await waitFor(() => requests.length === 1);
+
+        push({
+            channel: 'executions',
+            type: 'update',
+            data: [
+                { order_id: 'OABC-1', exec_id: 'E1', exec_type: 'trade', trade_id: 11, symbol: 'BTC/USD', side: 'buy', last_qty: 0.2, last_price: 40000, cum_qty: 0.2, avg_price: 40000, order_status: 'partially_filled', fees: [{ asset: 'USD', qty: 12.8 }], timestamp: '2024-01-01T00:00:01.000000Z' },
+                { order_id: 'OABC-1', exec_id: 'E2', exec_type: 'trade', trade_id: 12, symbol: 'BTC/USD', side: 'buy', last_qty: 0.3, last_price: 39990, cum_qty: 0.5, avg_price: 39994, order_status: 'filled', fees: [{ asset: 'USD', qty: 19.2 }], timestamp: '2024-01-01T00:00:02.000000Z' },
+                { order_id: 'OXYZ-2', exec_type: 'canceled', order_status: 'canceled', reason: 'User requested', timestamp: '2024-01-01T00:00:03.000000Z' }
+            ]
+        });
+
+        await waitFor(() => fills.length === 2 && cancels.length === 1);
+        expect(fills[0].status).toBe('partially_filled');
+        expect(fills[0].lastFill).toEqual({ id: 'E1', tradeId: 11, price: 40000, amount: 0.2, fee: 12.8, feeAsset: 'USD' });
+        expect(fills[1]).toMatchObject({ status: 'filled', filled: 0.5, average: 39994 });
+        expect(cancels[0]).toMatchObject({ orderId: 'OXYZ-2', status: 'canceled', reason: 'User requested' });
+    });
+
+    test('should reconnect when the token request fails', async () => {
+        tokenProvider.mockRejectedValueOnce(new Error('EAPI:Invalid key'));
+
+        await feed.connect();
+        await waitFor(() => requests.length === 1);
+        expect(clients).toHaveLength(2);
+        expect(requests[0].params.token).toBe('token-1');
+    });
+});
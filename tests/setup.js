@@ -1,5 +1,6 @@
 // Jest setup file for trading bot tests
-const { jest } = require('@jest/globals');
+// Importing @jest/globals here would bind its `jest` object to this file for every test module
+const jest = import.meta.jest;
 
 // Set up global test environment
 global.console = {
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const RiskManager = await import('../../src/riskManagement/riskManager.js');
+const { default: StateStore } = await import('../../src/persistence/stateStore.js');
+
+describe('RiskManager circuit breaker', () => {
+    const DAY_1 = Date.UTC(2024, 0, 1, 9);
+    const DAY_2 = Date.UTC(2024, 0, 2, 0, 1);
+
+    beforeEach(() => {
+        RiskManager.restoreCircuitBreaker(null);
+    });
+
+    test('should halt entries at the daily loss limit and resume on the next UTC day', () => {
+        expect(RiskManager.updateEquity(10000, DAY_1)).toBeNull();
+        expect(RiskManager.updateEquity(9600, DAY_1 + 60000)).toBeNull();
+        expect(RiskManager.isTradingHalted()).toBe(false);
+
+        expect(RiskManager.updateEquity(9500, DAY_1 + 120000)).toBe('tripped');
+        expect(RiskManager.isTradingHalted()).toBe(true);
+        expect(RiskManager.getCircuitBreakerStatus().halted).toEqual({ reason: 'daily_loss', message: expect.stringContaining('5.00%'), at: DAY_1 + 120000 });
+        // Reported once, even as the loss grows
+        expect(RiskManager.updateEquity(9400, DAY_1 + 180000)).toBeNull();
+
+        expect(RiskManager.updateEquity(9400, DAY_2)).toBe('resumed');
+        expect(RiskManager.isTradingHalted()).toBe(false);
+        expect(RiskManager.getCircuitBreakerStatus()).toEqual(expect.objectContaining({ day: '2024-01-02', dayStartEquity: 9400, peakEquity: 10000 }));
+    });
+
+    test('should keep a drawdown halt across days until reset', () => {
+        const DAY = 86400000;
+        RiskManager.updateEquity(12000, DAY_1);
+        // Each day loses less than the daily limit
+        for (const [day, open, close] of [[1, 11600, 11100], [2, 11100, 10600], [3, 10200, 9700]]) {
+            RiskManager.updateEquity(open, DAY_1 + day * DAY);
+            RiskManager.updateEquity(close, DAY_1 + day * DAY + 60000);
+        }
+        expect(RiskManager.isTradingHalted()).toBe(false);
+
+        RiskManager.updateEquity(9700, DAY_1 + 4 * DAY);
+        expect(RiskManager.updateEquity(9600, DAY_1 + 4 * DAY + 60000)).toBe('tripped'); // 20% below the peak
+        expect(RiskManager.getCircuitBreakerStatus().halted.reason).toBe('drawdown');
+        expect(RiskManager.updateEquity(9600, DAY_1 + 5 * DAY)).toBe('rollover');
+        expect(RiskManager.isTradingHalted()).toBe(true);
+
+        expect(RiskManager.resetCircuitBreaker()).toEqual(expect.objectContaining({ reason: 'drawdown' }));
+        expect(RiskManager.isTradingHalted()).toBe(false);
+        expect(RiskManager.getCircuitBreakerStatus()).toEqual(expect.objectContaining({ dayStartEquity: 9600, peakEquity: 9600, drawdown: 0 }));
+        expect(RiskManager.resetCircuitBreaker()).toBeNull();
+    });
+
+    test('should report realized, unrealized and daily PnL', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, {}, 'Trend');
+        await RiskManager.monitorPositions('BTC/USD', 39000, { triggerExits: false });
+        RiskManager.updateEquity(10000, DAY_1);
+        RiskManager.recordRealizedPnl(-150);
+        RiskManager.recordRealizedPnl(50);
+        RiskManager.updateEquity(9800, DAY_1 + 60000);
+
+        expect(RiskManager.getCircuitBreakerStatus()).toEqual(expect.objectContaining({
+            realizedPnl: -100, unrealizedPnl: -100, dailyPnl: -200, drawdown: 0.02, halted: null
+        }));
+        RiskManager.removePosition('BTC/USD', 'Trend');
+    });
+
+    test('should survive a restart through the state store', () => {
+        const store = new StateStore();
+        RiskManager.updateEquity(10000, DAY_1);
+        RiskManager.updateEquity(9000, DAY_1 + 60000);
+        store.recordCircuitBreaker(RiskManager.getCircuitBreakerStatus());
+
+        RiskManager.restoreCircuitBreaker(null);
+        expect(RiskManager.isTradingHalted()).toBe(false);
+        expect(store.getCircuitBreaker()).toEqual({
+            day: '2024-01-01', dayStartEquity: 10000, equity: 9000, peakEquity: 10000, realizedPnl: 0,
+            halted: expect.objectContaining({ reason: 'daily_loss' })
+        });
+
+        RiskManager.restoreCircuitBreaker(store.getCircuitBreaker());
+        expect(RiskManager.isTradingHalted()).toBe(true);
+        expect(RiskManager.updateEquity(9000, DAY_2)).toBe('resumed');
+    });
+});
@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+jest.unstable_mockModule('../../src/services/tradingService.js', () => ({
+    getBalances: jest.fn(async () => ({ USD: 11000, BTC: 0.1 }))
+}));
+
+const { default: CryptoBotApp } = await import('../../app.js');
+const RiskManager = await import('../../src/riskManagement/riskManager.js');
+
+describe('CryptoBotApp daily summary', () => {
+    const HOUR = 3600000;
+
+    // Hourly candles whose returns alternate between +3% and -3%
+    beforeAll(() => {
+        let close = 100;
+        for (let i = 0; i < 61; i++) {
+            close *= i === 0 ? 1 : i % 2 ? 1.03 : 0.97;
+            RiskManager.recordCandle('BTC/USD', { timestamp: i * HOUR, open: close, high: close, low: close, close });
+        }
+    });
+
+    afterEach(() => {
+        RiskManager.removePosition('BTC/USD', 'Trend');
+    });
+
+    test('should report balance, return, open positions and the 1-day VaR and expected shortfall', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, {}, 'Trend', 39000);
+        const dayRisk = (0.03 * 4000 * Math.sqrt(24)).toFixed(2); // Half of the hours lose 3% of the position
+
+        const summary = await new CryptoBotApp().buildDailySummary();
+
+        expect(summary).toContain('Current Balance (USD): $11000.00');
+        expect(summary).toContain('Total Return: 10.00%');
+        expect(summary).toContain('Open Positions: 1');
+        expect(summary).toMatch(new RegExp(`1-day VaR \\(95\\.0%\\): \\$${dayRisk} \\(ES \\$${dayRisk}\\) historical, \\$[\\d.]+ \\(ES \\$[\\d.]+\\) parametric$`));
+    });
+
+    test('should report unknown VaR without enough history', async () => {
+        await RiskManager.managePosition('DOT/USD', 'long', 5, 100, {}, 'Trend', 4.5);
+
+        expect(await new CryptoBotApp().buildDailySummary()).toMatch(/1-day VaR \(95\.0%\): n\/a historical, n\/a parametric$/);
+        RiskManager.removePosition('DOT/USD', 'Trend');
+    });
+});
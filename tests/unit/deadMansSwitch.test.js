@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+
+const { default: DeadMansSwitch } = await import('../../src/services/deadMansSwitch.js');
+const notifications = await import('../../src/utils/notifications.js');
+
+describe('DeadMansSwitch', () => {
+    let connector;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        notifications.sendNotification.mockClear();
+        connector = {
+            cancelAllOrdersAfter: jest.fn(async (timeoutMs) => ({
+                currentTime: new Date().toISOString(),
+                triggerTime: timeoutMs > 0 ? new Date(Date.now() + timeoutMs).toISOString() : null
+            }))
+        };
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should reject a refresh interval that is not shorter than the timeout', () => {
+        expect(() => new DeadMansSwitch(connector, { timeoutMs: 10000, refreshIntervalMs: 10000 })).toThrow('must be shorter');
+    });
+
+    test('should arm on start and refresh on every interval', async () => {
+        const dms = new DeadMansSwitch(connector, { timeoutMs: 60000, refreshIntervalMs: 15000 });
+
+        await dms.start();
+        expect(connector.cancelAllOrdersAfter).toHaveBeenCalledWith(60000);
+        expect(dms.getStatus()).toEqual(expect.objectContaining({ enabled: true, active: true, healthy: true, timeoutMs: 60000 }));
+
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(connector.cancelAllOrdersAfter).toHaveBeenCalledTimes(4);
+        expect(dms.getStatus().triggerTime).toBe(new Date(Date.now() + 60000).toISOString());
+
+        await dms.stop();
+    });
+
+    test('should disarm on stop unless asked to leave the timer running', async () => {
+        const dms = new DeadMansSwitch(connector, { timeoutMs: 60000, refreshIntervalMs: 15000 });
+        await dms.start();
+
+        await dms.stop();
+        expect(connector.cancelAllOrdersAfter).toHaveBeenLastCalledWith(0);
+        expect(dms.getStatus()).toEqual(expect.objectContaining({ active: false, triggerTime: null }));
+
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(connector.cancelAllOrdersAfter).toHaveBeenCalledTimes(2);
+
+        const leftArmed = new DeadMansSwitch(connector, { timeoutMs: 60000, refreshIntervalMs: 15000 });
+        await leftArmed.start();
+        await leftArmed.stop({ disarm: false });
+        expect(connector.cancelAllOrdersAfter).toHaveBeenLastCalledWith(60000);
+    });
+
+    test('should stop refreshing while the bot is unhealthy', async () => {
+        let healthy = true;
+        const dms = new DeadMansSwitch(connector, { timeoutMs: 60000, refreshIntervalMs: 15000, healthCheck: () => healthy });
+        await dms.start();
+
+        healthy = false;
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(connector.cancelAllOrdersAfter).toHaveBeenCalledTimes(1);
+        expect(dms.getStatus().healthy).toBe(false);
+        expect(notifications.sendNotification).toHaveBeenCalledTimes(1);
+
+        healthy = true;
+        await jest.advanceTimersByTimeAsync(15000);
+        expect(connector.cancelAllOrdersAfter).toHaveBeenCalledTimes(2);
+        expect(dms.getStatus().healthy).toBe(true);
+
+        await dms.stop();
+    });
+
+    test('should report refresh failures and recover', async () => {
+        const dms = new DeadMansSwitch(connector, { timeoutMs: 60000, refreshIntervalMs: 15000 });
+        await dms.start();
+
+        connector.cancelAllOrdersAfter.mockRejectedValueOnce(new Error('EService:Unavailable')).mockRejectedValueOnce(new Error('EService:Unavailable'));
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(dms.getStatus()).toEqual(expect.objectContaining({ healthy: false, consecutiveFailures: 2, lastError: 'EService:Unavailable' }));
+        expect(notifications.sendNotification).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(15000);
+        expect(dms.getStatus()).toEqual(expect.objectContaining({ healthy: true, consecutiveFailures: 0, lastError: null }));
+
+        await dms.stop();
+    });
+});
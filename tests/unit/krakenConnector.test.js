@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { KrakenConnector } = await import('../../src/connectors/kraken.js');
+const { default: OfflineBackend } = await import('../../src/connectors/offlineBackend.js');
+
+describe('KrakenConnector', () => {
+    let connector;
+    let backend;
+
+    beforeEach(() => {
+        backend = new OfflineBackend({ prices: { 'BTC/USD': 40000 }, balances: { USD: 10000 }, spread: 0, feeRate: 0 });
+        connector = new KrakenConnector();
+        connector.initializeKraken(undefined, undefined, true, backend);
+    });
+
+    test('should reject calls before initialization', async () => {
+        await expect(new KrakenConnector().getTicker('BTC/USD')).rejects.toThrow('not initialized');
+    });
+
+    test('should return tickers in the common shape', async () => {
+        const ticker = await connector.getTicker('BTC/USD');
+
+        expect(ticker).toEqual(expect.objectContaining({ symbol: 'BTC/USD', bid: 40000, ask: 40000, last: 40000 }));
+        expect(ticker).not.toHaveProperty('info');
+    });
+
+    test('should return deterministic simulated candles with the in-progress candle last', async () => {
+        const first = await connector.fetchOHLCV('BTC/USD', '1h', 50);
+        const second = await connector.fetchOHLCV('BTC/USD', '1h', 50);
+
+        expect(first).toHaveLength(50);
+        expect(first).toEqual(second);
+        expect(first[49][0]).toBe(Math.floor(Date.now() / 3600000) * 3600000);
+        expect(first[1][0] - first[0][0]).toBe(3600000);
+    });
+
+    test('should fill market orders and settle balances', async () => {
+        const order = await connector.createMarketOrder('BTC/USD', 'buy', 0.1);
+
+        expect(order).toEqual(expect.objectContaining({ symbol: 'BTC/USD', side: 'buy', type: 'market', status: 'closed', amount: 0.1, filled: 0.1, price: 40000, average: 40000 }));
+        expect(await connector.getBalance('USD')).toBeCloseTo(6000);
+        expect(await connector.getBalance('BTC')).toBeCloseTo(0.1);
+    });
+
+    test('should rest limit orders until the price crosses them', async () => {
+        const order = await connector.createLimitOrder('BTC/USD', 'buy', 0.1, 39000);
+        expect(order.status).toBe('open');
+        expect(await connector.fetchOpenOrders('BTC/USD')).toHaveLength(1);
+        expect(await connector.getBalance('USD')).toBeCloseTo(6100); // 3900 reserved
+
+        backend.prices['BTC/USD'] = 38900;
+        await connector.getTicker('BTC/USD');
+
+        const filled = await connector.fetchOrder(order.id, 'BTC/USD');
+        expect(filled).toEqual(expect.objectContaining({ status: 'closed', filled: 0.1, average: 39000 }));
+        expect(await connector.fetchOpenOrders()).toHaveLength(0);
+    });
+
+    test('should cancel open orders and release reserved funds', async () => {
+        const order = await connector.createLimitOrder('BTC/USD', 'buy', 0.1, 39000);
+
+        await expect(connector.cancelOrder(order.id, 'BTC/USD')).resolves.toEqual({ id: order.id, status: 'canceled' });
+        expect((await connector.fetchOrder(order.id)).status).toBe('canceled');
+        expect(await connector.getBalance('USD')).toBe(10000);
+        await expect(connector.cancelOrder(order.id)).rejects.toThrow('cannot be cancelled');
+    });
+
+    test('should reject orders the simulated account cannot cover', async () => {
+        await expect(connector.createMarketOrder('BTC/USD', 'buy', 1)).rejects.toThrow('Insufficient USD balance');
+        await expect(connector.createMarketOrder('BTC/USD', 'sell', 0.1)).rejects.toThrow('Insufficient BTC balance');
+    });
+
+    test('should load and cache asset pair metadata', async () => {
+        expect(connector.getPairInfo('BTC/USD')).toBeNull();
+        const loadMarkets = jest.spyOn(backend, 'loadMarkets');
+
+        await connector.loadMarkets();
+        await connector.loadMarkets();
+
+        expect(loadMarkets).toHaveBeenCalledTimes(1);
+        expect(connector.getPairInfo('BTC/USD')).toEqual(expect.objectContaining({ pricePrecision: 1, amountPrecision: 8, minAmount: 0.00005, minCost: 0.5 }));
+    });
+
+    test('should cancel all open orders when the dead man\'s switch expires', async () => {
+        jest.useFakeTimers();
+        try {
+            const order = await connector.createLimitOrder('BTC/USD', 'buy', 0.1, 39000);
+
+            const armed = await connector.cancelAllOrdersAfter(60000);
+            expect(armed.triggerTime).toBe(new Date(Date.now() + 60000).toISOString());
+            await jest.advanceTimersByTimeAsync(30000);
+            await connector.cancelAllOrdersAfter(60000);
+            await jest.advanceTimersByTimeAsync(45000);
+            expect((await connector.fetchOrder(order.id)).status).toBe('open');
+
+            await jest.advanceTimersByTimeAsync(15000);
+            expect((await connector.fetchOrder(order.id)).status).toBe('canceled');
+            expect((await connector.cancelAllOrdersAfter(0)).triggerTime).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should refuse WebSocket tokens in paper mode', async () => {
+        await expect(connector.getWebSocketsToken()).rejects.toThrow('not available in paper trading mode');
+    });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import ccxt from 'ccxt';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: KrakenRateLimiter, DecayingCounter, isTransientError, getBackoffDelay } = await import('../../src/connectors/krakenRateLimiter.js');
+const { KrakenConnector } = await import('../../src/connectors/kraken.js');
+const { default: OfflineBackend } = await import('../../src/connectors/offlineBackend.js');
+
+describe('KrakenRateLimiter', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should admit calls up to the counter maximum and then wait for it to decay', () => {
+        const counter = new DecayingCounter(15, 0.33);
+
+        for (let i = 0; i < 15; i++) {
+            expect(counter.reserve(1, 0)).toBe(0);
+        }
+        expect(counter.reserve(1, 0)).toBe(Math.ceil(1000 / 0.33));
+        // Queued calls wait behind each other
+        expect(counter.reserve(1, 0)).toBe(2 * Math.ceil(1000 / 0.33));
+        // Fully decayed after a long pause
+        expect(counter.reserve(15, 120000)).toBe(0);
+    });
+
+    test('should delay private calls according to the verification tier', async () => {
+        jest.useFakeTimers();
+        const limiter = new KrakenRateLimiter({ tier: 'pro' });
+        for (let i = 0; i < 20; i++) {
+            await limiter.acquire('private');
+        }
+
+        let admitted = false;
+        limiter.acquire('private').then(() => { admitted = true; });
+        await jest.advanceTimersByTimeAsync(900);
+        expect(admitted).toBe(false);
+        await jest.advanceTimersByTimeAsync(100);
+        expect(admitted).toBe(true);
+    });
+
+    test('should keep a separate trading counter per pair', () => {
+        const limiter = new KrakenRateLimiter({ tier: 'starter' });
+        limiter.getCounter('trading', 'BTC/USD').reserve(60, Date.now());
+
+        expect(limiter.getCounter('trading', 'BTC/USD').reserve(1, Date.now())).toBeGreaterThan(0);
+        expect(limiter.getCounter('trading', 'ETH/USD').reserve(1, Date.now())).toBe(0);
+    });
+
+    test('should charge more for cancelling young orders', () => {
+        jest.useFakeTimers();
+        const limiter = new KrakenRateLimiter();
+        limiter.recordOrder('O1', 'BTC/USD');
+
+        expect(limiter.getCancelCost('O1')).toEqual({ symbol: 'BTC/USD', cost: 8 });
+        jest.advanceTimersByTime(20000);
+        expect(limiter.getCancelCost('O1').cost).toBe(4);
+        jest.advanceTimersByTime(300000);
+        expect(limiter.getCancelCost('O1').cost).toBe(0);
+        expect(limiter.getCancelCost('unknown').cost).toBe(0);
+    });
+
+    test('should not throttle categories that are not limited', async () => {
+        const limiter = new KrakenRateLimiter({ limited: [] });
+        limiter.penalize('private');
+
+        await expect(limiter.acquire('private', { cost: 100 })).resolves.toBeUndefined();
+    });
+
+    test('should reject unknown tiers', () => {
+        expect(() => new KrakenRateLimiter({ tier: 'gold' })).toThrow('Unknown Kraken verification tier');
+    });
+
+    test('should classify transient errors and grow backoff delays', () => {
+        expect(isTransientError(new ccxt.RequestTimeout('timed out'))).toBe(true);
+        expect(isTransientError(new ccxt.DDoSProtection('kraken {"error":["EAPI:Rate limit exceeded"]}'))).toBe(true);
+        expect(isTransientError(new Error('EService:Unavailable'))).toBe(true);
+        expect(isTransientError(new ccxt.InsufficientFunds('EOrder:Insufficient funds'))).toBe(false);
+
+        const first = getBackoffDelay(0, { baseDelayMs: 500, maxDelayMs: 10000 });
+        const fourth = getBackoffDelay(3, { baseDelayMs: 500, maxDelayMs: 10000 });
+        expect(first).toBeGreaterThanOrEqual(250);
+        expect(first).toBeLessThanOrEqual(500);
+        expect(fourth).toBeGreaterThanOrEqual(2000);
+        expect(getBackoffDelay(10, { baseDelayMs: 500, maxDelayMs: 10000 })).toBeLessThanOrEqual(10000);
+    });
+});
+
+describe('KrakenConnector retries', () => {
+    let connector;
+    let backend;
+
+    beforeEach(() => {
+        backend = new OfflineBackend({ prices: { 'BTC/USD': 40000 }, balances: { USD: 10000 }, spread: 0, feeRate: 0 });
+        connector = new KrakenConnector();
+        connector.initializeKraken(undefined, undefined, true, backend);
+        connector.retryPolicy = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+    });
+
+    test('should retry idempotent calls on transient errors', async () => {
+        const fetchBalance = backend.fetchBalance.bind(backend);
+        jest.spyOn(backend, 'fetchBalance')
+            .mockRejectedValueOnce(new ccxt.ExchangeNotAvailable('kraken {"error":["EService:Unavailable"]}'))
+            .mockImplementation(fetchBalance);
+
+        await expect(connector.getBalance('USD')).resolves.toBe(10000);
+        expect(backend.fetchBalance).toHaveBeenCalledTimes(2);
+    });
+
+    test('should give up after the configured number of retries', async () => {
+        jest.spyOn(backend, 'fetchTicker').mockRejectedValue(new ccxt.RequestTimeout('timed out'));
+
+        await expect(connector.getTicker('BTC/USD')).rejects.toThrow('timed out');
+        expect(backend.fetchTicker).toHaveBeenCalledTimes(3);
+    });
+
+    test('should never retry order placement without a client order ID', async () => {
+        jest.spyOn(backend, 'createMarketOrder').mockRejectedValue(new ccxt.RequestTimeout('timed out'));
+
+        await expect(connector.createMarketOrder('BTC/USD', 'buy', 0.1)).rejects.toThrow('timed out');
+        expect(backend.createMarketOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return the order instead of retrying when the failed placement landed', async () => {
+        const createOrder = backend.createOrder.bind(backend);
+        jest.spyOn(backend, 'createMarketOrder').mockImplementation(async (...args) => {
+            await createOrder(args[0], 'market', args[1], args[2], undefined, args[4]);
+            throw new ccxt.RequestTimeout('timed out');
+        });
+
+        const order = await connector.createMarketOrder('BTC/USD', 'buy', 0.1, { clientOrderId: 'entry-1' });
+
+        expect(order).toEqual(expect.objectContaining({ clientOrderId: 'entry-1', status: 'closed', filled: 0.1 }));
+        expect(backend.createMarketOrder).toHaveBeenCalledTimes(1);
+        expect(await connector.getBalance('USD')).toBeCloseTo(6000);
+    });
+
+    test('should retry placement once a client order ID lookup shows it did not land', async () => {
+        const createMarketOrder = backend.createMarketOrder.bind(backend);
+        jest.spyOn(backend, 'createMarketOrder')
+            .mockRejectedValueOnce(new ccxt.DDoSProtection('kraken {"error":["EAPI:Rate limit exceeded"]}'))
+            .mockImplementation(createMarketOrder);
+
+        const order = await connector.createMarketOrder('BTC/USD', 'buy', 0.1, { clientOrderId: 'entry-2' });
+
+        expect(order.clientOrderId).toBe('entry-2');
+        expect(backend.createMarketOrder).toHaveBeenCalledTimes(2);
+        expect(await connector.findOrderByClientId('entry-2', 'BTC/USD')).toEqual(expect.objectContaining({ id: order.id }));
+    });
+
+    test('should not retry a cancel that went through before timing out', async () => {
+        const order = await connector.createLimitOrder('BTC/USD', 'buy', 0.1, 39000);
+        const cancelOrder = backend.cancelOrder.bind(backend);
+        jest.spyOn(backend, 'cancelOrder').mockImplementation(async (id) => {
+            await cancelOrder(id);
+            throw new ccxt.RequestTimeout('timed out');
+        });
+
+        await expect(connector.cancelOrder(order.id, 'BTC/USD')).resolves.toEqual({ id: order.id, status: 'canceled' });
+        expect(backend.cancelOrder).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry permanent errors', async () => {
+        await expect(connector.createMarketOrder('BTC/USD', 'buy', 1, { clientOrderId: 'too-big' })).rejects.toThrow('Insufficient USD balance');
+        expect(await connector.findOrderByClientId('too-big')).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import OrderBook from '../../src/services/orderBook.js';
+import { crc32 } from '../../src/utils/crc32.js';
+
+describe('OrderBook', () => {
+    let book;
+
+    beforeEach(() => {
+        book = new OrderBook('BTC/USD', { depth: 3, pricePrecision: 1, qtyPrecision: 8 });
+        book.applySnapshot({
+            bids: [{ price: 100.0, qty: 1 }, { price: 99.5, qty: 2 }, { price: 99.0, qty: 3 }],
+            asks: [{ price: 100.5, qty: 0.5 }, { price: 101.0, qty: 1 }, { price: 102.0, qty: 4 }]
+        });
+    });
+
+    describe('crc32', () => {
+        test('should match the standard CRC-32 check value', () => {
+            expect(crc32('123456789')).toBe(0xCBF43926);
+        });
+    });
+
+    describe('best levels and depth', () => {
+        test('should return best bid, best ask and spread', () => {
+            expect(book.getBestBid()).toEqual({ price: 100.0, qty: 1 });
+            expect(book.getBestAsk()).toEqual({ price: 100.5, qty: 0.5 });
+            expect(book.getSpread()).toBeCloseTo(0.5, 8);
+        });
+
+        test('should return sorted depth limited to N levels', () => {
+            const depth = book.getDepth(2);
+
+            expect(depth.bids).toEqual([[100.0, 1], [99.5, 2]]);
+            expect(depth.asks).toEqual([[100.5, 0.5], [101.0, 1]]);
+        });
+
+        test('should return null for an empty book', () => {
+            const empty = new OrderBook('ETH/USD');
+
+            expect(empty.getBestBid()).toBeNull();
+            expect(empty.getSpread()).toBeNull();
+        });
+    });
+
+    describe('applyUpdate', () => {
+        test('should remove levels with zero quantity', () => {
+            book.applyUpdate({ bids: [{ price: 100.0, qty: 0 }], asks: [] });
+
+            expect(book.getBestBid()).toEqual({ price: 99.5, qty: 2 });
+        });
+
+        test('should drop levels pushed beyond the subscribed depth', () => {
+            book.applyUpdate({ bids: [{ price: 100.2, qty: 1 }], asks: [{ price: 100.4, qty: 1 }] });
+
+            expect(book.getDepth(10).bids.map(([price]) => price)).toEqual([100.2, 100.0, 99.5]);
+            expect(book.getDepth(10).asks.map(([price]) => price)).toEqual([100.4, 100.5, 101.0]);
+        });
+    });
+
+    describe('checksum', () => {
+        test('should serialize asks ascending then bids descending without dots or leading zeros', () => {
+            const expected = crc32(
+                '1005' + '50000000' + '1010' + '100000000' + '1020' + '400000000' +
+                '1000' + '100000000' + '995' + '200000000' + '990' + '300000000'
+            );
+
+            expect(book.computeChecksum()).toBe(expected);
+            expect(book.verifyChecksum(expected)).toBe(true);
+            expect(book.verifyChecksum(expected + 1)).toBe(false);
+        });
+
+        test('should only be verifiable once precisions are known', () => {
+            expect(book.canVerify()).toBe(true);
+            expect(new OrderBook('ETH/USD').canVerify()).toBe(false);
+        });
+    });
+
+    describe('estimateFill', () => {
+        test('should walk the asks for a buy', () => {
+            const fill = book.estimateFill('buy', 1);
+
+            // 0.5 @ 100.5 + 0.5 @ 101.0
+            expect(fill.filled).toBe(1);
+            expect(fill.averagePrice).toBeCloseTo(100.75, 8);
+            expect(fill.worstPrice).toBe(101.0);
+            expect(fill.slippage).toBeCloseTo(0.25 / 100.5, 8);
+        });
+
+        test('should report a partial fill when depth is insufficient', () => {
+            const fill = book.estimateFill('sell', 10);
+
+            expect(fill.filled).toBe(6);
+            expect(fill.worstPrice).toBe(99.0);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: OrderJournal, generateClientOrderId } = await import('../../src/services/orderJournal.js');
+
+describe('OrderJournal', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+        file = path.join(dir, 'orders', 'orderJournal.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should generate unique UUID client order IDs', () => {
+        const ids = new Set(Array.from({ length: 100 }, () => generateClientOrderId()));
+
+        expect(ids.size).toBe(100);
+        expect([...ids][0]).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    });
+
+    test('should write the submission to disk before returning', () => {
+        const journal = new OrderJournal(file);
+
+        journal.recordSubmission({ clientOrderId: 'a', symbol: 'BTC/USD', side: 'buy', type: 'market', amount: 0.1, price: null, strategy: 'Test', mode: 'live' });
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toEqual([expect.objectContaining({ event: 'submitted', clientOrderId: 'a', symbol: 'BTC/USD', amount: 0.1 })]);
+    });
+
+    test('should track outcomes and reload unresolved submissions', () => {
+        const journal = new OrderJournal(file);
+        journal.recordSubmission({ clientOrderId: 'accepted', symbol: 'BTC/USD', side: 'buy' });
+        journal.recordAccepted('accepted', { id: 'O1', status: 'closed' });
+        journal.recordSubmission({ clientOrderId: 'failed', symbol: 'BTC/USD', side: 'buy' });
+        journal.recordFailed('failed', 'EOrder:Insufficient funds');
+        journal.recordSubmission({ clientOrderId: 'unknown', symbol: 'ETH/USD', side: 'sell' });
+        journal.recordUnknown('unknown', 'timed out; lookup failed: timed out');
+        journal.recordSubmission({ clientOrderId: 'crashed', symbol: 'ETH/USD', side: 'buy' });
+        fs.appendFileSync(file, '{"event":"acc'); // Truncated by a crash
+
+        const reloaded = new OrderJournal(file);
+
+        expect(reloaded.get('accepted')).toEqual(expect.objectContaining({ event: 'accepted', orderId: 'O1', symbol: 'BTC/USD', side: 'buy' }));
+        expect(reloaded.get('failed').reason).toBe('EOrder:Insufficient funds');
+        expect(reloaded.getUnresolved().map(entry => entry.clientOrderId)).toEqual(['unknown', 'crashed']);
+    });
+
+    test('should refuse a submission it cannot persist', () => {
+        fs.writeFileSync(path.join(dir, 'orders'), ''); // A file where the directory should be
+        const journal = new OrderJournal(file);
+
+        expect(() => journal.recordSubmission({ clientOrderId: 'a', symbol: 'BTC/USD' })).toThrow();
+        expect(journal.get('a')).toBeNull();
+        expect(() => journal.recordAccepted('b', { id: 'O2', status: 'open' })).not.toThrow();
+        expect(journal.get('b').orderId).toBe('O2');
+    });
+});
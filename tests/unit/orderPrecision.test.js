@@ -0,0 +1,78 @@
+import { toPairInfo, roundAmount, roundPrice, prepareOrder } from '../../src/utils/orderPrecision.js';
+
+describe('OrderPrecision', () => {
+    const btcUsd = toPairInfo({
+        symbol: 'BTC/USD',
+        info: { pair_decimals: 1, lot_decimals: 8, ordermin: '0.00005', costmin: '0.5', tick_size: '0.1', status: 'online' }
+    });
+
+    describe('toPairInfo', () => {
+        test('should read Kraken AssetPairs fields', () => {
+            expect(btcUsd).toEqual({
+                symbol: 'BTC/USD',
+                pricePrecision: 1,
+                amountPrecision: 8,
+                tickSize: 0.1,
+                minAmount: 0.00005,
+                minCost: 0.5,
+                status: 'online'
+            });
+        });
+
+        test('should fall back to CCXT tick-size precision and limits', () => {
+            const pair = toPairInfo({
+                symbol: 'ETH/USD',
+                active: true,
+                precision: { price: 0.01, amount: 1e-8 },
+                limits: { amount: { min: 0.002 }, cost: { min: 0.5 } }
+            });
+
+            expect(pair).toEqual(expect.objectContaining({ pricePrecision: 2, amountPrecision: 8, tickSize: 0.01, minAmount: 0.002, minCost: 0.5, status: 'online' }));
+        });
+    });
+
+    describe('roundAmount', () => {
+        test('should truncate to lot decimals', () => {
+            expect(roundAmount(0.123456789, btcUsd)).toBe(0.12345678);
+            expect(roundAmount(0.3, { amountPrecision: 1 })).toBe(0.3);
+        });
+    });
+
+    describe('roundPrice', () => {
+        test('should round to the tick size in the requested direction', () => {
+            expect(roundPrice(50000.06, btcUsd)).toBe(50000.1);
+            expect(roundPrice(50000.06, btcUsd, 'down')).toBe(50000);
+            expect(roundPrice(50000.01, btcUsd, 'up')).toBe(50000.1);
+        });
+
+        test('should support tick sizes coarser than the price decimals', () => {
+            const pair = { pricePrecision: 2, tickSize: 0.25 };
+            expect(roundPrice(10.6, pair)).toBe(10.5);
+            expect(roundPrice(10.6, pair, 'up')).toBe(10.75);
+        });
+    });
+
+    describe('prepareOrder', () => {
+        test('should round limit prices so they never worsen the limit', () => {
+            expect(prepareOrder(btcUsd, { side: 'buy', amount: 0.01, price: 50000.09 }).price).toBe(50000);
+            expect(prepareOrder(btcUsd, { side: 'sell', amount: 0.01, price: 50000.01 }).price).toBe(50000.1);
+        });
+
+        test('should reject amounts below ordermin', () => {
+            const result = prepareOrder(btcUsd, { side: 'buy', amount: 0.00001, referencePrice: 50000 });
+            expect(result.rejection).toBe('Amount 0.00001 is below the BTC/USD minimum order size of 0.00005.');
+        });
+
+        test('should reject orders below costmin using the reference price for market orders', () => {
+            const pair = { ...btcUsd, minAmount: null, minCost: 5 };
+            expect(prepareOrder(pair, { side: 'buy', amount: 0.00005, referencePrice: 50000 }).rejection)
+                .toBe('Order cost 2.50 is below the BTC/USD minimum order cost of 5.');
+            expect(prepareOrder(pair, { side: 'buy', amount: 0.0001, referencePrice: 50000 }).rejection).toBeNull();
+        });
+
+        test('should reject amounts that round to zero and pairs that are not online', () => {
+            expect(prepareOrder({ ...btcUsd, amountPrecision: 2 }, { side: 'sell', amount: 0.004 }).rejection).toMatch(/rounds to zero/);
+            expect(prepareOrder({ ...btcUsd, status: 'cancel_only' }, { side: 'buy', amount: 1 }).rejection).toMatch(/not tradable/);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: OrderTracker } = await import('../../src/services/orderTracker.js');
+
+describe('OrderTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        tracker = new OrderTracker();
+        tracker.create({ clientOrderId: 'c1', symbol: 'BTC/USD', side: 'buy', type: 'limit', amount: 1, price: 40000, strategy: 'Test' });
+    });
+
+    test('should start orders in pending-submit', () => {
+        expect(tracker.getOrder('c1')).toEqual(expect.objectContaining({ id: null, state: 'pending-submit', filled: 0, remaining: 1, strategy: 'Test' }));
+    });
+
+    test('should follow exchange responses through partial and complete fills', () => {
+        const fills = [];
+        tracker.on('fill', (order, fill) => fills.push(fill));
+
+        tracker.applyExchangeOrder({ id: 'O1', symbol: 'BTC/USD', side: 'buy', type: 'limit', status: 'open', amount: 1, filled: 0, price: 40000 }, 'c1');
+        expect(tracker.getOrder('O1').state).toBe('open');
+
+        tracker.applyExchangeOrder({ id: 'O1', status: 'open', amount: 1, filled: 0.4, average: 40000, price: 40000 });
+        expect(tracker.getOrder('c1')).toEqual(expect.objectContaining({ state: 'partially-filled', filled: 0.4, remaining: 0.6 }));
+
+        tracker.applyExchangeOrder({ id: 'O1', status: 'closed', amount: 1, filled: 1, average: 39900, price: 40000 });
+        expect(tracker.getOrder('O1')).toEqual(expect.objectContaining({ state: 'filled', filled: 1, remaining: 0, average: 39900 }));
+        expect(fills).toEqual([{ amount: 0.4, price: 40000 }, { amount: 0.6, price: expect.closeTo(39833.33, 2) }]);
+    });
+
+    test('should apply private feed events with only the changed fields', () => {
+        tracker.applyFeedEvent({ orderId: 'O1', clientOrderId: 'c1', status: 'new', execType: 'new' });
+        tracker.applyFeedEvent({ orderId: 'O1', status: 'partially_filled', filled: 0.25, average: 40000, execType: 'trade' });
+
+        expect(tracker.getOrder('c1')).toEqual(expect.objectContaining({ id: 'O1', symbol: 'BTC/USD', amount: 1, state: 'partially-filled', filled: 0.25 }));
+
+        tracker.applyFeedEvent({ orderId: 'O1', status: 'canceled', execType: 'canceled', reason: 'User requested' });
+        expect(tracker.getOrder('O1')).toEqual(expect.objectContaining({ state: 'cancelled', filled: 0.25, reason: 'User requested' }));
+    });
+
+    test('should ignore updates that would move an order backwards', () => {
+        tracker.applyFeedEvent({ orderId: 'O1', clientOrderId: 'c1', status: 'filled', filled: 1, average: 40000 });
+        // REST response to the placement arrives after the feed reported the fill
+        tracker.applyExchangeOrder({ id: 'O1', status: 'open', amount: 1, filled: 0, price: 40000 }, 'c1');
+
+        expect(tracker.getOrder('O1')).toEqual(expect.objectContaining({ state: 'filled', filled: 1 }));
+    });
+
+    test('should treat paper orders reported closed without fill details as filled', () => {
+        tracker.applyExchangeOrder({ id: 'paper-1', symbol: 'BTC/USD', side: 'buy', type: 'limit', status: 'closed', amount: 1, price: 40000 }, 'c1');
+
+        expect(tracker.getOrder('paper-1')).toEqual(expect.objectContaining({ state: 'filled', filled: 1, average: 40000 }));
+    });
+
+    test('should reject orders that never reached the exchange', () => {
+        tracker.reject('c1', 'EOrder:Insufficient funds');
+
+        expect(tracker.getOrder('c1')).toEqual(expect.objectContaining({ state: 'rejected', reason: 'EOrder:Insufficient funds' }));
+        expect(tracker.getOrders({ active: true })).toEqual([]);
+    });
+
+    test('should keep the intent of orders through updates', () => {
+        tracker.create({ clientOrderId: 'c2', symbol: 'BTC/USD', side: 'sell', type: 'market', amount: 1, strategy: 'Test', intent: 'exit' });
+        tracker.applyExchangeOrder({ id: 'O2', status: 'open', amount: 1, filled: 0.5, average: 41000 }, 'c2');
+
+        expect(tracker.getOrder('O2')).toEqual(expect.objectContaining({ intent: 'exit', state: 'partially-filled' }));
+        expect(tracker.getOrder('c1').intent).toBeNull();
+    });
+
+    test('should track orders placed outside the bot and filter queries', () => {
+        tracker.applyFeedEvent({ orderId: 'O9', symbol: 'ETH/USD', side: 'sell', type: 'stop-loss', amount: 2, status: 'new' });
+
+        expect(tracker.getOrder('O9')).toEqual(expect.objectContaining({ state: 'open', strategy: null }));
+        expect(tracker.getOrders({ symbol: 'ETH/USD' })).toHaveLength(1);
+        expect(tracker.getOrders({ strategy: 'Test' }).map(order => order.clientOrderId)).toEqual(['c1']);
+        expect(tracker.getOrders({ state: ['open', 'pending-submit'] })).toHaveLength(2);
+    });
+
+    test('should adopt orders already on the exchange without reporting past fills', () => {
+        const fills = [];
+        tracker.on('fill', (order, fill) => fills.push(fill));
+
+        tracker.adopt({ id: 'O5', clientOrderId: 'c5', symbol: 'BTC/USD', side: 'buy', type: 'limit', status: 'open', amount: 1, filled: 0.3, average: 39000, price: 39000 }, { strategy: 'Test', intent: 'entry' });
+        expect(tracker.getOrder('c5')).toEqual(expect.objectContaining({ id: 'O5', state: 'partially-filled', filled: 0.3, remaining: 0.7, strategy: 'Test', intent: 'entry' }));
+
+        tracker.applyExchangeOrder({ id: 'O5', status: 'closed', amount: 1, filled: 1, average: 39000 });
+        expect(fills).toEqual([{ amount: 0.7, price: 39000 }]);
+    });
+
+    test('should drop the oldest finished orders beyond the limit', () => {
+        tracker = new OrderTracker({ maxFinishedOrders: 2 });
+        for (const id of ['a', 'b', 'c']) {
+            tracker.create({ clientOrderId: id, symbol: 'BTC/USD', side: 'buy', type: 'market', amount: 1 });
+            tracker.applyExchangeOrder({ id: `O-${id}`, status: 'closed', amount: 1, filled: 1, average: 1 }, id);
+        }
+
+        expect(tracker.getOrder('a')).toBeNull();
+        expect(tracker.getOrder('O-a')).toBeNull();
+        expect(tracker.getOrders().map(order => order.clientOrderId)).toEqual(['b', 'c']);
+    });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+
+const { default: KrakenConnector } = await import('../../src/connectors/kraken.js');
+const { default: OfflineBackend } = await import('../../src/connectors/offlineBackend.js');
+const { default: OrderTracker } = await import('../../src/services/orderTracker.js');
+const PaperTrader = await import('../../src/paperTrading/paperTrader.js');
+
+describe('PaperTrader order book', () => {
+    let backend;
+    let events;
+    const later = () => Date.now() + 60000; // Market data from after the orders were placed
+    const ticker = price => ({ bid: price, ask: price, last: price, timestamp: later() });
+
+    beforeAll(async () => {
+        backend = new OfflineBackend({ prices: { 'BTC/USD': 40000 }, spread: 0, feeRate: 0 });
+        KrakenConnector.initializeKraken(undefined, undefined, true, backend);
+        await KrakenConnector.loadMarkets();
+    });
+
+    beforeEach(() => {
+        backend.prices['BTC/USD'] = 40000;
+        PaperTrader.initializePaperTrader();
+        events = [];
+        for (const name of ['order', 'fill', 'cancel']) {
+            PaperTrader.events.on(name, event => events.push([name, event.execType, event.status]));
+        }
+    });
+
+    afterEach(() => {
+        PaperTrader.events.removeAllListeners();
+    });
+
+    test('should rest limit orders until a later price crosses them and hold their funds meanwhile', async () => {
+        const order = await PaperTrader.executeTrade('BTC/USD', 'buy', 0.2, 'limit', 39000, 'client-1');
+
+        expect(order).toEqual(expect.objectContaining({ status: 'open', filled: 0, price: 39000, clientOrderId: 'client-1' }));
+        expect(PaperTrader.getBalances().USD).toBe(10000);
+        // 7800 USD is held by the resting order
+        await expect(PaperTrader.executeTrade('BTC/USD', 'buy', 0.06, 'limit', 39000)).resolves.toBeNull();
+
+        PaperTrader.onTicker('BTC/USD', { ...ticker(39500), timestamp: order.timestamp - 1 });
+        PaperTrader.onTicker('BTC/USD', ticker(39100));
+        expect(PaperTrader.getOpenOrders()).toHaveLength(1);
+
+        PaperTrader.onTrades('BTC/USD', [{ price: 38950, timestamp: later() }]);
+        expect(PaperTrader.getOpenOrders()).toEqual([]);
+        expect(PaperTrader.getBalances()).toEqual(expect.objectContaining({ USD: 2200, BTC: 0.2 }));
+        expect(PaperTrader.getTrades().at(-1)).toEqual(expect.objectContaining({ id: order.id, status: 'closed', average: 39000 }));
+        expect(events).toEqual([['order', 'new', 'new'], ['order', 'trade', 'filled'], ['fill', 'trade', 'filled']]);
+    });
+
+    test('should fill marketable orders at once at the market price', async () => {
+        const order = await PaperTrader.executeTrade('BTC/USD', 'buy', 0.1, 'limit', 41000);
+
+        expect(order).toEqual(expect.objectContaining({ status: 'closed', filled: 0.1, average: 40000 }));
+        expect(PaperTrader.getBalances().USD).toBe(6000);
+    });
+
+    test('should trigger stop-loss and stop-loss-limit orders, filling gaps at the open', async () => {
+        await PaperTrader.executeTrade('BTC/USD', 'buy', 0.2, 'market');
+        const stop = await PaperTrader.executeTrade('BTC/USD', 'sell', 0.1, 'stop-loss', null, null, { triggerPrice: 38000 });
+        const stopLimit = await PaperTrader.executeTrade('BTC/USD', 'sell', 0.1, 'stop-loss-limit', 36900, null, { triggerPrice: 37000 });
+        expect([stop.status, stopLimit.status]).toEqual(['open', 'open']);
+        // The BTC is held by the stops
+        await expect(PaperTrader.executeTrade('BTC/USD', 'sell', 0.1, 'market')).resolves.toBeNull();
+
+        PaperTrader.onCandle('BTC/USD', { timestamp: stop.timestamp - 60000, open: 40000, high: 40000, low: 30000, close: 40000 }); // Opened before the orders
+        expect(PaperTrader.getOpenOrders()).toHaveLength(2);
+
+        PaperTrader.onCandle('BTC/USD', { timestamp: later(), open: 37500, high: 37600, low: 36800, close: 37000 });
+        expect(PaperTrader.getOpenOrders()).toEqual([]);
+        expect(PaperTrader.getTrades().slice(-2).map(trade => [trade.id, trade.average])).toEqual([[stop.id, 37500], [stopLimit.id, 36900]]);
+        expect(PaperTrader.getBalances()).toEqual(expect.objectContaining({ USD: 2000 + 3750 + 3690, BTC: 0 }));
+    });
+
+    test('should amend and cancel resting orders with the events of live orders', async () => {
+        const tracker = new OrderTracker();
+        const fills = [];
+        tracker.on('fill', (order, fill) => fills.push(fill));
+        tracker.create({ clientOrderId: 'client-2', symbol: 'BTC/USD', side: 'buy', type: 'limit', amount: 0.1, price: 39000 });
+        PaperTrader.events.on('order', event => tracker.applyFeedEvent(event));
+
+        const order = await PaperTrader.executeTrade('BTC/USD', 'buy', 0.1, 'limit', 39000, 'client-2');
+        expect(tracker.getOrder('client-2')).toEqual(expect.objectContaining({ id: order.id, state: 'open' }));
+
+        await expect(PaperTrader.amendOrder(order.id, { amount: 0.3 })).rejects.toThrow('Insufficient funds');
+        await expect(PaperTrader.amendOrder(order.id, { triggerPrice: 38000 })).rejects.toThrow('Cannot set a trigger price');
+        await expect(PaperTrader.amendOrder(order.id, { amount: 0.2, price: 39500 })).resolves.toEqual(expect.objectContaining({ id: order.id, amount: 0.2, price: 39500, status: 'open' }));
+        expect(tracker.getOrder('client-2')).toEqual(expect.objectContaining({ amount: 0.2, price: 39500 }));
+
+        // Amended into the market, the order fills
+        const filled = await PaperTrader.amendOrder(order.id, { price: 40500 });
+        expect(filled).toEqual(expect.objectContaining({ status: 'closed', average: 40000 }));
+        expect(tracker.getOrder('client-2').state).toBe('filled');
+        expect(fills).toEqual([{ amount: 0.2, price: 40000 }]);
+
+        const resting = await PaperTrader.executeTrade('BTC/USD', 'buy', 0.05, 'limit', 38000);
+        expect(PaperTrader.cancelOrder(resting.id).status).toBe('canceled');
+        expect(() => PaperTrader.cancelOrder(resting.id)).toThrow('is not open');
+        expect(events.slice(-2)).toEqual([['order', 'canceled', 'canceled'], ['cancel', 'canceled', 'canceled']]);
+        expect(tracker.getOrder(resting.id).state).toBe('cancelled');
+    });
+});
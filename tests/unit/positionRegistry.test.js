@@ -0,0 +1,321 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const RiskManager = await import('../../src/riskManagement/riskManager.js');
+
+describe('RiskManager position registry', () => {
+    afterEach(() => {
+        for (const { symbol, strategy } of Object.values(RiskManager.getOpenPositions())) {
+            RiskManager.removePosition(symbol, strategy);
+        }
+        jest.useRealTimers();
+    });
+
+    test('should register positions by symbol and strategy with their stop-loss and take-profit', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.5, { stopLoss: 0.02, takeProfit: 0.05 }, 'Trend');
+        await RiskManager.managePosition('BTC/USD', 'short', 40000, 0.2, {}, 'MeanRevert');
+
+        const positions = RiskManager.getOpenPositions();
+        expect(Object.keys(positions)).toEqual(['BTC/USD:Trend', 'BTC/USD:MeanRevert']);
+        expect(positions['BTC/USD:Trend']).toEqual(expect.objectContaining({ side: 'long', entryPrice: 40000, amount: 0.5, unrealizedPnl: 0 }));
+        expect(positions['BTC/USD:Trend'].stopLoss).toBeCloseTo(39200);
+        expect(positions['BTC/USD:Trend'].takeProfit).toBeCloseTo(42000);
+        // Levels default to the global risk config
+        expect(positions['BTC/USD:MeanRevert'].stopLoss).toBeCloseTo(42000);
+        expect(positions['BTC/USD:MeanRevert'].takeProfit).toBeCloseTo(34000);
+    });
+
+    test('should mark positions to market and report their age', async () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        await RiskManager.managePosition('ETH/USD', 'long', 3000, 2, {}, 'Trend');
+        jest.setSystemTime(1700000060000);
+        await RiskManager.managePosition('ETH/USD', 'long', 3100, 3, {}, 'Trend'); // Grown by a later fill
+
+        await expect(RiskManager.monitorPositions('ETH/USD', 3200)).resolves.toBeNull();
+
+        const position = RiskManager.getOpenPositions()['ETH/USD:Trend'];
+        expect(position.unrealizedPnl).toBeCloseTo(300);
+        expect(position.lastPrice).toBe(3200);
+        expect(position.ageMs).toBe(60000);
+    });
+
+    test('should report a triggered stop-loss once with the owning strategy', async () => {
+        await RiskManager.managePosition('BTC/USD', 'short', 40000, 0.5, { stopLoss: 0.02, takeProfit: 0.05 }, 'MeanRevert');
+
+        const triggered = await RiskManager.monitorPositions('BTC/USD', 41000);
+
+        expect(triggered).toEqual({
+            action: 'stop_loss', symbol: 'BTC/USD', strategy: 'MeanRevert', side: 'short', amount: 0.5,
+            entryPrice: 40000, triggerPrice: expect.closeTo(40800), level: null, stopLossReason: 'initial', price: 41000
+        });
+        expect(RiskManager.getOpenPositions()['BTC/USD:MeanRevert'].unrealizedPnl).toBeCloseTo(-500);
+        // The exit is in flight; the position stays registered until it fills
+        await expect(RiskManager.monitorPositions('BTC/USD', 41500)).resolves.toBeNull();
+
+        RiskManager.removePosition('BTC/USD', 'MeanRevert');
+        expect(RiskManager.getOpenPositions()).toEqual({});
+    });
+
+    test('should report take-profit only when exits are not held by the exchange', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 1, { stopLoss: 0.02, takeProfit: 0.05 }, 'Trend');
+
+        await expect(RiskManager.monitorPositions('BTC/USD', 42500, { triggerExits: false })).resolves.toBeNull();
+        expect(RiskManager.getOpenPositions()['BTC/USD:Trend'].unrealizedPnl).toBeCloseTo(2500);
+
+        await expect(RiskManager.monitorPositions('BTC/USD', 42500)).resolves.toEqual(expect.objectContaining({ action: 'take_profit', strategy: 'Trend' }));
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0, {}, 'Trend');
+        expect(RiskManager.getOpenPositions()).toEqual({});
+    });
+
+    test('should leave only the exits resting on the exchange to it', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 1, { stopLoss: 0.02, takeProfit: 0.05 }, 'Trend');
+        const coveredExits = { Trend: { stopLoss: true, takeProfit: false } }; // The exchange refused the take-profit
+
+        await expect(RiskManager.monitorPositions('BTC/USD', 39000, { coveredExits })).resolves.toBeNull();
+        await expect(RiskManager.monitorPositions('BTC/USD', 42500, { coveredExits })).resolves.toEqual(expect.objectContaining({ action: 'take_profit', strategy: 'Trend' }));
+        RiskManager.removePosition('BTC/USD', 'Trend');
+    });
+
+    test('should trigger the tighter stop of one strategy while the exchange holds the shared stop', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, { takeProfit: 0.1 }, 'Trend', 38000);
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.05, { takeProfit: 0.1 }, 'Breakout', 39000);
+        // The exchange stop sits at the loosest stop, 38000
+        const coveredExits = { Trend: { stopLoss: true, takeProfit: true }, Breakout: { stopLoss: false, takeProfit: true } };
+
+        await expect(RiskManager.monitorPositions('BTC/USD', 38900, { coveredExits })).resolves.toEqual(expect.objectContaining({ action: 'stop_loss', strategy: 'Breakout', amount: 0.05 }));
+        await expect(RiskManager.monitorPositions('BTC/USD', 37900, { coveredExits })).resolves.toBeNull(); // Trend's stop is on the exchange
+        RiskManager.removePosition('BTC/USD', 'Trend');
+        RiskManager.removePosition('BTC/USD', 'Breakout');
+    });
+});
+
+describe('RiskManager take-profit ladders and time exits', () => {
+    const ladder = {
+        stopLoss: 0.05,
+        takeProfit: 0.5,
+        trailingStop: { enabled: false, type: 'percent', distance: 0.03, activationProfit: 0 },
+        takeProfitLadder: { enabled: true, levels: [{ r: 2, fraction: 0.33 }, { r: 1, fraction: 0.33 }], trailRemainder: true }
+    };
+
+    afterEach(() => {
+        for (const { symbol, strategy } of Object.values(RiskManager.getOpenPositions())) {
+            RiskManager.removePosition(symbol, strategy);
+        }
+    });
+
+    test('should scale out at each R multiple and trail the remainder', async () => {
+        await RiskManager.managePosition('SOL/USD', 'long', 100, 1, ladder, 'Trend');
+        expect(RiskManager.getOpenPositions()['SOL/USD:Trend'].ladder).toEqual([
+            { r: 1, fraction: 0.33, price: 105, done: false },
+            { r: 2, fraction: 0.33, price: 110, done: false }
+        ]);
+
+        await expect(RiskManager.monitorPositions('SOL/USD', 104)).resolves.toBeNull();
+        expect(await RiskManager.monitorPositions('SOL/USD', 106)).toEqual(expect.objectContaining({ action: 'scale_out', amount: 0.33, triggerPrice: 105, level: 0 }));
+        await expect(RiskManager.monitorPositions('SOL/USD', 107)).resolves.toBeNull(); // In flight
+        await RiskManager.managePosition('SOL/USD', 'long', 100, 0.67, ladder, 'Trend'); // The scale-out filled
+
+        const second = await RiskManager.monitorPositions('SOL/USD', 110);
+        expect(second).toEqual(expect.objectContaining({ action: 'scale_out', amount: 0.33, level: 1 }));
+        // A failed exit is retried on the next price
+        RiskManager.rearmExit(second);
+        expect(RiskManager.getOpenPositions()['SOL/USD:Trend'].ladder[1].done).toBe(false);
+        await expect(RiskManager.monitorPositions('SOL/USD', 110)).resolves.toEqual(expect.objectContaining({ action: 'scale_out', level: 1 }));
+        await RiskManager.managePosition('SOL/USD', 'long', 100, 0.34, ladder, 'Trend');
+
+        await expect(RiskManager.monitorPositions('SOL/USD', 120)).resolves.toBeNull();
+        expect(RiskManager.getOpenPositions()['SOL/USD:Trend']).toEqual(expect.objectContaining({ stopLoss: expect.closeTo(116.4), stopLossReason: 'trailing', ladderBase: 1 }));
+    });
+
+    test('should close the whole position at a level that leaves nothing to trail', () => {
+        const position = { side: 'short', amount: 0.5, ladderBase: 1, stopLoss: 105, takeProfit: 80, openedAt: 0, riskConfig: {}, ladder: [{ r: 1, fraction: 0.5, price: 95, done: true }, { r: 2, fraction: 0.5, price: 90, done: false }] };
+
+        expect(RiskManager.getDueExit(position, 92, 0)).toBeNull();
+        expect(RiskManager.getDueExit(position, 89, 0)).toEqual({ action: 'take_profit', amount: 0.5, triggerPrice: 90, level: 1 });
+        expect(RiskManager.getDueExit(position, 106, 0)).toEqual({ action: 'stop_loss', amount: 0.5, triggerPrice: 105, level: null });
+        expect(RiskManager.getDueExit(position, 106, 0, { triggerExits: false })).toBeNull();
+    });
+
+    test('should exit after the maximum holding time or at the end of the session', async () => {
+        const HOUR = 3600000;
+        const opened = Date.UTC(2024, 0, 1, 20, 30);
+        const timeExit = { enabled: true, maxHoldingTime: 3 * HOUR, sessionEnd: '21:00' };
+
+        expect(RiskManager.getTimeExit(opened, opened + 29 * 60000, { timeExit })).toBeNull();
+        expect(RiskManager.getTimeExit(opened, opened + 30 * 60000, { timeExit })).toBe('session_exit');
+        expect(RiskManager.getTimeExit(opened, opened + 3 * HOUR, { timeExit: { ...timeExit, sessionEnd: null } })).toBe('time_exit');
+        // Opened after today's session end, the position may be held until tomorrow's
+        expect(RiskManager.getTimeExit(opened + HOUR, opened + 12 * HOUR, { timeExit: { ...timeExit, maxHoldingTime: 0 } })).toBeNull();
+        expect(RiskManager.getTimeExit(opened + HOUR, opened + 24.5 * HOUR, { timeExit: { ...timeExit, maxHoldingTime: 0 } })).toBe('session_exit');
+
+        // Also reported while the exchange holds the stop-loss and take-profit
+        await RiskManager.managePosition('SOL/USD', 'long', 100, 1, { timeExit }, 'Trend');
+        const { openedAt } = RiskManager.getOpenPositions()['SOL/USD:Trend'];
+        await expect(RiskManager.monitorPositions('SOL/USD', 101, { triggerExits: false, timestamp: openedAt + 3 * HOUR }))
+            .resolves.toEqual(expect.objectContaining({ action: 'time_exit', amount: 1 }));
+    });
+});
+
+describe('RiskManager stop adjustments', () => {
+    const long = { side: 'long', entryPrice: 100, stopLoss: 95, bestPrice: 100 };
+
+    test('should move the stop to break-even once the profit is reached', () => {
+        const config = { breakEven: { enabled: true, triggerProfit: 0.03, offset: 0.001 } };
+
+        expect(RiskManager.adjustStopLoss(long, 102, config)).toEqual({ stopLoss: 95, bestPrice: 102, reason: null });
+        const moved = RiskManager.adjustStopLoss(long, 103, config);
+        expect(moved.stopLoss).toBeCloseTo(100.1);
+        expect(moved.reason).toBe('break_even');
+        // The best price reached counts, even after the price falls back
+        expect(RiskManager.adjustStopLoss({ ...long, bestPrice: 104 }, 101, config).stopLoss).toBeCloseTo(100.1);
+    });
+
+    test('should trail by a percentage, an absolute distance or an ATR multiple and never loosen', () => {
+        const short = { side: 'short', entryPrice: 100, stopLoss: 105, bestPrice: 100 };
+
+        expect(RiskManager.adjustStopLoss(long, 110, { trailingStop: { enabled: true, type: 'percent', distance: 0.05 } }).stopLoss).toBeCloseTo(104.5);
+        expect(RiskManager.adjustStopLoss(short, 90, { trailingStop: { enabled: true, type: 'absolute', distance: 3 } })).toEqual({ stopLoss: 93, bestPrice: 90, reason: 'trailing' });
+        expect(RiskManager.adjustStopLoss(long, 110, { trailingStop: { enabled: true, type: 'atr', distance: 2 } }, 4).stopLoss).toBe(102);
+        expect(RiskManager.adjustStopLoss(long, 110, { trailingStop: { enabled: true, type: 'atr', distance: 2 } }, null).stopLoss).toBe(95); // No ATR yet
+        expect(RiskManager.adjustStopLoss({ ...long, stopLoss: 106 }, 110, { trailingStop: { enabled: true, type: 'absolute', distance: 5 } }).reason).toBeNull();
+        // Not before the activation profit
+        expect(RiskManager.adjustStopLoss(long, 101, { trailingStop: { enabled: true, distance: 0.01, activationProfit: 0.02 } }).stopLoss).toBe(95);
+    });
+
+    test('should ratchet the stop in whole steps', () => {
+        const config = { trailingStop: { enabled: true, type: 'absolute', distance: 5, step: 2 } };
+
+        expect(RiskManager.adjustStopLoss(long, 101.5, config).stopLoss).toBe(95); // Trail at 96.5 is less than a step
+        expect(RiskManager.adjustStopLoss(long, 105.5, config).stopLoss).toBe(99); // Trail at 100.5: two whole steps
+    });
+
+    test('should trail registered positions with ATR from recorded candles', async () => {
+        const config = { stopLoss: 0.05, trailingStop: { enabled: true, type: 'atr', distance: 2, atrPeriod: 3 } };
+        await RiskManager.managePosition('SOL/USD', 'long', 100, 1, config, 'Trend');
+        for (let i = 0; i < 5; i++) {
+            RiskManager.recordCandle('SOL/USD', { timestamp: i, open: 100, high: 101, low: 99, close: 100 });
+        }
+        RiskManager.recordCandle('SOL/USD', { timestamp: 4, open: 100, high: 101, low: 99, close: 100 }); // Same candle again
+
+        expect(RiskManager.getATR([], 3)).toBeNull();
+        await RiskManager.monitorPositions('SOL/USD', 110);
+        let position = RiskManager.getOpenPositions()['SOL/USD:Trend'];
+        expect(position.stopLoss).toBeCloseTo(106);
+        expect(position.stopLossReason).toBe('trailing');
+
+        // A resize keeps the trailed stop; a pull-back below it triggers the stop-loss
+        await RiskManager.managePosition('SOL/USD', 'long', 101, 2, config, 'Trend');
+        position = RiskManager.getOpenPositions()['SOL/USD:Trend'];
+        expect(position.stopLoss).toBeCloseTo(106);
+        await expect(RiskManager.monitorPositions('SOL/USD', 105)).resolves.toEqual(expect.objectContaining({ action: 'stop_loss', stopLossReason: 'trailing', amount: 2 }));
+        RiskManager.removePosition('SOL/USD', 'Trend');
+    });
+});
+
+describe('RiskManager stop placement and risk sizing', () => {
+    // Ranges of 10 around a close of 100, lows from 95 down to 91
+    const candles = [95, 94, 93, 92, 91].map((low, i) => ({ timestamp: i, open: 100, high: low + 10, low, close: 100 }));
+
+    test('should place stops from ATR or the recent swing and fall back to the percentage', () => {
+        const atr = { stopLoss: 0.05, stopPlacement: { type: 'atr', atrMultiple: 1.5, atrPeriod: 3 } };
+        const structure = { stopLoss: 0.05, stopPlacement: { type: 'structure', lookback: 3, buffer: 0.01 } };
+
+        expect(RiskManager.calculateInitialStopLoss('long', 100, atr, candles)).toBeCloseTo(100 - 1.5 * RiskManager.getATR(candles, 3));
+        expect(RiskManager.calculateInitialStopLoss('long', 100, structure, candles)).toBeCloseTo(90.09);
+        expect(RiskManager.calculateInitialStopLoss('short', 100, structure, candles)).toBeCloseTo(104.03);
+        // Not enough candles, or a swing on the wrong side of entry
+        expect(RiskManager.calculateInitialStopLoss('long', 100, atr, candles.slice(0, 2))).toBeCloseTo(95);
+        expect(RiskManager.calculateInitialStopLoss('long', 85, structure, candles)).toBeCloseTo(80.75);
+    });
+
+    test('should size positions so the stop loses the risk per trade after fees', () => {
+        const amount = RiskManager.calculateRiskBasedSize(100, 95, 10000, { riskPerTrade: 0.01, feeRate: 0.001 });
+
+        // Loss per unit: 5 to the stop plus fees of 0.1 on entry and 0.095 on exit
+        expect(amount).toBeCloseTo(100 / 5.195);
+        expect(amount * (5 + 0.001 * (100 + 95))).toBeCloseTo(100);
+        expect(RiskManager.calculateRiskBasedSize(100, 95, 10000, { riskPerTrade: 0.01, feeRate: 0, maxNotional: 1000 })).toBeCloseTo(10);
+        expect(RiskManager.calculateRiskBasedSize(100, 100, 10000)).toBe(0);
+        expect(RiskManager.calculateRiskBasedSize(100, 95, 50)).toBe(0); // Below the minimum balance
+    });
+
+    test('should register a position at the stop its entry was sized for', async () => {
+        await RiskManager.managePosition('ETH/USD', 'long', 3000, 1, { stopLoss: 0.05 }, 'Trend', 2900);
+
+        expect(RiskManager.getOpenPositions()['ETH/USD:Trend'].stopLoss).toBe(2900);
+        RiskManager.removePosition('ETH/USD', 'Trend');
+    });
+});
+
+describe('RiskManager sizing models', () => {
+    const params = { entryPrice: 100, stopLoss: 95, equity: 10000 };
+
+    test('should size fixed fractional entries by the risk per trade, capped at the configured maximum', () => {
+        const sized = RiskManager.calculatePositionSize('fixed', params, { riskPerTrade: 0.05 });
+
+        expect(sized.model).toBe('fixed');
+        expect(sized.inputs).toEqual(expect.objectContaining({ riskPerTrade: 0.02, equity: 10000, stopLoss: 95 }));
+        expect(sized.amount).toBeCloseTo(RiskManager.calculateRiskBasedSize(100, 95, 10000, { riskPerTrade: 0.02 }));
+        expect(RiskManager.calculatePositionSize('martingale', params).model).toBe('fixed');
+    });
+
+    test('should target an annualized volatility from recent candle returns', () => {
+        // Hourly returns alternating +1% and -1%: a standard deviation of 1%
+        let close = 100;
+        const candles = Array.from({ length: 31 }, (_, i) => ({ timestamp: i * 3600000, close: (close *= i === 0 ? 1 : i % 2 ? 1.01 : 0.99) }));
+        const config = { sizing: { targetVolatility: 0.15, volatilityPeriod: 30 } };
+
+        const sized = RiskManager.calculatePositionSize('volatility', { ...params, candles }, config);
+
+        expect(sized.model).toBe('volatility');
+        expect(sized.inputs.volatility).toBeCloseTo(0.01 * Math.sqrt(8760));
+        expect(sized.amount * 100).toBeCloseTo(10000 * 0.15 / sized.inputs.volatility);
+        // The stop-based size caps it too, leaving room for fees within the notional
+        expect(RiskManager.calculatePositionSize('volatility', { ...params, candles, maxNotional: 1000 }, config).amount)
+            .toBeCloseTo(RiskManager.calculateRiskBasedSize(100, 95, 10000, { riskPerTrade: 0.02, maxNotional: 1000 }));
+        expect(RiskManager.calculatePositionSize('volatility', { ...params, candles: candles.slice(0, 10) }, config).model).toBe('fixed');
+    });
+
+    test('should size volatility-targeted entries beyond the fixed fraction in calm markets, up to the risk budget', () => {
+        // Hourly returns alternating +0.5% and -0.5%, then +0.1% and -0.1%: calm enough to target 32 and 160 units
+        const candlesOf = change => {
+            let close = 100;
+            return Array.from({ length: 31 }, (_, i) => ({ timestamp: i * 3600000, close: (close *= i === 0 ? 1 : i % 2 ? 1 + change : 1 - change) }));
+        };
+        const riskConfig = { riskPerTrade: 0.005, sizing: { targetVolatility: 0.15, volatilityPeriod: 30 } };
+        const fixedSize = RiskManager.calculatePositionSize('fixed', params, riskConfig).amount;
+        const riskSize = RiskManager.calculateRiskBasedSize(100, 95, 10000, { riskPerTrade: 0.02 });
+
+        const calm = RiskManager.calculatePositionSize('volatility', { ...params, candles: candlesOf(0.005) }, riskConfig);
+        expect(calm.model).toBe('volatility');
+        expect(calm.amount).toBeCloseTo(32.05, 1);
+        expect(calm.amount).toBeGreaterThan(fixedSize);
+
+        const calmer = RiskManager.calculatePositionSize('volatility', { ...params, candles: candlesOf(0.001) }, riskConfig);
+        expect(calmer.inputs).toEqual(expect.objectContaining({ volatilitySize: expect.closeTo(160.2, 0), riskSize, maxRiskPerTrade: 0.02 }));
+        expect(calmer.amount).toBe(riskSize); // Stopped out, it loses no more than 2% of equity
+    });
+
+    test('should size by fractional Kelly from the strategy\'s closed trades', () => {
+        const fills = [
+            { intent: 'entry', side: 'buy', amount: 1, price: 100 }, { intent: 'exit', side: 'sell', amount: 0.5, price: 110 },
+            { intent: 'stop_loss', side: 'sell', amount: 0.5, price: 120 }, // +15
+            { intent: 'entry', side: 'buy', amount: 2, price: 100 }, { intent: 'exit', side: 'sell', amount: 2, price: 95 }, // -10
+            { intent: 'entry', side: 'sell', amount: 1, price: 100 }, { intent: 'exit', side: 'buy', amount: 1, price: 90 }, // +10
+            { intent: 'entry', side: 'buy', amount: 1, price: 100 } // Still open
+        ];
+        const tradeStats = RiskManager.calculateTradeStatistics(fills);
+        expect(tradeStats).toEqual({ trades: 3, wins: 2, losses: 1, winRate: 2 / 3, averageWin: 12.5, averageLoss: 10, payoff: 1.25 });
+
+        const sized = RiskManager.calculatePositionSize('kelly', { ...params, tradeStats }, { sizing: { kellyFraction: 0.025, minTrades: 3 } });
+        expect(sized.model).toBe('kelly');
+        expect(sized.inputs.kelly).toBeCloseTo(0.4); // 2/3 - (1/3) / 1.25
+        expect(sized.inputs.riskPerTrade).toBeCloseTo(0.01);
+        // Too few trades yet, or no edge
+        expect(RiskManager.calculatePositionSize('kelly', { ...params, tradeStats }, { sizing: { minTrades: 20 } }).model).toBe('fixed');
+        expect(RiskManager.calculatePositionSize('kelly', { ...params, tradeStats: { trades: 30, winRate: 0.3, payoff: 1 } }).amount).toBe(0);
+    });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const RiskManager = await import('../../src/riskManagement/riskManager.js');
+
+// Limits from config/default.json: 2% risk per trade, 10% in total, 3 positions (2 per symbol), 1 hour cooldown
+describe('RiskManager pre-trade risk gate', () => {
+    const trade = (overrides = {}) => ({ symbol: 'BTC/USD', strategy: 'Trend', side: 'long', amount: 0.1, price: 40000, stopLoss: 38000, ...overrides });
+
+    afterEach(() => {
+        for (const { symbol, strategy } of Object.values(RiskManager.getOpenPositions())) {
+            RiskManager.removePosition(symbol, strategy);
+        }
+        RiskManager.restoreCircuitBreaker(null);
+        jest.useRealTimers();
+    });
+
+    test('should measure a trade by what it loses at its stop', () => {
+        expect(RiskManager.checkPreTradeRisk(trade(), 10000)).toBeNull(); // Risks 200, 2% of equity
+
+        expect(RiskManager.checkPreTradeRisk(trade({ stopLoss: 37000 }), 10000)).toEqual({ reason: 'trade_risk', message: expect.stringContaining('0.0300 > 0.02') });
+        expect(RiskManager.checkPreTradeRisk(trade({ stopLoss: null }), 10000).reason).toBe('trade_risk'); // Whole value at risk
+        expect(RiskManager.checkPreTradeRisk(trade({ amount: 0.0002 }), 10000).reason).toBe('trade_too_small');
+        expect(RiskManager.checkPreTradeRisk(trade({ amount: 0.0002 }), 50).reason).toBe('minimum_balance');
+    });
+
+    test('should limit concurrent positions overall and per symbol, counting working entries', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.01, {}, 'Trend', 39000);
+        const pendingEntries = [{ symbol: 'BTC/USD', strategy: 'MeanRevert', side: 'short', amount: 0.01, price: 41000, stopLoss: 42000 }];
+
+        expect(RiskManager.checkPreTradeRisk(trade({ strategy: 'Breakout' }), 10000, pendingEntries)).toEqual({ reason: 'max_trades_per_symbol', message: expect.stringContaining('2 positions or entries already open on BTC/USD') });
+        // Adding to an open position is not a new trade
+        expect(RiskManager.checkPreTradeRisk(trade({ amount: 0.01 }), 10000, pendingEntries)).toBeNull();
+
+        await RiskManager.managePosition('ETH/USD', 'long', 3000, 0.1, {}, 'Trend', 2900);
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'SOL/USD', amount: 1, price: 100, stopLoss: 95 }), 10000, pendingEntries).reason).toBe('max_concurrent_trades');
+        // Small accounts hold fewer positions
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'SOL/USD', amount: 1, price: 100, stopLoss: 99 }), 2000).reason).toBe('max_concurrent_trades');
+    });
+
+    test('should hold back new positions during the cooldown after an entry', async () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        RiskManager.recordEntry('XRP/USD', 'Trend', 1700000000000 - 30 * 60000);
+        const xrp = trade({ symbol: 'XRP/USD', amount: 100, price: 0.5, stopLoss: 0.49 });
+
+        expect(RiskManager.checkPreTradeRisk(xrp, 10000)).toEqual({ reason: 'cooldown', message: expect.stringContaining('30.0 minutes ago') });
+        expect(RiskManager.checkPreTradeRisk({ ...xrp, strategy: 'MeanRevert' }, 10000)).toBeNull();
+        await RiskManager.managePosition('XRP/USD', 'long', 0.5, 100, {}, 'Trend', 0.49);
+        expect(RiskManager.checkPreTradeRisk(xrp, 10000)).toBeNull(); // Adds to the open position
+
+        RiskManager.removePosition('XRP/USD', 'Trend');
+        jest.setSystemTime(1700000000000 + 30 * 60000);
+        expect(RiskManager.checkPreTradeRisk(xrp, 10000)).toBeNull();
+    });
+
+    test('should cap the total risk of open positions at their stops', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, {}, 'Trend', 35500);
+        await RiskManager.managePosition('ETH/USD', 'short', 3000, 1, {}, 'Trend', 3450);
+
+        // 450 + 450 already at risk; another 150 goes beyond 10% of equity
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'SOL/USD', amount: 10, price: 100, stopLoss: 85 }), 10000)).toEqual({ reason: 'total_risk', message: expect.stringContaining('0.1050 > 0.1') });
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'SOL/USD', amount: 10, price: 100, stopLoss: 90 }), 10000)).toBeNull();
+        expect(RiskManager.checkTotalRisk([{ side: 'long', amount: 0.1, price: 40000, stopLoss: 41000 }], 10000)).toBe(true); // Stop in profit
+    });
+
+    test('should reject everything that adds risk while the circuit breaker is tripped', () => {
+        RiskManager.updateEquity(10000, Date.UTC(2024, 0, 1));
+        RiskManager.updateEquity(9000, Date.UTC(2024, 0, 1, 1));
+
+        expect(RiskManager.checkPreTradeRisk(trade(), 9000)).toEqual({ reason: 'circuit_breaker', message: expect.stringContaining('Daily loss of 10.00%') });
+    });
+});
+
+describe('RiskManager correlation and exposure limits', () => {
+    // Minute candles following the given returns; ETH/USD moves with BTC/USD, SOL/USD on its own
+    const recordReturns = (symbol, returnOf) => {
+        let close = 100;
+        for (let i = 0; i < 61; i++) {
+            close *= 1 + returnOf(i);
+            RiskManager.recordCandle(symbol, { timestamp: i * 60000, open: close, high: close, low: close, close });
+        }
+    };
+    const btc = i => 0.01 * Math.sin(i * 1.3) + 0.005 * Math.cos(i * 0.7);
+    const trade = (overrides = {}) => ({ symbol: 'ETH/USD', strategy: 'Trend', side: 'long', amount: 1, price: 3000, stopLoss: 2900, ...overrides });
+
+    beforeAll(() => {
+        recordReturns('BTC/USD', btc);
+        recordReturns('ETH/USD', i => 1.1 * btc(i) + 0.002 * Math.sin(i * 5.1));
+        recordReturns('SOL/USD', i => 0.01 * Math.sin(i * 2.9 + 1));
+    });
+
+    afterEach(() => {
+        for (const { symbol, strategy } of Object.values(RiskManager.getOpenPositions())) {
+            RiskManager.removePosition(symbol, strategy);
+        }
+    });
+
+    test('should correlate returns of recorded candles and cluster correlated symbols', () => {
+        const matrix = RiskManager.getCorrelationMatrix(['BTC/USD', 'ETH/USD', 'SOL/USD', 'DOT/USD']);
+
+        expect(matrix['BTC/USD']['ETH/USD']).toBeGreaterThan(0.95);
+        expect(matrix['ETH/USD']['BTC/USD']).toBe(matrix['BTC/USD']['ETH/USD']);
+        expect(Math.abs(matrix['BTC/USD']['SOL/USD'])).toBeLessThan(0.1);
+        expect(matrix['BTC/USD']['DOT/USD']).toBeNull(); // No candles
+        expect(RiskManager.getCorrelatedClusters(['BTC/USD', 'SOL/USD', 'ETH/USD', 'BTC/EUR'])).toEqual([['SOL/USD'], ['BTC/USD', 'ETH/USD', 'BTC/EUR']]);
+    });
+
+    test('should downsize entries that take correlated exposure over the limit', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, {}, 'Trend', 39000); // 40% of equity
+
+        expect(RiskManager.checkPreTradeRisk(trade(), 10000)).toBeNull(); // 70% of equity in the cluster
+        const rejection = RiskManager.checkPreTradeRisk(trade({ amount: 1.5 }), 10000);
+        expect(rejection).toEqual({ reason: 'cluster_exposure', message: expect.stringContaining('BTC/USD, ETH/USD'), maxAmount: expect.closeTo(3500 / 3000) });
+        expect(RiskManager.checkPreTradeRisk(trade({ amount: rejection.maxAmount }), 10000)).toBeNull();
+        // Uncorrelated symbols have their own limit
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'SOL/USD', amount: 45, price: 100, stopLoss: 96 }), 10000)).toBeNull();
+    });
+
+    test('should cap the exposure to one base asset across strategies', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.1, {}, 'Trend', 39000);
+
+        expect(RiskManager.checkPreTradeRisk(trade({ symbol: 'BTC/USD', strategy: 'Breakout', amount: 0.05, price: 40000, stopLoss: 39000 }), 10000))
+            .toEqual({ reason: 'asset_exposure', message: expect.stringContaining('Exposure to BTC would be 0.6000'), maxAmount: expect.closeTo(0.025) });
+    });
+});
@@ -0,0 +1,261 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+
+const { KrakenConnector } = await import('../../src/connectors/kraken.js');
+const { default: OfflineBackend } = await import('../../src/connectors/offlineBackend.js');
+const { default: ProtectiveOrderManager } = await import('../../src/services/protectiveOrderManager.js');
+const notifications = await import('../../src/utils/notifications.js');
+
+describe('ProtectiveOrderManager', () => {
+    let backend;
+    let connector;
+    let stateFile;
+
+    const createManager = (options = {}) => new ProtectiveOrderManager(connector, { stateFile, ...options });
+
+    beforeEach(async () => {
+        backend = new OfflineBackend({ prices: { 'BTC/USD': 40000 }, balances: { USD: 10000, BTC: 0.2 }, spread: 0, feeRate: 0 });
+        connector = new KrakenConnector();
+        connector.initializeKraken(undefined, undefined, true, backend);
+        await connector.loadMarkets();
+        stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'protective-')), 'protectiveOrders.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(stateFile), { recursive: true, force: true });
+    });
+
+    test('should place a stop-loss and take-profit for a long position', async () => {
+        const manager = createManager();
+
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+
+        expect(protection.stopLoss).toEqual(expect.objectContaining({ price: 38000 }));
+        expect(protection.takeProfit).toEqual(expect.objectContaining({ price: 44000 }));
+        const stop = await connector.fetchOrder(protection.stopLoss.id);
+        const takeProfit = await connector.fetchOrder(protection.takeProfit.id);
+        expect(stop).toEqual(expect.objectContaining({ side: 'sell', amount: 0.1, status: 'open', triggerPrice: 38000 }));
+        expect(takeProfit).toEqual(expect.objectContaining({ side: 'sell', amount: 0.1, status: 'open', triggerPrice: 44000 }));
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))['BTC/USD'].stopLoss.id).toBe(protection.stopLoss.id);
+    });
+
+    test('should place a stop-loss-limit with the limit beyond the trigger', async () => {
+        const manager = createManager({ stopLossType: 'stop-loss-limit', stopLimitOffset: 0.01, takeProfit: false });
+
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05 });
+
+        expect(protection.stopLoss.limitPrice).toBe(37620);
+        expect(protection.takeProfit).toBeNull();
+        expect((await connector.fetchOrder(protection.stopLoss.id)).price).toBe(37620);
+    });
+
+    test('should keep the stop-loss when the exchange refuses the take-profit', async () => {
+        backend.balances.BTC = 0.1; // The stop-loss holds the whole position
+        const manager = createManager();
+
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+
+        expect(protection.stopLoss.id).toBeTruthy();
+        expect(protection.takeProfit.id).toBeNull();
+        expect(notifications.sendNotification).toHaveBeenCalledWith(expect.stringContaining('Could not place take-profit for BTC/USD'), 'error');
+        // The bot keeps watching the take-profit itself
+        expect(manager.getCoveredExits('BTC/USD', [{ strategy: 'Trend', side: 'long', stopLoss: 38000, takeProfit: 44000 }, { strategy: 'Hedge', side: 'short', stopLoss: 42000, takeProfit: 36000 }]))
+            .toEqual({ Trend: { stopLoss: true, takeProfit: false }, Hedge: { stopLoss: false, takeProfit: false } });
+    });
+
+    test('should cancel the take-profit when the stop-loss fills', async () => {
+        const manager = createManager();
+        const closed = jest.fn();
+        const unprotected = jest.fn();
+        manager.on('closed', closed);
+        manager.on('unprotected', unprotected);
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+
+        backend.prices['BTC/USD'] = 37900;
+        await connector.getTicker('BTC/USD'); // The offline backend matches orders on ticker updates
+        await manager.sync('BTC/USD');
+
+        expect((await connector.fetchOrder(protection.stopLoss.id)).status).toBe('closed');
+        expect((await connector.fetchOrder(protection.takeProfit.id)).status).toBe('canceled');
+        expect(closed).toHaveBeenCalledWith(protection, 'stopLoss', null); // Not protected on behalf of strategies
+        expect(manager.getProtection('BTC/USD')).toBeNull();
+
+        // The feed's confirmation of our own cancel is not reported as an external cancel
+        await manager.handleOrderUpdate(protection.takeProfit.id, 'canceled');
+        expect(unprotected).not.toHaveBeenCalled();
+    });
+
+    test('should cover the positions of two strategies on one pair and split fills between them', async () => {
+        const manager = createManager({ takeProfit: false });
+        const closed = jest.fn();
+        manager.on('closed', closed);
+        const trend = { strategy: 'Trend', amount: 0.1, entryPrice: 40000, stopLoss: 38000 };
+        const breakout = { strategy: 'Breakout', amount: 0.05, entryPrice: 41000, stopLoss: 39000 };
+
+        await manager.protectPositions('BTC/USD', 'long', [trend]);
+        const protection = await manager.protectPositions('BTC/USD', 'long', [trend, breakout]);
+
+        expect(protection).toEqual(expect.objectContaining({ amount: 0.15, entryPrice: expect.closeTo(40333.33), strategies: { Trend: 0.1, Breakout: 0.05 } }));
+        expect(protection.stopLoss.price).toBe(38000); // The loosest stop, so neither position is closed early
+        expect(await connector.fetchOpenOrders('BTC/USD')).toEqual([expect.objectContaining({ id: protection.stopLoss.id, amount: 0.15 })]);
+
+        await manager.handleOrderUpdate(protection.stopLoss.id, 'closed', 0.075);
+        expect(closed).toHaveBeenCalledWith(protection, 'stopLoss', [
+            { strategy: 'Trend', amount: expect.closeTo(0.05) },
+            { strategy: 'Breakout', amount: expect.closeTo(0.025) }
+        ]);
+    });
+
+    test('should shrink the protection and re-place the take-profit when the stop-loss fills in part', async () => {
+        const manager = createManager();
+        const reduced = jest.fn();
+        const closed = jest.fn();
+        manager.on('reduced', reduced);
+        manager.on('closed', closed);
+        backend.balances.BTC = 0.3; // Room for both legs
+        const protection = await manager.protectPositions('BTC/USD', 'long', [
+            { strategy: 'Trend', amount: 0.06, entryPrice: 40000, stopLoss: 38000 },
+            { strategy: 'Breakout', amount: 0.04, entryPrice: 40000, stopLoss: 38000 }
+        ], { takeProfit: 0.1 });
+        const takeProfitId = protection.takeProfit.id;
+
+        await manager.handleOrderUpdate(protection.stopLoss.id, 'open', 0.04);
+
+        expect(reduced).toHaveBeenCalledWith(protection, 'stopLoss', [
+            { strategy: 'Trend', amount: expect.closeTo(0.024) },
+            { strategy: 'Breakout', amount: expect.closeTo(0.016) }
+        ]);
+        expect(protection.amount).toBe(0.06);
+        expect((await connector.fetchOrder(takeProfitId)).status).toBe('canceled');
+        expect(protection.takeProfit.id).not.toBe(takeProfitId);
+        expect(await connector.fetchOrder(protection.takeProfit.id)).toEqual(expect.objectContaining({ amount: 0.06, status: 'open', triggerPrice: 44000 }));
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))['BTC/USD']).toEqual(expect.objectContaining({ amount: 0.06, takeProfit: expect.objectContaining({ id: protection.takeProfit.id }) }));
+
+        // The final fill closes only what the part fill left
+        await manager.handleOrderUpdate(protection.stopLoss.id, 'closed', 0.1);
+        expect(closed).toHaveBeenCalledWith(protection, 'stopLoss', [
+            { strategy: 'Trend', amount: expect.closeTo(0.036) },
+            { strategy: 'Breakout', amount: expect.closeTo(0.024) }
+        ]);
+        expect(manager.getProtection('BTC/USD')).toBeNull();
+    });
+
+    test('should leave the tighter stop of a second strategy on the pair to the bot', async () => {
+        const manager = createManager();
+        const trend = { strategy: 'Trend', side: 'long', amount: 0.1, entryPrice: 40000, stopLoss: 38000, takeProfit: 44000 };
+        const breakout = { strategy: 'Breakout', side: 'long', amount: 0.05, entryPrice: 40000, stopLoss: 39000.04, takeProfit: 42000 };
+        backend.balances.BTC = 0.3; // Room for both legs
+
+        await manager.protectPositions('BTC/USD', 'long', [trend, breakout], { takeProfit: 0.1 });
+
+        expect(manager.getCoveredExits('BTC/USD', [trend, breakout, { ...trend, strategy: 'Other' }])).toEqual({
+            Trend: { stopLoss: true, takeProfit: true },
+            Breakout: { stopLoss: false, takeProfit: false }, // Both fire before the shared legs
+            Other: { stopLoss: false, takeProfit: false } // Not protected
+        });
+    });
+
+    test('should resize the protection to the positions left and release it with the last one', async () => {
+        const manager = createManager({ takeProfit: false });
+        const trend = { strategy: 'Trend', amount: 0.1, entryPrice: 40000, stopLoss: 38000 };
+        await manager.protectPositions('BTC/USD', 'long', [trend, { strategy: 'Breakout', amount: 0.05, entryPrice: 41000, stopLoss: 39000 }]);
+
+        const protection = await manager.protectPositions('BTC/USD', 'long', [trend]);
+        expect(protection).toEqual(expect.objectContaining({ amount: 0.1, strategies: { Trend: 0.1 } }));
+        expect(await connector.fetchOpenOrders('BTC/USD')).toEqual([expect.objectContaining({ amount: 0.1, triggerPrice: 38000 })]);
+
+        await expect(manager.protectPositions('BTC/USD', 'short', [])).resolves.toBeNull(); // Other side, kept
+        expect(manager.getProtection('BTC/USD')).toBe(protection);
+        await manager.protectPositions('BTC/USD', 'long', []);
+        expect(manager.getProtection('BTC/USD')).toBeNull();
+        expect(await connector.fetchOpenOrders('BTC/USD')).toEqual([]);
+    });
+
+    test('should release both legs before the bot exits the position itself', async () => {
+        const manager = createManager();
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+
+        await manager.release('BTC/USD');
+
+        expect(await connector.fetchOpenOrders('BTC/USD')).toHaveLength(0);
+        expect(manager.getProtections()).toEqual([]);
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))).toEqual({});
+        expect(protection.stopLoss.id).toBeTruthy();
+    });
+
+    test('should replace the stop-loss order when the stop tightens', async () => {
+        backend.balances.BTC = 0.1; // Only one closing order fits at a time
+        const manager = createManager({ takeProfit: false });
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05 });
+        const previousId = protection.stopLoss.id;
+
+        await expect(manager.moveStopLoss('BTC/USD', 37000)).resolves.toBe(false); // Looser
+        await expect(manager.moveStopLoss('BTC/USD', 39500.37)).resolves.toBe(true);
+
+        expect(protection.stopLoss.price).toBe(39500.3);
+        expect((await connector.fetchOrder(previousId)).status).toBe('canceled');
+        const orders = await connector.fetchOpenOrders('BTC/USD');
+        expect(orders).toEqual([expect.objectContaining({ id: protection.stopLoss.id, triggerPrice: 39500.3, amount: 0.1 })]);
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))['BTC/USD'].stopLoss.price).toBe(39500.3);
+    });
+
+    test('should report legs cancelled outside the bot', async () => {
+        const manager = createManager();
+        const unprotected = jest.fn();
+        manager.on('unprotected', unprotected);
+        const protection = await manager.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+        const stopId = protection.stopLoss.id;
+
+        await manager.handleOrderUpdate(stopId, 'canceled');
+
+        expect(unprotected).toHaveBeenCalledWith(protection, 'stopLoss');
+        expect(manager.getProtection('BTC/USD').stopLoss.id).toBeNull();
+    });
+
+    test('should re-create cancelled legs and apply fills on restart', async () => {
+        const first = createManager();
+        const protection = await first.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05, takeProfit: 0.1 });
+        await backend.cancelOrder(protection.stopLoss.id); // e.g. the dead man's switch fired while the bot was down
+
+        const restarted = createManager();
+        await restarted.restore();
+
+        const restored = restarted.getProtection('BTC/USD');
+        expect(restored.stopLoss.id).not.toBe(protection.stopLoss.id);
+        expect((await connector.fetchOrder(restored.stopLoss.id)).status).toBe('open');
+        expect(restored.takeProfit.id).toBe(protection.takeProfit.id);
+
+        backend.prices['BTC/USD'] = 45000;
+        await connector.getTicker('BTC/USD'); // Take-profit fills while the bot is down
+        const again = createManager();
+        await again.restore();
+
+        expect(again.getProtections()).toEqual([]);
+        expect((await connector.fetchOrder(restored.stopLoss.id)).status).toBe('canceled');
+    });
+
+    test('should adopt a leg that reached the exchange before its order ID was saved', async () => {
+        const first = createManager({ takeProfit: false });
+        const protection = await first.protect('BTC/USD', 'long', 40000, 0.1, { stopLoss: 0.05 });
+        expect(protection.stopLoss.clientOrderId).toEqual(expect.any(String));
+        // Simulate a crash between submission and saving the exchange's order ID
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        saved['BTC/USD'].stopLoss.id = null;
+        fs.writeFileSync(stateFile, JSON.stringify(saved));
+
+        const restarted = createManager({ takeProfit: false });
+        await restarted.restore();
+
+        expect(restarted.getProtection('BTC/USD').stopLoss.id).toBe(protection.stopLoss.id);
+        expect(await connector.fetchOpenOrders('BTC/USD')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { KrakenConnector } = await import('../../src/connectors/kraken.js');
+const { default: OfflineBackend } = await import('../../src/connectors/offlineBackend.js');
+const { default: OrderJournal } = await import('../../src/services/orderJournal.js');
+const { reconcile } = await import('../../src/services/reconciliation.js');
+
+describe('Reconciliation', () => {
+    let backend;
+    let connector;
+    let journal;
+    let since;
+
+    const savedLong = { 'BTC/USD:Test': { symbol: 'BTC/USD', strategy: 'Test', side: 'long', entryPrice: 38000, amount: 0.1 } };
+
+    // Places an order the way TradingService does: journaled under a client order ID first
+    const placeJournaled = async (clientOrderId, side, amount, intent, price = null) => {
+        journal.recordSubmission({ clientOrderId, symbol: 'BTC/USD', side, type: price ? 'limit' : 'market', amount, price, strategy: 'Test', intent });
+        const order = price
+            ? await connector.createLimitOrder('BTC/USD', side, amount, price, { clientOrderId })
+            : await connector.createMarketOrder('BTC/USD', side, amount, { clientOrderId });
+        journal.recordAccepted(clientOrderId, order);
+        return order;
+    };
+
+    beforeEach(async () => {
+        backend = new OfflineBackend({ prices: { 'BTC/USD': 40000 }, balances: { USD: 10000, BTC: 0.1 }, spread: 0, feeRate: 0 });
+        connector = new KrakenConnector();
+        connector.initializeKraken(undefined, undefined, true, backend);
+        await connector.loadMarkets();
+        journal = new OrderJournal();
+        since = Date.now() - 1;
+    });
+
+    test('should replay strategy fills that happened while the bot was down', async () => {
+        await placeJournaled('entry-1', 'buy', 0.1, 'entry');
+        await placeJournaled('working-1', 'buy', 0.05, 'entry', 30000); // Rests on the book
+
+        const result = await reconcile(connector, { positions: savedLong, since, symbols: ['BTC/USD'], journal });
+
+        expect(result.positions['BTC/USD:Test']).toEqual({ symbol: 'BTC/USD', strategy: 'Test', side: 'long', amount: 0.2, entryPrice: 39000 });
+        expect(result.workingOrders).toEqual([expect.objectContaining({ entry: expect.objectContaining({ clientOrderId: 'working-1', strategy: 'Test' }) })]);
+        expect(result.discrepancies.map(d => d.type)).toEqual(['missed-fill']);
+        expect(savedLong['BTC/USD:Test'].amount).toBe(0.1); // Saved state is not modified
+    });
+
+    test('should report trades and orders placed outside the bot but not protective orders', async () => {
+        const manual = await connector.createMarketOrder('BTC/USD', 'buy', 0.01);
+        const orphan = await connector.createLimitOrder('BTC/USD', 'buy', 0.01, 30000);
+        const stop = await connector.createStopLossOrder('BTC/USD', 'sell', 0.1, 35000);
+
+        const result = await reconcile(connector, { positions: savedLong, since, symbols: ['BTC/USD'], journal, protectiveOrderIds: [stop.id] });
+
+        expect(result.positions['BTC/USD:Test'].amount).toBe(0.1);
+        expect(result.discrepancies).toEqual([
+            expect.objectContaining({ type: 'external-trade', message: expect.stringContaining(manual.id) }),
+            expect.objectContaining({ type: 'orphaned-order', message: expect.stringContaining(orphan.id) })
+        ]);
+    });
+
+    test('should resolve submissions with an unknown outcome', async () => {
+        journal.recordSubmission({ clientOrderId: 'landed', symbol: 'BTC/USD', side: 'sell', amount: 0.05, strategy: 'Test', intent: 'exit' });
+        journal.recordUnknown('landed', 'timed out');
+        await connector.createMarketOrder('BTC/USD', 'sell', 0.05, { clientOrderId: 'landed' });
+        journal.recordSubmission({ clientOrderId: 'lost', symbol: 'BTC/USD', side: 'buy', amount: 0.05, strategy: 'Test', intent: 'entry' });
+
+        const result = await reconcile(connector, { positions: savedLong, since, symbols: ['BTC/USD'], journal });
+
+        expect(journal.get('landed')).toEqual(expect.objectContaining({ event: 'accepted', orderId: expect.any(String) }));
+        expect(journal.get('lost').event).toBe('failed');
+        expect(journal.getUnresolved()).toEqual([]);
+        // The exit that landed is replayed onto the position
+        expect(result.positions['BTC/USD:Test'].amount).toBeCloseTo(0.05);
+    });
+
+    test('should clear positions closed by protective orders and cap longs to the balance held', async () => {
+        const positions = {
+            ...savedLong,
+            'ETH/USD:Test': { symbol: 'ETH/USD', strategy: 'Test', side: 'long', entryPrice: 3000, amount: 2 }
+        };
+
+        const result = await reconcile(connector, {
+            positions,
+            since,
+            symbols: ['BTC/USD', 'ETH/USD'],
+            journal,
+            closedProtections: [{ symbol: 'BTC/USD', side: 'long' }]
+        });
+
+        expect(result.positions).toEqual({});
+        expect(result.discrepancies.map(d => d.type)).toEqual(['position-closed', 'balance-shortfall']);
+    });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+jest.unstable_mockModule('../../src/services/tradingService.js', () => ({
+    applyShutdownPolicy: jest.fn(),
+    stopTradingService: jest.fn()
+}));
+
+const { default: CryptoBotApp } = await import('../../app.js');
+const TradingService = await import('../../src/services/tradingService.js');
+const notifications = await import('../../src/utils/notifications.js');
+
+describe('CryptoBotApp shutdown', () => {
+    let bot;
+    let calls;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        calls = [];
+        bot = new CryptoBotApp();
+        bot.marketDataService = { stop: jest.fn(async () => calls.push('marketData')) };
+        bot.deadMansSwitch = { stop: jest.fn(async () => calls.push('deadMansSwitch')) };
+        TradingService.applyShutdownPolicy.mockImplementation(async () => {
+            calls.push('policy');
+            return { cancelled: ['O1'], flattened: [], failures: [] };
+        });
+        TradingService.stopTradingService.mockImplementation(async () => calls.push('flush'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should stop market data before applying the policy and resolve without exiting', async () => {
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+        await bot.shutdown('SIGTERM');
+
+        expect(calls).toEqual(['marketData', 'policy', 'deadMansSwitch', 'flush']);
+        expect(TradingService.applyShutdownPolicy).toHaveBeenCalledWith('keep');
+        expect(bot.deadMansSwitch.stop).toHaveBeenCalledWith({ disarm: true });
+        expect(notifications.sendNotification).toHaveBeenCalledWith(expect.stringContaining('Bot stopped (SIGTERM)'), 'info');
+        expect(exit).not.toHaveBeenCalled();
+        exit.mockRestore();
+    });
+
+    test('should run only once when shutdown is requested again', async () => {
+        const first = bot.shutdown('SIGINT');
+        const second = bot.shutdown('uncaught exception');
+
+        expect(second).toBe(first);
+        await first;
+        expect(TradingService.applyShutdownPolicy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should flush state and report when the policy does not finish in time', async () => {
+        jest.useFakeTimers();
+        TradingService.applyShutdownPolicy.mockReturnValue(new Promise(() => {}));
+
+        const done = bot.shutdown('SIGINT');
+        await jest.advanceTimersByTimeAsync(30000);
+        await done;
+
+        expect(TradingService.stopTradingService).toHaveBeenCalled();
+        expect(notifications.sendNotification).toHaveBeenCalledWith(expect.stringContaining('did not complete within 30000ms'), 'error');
+    });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../../src/utils/notifications.js', () => ({
+    sendNotification: jest.fn()
+}));
+
+const { default: StateStore } = await import('../../src/persistence/stateStore.js');
+const { default: JsonlStateStore } = await import('../../src/persistence/jsonlStateStore.js');
+const { createStateStore, registerStoreDriver } = await import('../../src/persistence/storeRegistry.js');
+const PaperTrader = await import('../../src/paperTrading/paperTrader.js');
+
+describe('StateStore', () => {
+    let dir;
+    let file;
+
+    const order = { id: 'O1', clientOrderId: 'c1', symbol: 'BTC/USD', strategy: 'Test', intent: 'entry', side: 'buy', type: 'market', amount: 1, state: 'filled', filled: 1, average: 40000 };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+        file = path.join(dir, 'state', 'state.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should tag records and filter queries', () => {
+        const store = new StateStore();
+        store.recordOrder(order);
+        store.recordFill(order, { amount: 1, price: 40000 });
+        store.recordFill({ ...order, id: 'O2', symbol: 'ETH/USD' }, { amount: 2, price: 3000 });
+        store.recordBalances({ USD: 6000, BTC: 1 });
+
+        expect(store.query({ type: 'fill' })).toHaveLength(2);
+        expect(store.query({ type: ['order', 'fill'], symbol: 'BTC/USD' }).map(record => record.type)).toEqual(['order', 'fill']);
+        expect(store.query({ strategy: 'Test', limit: 1 })[0]).toEqual(expect.objectContaining({ type: 'fill', symbol: 'ETH/USD', amount: 2, seq: 3 }));
+        expect(store.query({ type: 'order' })[0]).toEqual(expect.objectContaining({ orderId: 'O1', orderType: 'market', state: 'filled', strategy: 'Test' }));
+        expect(store.getBalances()).toEqual({ USD: 6000, BTC: 1 });
+        expect(() => store.record('note', {})).toThrow("Unknown record type 'note'.");
+    });
+
+    test('should return the latest open position of each strategy', () => {
+        const store = new StateStore();
+        store.recordPosition('BTC/USD', 'Test', { side: 'long', entryPrice: 40000, amount: 0.5 });
+        store.recordPosition('BTC/USD', 'Test', { side: 'long', entryPrice: 40500, amount: 1 });
+        store.recordPosition('ETH/USD', 'Test', { side: 'long', entryPrice: 3000, amount: 2 });
+        store.recordPosition('ETH/USD', 'Test', null);
+
+        expect(store.getPositions()).toEqual({
+            'BTC/USD:Test': { symbol: 'BTC/USD', strategy: 'Test', side: 'long', entryPrice: 40500, amount: 1 }
+        });
+        expect(store.getLastTimestamp('position')).toEqual(expect.any(Number));
+        expect(store.getLastTimestamp('fill')).toBeNull();
+    });
+
+    test('should append records to a JSONL file and resume from it', () => {
+        const store = createStateStore({ driver: 'jsonl', file });
+        store.recordFill(order, { amount: 1, price: 40000 });
+        store.recordPosition('BTC/USD', 'Test', { side: 'long', entryPrice: 40000, amount: 1 });
+        fs.appendFileSync(file, '{"seq":3,"type":"bal'); // Truncated by a crash
+
+        const reloaded = new JsonlStateStore(file);
+        reloaded.recordBalances({ USD: 6000 });
+
+        expect(reloaded.getPositions()['BTC/USD:Test'].amount).toBe(1);
+        expect(reloaded.query().map(record => record.seq)).toEqual([1, 2, 3]);
+        expect(fs.readFileSync(file, 'utf8')).toContain('"type":"fill"');
+    });
+
+    test('should create stores with registered drivers', () => {
+        class CustomStore extends StateStore {}
+        registerStoreDriver('custom', () => new CustomStore());
+
+        expect(createStateStore({ driver: 'memory' })).toBeInstanceOf(StateStore);
+        expect(createStateStore({ driver: 'custom' })).toBeInstanceOf(CustomStore);
+        expect(() => createStateStore({ driver: 'sqlite' })).toThrow("Unknown persistence driver 'sqlite'");
+    });
+
+    test('should resume paper balances and trades from the store', () => {
+        const store = new StateStore();
+        PaperTrader.initializePaperTrader(store);
+        expect(store.getBalances()).toEqual({ USD: 10000, BTC: 0, ETH: 0 });
+
+        store.recordFill({ ...order, id: 'paper-buy-1' }, { amount: 0.1, price: 40000 });
+        store.recordBalances({ USD: 6000, BTC: 0.1, ETH: 0 });
+        PaperTrader.initializePaperTrader(store);
+
+        expect(PaperTrader.getBalances()).toEqual({ USD: 6000, BTC: 0.1, ETH: 0 });
+        expect(PaperTrader.getTrades()).toEqual([expect.objectContaining({ orderId: 'paper-buy-1', amount: 0.1 })]);
+    });
+});
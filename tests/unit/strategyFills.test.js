@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    logger.child = () => logger;
+    return { default: logger };
+});
+
+const { default: StrategyInterface } = await import('../../src/strategies/strategyInterface.js');
+
+class TestStrategy extends StrategyInterface {
+    async initialize() {}
+    async run() {}
+}
+
+describe('StrategyInterface fills', () => {
+    let tradingService;
+    let strategy;
+
+    const fillOf = (side, intent) => ({ symbol: 'BTC/USD', side, intent, strategy: 'TestStrategy' });
+
+    beforeEach(() => {
+        tradingService = {
+            executeTrade: jest.fn().mockResolvedValue({ id: 'O2', state: 'pending-submit' }),
+            managePosition: jest.fn().mockResolvedValue(),
+            releasePosition: jest.fn().mockResolvedValue(),
+            getOrders: jest.fn().mockReturnValue([])
+        };
+        strategy = new TestStrategy('BTC/USD', { riskManagement: { stopLoss: 0.02 } }, tradingService);
+    });
+
+    test('should size the position from partial entry fills at the average price', async () => {
+        await strategy.onOrderFill(fillOf('buy', 'entry'), { amount: 0.4, price: 40000 });
+        await strategy.onOrderFill(fillOf('buy', 'entry'), { amount: 0.6, price: 41000 });
+
+        expect(strategy.position).toEqual({ side: 'long', amount: 1, entryPrice: 40600 });
+        // Protective orders follow the position as it grows
+        expect(tradingService.managePosition).toHaveBeenLastCalledWith('BTC/USD', 'long', 40600, 1, { stopLoss: 0.02 }, 'TestStrategy', null);
+        expect(tradingService.managePosition).toHaveBeenCalledTimes(2);
+    });
+
+    test('should protect a risk-sized entry at the stop it was sized for', async () => {
+        await strategy.onOrderFill({ ...fillOf('buy', 'entry'), stopLoss: 39000 }, { amount: 0.5, price: 40000 });
+
+        expect(tradingService.managePosition).toHaveBeenCalledWith('BTC/USD', 'long', 40000, 0.5, { stopLoss: 0.02 }, 'TestStrategy', 39000);
+    });
+
+    test('should reduce the position by what the exit actually filled', async () => {
+        strategy.setPosition('short', 40000, 2);
+
+        await strategy.exitPosition('short');
+        expect(tradingService.executeTrade).toHaveBeenCalledWith('BTC/USD', 'buy', 2, 'market', { strategy: 'TestStrategy', type: 'exit' });
+        expect(strategy.position.amount).toBe(2); // Nothing filled yet
+
+        tradingService.getOrders.mockReturnValue([{ id: 'O2', intent: 'exit', state: 'partially-filled' }]);
+        await strategy.onOrderFill(fillOf('buy', 'exit'), { amount: 1.5, price: 39000 });
+        expect(strategy.position).toEqual({ side: 'short', entryPrice: 40000, amount: 0.5 });
+        expect(tradingService.managePosition).not.toHaveBeenCalled(); // The exit is still working
+
+        await strategy.onOrderFill(fillOf('buy', 'exit'), { amount: 0.5, price: 39000 });
+        expect(strategy.position).toBeNull();
+        expect(tradingService.releasePosition).toHaveBeenCalledWith('BTC/USD', 'TestStrategy');
+    });
+
+    test('should protect the remainder again when a partially filled exit stops working', async () => {
+        strategy.setPosition('long', 40000, 1);
+
+        await strategy.onOrderFill(fillOf('sell', 'exit'), { amount: 0.25, price: 41000 });
+
+        expect(tradingService.managePosition).toHaveBeenCalledWith('BTC/USD', 'long', 40000, 0.75, { stopLoss: 0.02 }, 'TestStrategy');
+        expect(tradingService.releasePosition).not.toHaveBeenCalled();
+    });
+
+    test('should keep the position when the exit order is not placed', async () => {
+        tradingService.executeTrade.mockResolvedValue(null);
+        strategy.setPosition('long', 40000, 1);
+
+        await strategy.exitPosition('long');
+
+        expect(strategy.position).toEqual({ side: 'long', entryPrice: 40000, amount: 1 });
+    });
+});
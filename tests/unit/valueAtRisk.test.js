@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import config from '../../config/default.json' with { type: 'json' };
+
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+config.risk.valueAtRisk = { ...config.risk.valueAtRisk, maxVar: 0.05 }; // Read when RiskManager loads
+const RiskManager = await import('../../src/riskManagement/riskManager.js');
+
+describe('RiskManager Value-at-Risk', () => {
+    const HOUR = 3600000;
+    const DAY_SCALE = Math.sqrt(24); // Hourly returns scaled to one day
+
+    // Hourly candles whose returns alternate between +3% and -3%; BTC/USD and ETH/USD move together
+    beforeAll(() => {
+        for (const symbol of ['BTC/USD', 'ETH/USD']) {
+            let close = 100;
+            for (let i = 0; i < 61; i++) {
+                close *= i === 0 ? 1 : i % 2 ? 1.03 : 0.97;
+                RiskManager.recordCandle(symbol, { timestamp: i * HOUR, open: close, high: close, low: close, close });
+            }
+        }
+    });
+
+    afterEach(() => {
+        for (const { symbol, strategy } of Object.values(RiskManager.getOpenPositions())) {
+            RiskManager.removePosition(symbol, strategy);
+        }
+    });
+
+    test('should measure historical and parametric 1-day VaR and expected shortfall', () => {
+        const risk = RiskManager.getValueAtRisk([{ symbol: 'BTC/USD', side: 'long', amount: 0.1, price: 40000 }], 10000);
+
+        expect(risk).toEqual(expect.objectContaining({ confidence: 0.95, horizonMs: 24 * HOUR, equity: 10000, value: 4000, observations: 60 }));
+        // Half of the hours lose 3% of the position
+        expect(risk.historical.var).toBeCloseTo(0.03 * 4000 * DAY_SCALE);
+        expect(risk.historical.expectedShortfall).toBeCloseTo(0.03 * 4000 * DAY_SCALE);
+        const deviation = 0.03 * 4000 * Math.sqrt(60 / 59) * DAY_SCALE;
+        expect(risk.parametric.var).toBeCloseTo(1.6449 * deviation, 0);
+        expect(risk.parametric.expectedShortfall).toBeCloseTo(2.0627 * deviation, 0);
+    });
+
+    test('should net correlated longs and shorts and report unknown risk without enough history', async () => {
+        const hedged = RiskManager.getValueAtRisk([
+            { symbol: 'BTC/USD', side: 'long', amount: 0.1, price: 40000 },
+            { symbol: 'ETH/USD', side: 'short', amount: 2, price: 2000 }
+        ]);
+        expect(hedged.historical.var).toBeCloseTo(0);
+        expect(hedged.parametric.var).toBeCloseTo(0);
+
+        expect(RiskManager.getValueAtRisk([{ symbol: 'DOT/USD', side: 'long', amount: 100, price: 5 }])).toEqual(expect.objectContaining({ observations: 0, historical: null, parametric: null }));
+        expect(RiskManager.getValueAtRisk().historical).toEqual({ var: 0, expectedShortfall: 0 }); // Nothing open
+
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.05, {}, 'Trend', 39000);
+        expect(RiskManager.getValueAtRisk(null, 10000).value).toBe(2000);
+    });
+
+    test('should reject entries that take the VaR beyond the configured share of equity', async () => {
+        await RiskManager.managePosition('BTC/USD', 'long', 40000, 0.05, {}, 'Trend', 39000); // VaR 2.9% of equity
+        const trade = { symbol: 'ETH/USD', strategy: 'Trend', side: 'long', amount: 20, price: 100, stopLoss: 95 };
+
+        expect(RiskManager.checkPreTradeRisk(trade, 10000)).toEqual({ reason: 'value_at_risk', message: expect.stringContaining('1-day historical VaR (95.0%) with this trade would be 0.0588 of equity > 0.05') });
+        expect(RiskManager.checkPreTradeRisk({ ...trade, amount: 10 }, 10000)).toBeNull();
+        // A hedge lowers the VaR
+        expect(RiskManager.checkPreTradeRisk({ ...trade, side: 'short', stopLoss: 105 }, 10000)).toBeNull();
+    });
+});